@@ -8,76 +8,30 @@ import { setupKeyboardShortcuts } from './events/keyboard.js';
 import { setupToolDragAndDrop } from './toolbar/dragDrop.js';
 import { setupCanvasEvents } from './canvas/events.js';
 import { resetZoom } from './canvas/zoom.js';
-import { restoreAppState } from './services/restore.js';
-import {
-    setupConnectionMode,
-    migrateExistingConnections,
-} from './connections/connectionManager.js';
+import { initializeWorkspace } from './services/workspace.js';
+import { setupConnectionMode } from './connections/connectionManager.js';
 import { initializeConnectionInteractions } from './connections/connectionInteractions.js';
+import { initializeWaypointEditor } from './connections/waypointEditor.js';
 import { initializeStatusBar } from './ui/statusBar.js';
 import { initializeShapeOverlay } from './ui/shapeOverlay.js';
 import { initializeSidebarState } from './ui/sidebarState.js';
+import { initializeDocumentManager } from './ui/documentManager.js';
 import { SelectionMode } from './canvas/selectionMode.js';
 import { initAlignmentToolbar } from './ui/alignmentToolbar.js';
 import { appState } from './state/appState.js';
-
-/**
- * Migrate existing canvas elements to layer groups
- */
-function migrateToLayerGroups() {
-    const canvas = document.getElementById('topologyCanvas');
-    const backgroundShapesLayer = document.getElementById('backgroundShapesLayer');
-    const shapesLayer = document.getElementById('shapesLayer');
-    const connectionsLayer = document.getElementById('connectionsLayer');
-    const labelsLayer = document.getElementById('labelsLayer');
-    const interactionLayer = document.getElementById('interactionLayer');
-
-    if (
-        !backgroundShapesLayer ||
-        !shapesLayer ||
-        !connectionsLayer ||
-        !labelsLayer ||
-        !interactionLayer
-    ) {
-        console.warn('Layer groups not found, skipping migration');
-        return;
-    }
-
-    // Get all direct children of canvas that should be in layers
-    const canvasChildren = Array.from(canvas.children);
-
-    canvasChildren.forEach(child => {
-        const id = child.id || '';
-
-        // Skip the layer groups themselves and base elements
-        if (
-            id === 'backgroundShapesLayer' ||
-            id === 'shapesLayer' ||
-            id === 'connectionsLayer' ||
-            id === 'labelsLayer' ||
-            id === 'interactionLayer' ||
-            id === 'selectionRect' ||
-            !id ||
-            child.tagName === 'defs' ||
-            child.tagName === 'rect'
-        ) {
-            return;
-        }
-
-        // Migrate based on element type
-        if (id.startsWith('shape-')) {
-            shapesLayer.appendChild(child);
-        } else if (id.startsWith('connection-')) {
-            connectionsLayer.appendChild(child);
-        } else if (id.startsWith('label-')) {
-            labelsLayer.appendChild(child);
-        } else if (id === 'interaction-circle') {
-            interactionLayer.appendChild(child);
-        }
-    });
-
-    console.log('Migrated existing elements to layer groups');
-}
+import { initializeHistoryControls, resetHistory } from './services/history.js';
+import { initializeClipboard } from './topology/clipboard.js';
+import { initializePageTabs } from './topology/pages.js';
+import { initializeDeviceProperties } from './ui/deviceProperties.js';
+import { initializeInterfacePicker } from './ui/interfacePicker.js';
+import { initializeDeviceSearch } from './ui/deviceSearch.js';
+import { initializeDeviceBadges } from './shapes/deviceBadges.js';
+import { initializeRoutingControl } from './ui/routingControl.js';
+import { initializeLinkTypeControl } from './ui/linkTypeControl.js';
+import { initializeLayoutControl } from './ui/layoutControl.js';
+import { initializeLinkMarkerPicker } from './ui/linkMarkerPicker.js';
+import { initializeMinimap } from './ui/minimap.js';
+import { initializePdfExport } from './ui/pdfExportControl.js';
 
 /**
  * Initialize Bootstrap tooltips for floating buttons
@@ -117,13 +71,27 @@ function init() {
     // Setup all event listeners
     setupEventListeners();
     setupKeyboardShortcuts();
+    initializeClipboard();
     setupToolDragAndDrop();
     setupCanvasEvents();
     setupConnectionMode();
     initializeShapeOverlay();
     initializeConnectionInteractions();
+    initializeWaypointEditor();
     initializeSidebarState(); // Initialize sidebar panel state persistence
     initAlignmentToolbar(); // Initialize alignment toolbar for multi-shape operations
+    initializeDocumentManager();
+    initializePageTabs();
+    initializeDeviceProperties();
+    initializeInterfacePicker();
+    initializeDeviceSearch();
+    initializeDeviceBadges();
+    initializeRoutingControl();
+    initializeLinkTypeControl();
+    initializeLayoutControl();
+    initializeLinkMarkerPicker();
+    initializeMinimap();
+    initializePdfExport();
 
     // Initialize selection mode
     const canvas = document.getElementById('topologyCanvas');
@@ -147,14 +115,16 @@ function init() {
     // Initialize status bar
     initializeStatusBar();
 
-    // Restore saved state (topology, zoom, scroll position)
-    restoreAppState();
-
-    // Migrate existing elements to layer groups (for backwards compatibility)
-    migrateToLayerGroups();
-
-    // Migrate existing connections to have label IDs (for backwards compatibility)
-    migrateExistingConnections();
+    // Open the last used document with its zoom and scroll position
+    // A topology saved by earlier versions becomes the first document; without IndexedDB it
+    // is restored from localStorage. Older topologies are upgraded by the model's migrations
+    initializeHistoryControls();
+    initializeWorkspace().then(hasWorkspace => {
+        // Opening a document starts its own undo history
+        if (!hasWorkspace) {
+            resetHistory();
+        }
+    });
 
     // Initialize Bootstrap tooltips after everything is loaded
     // Use setTimeout to ensure DOM is fully ready
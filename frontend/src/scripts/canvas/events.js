@@ -10,9 +10,13 @@ import { updateResizeHandles } from '../shapes/shapeSelection.js';
 import { startPanning, handlePanning, stopPanning } from './panning.js';
 import { createShape } from '../shapes/shapeFactory.js';
 import { saveAppState } from '../services/storage.js';
+import { endHistoryStep } from '../services/history.js';
 import { updateShapeConnections } from '../connections/connectionManager.js';
 import { deselectAll } from '../connections/connectionInteractions.js';
 import { handleEndpointDrag, stopEndpointDrag } from '../shapes/lineEndpointHandles.js';
+import { getShapeBounds } from '../shapes/shapeFactory.js';
+import { commitShapes } from '../topology/modelSync.js';
+import { snapMove, clearSnapGuides } from './snapping.js';
 
 /**
  * Setup all canvas event listeners
@@ -96,7 +100,7 @@ function handleGlobalMouseMove(e) {
 
     // Handle resizing
     if (appState.isResizing && appState.selectedShape && appState.resizeHandle) {
-        handleResize(appState.selectedShape, appState.resizeHandle, mouseX, mouseY);
+        handleResize(appState.selectedShape, appState.resizeHandle, mouseX, mouseY, !e.altKey);
         return;
     }
 
@@ -143,7 +147,7 @@ function handleGlobalMouseMove(e) {
 
     // Handle shape dragging (only if we've passed the threshold)
     if (appState.isDraggingShape && appState.selectedShape) {
-        handleShapeDragging(mouseX, mouseY);
+        handleShapeDragging(mouseX, mouseY, !e.altKey);
     }
 }
 
@@ -230,11 +234,41 @@ function updateSiblingLabelPosition(shape) {
 
 /**
  * Handle shape dragging
+ * @param {number} mouseX - Mouse X on the canvas
+ * @param {number} mouseY - Mouse Y on the canvas
+ * @param {boolean} snapping - False to move freely (Alt held)
  */
-function handleShapeDragging(mouseX, mouseY) {
+function handleShapeDragging(mouseX, mouseY, snapping) {
     const shape = appState.selectedShape;
     const newX = mouseX - appState.dragOffsetX;
     const newY = mouseY - appState.dragOffsetY;
+
+    moveDraggedShape(shape, newX, newY);
+
+    // Line up with other shapes or the grid (see snapping.js)
+    const snap = snapMove(getShapeBounds(shape), [shape.id], snapping);
+    if (snap.dx !== 0 || snap.dy !== 0) {
+        moveDraggedShape(shape, newX + snap.dx, newY + snap.dy);
+    }
+
+    // Update sibling label position if shape has one
+    updateSiblingLabelPosition(shape);
+
+    // Update resize handles
+    updateResizeHandles(shape);
+
+    // Update any connections to this shape
+    updateShapeConnections(shape);
+}
+
+/**
+ * Move the dragged shape to a position
+ * @param {SVGElement} shape - The dragged shape
+ * @param {number} newX - New position: translate of groups, centre of circles, ellipses,
+ *     lines and arrows, top-left of rectangles
+ * @param {number} newY - New position
+ */
+function moveDraggedShape(shape, newX, newY) {
     const dataType = shape.getAttribute('data-shape-type');
 
     // Update shape position based on type
@@ -313,15 +347,6 @@ function handleShapeDragging(mouseX, mouseY) {
         shape.setAttribute('x', newX);
         shape.setAttribute('y', newY);
     }
-
-    // Update sibling label position if shape has one
-    updateSiblingLabelPosition(shape);
-
-    // Update resize handles
-    updateResizeHandles(shape);
-
-    // Update any connections to this shape
-    updateShapeConnections(shape);
 }
 
 /**
@@ -345,6 +370,7 @@ function handleGlobalMouseUp() {
 
     appState.reset();
     stopPanning();
+    clearSnapGuides();
 
     // Reset cursor
     document.body.style.cursor = 'default';
@@ -356,10 +382,14 @@ function handleGlobalMouseUp() {
         updateInteractionCirclePosition(interactedShape);
     }
 
-    // Save state if user was interacting with shapes
+    // Commit the shape the user was interacting with and save
     if (wasInteracting) {
+        if (interactedShape) commitShapes([interactedShape]);
         saveAppState();
     }
+
+    // Close the drag/resize undo step opened on mouse down
+    endHistoryStep();
 }
 
 /**
@@ -392,7 +422,8 @@ function setupCanvasDropZone() {
         if (shape) {
             const shapesLayer = document.getElementById('shapesLayer') || elements.topologyCanvas;
             shapesLayer.appendChild(shape);
-            saveAppState();
+            commitShapes([shape]);
+            saveAppState('add shape');
         }
     });
 }
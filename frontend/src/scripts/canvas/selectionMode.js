@@ -4,6 +4,7 @@
 
 import { appState } from '../state/appState.js';
 import { updateAlignmentToolbarVisibility } from '../ui/alignmentToolbar.js';
+import { snapMove, clearSnapGuides, getShapesBounds, offsetBounds } from './snapping.js';
 
 export class SelectionMode {
     constructor(canvas) {
@@ -14,6 +15,7 @@ export class SelectionMode {
         this.startPoint = null;
         this.dragStartPoint = null;
         this.initialShapePositions = new Map();
+        this.initialBounds = null;
         this.selectionRect = document.getElementById('selectionRect');
         this.selectedShapes = new Set();
 
@@ -227,6 +229,18 @@ export class SelectionMode {
         return !(x1 + w1 < x2 || x2 + w2 < x1 || y1 + h1 < y2 || y2 + h2 < y1);
     }
 
+    selectShapes(shapeIds) {
+        this.clearSelection();
+        shapeIds.forEach(shapeId => {
+            const shapeGroup = document.getElementById(shapeId);
+            if (shapeGroup) {
+                this.selectedShapes.add(shapeId);
+                shapeGroup.classList.add('shape-selected');
+            }
+        });
+        updateAlignmentToolbarVisibility(this.selectedShapes.size);
+    }
+
     clearSelection() {
         this.selectedShapes.forEach(shapeId => {
             const shapeGroup = document.getElementById(shapeId);
@@ -260,6 +274,7 @@ export class SelectionMode {
                 this.initialShapePositions.set(shapeId, pos);
             }
         });
+        this.initialBounds = getShapesBounds([...this.selectedShapes]);
 
         this.canvas.style.cursor = 'move';
     }
@@ -275,8 +290,19 @@ export class SelectionMode {
             y: e.clientY - wrapperRect.top + canvasWrapper.scrollTop,
         };
 
-        const dx = currentPoint.x - this.dragStartPoint.x;
-        const dy = currentPoint.y - this.dragStartPoint.y;
+        let dx = currentPoint.x - this.dragStartPoint.x;
+        let dy = currentPoint.y - this.dragStartPoint.y;
+
+        // Snap the selection as a whole (see snapping.js); Alt moves freely
+        if (this.initialBounds) {
+            const snap = snapMove(
+                offsetBounds(this.initialBounds, dx, dy),
+                [...this.selectedShapes],
+                !e.altKey
+            );
+            dx += snap.dx;
+            dy += snap.dy;
+        }
 
         // Move all selected shapes
         this.selectedShapes.forEach(shapeId => {
@@ -300,15 +326,21 @@ export class SelectionMode {
         this.isDraggingGroup = false;
         this.dragStartPoint = null;
         this.initialShapePositions.clear();
+        this.initialBounds = null;
+        clearSnapGuides();
         this.canvas.style.cursor = 'crosshair';
 
         // Re-enable text selection
         document.body.classList.remove('no-select');
 
-        // Save state after moving
-        import('../services/storage.js').then(({ saveAppState }) => {
-            saveAppState();
-        });
+        // Commit the moved shapes and save
+        const movedShapes = Array.from(this.selectedShapes, id => document.getElementById(id));
+        Promise.all([import('../topology/modelSync.js'), import('../services/storage.js')]).then(
+            ([{ commitShapes }, { saveAppState }]) => {
+                commitShapes(movedShapes);
+                saveAppState('move shapes');
+            }
+        );
     }
 
     getShapePosition(shape) {
@@ -389,7 +421,10 @@ export class SelectionMode {
         const handleConfirm = () => {
             // Import dependencies
             import('../connections/connectionManager.js').then(({ deleteShapeConnections }) => {
-                import('../services/storage.js').then(({ saveAppState }) => {
+                Promise.all([
+                    import('../topology/modelSync.js'),
+                    import('../services/storage.js'),
+                ]).then(([{ commitRemoval }, { saveAppState }]) => {
                     // Convert Set to array to avoid issues with modifying during iteration
                     const shapesToDelete = Array.from(this.selectedShapes);
 
@@ -406,7 +441,8 @@ export class SelectionMode {
 
                     // Clear selection and save state
                     this.clearSelection();
-                    saveAppState();
+                    commitRemoval(shapesToDelete);
+                    saveAppState('delete shapes');
 
                     // Hide modal and remove listener
                     modalInstance.hide();
@@ -0,0 +1,395 @@
+/**
+ * Snapping and alignment guides
+ * While shapes are dragged or resized, their edges and centre snap to the edges and centres of
+ * the other shapes on the page, to the spacing between neighbouring shapes, or else to the
+ * canvas grid. Guide lines in the interaction layer show what they snapped to until the mouse
+ * is released. Holding Alt moves and resizes freely.
+ */
+
+import { appState } from '../state/appState.js';
+import { elements } from '../utils/dom.js';
+import { getShapeBounds } from '../shapes/shapeFactory.js';
+import { CANVAS_CONFIG, SNAP_CONFIG } from '../config/constants.js';
+
+// Shapes other shapes don't snap to
+const IGNORED_SHAPE_TYPES = ['line', 'arrow'];
+
+// Bounds keys of each axis; `cross` is the other axis
+const AXES = {
+    x: { start: 'left', centre: 'centerX', end: 'right', size: 'width', cross: 'y' },
+    y: { start: 'top', centre: 'centerY', end: 'bottom', size: 'height', cross: 'x' },
+};
+
+// Offsets below this count as aligned when drawing guides
+const ALIGNED = 0.5;
+
+/**
+ * Get the bounds of the shapes that can be snapped to
+ * @param {Array<string>} excludeIds - IDs of the moving shapes
+ * @returns {Array<Object>} Bounds (see getShapeBounds)
+ */
+function getTargets(excludeIds) {
+    return Array.from(elements.topologyCanvas.querySelectorAll('.canvas-shape'))
+        .filter(
+            shape =>
+                !excludeIds.includes(shape.id) &&
+                !IGNORED_SHAPE_TYPES.includes(shape.getAttribute('data-shape-type'))
+        )
+        .map(getShapeBounds);
+}
+
+/**
+ * Make bounds from a box
+ * @param {number} left - Left edge
+ * @param {number} top - Top edge
+ * @param {number} right - Right edge
+ * @param {number} bottom - Bottom edge
+ * @returns {Object} Bounds {left, top, right, bottom, x, y, width, height, centerX, centerY}
+ */
+function makeBounds(left, top, right, bottom) {
+    return {
+        left,
+        top,
+        right,
+        bottom,
+        x: left,
+        y: top,
+        width: right - left,
+        height: bottom - top,
+        centerX: (left + right) / 2,
+        centerY: (top + bottom) / 2,
+    };
+}
+
+/**
+ * Move bounds by an offset
+ * @param {Object} bounds - Bounds
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} Moved bounds
+ */
+export function offsetBounds(bounds, dx, dy) {
+    return makeBounds(bounds.left + dx, bounds.top + dy, bounds.right + dx, bounds.bottom + dy);
+}
+
+/**
+ * Get the bounds around several shapes
+ * @param {Array<string>} shapeIds - Shape IDs
+ * @returns {Object|null} Bounds, or null without shapes
+ */
+export function getShapesBounds(shapeIds) {
+    const bounds = shapeIds
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(getShapeBounds);
+    if (bounds.length === 0) return null;
+
+    return makeBounds(
+        Math.min(...bounds.map(b => b.left)),
+        Math.min(...bounds.map(b => b.top)),
+        Math.max(...bounds.map(b => b.right)),
+        Math.max(...bounds.map(b => b.bottom))
+    );
+}
+
+/**
+ * Make a guide line from coordinates along an axis and across it
+ * @param {string} axis - 'x' or 'y'
+ * @param {Array<number>} along - Start and end on the axis
+ * @param {Array<number>} across - Start and end on the other axis
+ * @returns {Object} Line {x1, y1, x2, y2}
+ */
+function makeLine(axis, along, across) {
+    return axis === 'x'
+        ? { x1: along[0], x2: along[1], y1: across[0], y2: across[1] }
+        : { x1: across[0], x2: across[1], y1: along[0], y2: along[1] };
+}
+
+/**
+ * Find the smallest offset that lines an edge or the centre up with another shape's
+ * @param {string} axis - 'x' or 'y'
+ * @param {Object} bounds - Bounds of the moving shapes
+ * @param {Array<string>} keys - Bounds keys that may snap, e.g. ['left', 'centerX', 'right']
+ * @param {Array<Object>} targets - Bounds of the other shapes
+ * @param {number} threshold - Largest offset
+ * @returns {number|null} Offset, or null if nothing is close enough
+ */
+function findAlignment(axis, bounds, keys, targets, threshold) {
+    const { start, centre, end } = AXES[axis];
+    let best = null;
+
+    targets.forEach(target => {
+        [target[start], target[centre], target[end]].forEach(value => {
+            keys.forEach(key => {
+                const offset = value - bounds[key];
+                if (Math.abs(offset) > threshold) return;
+                if (best === null || Math.abs(offset) < Math.abs(best)) best = offset;
+            });
+        });
+    });
+
+    return best;
+}
+
+/**
+ * Get the neighbours of the moving shapes along an axis
+ * Only shapes level with them across the axis count, like shapes in the same row.
+ * @param {string} axis - 'x' or 'y'
+ * @param {Object} bounds - Bounds of the moving shapes
+ * @param {Array<Object>} targets - Bounds of the other shapes
+ * @returns {Object} Row {before, after, gaps}: the nearest shape on each side (or null) and
+ *     the gaps {size, from, to, across} between neighbouring shapes of the row
+ */
+function getRow(axis, bounds, targets) {
+    const { start, centre, end } = AXES[axis];
+    const cross = AXES[AXES[axis].cross];
+    const row = targets
+        .filter(t => t[cross.start] < bounds[cross.end] && t[cross.end] > bounds[cross.start])
+        .sort((a, b) => a[start] - b[start]);
+
+    const before = row
+        .filter(t => t[end] <= bounds[centre])
+        .reduce((nearest, t) => (!nearest || t[end] > nearest[end] ? t : nearest), null);
+    const after = row
+        .filter(t => t[start] >= bounds[centre])
+        .reduce((nearest, t) => (!nearest || t[start] < nearest[start] ? t : nearest), null);
+
+    const gaps = [];
+    row.forEach((a, index) => {
+        const b = row[index + 1];
+        if (b && b[start] > a[end]) {
+            gaps.push({
+                size: b[start] - a[end],
+                from: a[end],
+                to: b[start],
+                across: (a[cross.centre] + b[cross.centre]) / 2,
+            });
+        }
+    });
+
+    return { before, after, gaps };
+}
+
+/**
+ * Find the smallest offset that spaces the moving shapes evenly with their neighbours:
+ * halfway between the shapes on either side, or as far from a neighbour as two other
+ * shapes of the row are apart
+ * @param {string} axis - 'x' or 'y'
+ * @param {Object} bounds - Bounds of the moving shapes
+ * @param {Array<Object>} targets - Bounds of the other shapes
+ * @param {number} threshold - Largest offset
+ * @returns {number|null} Offset, or null if nothing is close enough
+ */
+function findSpacing(axis, bounds, targets, threshold) {
+    const { start, end, size } = AXES[axis];
+    const { before, after, gaps } = getRow(axis, bounds, targets);
+    const starts = [];
+
+    if (before && after) {
+        starts.push((before[end] + after[start] - bounds[size]) / 2);
+    }
+    gaps.forEach(gap => {
+        if (before) starts.push(before[end] + gap.size);
+        if (after) starts.push(after[start] - gap.size - bounds[size]);
+    });
+
+    let best = null;
+    starts.forEach(value => {
+        const offset = value - bounds[start];
+        if (Math.abs(offset) > threshold) return;
+        if (best === null || Math.abs(offset) < Math.abs(best)) best = offset;
+    });
+    return best;
+}
+
+/**
+ * Get the guides of the edges and centres that line up with other shapes
+ * @param {string} axis - 'x' or 'y'
+ * @param {Object} bounds - Bounds of the moved shapes
+ * @param {Array<string>} keys - Bounds keys that snap
+ * @param {Array<Object>} targets - Bounds of the other shapes
+ * @returns {Array<Object>} Lines across the axis, through every shape lined up there
+ */
+function getAlignmentGuides(axis, bounds, keys, targets) {
+    const { start, centre, end } = AXES[axis];
+    const cross = AXES[AXES[axis].cross];
+    const lines = new Map();
+
+    targets.forEach(target => {
+        [target[start], target[centre], target[end]].forEach(value => {
+            if (!keys.some(key => Math.abs(value - bounds[key]) < ALIGNED)) return;
+            const line = lines.get(value) || [bounds[cross.start], bounds[cross.end]];
+            lines.set(value, [
+                Math.min(line[0], target[cross.start]),
+                Math.max(line[1], target[cross.end]),
+            ]);
+        });
+    });
+
+    return Array.from(lines, ([value, across]) => ({
+        ...makeLine(axis, [value, value], across),
+        spacing: false,
+    }));
+}
+
+/**
+ * Get the guides of equal gaps between the moved shapes and their neighbours
+ * @param {string} axis - 'x' or 'y'
+ * @param {Object} bounds - Bounds of the moved shapes
+ * @param {Array<Object>} targets - Bounds of the other shapes
+ * @returns {Array<Object>} Lines along the axis over each of the equal gaps
+ */
+function getSpacingGuides(axis, bounds, targets) {
+    const { start, end } = AXES[axis];
+    const cross = AXES[AXES[axis].cross];
+    const { before, after, gaps } = getRow(axis, bounds, targets);
+    const across = bounds[cross.centre];
+    const lines = [];
+    const gapLine = (from, to, at) => ({ ...makeLine(axis, [from, to], [at, at]), spacing: true });
+
+    const sizeBefore = before ? bounds[start] - before[end] : null;
+    const sizeAfter = after ? after[start] - bounds[end] : null;
+    if (sizeBefore !== null && sizeAfter !== null && Math.abs(sizeBefore - sizeAfter) < ALIGNED) {
+        lines.push(gapLine(before[end], bounds[start], across));
+        lines.push(gapLine(bounds[end], after[start], across));
+    }
+
+    [
+        [sizeBefore, before && gapLine(before[end], bounds[start], across)],
+        [sizeAfter, after && gapLine(bounds[end], after[start], across)],
+    ].forEach(([size, line]) => {
+        if (size === null || size <= 0) return;
+        const equal = gaps.filter(gap => Math.abs(gap.size - size) < ALIGNED);
+        if (equal.length === 0) return;
+        lines.push(line, ...equal.map(gap => gapLine(gap.from, gap.to, gap.across)));
+    });
+
+    return lines;
+}
+
+/**
+ * Snap a value to the canvas grid
+ * @param {number} value - Value
+ * @returns {number} Nearest grid line
+ */
+function snapToGrid(value) {
+    return Math.round(value / CANVAS_CONFIG.GRID_SIZE) * CANVAS_CONFIG.GRID_SIZE;
+}
+
+/**
+ * Draw guide lines in the interaction layer, replacing the previous ones
+ * @param {Array<Object>} lines - Lines {x1, y1, x2, y2, spacing}
+ */
+function drawGuides(lines) {
+    clearSnapGuides();
+    if (lines.length === 0) return;
+
+    // Gaps can be found equal both ways; draw each line once
+    const unique = new Map(
+        lines.map(line => [`${line.x1},${line.y1},${line.x2},${line.y2}`, line])
+    );
+
+    const layer = document.getElementById('interactionLayer') || elements.topologyCanvas;
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'snap-guides');
+    group.setAttribute('pointer-events', 'none');
+
+    unique.forEach(({ spacing, ...points }) => {
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        Object.entries(points).forEach(([name, value]) => line.setAttribute(name, value));
+        line.setAttribute('class', spacing ? 'snap-guide snap-guide-spacing' : 'snap-guide');
+        line.setAttribute('stroke', SNAP_CONFIG.GUIDE_COLOR);
+        line.setAttribute('stroke-width', 1);
+        line.setAttribute('vector-effect', 'non-scaling-stroke');
+        if (!spacing) line.setAttribute('stroke-dasharray', '4,3');
+        group.appendChild(line);
+    });
+
+    layer.appendChild(group);
+}
+
+/**
+ * Remove the guide lines
+ */
+export function clearSnapGuides() {
+    elements.topologyCanvas?.querySelectorAll('.snap-guides').forEach(group => group.remove());
+}
+
+/**
+ * Snap moving shapes to the other shapes, their spacing, or else the grid, and show guides
+ * @param {Object} bounds - Bounds of the moving shapes where the mouse puts them
+ * @param {Array<string>} excludeIds - IDs of the moving shapes
+ * @param {boolean} enabled - False to move freely (Alt held)
+ * @returns {Object} Offset {dx, dy} to add to the move
+ */
+export function snapMove(bounds, excludeIds, enabled = true) {
+    if (!enabled) {
+        clearSnapGuides();
+        return { dx: 0, dy: 0 };
+    }
+
+    const targets = getTargets(excludeIds);
+    const threshold = SNAP_CONFIG.THRESHOLD / appState.currentZoom;
+    const offset = {};
+
+    Object.entries(AXES).forEach(([axis, { start, centre, end }]) => {
+        const candidates = [
+            findAlignment(axis, bounds, [start, centre, end], targets, threshold),
+            findSpacing(axis, bounds, targets, threshold),
+        ].filter(candidate => candidate !== null);
+
+        offset[axis] =
+            candidates.length > 0
+                ? candidates.reduce((a, b) => (Math.abs(b) < Math.abs(a) ? b : a))
+                : snapToGrid(bounds[start]) - bounds[start];
+    });
+
+    const moved = offsetBounds(bounds, offset.x, offset.y);
+    drawGuides(
+        Object.entries(AXES).flatMap(([axis, { start, centre, end }]) => [
+            ...getAlignmentGuides(axis, moved, [start, centre, end], targets),
+            ...getSpacingGuides(axis, moved, targets),
+        ])
+    );
+
+    return { dx: offset.x, dy: offset.y };
+}
+
+/**
+ * Snap the edges a resize handle moves to the other shapes, or else the grid, and show guides
+ * @param {Object} bounds - Bounds of the shape being resized
+ * @param {string} handleType - Resize handle, e.g. 'se' moves the right and bottom edges
+ * @param {Array<string>} excludeIds - IDs of the resized shapes
+ * @param {boolean} enabled - False to resize freely (Alt held)
+ * @returns {Object} Offset {dx, dy} to add to the moving edges
+ */
+export function snapResize(bounds, handleType, excludeIds, enabled = true) {
+    if (!enabled) {
+        clearSnapGuides();
+        return { dx: 0, dy: 0 };
+    }
+
+    const edges = {
+        x: handleType.includes('e') ? 'right' : handleType.includes('w') ? 'left' : null,
+        y: handleType.includes('s') ? 'bottom' : handleType.includes('n') ? 'top' : null,
+    };
+    const targets = getTargets(excludeIds);
+    const threshold = SNAP_CONFIG.THRESHOLD / appState.currentZoom;
+    const offset = { x: 0, y: 0 };
+    const moved = { ...bounds };
+
+    Object.entries(edges).forEach(([axis, edge]) => {
+        if (!edge) return;
+        const aligned = findAlignment(axis, bounds, [edge], targets, threshold);
+        offset[axis] = aligned !== null ? aligned : snapToGrid(bounds[edge]) - bounds[edge];
+        moved[edge] += offset[axis];
+    });
+
+    drawGuides(
+        Object.entries(edges)
+            .filter(([, edge]) => edge)
+            .flatMap(([axis, edge]) => getAlignmentGuides(axis, moved, [edge], targets))
+    );
+
+    return { dx: offset.x, dy: offset.y };
+}
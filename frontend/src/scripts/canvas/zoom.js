@@ -1,32 +1,42 @@
 /**
  * Canvas zoom functionality
+ * The canvas is scaled from its top-left corner and the wrapper's scroll position is adjusted
+ * alongside, so a zoom can keep any point of the view still: the middle of the view for the
+ * zoom buttons, the mouse for Ctrl+wheel and pinch zoom. Zoom to fit and zoom to selection
+ * glide to the new view. Wheel and pinch zoom save the view once the gesture settles rather than
+ * on every step.
  */
 
 import { appState } from '../state/appState.js';
 import { elements } from '../utils/dom.js';
 import { ZOOM_CONFIG } from '../config/constants.js';
-import { saveZoom, saveScrollPosition } from '../services/storage.js';
+import { saveView } from '../services/storage.js';
+import { calculateContentBounds } from '../topology/pngExport.js';
+import { getShapesBounds } from './snapping.js';
+
+let animationFrame = null;
+let gestureStartZoom = null; // Zoom level when a Safari pinch gesture started
+let saveTimer = null;
 
 /**
  * Zoom in on the canvas
  */
 export function zoomIn() {
-    appState.currentZoom = Math.min(appState.currentZoom * ZOOM_CONFIG.STEP, ZOOM_CONFIG.MAX);
-    updateZoom();
+    zoomTo(appState.currentZoom * ZOOM_CONFIG.STEP);
 }
 
 /**
  * Zoom out on the canvas
  */
 export function zoomOut() {
-    appState.currentZoom = Math.max(appState.currentZoom / ZOOM_CONFIG.STEP, ZOOM_CONFIG.MIN);
-    updateZoom();
+    zoomTo(appState.currentZoom / ZOOM_CONFIG.STEP);
 }
 
 /**
  * Reset zoom to default level
  */
 export function resetZoom() {
+    stopAnimation();
     appState.currentZoom = ZOOM_CONFIG.DEFAULT;
     updateZoom();
     // Center the canvas
@@ -34,6 +44,230 @@ export function resetZoom() {
         (elements.topologyCanvas.clientWidth - elements.canvasWrapper.clientWidth) / 2;
     elements.canvasWrapper.scrollTop =
         (elements.topologyCanvas.clientHeight - elements.canvasWrapper.clientHeight) / 2;
+    saveViewNow();
+}
+
+/**
+ * Zoom the canvas to a level, keeping a point of the view still
+ * @param {number} zoom - Zoom level, kept within the ZOOM_CONFIG limits
+ * @param {Object} [anchor] - Window point {x, y} to keep still; the middle of the view by default
+ * @param {boolean} [animate=true] - Whether to glide to the new zoom level
+ */
+export function zoomTo(zoom, anchor = getViewCenter(), animate = true) {
+    const point = toCanvasPoint(anchor);
+    animateView(clampZoom(zoom), point, point, anchor, animate);
+}
+
+/**
+ * Zoom so that all the shapes and connections of the page are in view
+ * Uses the same content bounds as the PNG export
+ */
+export function zoomToFit() {
+    const bounds = calculateContentBounds();
+    if (bounds) zoomToBounds(bounds);
+}
+
+/**
+ * Zoom so that the selected shapes are in view
+ */
+export function zoomToSelection() {
+    const shapeIds = appState.selectionManager?.getSelectedShapes() || [];
+    if (shapeIds.length === 0 && appState.selectedShape) {
+        shapeIds.push(appState.selectedShape.id);
+    }
+
+    const bounds = getShapesBounds(shapeIds);
+    if (!bounds) return;
+
+    const padding = ZOOM_CONFIG.FIT_PADDING;
+    zoomToBounds({
+        x: bounds.left - padding,
+        y: bounds.top - padding,
+        width: bounds.width + padding * 2,
+        height: bounds.height + padding * 2,
+    });
+}
+
+/**
+ * Setup Ctrl/Cmd + mouse wheel and trackpad pinch zoom on the canvas
+ * Browsers report a pinch as a wheel event with the Ctrl key, except Safari, which sends
+ * gesture events of its own
+ */
+export function setupWheelZoom() {
+    const wrapper = elements.canvasWrapper;
+
+    wrapper.addEventListener(
+        'wheel',
+        e => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+
+            // Wheel deltas come in pixels, lines or pages; one mouse wheel notch is one zoom step
+            const delta = e.deltaY * [1, 40, wrapper.clientHeight][e.deltaMode];
+            zoomTo(
+                appState.currentZoom * Math.pow(ZOOM_CONFIG.STEP, -delta / ZOOM_CONFIG.WHEEL_DELTA),
+                { x: e.clientX, y: e.clientY },
+                false
+            );
+        },
+        { passive: false }
+    );
+
+    wrapper.addEventListener('gesturestart', e => {
+        e.preventDefault();
+        gestureStartZoom = appState.currentZoom;
+    });
+    wrapper.addEventListener('gesturechange', e => {
+        if (gestureStartZoom === null) return;
+        e.preventDefault();
+        zoomTo(gestureStartZoom * e.scale, { x: e.clientX, y: e.clientY }, false);
+    });
+    wrapper.addEventListener('gestureend', () => {
+        gestureStartZoom = null;
+    });
+}
+
+/**
+ * Zoom to show a canvas area as large as fits, centred in the view
+ * @param {Object} bounds - Canvas area {x, y, width, height}
+ */
+function zoomToBounds(bounds) {
+    const zoom = clampZoom(
+        Math.min(
+            elements.canvasWrapper.clientWidth / bounds.width,
+            elements.canvasWrapper.clientHeight / bounds.height
+        )
+    );
+    const anchor = getViewCenter();
+
+    animateView(
+        zoom,
+        toCanvasPoint(anchor),
+        { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 },
+        anchor
+    );
+}
+
+/**
+ * Keep a zoom level within the ZOOM_CONFIG limits
+ * @param {number} zoom - Zoom level
+ * @returns {number} Allowed zoom level
+ */
+function clampZoom(zoom) {
+    return Math.min(Math.max(zoom, ZOOM_CONFIG.MIN), ZOOM_CONFIG.MAX);
+}
+
+/**
+ * Get the middle of the canvas view
+ * @returns {Object} Window point {x, y}
+ */
+function getViewCenter() {
+    const rect = elements.canvasWrapper.getBoundingClientRect();
+    return {
+        x: rect.left + elements.canvasWrapper.clientWidth / 2,
+        y: rect.top + elements.canvasWrapper.clientHeight / 2,
+    };
+}
+
+/**
+ * Convert a window point to canvas coordinates
+ * @param {Object} point - Window point {x, y}
+ * @returns {Object} Canvas point {x, y}
+ */
+function toCanvasPoint(point) {
+    const canvasRect = elements.canvas.getBoundingClientRect();
+    return {
+        x: (point.x - canvasRect.left) / appState.currentZoom,
+        y: (point.y - canvasRect.top) / appState.currentZoom,
+    };
+}
+
+/**
+ * Glide from the current zoom level to another while moving a canvas point to a window point
+ * @param {number} targetZoom - Zoom level to end at
+ * @param {Object} fromPoint - Canvas point {x, y} under the anchor now
+ * @param {Object} toPoint - Canvas point {x, y} to end under the anchor
+ * @param {Object} anchor - Window point {x, y}
+ * @param {boolean} [animate=true] - False to jump to the end at once
+ */
+function animateView(targetZoom, fromPoint, toPoint, anchor, animate = true) {
+    stopAnimation();
+
+    const startZoom = appState.currentZoom;
+    const start = performance.now();
+
+    const step = now => {
+        const progress = animate ? Math.min((now - start) / ZOOM_CONFIG.ANIMATION_DURATION, 1) : 1;
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        // Scale geometrically, so zooming in and out look equally fast
+        showCanvasPoint(
+            startZoom * Math.pow(targetZoom / startZoom, eased),
+            {
+                x: fromPoint.x + (toPoint.x - fromPoint.x) * eased,
+                y: fromPoint.y + (toPoint.y - fromPoint.y) * eased,
+            },
+            anchor
+        );
+
+        if (progress < 1) {
+            animationFrame = requestAnimationFrame(step);
+        } else {
+            animationFrame = null;
+            if (animate) {
+                saveViewNow();
+            } else {
+                scheduleViewSave();
+            }
+        }
+    };
+
+    if (animate) {
+        animationFrame = requestAnimationFrame(step);
+    } else {
+        step(start);
+    }
+}
+
+/**
+ * Save the view, dropping a pending delayed save
+ */
+function saveViewNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    saveView();
+}
+
+/**
+ * Save the view once wheel or pinch zoom steps stop for ZOOM_CONFIG.SAVE_DELAY
+ */
+function scheduleViewSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveViewNow, ZOOM_CONFIG.SAVE_DELAY);
+}
+
+/**
+ * Stop a running zoom animation where it is
+ */
+function stopAnimation() {
+    if (animationFrame === null) return;
+    cancelAnimationFrame(animationFrame);
+    animationFrame = null;
+}
+
+/**
+ * Apply a zoom level and scroll a canvas point under a window point
+ * @param {number} zoom - Zoom level
+ * @param {Object} point - Canvas point {x, y}
+ * @param {Object} anchor - Window point {x, y}
+ */
+function showCanvasPoint(zoom, point, anchor) {
+    appState.currentZoom = zoom;
+    updateZoom();
+
+    const canvasRect = elements.canvas.getBoundingClientRect();
+    elements.canvasWrapper.scrollLeft += canvasRect.left + point.x * zoom - anchor.x;
+    elements.canvasWrapper.scrollTop += canvasRect.top + point.y * zoom - anchor.y;
 }
 
 /**
@@ -45,7 +279,4 @@ function updateZoom() {
     if (elements.zoomLevel) {
         elements.zoomLevel.textContent = `${Math.round(appState.currentZoom * 100)}%`;
     }
-
-    // Persist zoom level
-    saveZoom();
 }
@@ -57,6 +57,24 @@ export const SHAPE_TEMPLATES = {
         },
         defaultText: 'Text',
     },
+    pagelink: {
+        element: 'g',
+        attributes: {
+            width: 140,
+            height: 36,
+            rx: 18,
+            fill: '#e7f1ff',
+            stroke: '#0d6efd',
+            'stroke-width': 2,
+        },
+        textAttributes: {
+            'font-size': 13,
+            'font-family': 'Arial, sans-serif',
+            'font-weight': 'bold',
+            fill: '#0d6efd',
+        },
+        missingText: 'Missing page',
+    },
 };
 
 // Cisco network device shapes extracted from cisco_icons/*.svg
@@ -141,6 +159,10 @@ export const ZOOM_CONFIG = {
     MAX: 5,
     STEP: 1.2,
     DEFAULT: 1,
+    WHEEL_DELTA: 100, // Wheel scroll (px) that zooms one step
+    ANIMATION_DURATION: 250, // ms
+    SAVE_DELAY: 300, // ms after the last wheel or pinch step before the view is saved
+    FIT_PADDING: 40, // Space around the selection when zooming to it
 };
 
 export const CANVAS_CONFIG = {
@@ -149,9 +171,252 @@ export const CANVAS_CONFIG = {
     GRID_SIZE: 20,
 };
 
+export const MINIMAP_CONFIG = {
+    STORAGE_KEY: 'topologyBuilder_minimapCollapsed', // localStorage key of the collapsed state
+    PADDING: 100, // Canvas space (px) shown around the shapes and the view
+};
+
+// Standalone SVG export (see topology/svgExport.js)
+export const SVG_EXPORT_CONFIG = {
+    PADDING: 40, // Default space (px) around the content
+    MAX_PADDING: 400,
+    FONT_FALLBACK: 'sans-serif', // Generic family added to fonts that don't end with one
+};
+
+// PDF export (see topology/pdfExport.js); page sizes in points (1/72 inch), portrait
+export const PDF_PAGE_SIZES = [
+    { value: 'a4', label: 'A4', width: 595.28, height: 841.89 },
+    { value: 'a3', label: 'A3', width: 841.89, height: 1190.55 },
+    { value: 'letter', label: 'Letter', width: 612, height: 792 },
+    { value: 'tabloid', label: 'Tabloid', width: 792, height: 1224 },
+];
+
+export const PDF_EXPORT_CONFIG = {
+    STORAGE_KEY: 'topologyBuilder_pdfExport', // localStorage key of the last page setup
+    MARGIN: 28, // Space (pt) around the drawing frame, about 10 mm
+    TITLE_BLOCK_HEIGHT: 40, // pt
+    DPI: 200, // Resolution the diagram is rendered at
+    MAX_IMAGE_PIXELS: 16777216, // Largest image rendered for one sheet: Safari's canvas area limit
+    DEFAULT_SCALE: 100, // Fixed scale (%) offered first; 100% prints canvas pixels at CSS size
+    MIN_SCALE: 10, // %
+    MAX_SCALE: 400, // %
+};
+
+// draw.io / diagrams.net files (see topology/drawioFormat.js)
+export const DRAWIO_CONFIG = {
+    FILE_TYPES: '.drawio,.xml', // Files offered by the import file picker
+    END_LABEL_POSITION: 0.8, // Where link end labels sit along an edge (0 is the middle, 1 the end)
+};
+
+// containerlab lab files (see topology/containerlabFormat.js)
+export const CONTAINERLAB_CONFIG = {
+    FILE_TYPES: '.yml,.yaml', // Files offered by the import file picker
+    DEFAULT_KIND: 'linux', // Kind of the nodes of devices without a lab kind
+    INTERFACE_PREFIX: 'eth', // Interfaces named for connection ends without an interface label
+};
+
+// Cisco Modeling Labs (CML 2.x) lab files (see topology/cmlFormat.js)
+export const CML_CONFIG = {
+    FILE_TYPES: '.yaml,.yml', // Files offered by the import file picker
+    SCHEMA_VERSION: '0.2.2', // Lab file version written on export
+};
+
+// Snapping while shapes are dragged or resized (see canvas/snapping.js); Alt turns it off
+export const SNAP_CONFIG = {
+    THRESHOLD: 6, // Distance (screen px) within which edges and centres snap to other shapes
+    GUIDE_COLOR: '#e83e8c',
+};
+
 export const MIN_SHAPE_SIZE = {
     CIRCLE_RADIUS: 5,
     ELLIPSE_RADIUS: 5,
     RECT_WIDTH: 10,
     RECT_HEIGHT: 10,
 };
+
+export const HISTORY_CONFIG = {
+    DEFAULT_DEPTH: 100, // Maximum number of undo steps kept
+    DEPTH_OPTIONS: [25, 50, 100, 250, 500], // Depths offered by the toolbar menu
+    STORAGE_KEY: 'topologyBuilder_historyDepth', // localStorage key of the chosen depth
+};
+
+export const CLIPBOARD_CONFIG = {
+    MIME_TYPE: 'application/x-topolizer-selection+json', // System clipboard format for copied shapes
+    FORMAT: 'topolizer-selection', // Payload `format` marker
+    VERSION: 1, // Payload version
+    PASTE_OFFSET: 20, // Offset between repeated pastes when the pointer is off the canvas
+};
+
+export const WORKSPACE_CONFIG = {
+    DB_NAME: 'topolizer', // IndexedDB database holding the saved topologies
+    DB_VERSION: 1,
+    STORE: 'documents', // Object store of document records, keyed by `id`
+    CURRENT_DOCUMENT_KEY: 'topologyBuilder_currentDocument', // localStorage key of the open document
+    DEFAULT_NAME: 'Untitled topology',
+    THUMBNAIL_WIDTH: 240,
+    THUMBNAIL_HEIGHT: 150,
+    THUMBNAIL_DELAY: 1000, // Idle time (ms) before the open document's thumbnail is refreshed
+};
+
+// Structured properties of a device (stored per device in the topology file, see topologyModel.js)
+// `badge` marks the properties shown above the device on the canvas when badges are on
+export const DEVICE_PROPERTIES = [
+    { key: 'hostname', label: 'Hostname', placeholder: 'core-sw-01', badge: true },
+    { key: 'managementIp', label: 'Management IP', placeholder: '10.0.0.1', badge: true },
+    { key: 'model', label: 'Model', placeholder: 'Catalyst 9300' },
+    { key: 'os', label: 'OS / Version', placeholder: 'IOS-XE 17.9' },
+    { key: 'serial', label: 'Serial Number', placeholder: 'FOC1234X0AB' },
+    { key: 'role', label: 'Role', placeholder: 'Core', badge: true },
+    { key: 'site', label: 'Site', placeholder: 'HQ' },
+    { key: 'rack', label: 'Rack', placeholder: 'R12 U20' },
+    { key: 'kind', label: 'Lab Kind', placeholder: 'nokia_srlinux' },
+    { key: 'image', label: 'Lab Image', placeholder: 'ghcr.io/nokia/srlinux:24.10' },
+];
+
+export const DEVICE_BADGE_CONFIG = {
+    STORAGE_KEY: 'topologyBuilder_showDeviceBadges', // localStorage key of the badge toggle
+    FONT_SIZE: 10,
+    LINE_HEIGHT: 15,
+    CHAR_WIDTH: 6, // Approximate character width used to size the badge background
+    PADDING: 4,
+};
+
+// Interface types offered in the device property sheet
+export const INTERFACE_TYPES = [
+    { value: 'ethernet', label: 'Ethernet' },
+    { value: 'fiber', label: 'Fiber' },
+    { value: 'serial', label: 'Serial' },
+    { value: 'wireless', label: 'Wireless' },
+    { value: 'virtual', label: 'Virtual (VLAN, loopback)' },
+    { value: 'management', label: 'Management' },
+];
+
+// Suggested interface speeds (free text is allowed)
+export const INTERFACE_SPEEDS = ['10M', '100M', '1G', '2.5G', '10G', '25G', '40G', '100G', '400G'];
+
+// Connection routing modes (see connectionRouting.js); new documents use the first one
+export const ROUTING_MODES = [
+    { value: 'straight', label: 'Straight' },
+    { value: 'orthogonal', label: 'Orthogonal' },
+];
+
+// A connection can also keep the bends placed by the user; the document default can't be manual
+export const LINK_ROUTING_MODES = [...ROUTING_MODES, { value: 'manual', label: 'Manual' }];
+
+export const ROUTING_CONFIG = {
+    MARGIN: 15, // Clearance (px) kept between orthogonal routes and shapes
+    SEARCH_PADDING: 150, // Distance (px) around both ends within which other shapes are avoided
+    BEND_PENALTY: 40, // Route length (px) a bend costs, so routes prefer fewer bends
+};
+
+export const PARALLEL_LINK_CONFIG = {
+    SPACING: 14, // Distance (px) between parallel connections between the same shapes
+    FAN_SPACING: 36, // Distance (px) between the middles of fanned (curved) parallel connections
+    BUNDLE_PADDING: 8, // Distance (px) the bundle marker reaches past the outer connections
+};
+
+// Markers drawn at the ends of a connection (see linkMarkers.js)
+export const LINK_MARKERS = [
+    { value: 'none', label: 'None' },
+    { value: 'arrow', label: 'Arrow' },
+    { value: 'open-arrow', label: 'Open arrow' },
+    { value: 'circle', label: 'Circle' },
+    { value: 'diamond', label: 'Diamond' },
+    { value: 'crows-foot', label: "Crow's foot" },
+];
+
+// Line styles offered for connections, by stroke-dasharray
+export const LINK_DASH_STYLES = [
+    { value: 'solid', label: 'Solid', dasharray: '' },
+    { value: 'dashed', label: 'Dashed', dasharray: '10,5' },
+    { value: 'dotted', label: 'Dotted', dasharray: '2,3' },
+];
+
+// Catalogue of link types with their default styling (see linkTypeControl.js)
+// A document can restyle a type; links with a speed get their width from LINK_SPEED_WIDTHS
+export const LINK_TYPES = [
+    {
+        value: 'ethernet',
+        label: 'Ethernet (copper)',
+        stroke: '#6c757d',
+        strokeWidth: 3,
+        strokeDasharray: '',
+    },
+    { value: 'fiber', label: 'Fiber', stroke: '#fd7e14', strokeWidth: 3, strokeDasharray: '' },
+    {
+        value: 'serial',
+        label: 'Serial',
+        stroke: '#dc3545',
+        strokeWidth: 2,
+        strokeDasharray: '10,5',
+    },
+    {
+        value: 'wireless',
+        label: 'Wireless',
+        stroke: '#0d6efd',
+        strokeWidth: 2,
+        strokeDasharray: '2,3',
+    },
+    {
+        value: 'vpn',
+        label: 'VPN tunnel',
+        stroke: '#6f42c1',
+        strokeWidth: 2,
+        strokeDasharray: '10,5',
+    },
+    { value: 'mpls', label: 'MPLS', stroke: '#198754', strokeWidth: 4, strokeDasharray: '' },
+    {
+        value: 'console',
+        label: 'Console',
+        stroke: '#212529',
+        strokeWidth: 1,
+        strokeDasharray: '2,3',
+    },
+];
+
+// Line width (px) of links up to each speed (bit/s); faster links are drawn wider
+export const LINK_SPEED_WIDTHS = [
+    { speed: 100e6, width: 1 },
+    { speed: 1e9, width: 2 },
+    { speed: 10e9, width: 3 },
+    { speed: 40e9, width: 4 },
+    { speed: 100e9, width: 5 },
+    { speed: Infinity, width: 6 },
+];
+
+// Automatic layouts offered in the canvas toolbar (see layout/autoLayout.js)
+// `options` marks the layouts that ask for their settings in a dialog first
+export const LAYOUTS = [
+    { value: 'force', label: 'Force-directed' },
+    { value: 'hierarchical', label: 'Hierarchical', options: true },
+];
+
+export const LAYOUT_CONFIG = {
+    LINK_LENGTH: 100, // Gap (px) the force-directed layout leaves between connected shapes
+    SPACING: 40, // Smallest gap (px) left between shapes
+    ITERATIONS: 300, // Steps of the force-directed simulation
+    GRAVITY: 0.1, // Pull towards the middle that keeps unconnected shapes together
+    MARGIN: 40, // Distance (px) kept from the canvas edges
+    ANIMATION_DURATION: 600, // Time (ms) shapes take to move into place
+    TIER_SPACING: 100, // Smallest gap (px) between the tiers of the hierarchical layout
+    ORDERING_SWEEPS: 12, // Passes of the hierarchical layout that reorder tiers to uncross links
+};
+
+// Tiers of the hierarchical layout, top (or left) first. A device's role property puts it in
+// the first tier that has one of the role's words, e.g. "Core switch" goes in the core tier.
+export const LAYOUT_TIERS = [
+    {
+        label: 'WAN / Edge',
+        roles: ['wan', 'internet', 'cloud', 'isp', 'edge', 'border', 'perimeter'],
+    },
+    { label: 'Core', roles: ['core', 'backbone', 'spine'] },
+    { label: 'Distribution', roles: ['distribution', 'dist', 'aggregation', 'agg'] },
+    { label: 'Access', roles: ['access', 'leaf', 'tor'] },
+    {
+        label: 'Endpoint',
+        roles: ['server', 'host', 'endpoint', 'client', 'workstation', 'printer', 'user'],
+    },
+];
+
+// Shape types the hierarchical layout starts from when no root shape is picked
+export const LAYOUT_ROOT_TYPES = ['cloud'];
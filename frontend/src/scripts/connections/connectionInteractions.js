@@ -6,6 +6,7 @@ import { appState } from '../state/appState.js';
 import { elements } from '../utils/dom.js';
 import { saveAppState } from '../services/storage.js';
 import { deselectShape } from '../shapes/shapeSelection.js';
+import { parseRoutePoints, getRouteMidpoint } from './connectionRouting.js';
 
 let selectedConnection = null;
 let selectedLabel = null;
@@ -252,7 +253,7 @@ function startEditingLabel(label) {
             foreignObject.remove();
             delete label._editorElement;
             editingLabel = null;
-            saveAppState();
+            saveConnection(label.getAttribute('data-connection-id'), 'edit label');
         }
     });
 
@@ -304,15 +305,29 @@ function stopEditingLabel(save) {
         // Element already removed or not in DOM - this is fine
     }
 
+    const connectionId = editingLabel.getAttribute('data-connection-id');
     delete editingLabel._editorElement;
     delete editingLabel._editorCleanupFlag;
     editingLabel = null;
 
     if (save) {
-        saveAppState();
+        saveConnection(connectionId, 'edit label');
     }
 }
 
+/**
+ * Commit a connection to the topology model and save (the model synchronization is loaded on
+ * demand, as it depends on the connection manager)
+ * @param {string|null} connectionId - The connection ID
+ * @param {string} historyLabel - Undo step name
+ */
+function saveConnection(connectionId, historyLabel) {
+    import('../topology/modelSync.js').then(({ commitConnections }) => {
+        commitConnections([document.getElementById(connectionId)]);
+        saveAppState(historyLabel);
+    });
+}
+
 /**
  * Handle delete key press
  * @param {KeyboardEvent} e - The keyboard event
@@ -335,18 +350,12 @@ function handleDeleteKey(e) {
  * @param {SVGElement} connection - The connection to delete
  */
 function deleteConnection(connection) {
-    const sourceLabelId = connection.getAttribute('data-source-label-id');
-    const targetLabelId = connection.getAttribute('data-target-label-id');
-
     // Remove labels
-    if (sourceLabelId) {
-        const sourceLabel = document.getElementById(sourceLabelId);
-        if (sourceLabel) sourceLabel.remove();
-    }
-    if (targetLabelId) {
-        const targetLabel = document.getElementById(targetLabelId);
-        if (targetLabel) targetLabel.remove();
-    }
+    ['source', 'target', 'center'].forEach(type => {
+        const labelId = connection.getAttribute(`data-${type}-label-id`);
+        const label = labelId ? document.getElementById(labelId) : null;
+        if (label) label.remove();
+    });
 
     // Update shape connection data
     const sourceId = connection.getAttribute('data-source');
@@ -367,7 +376,15 @@ function deleteConnection(connection) {
     connection.remove();
     selectedConnection = null;
 
-    saveAppState();
+    // Spread the connections left between the two shapes again (loaded on demand, as the
+    // connection manager and the model synchronization depend on this module)
+    Promise.all([import('./connectionManager.js'), import('../topology/modelSync.js')]).then(
+        ([{ respaceParallelConnections }, { commitRemoval }]) => {
+            respaceParallelConnections(sourceId, targetId);
+            commitRemoval([connectionId]);
+            saveAppState('delete connection');
+        }
+    );
     console.log('Deleted connection:', connectionId);
 }
 
@@ -381,7 +398,7 @@ function deleteLabel(label) {
     label.remove();
     selectedLabel = null;
 
-    saveAppState();
+    saveConnection(label.getAttribute('data-connection-id'), 'delete label');
     console.log('Deleted label:', label.id);
 }
 
@@ -391,16 +408,11 @@ function deleteLabel(label) {
  * @param {string} text - The label text
  */
 export function addCenteredLabel(connection, text) {
-    const line = connection.querySelector('.connection-line');
-    if (!line) return;
-
-    const x1 = parseFloat(line.getAttribute('x1'));
-    const y1 = parseFloat(line.getAttribute('y1'));
-    const x2 = parseFloat(line.getAttribute('x2'));
-    const y2 = parseFloat(line.getAttribute('y2'));
+    const points = parseRoutePoints(connection.getAttribute('data-points'));
+    if (points.length < 2) return;
 
-    const centerX = (x1 + x2) / 2;
-    const centerY = (y1 + y2) / 2;
+    // Halfway along the connection's route
+    const { x: centerX, y: centerY } = getRouteMidpoint(points);
 
     const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
     const labelId = `label-${connection.id}-center`;
@@ -425,7 +437,7 @@ export function addCenteredLabel(connection, text) {
     // Make it draggable
     makeLabelDraggable(label);
 
-    saveAppState();
+    saveAppState('add label');
     return label;
 }
 
@@ -468,7 +480,7 @@ function makeLabelDraggable(label) {
     document.addEventListener('mouseup', () => {
         if (isDragging) {
             isDragging = false;
-            saveAppState();
+            saveAppState('move label');
         }
     });
 }
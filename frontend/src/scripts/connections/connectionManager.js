@@ -1,15 +1,47 @@
 /**
  * Connection/Edge management
- * Handles creation and management of connections between shapes
+ * Handles creation and management of connections between shapes. A connection is drawn along
+ * its route (see connectionRouting.js), kept in the group's data-points attribute, and is
+ * routed again whenever one of its shapes moves. Manual connections keep their waypoints (the
+ * points between the ends) and only their ends follow the shapes. Other connections between
+ * the same two shapes are spread into lanes (parallel, or fanned out when curved), and
+ * connections sharing a bundle name are marked as a bundle. Connections routed again are written
+ * back to their link record in the topology model once the edit is done (see
+ * commitReroutedConnections()).
  */
 
 import { appState } from '../state/appState.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { PARALLEL_LINK_CONFIG } from '../config/constants.js';
 import { elements } from '../utils/dom.js';
 import { getShapeBounds } from '../shapes/shapeFactory.js';
 import { removeResizeHandles, updateResizeHandles } from '../shapes/shapeSelection.js';
 import { saveAppState } from '../services/storage.js';
 import { addLabelListeners } from './connectionInteractions.js';
+import { applyConnectionMarkers, getConnectionMarkers } from './linkMarkers.js';
 import { showAlert } from '../utils/modal.js';
+import {
+    routeStraight,
+    routeOrthogonal,
+    routeThroughWaypoints,
+    routeFanned,
+    offsetRoute,
+    isInRoutingArea,
+    getRouteMidpoint,
+    getRouteEndAngle,
+    formatRoutePoints,
+    parseRoutePoints,
+    toPathData,
+} from './connectionRouting.js';
+
+// Bounds of each shape when connections were last routed around it
+const routedBounds = new WeakMap();
+
+// Connections routed again since they were last written back to the topology model
+const reroutedConnections = new Set();
+
+// Connection the connection label modal is open for {sourceShape, targetShape, onCreated}
+let pendingConnection = null;
 
 /**
  * Setup connection mode event listeners
@@ -18,6 +50,7 @@ import { showAlert } from '../utils/modal.js';
 export function setupConnectionMode() {
     // Keep this function for compatibility but connection mode
     // is now initiated through the shape overlay panel
+    elements.submitConnectionLabels?.addEventListener('click', handleConnectionLabelSubmit);
     console.log('Connection manager initialized (overlay mode)');
 }
 
@@ -99,7 +132,11 @@ export function handleConnectionShapeClick(shape) {
         appState.setConnectionTarget(shape);
 
         // Show the label modal
-        showConnectionLabelModal();
+        showConnectionLabelModal(
+            appState.connectionSourceShape,
+            appState.connectionTargetShape,
+            cancelConnectionMode
+        );
 
         console.log('Target shape selected:', shape.id);
         return true;
@@ -150,44 +187,81 @@ function changeResizeHandlesColor(color) {
 }
 
 /**
- * Show the connection label modal
+ * Show the connection label modal, with interface pickers for the ends that are devices
+ * The picker module is loaded on demand, as it depends on this one
+ * @param {SVGElement} sourceShape - The source shape
+ * @param {SVGElement} targetShape - The target shape
+ * @param {Function|null} onCreated - Called with the connection group once it is created
  */
-function showConnectionLabelModal() {
+export function showConnectionLabelModal(sourceShape, targetShape, onCreated = null) {
+    pendingConnection = { sourceShape, targetShape, onCreated };
+
     // Clear previous values
     elements.sourceLabel.value = '';
     elements.targetLabel.value = '';
 
-    // Show modal using Bootstrap
-    const modal = new bootstrap.Modal(elements.connectionLabelModal);
-    modal.show();
+    import('../ui/interfacePicker.js').then(({ showNewConnectionInterfacePicker }) => {
+        showNewConnectionInterfacePicker(sourceShape, targetShape);
+
+        // Show modal using Bootstrap
+        const modal = new bootstrap.Modal(elements.connectionLabelModal);
+        modal.show();
+    });
 }
 
 /**
  * Handle connection label form submission
+ * Ends bound to an interface are labelled with its name; the others need a label
  */
 function handleConnectionLabelSubmit() {
-    const sourceLabel = elements.sourceLabel.value.trim();
-    const targetLabel = elements.targetLabel.value.trim();
+    if (!pendingConnection) return;
+
+    import('../ui/interfacePicker.js').then(({ getNewConnectionInterfaces }) => {
+        const interfaces = getNewConnectionInterfaces(
+            pendingConnection.sourceShape,
+            pendingConnection.targetShape
+        );
+        if (interfaces) createLabelledConnection(interfaces);
+    });
+}
+
+/**
+ * Create the connection the connection label modal is open for, with its labels
+ * @param {Object} interfaces - Interface records bound to the ends {source, target}
+ */
+function createLabelledConnection(interfaces) {
+    const { sourceShape, targetShape, onCreated } = pendingConnection;
+
+    const sourceLabel = interfaces.source?.name || elements.sourceLabel.value.trim();
+    const targetLabel = interfaces.target?.name || elements.targetLabel.value.trim();
 
     if (!sourceLabel || !targetLabel) {
-        showAlert('Please enter labels for both connection ends', 'Missing Labels', 'warning');
+        showAlert(
+            'Please enter labels for both connection ends, or pick their interfaces',
+            'Missing Labels',
+            'warning'
+        );
         return;
     }
 
     // Create the connection
-    createConnection(
-        appState.connectionSourceShape,
-        appState.connectionTargetShape,
+    const connectionGroup = createConnection(
+        sourceShape,
+        targetShape,
         sourceLabel,
-        targetLabel
+        targetLabel,
+        '',
+        3,
+        '#6c757d',
+        interfaces
     );
+    pendingConnection = null;
 
     // Hide modal
     const modal = bootstrap.Modal.getInstance(elements.connectionLabelModal);
     modal.hide();
 
-    // Exit connection mode
-    cancelConnectionMode();
+    onCreated?.(connectionGroup);
 }
 
 /**
@@ -199,6 +273,7 @@ function handleConnectionLabelSubmit() {
  * @param {string} centerLabel - Label for center of connection (optional)
  * @param {number} strokeWidth - Width of the connection line (default: 3)
  * @param {string} strokeColor - Color of the connection line (default: '#6c757d')
+ * @param {Object} interfaces - Interface records bound to the ends {source, target} (optional)
  */
 export function createConnection(
     sourceShape,
@@ -207,106 +282,137 @@ export function createConnection(
     targetLabel,
     centerLabel = '',
     strokeWidth = 3,
-    strokeColor = '#6c757d'
+    strokeColor = '#6c757d',
+    interfaces = {}
 ) {
     const connectionId = appState.getNextConnectionId();
 
-    // Get bounds of both shapes
+    // New connections follow the document's routing mode
+    const points = computeRoute(sourceShape, targetShape, topologyModel.getLinkRouting({}));
+    const sourcePoint = points[0];
+    const targetPoint = points[points.length - 1];
+    const centerPoint = getRouteMidpoint(points);
+
+    // Get shape centers for label positioning
     const sourceBounds = getShapeBounds(sourceShape);
     const targetBounds = getShapeBounds(targetShape);
+    const sourceCenter = {
+        x: sourceBounds.x + sourceBounds.width / 2,
+        y: sourceBounds.y + sourceBounds.height / 2,
+    };
+    const targetCenter = {
+        x: targetBounds.x + targetBounds.width / 2,
+        y: targetBounds.y + targetBounds.height / 2,
+    };
 
-    // Find closest points between the two shapes
-    const { sourcePoint, targetPoint } = findClosestPoints(sourceBounds, targetBounds);
+    // Record the connection in the model, then render it from there
+    const link = topologyModel.addLink({
+        id: connectionId,
+        source: sourceShape.id,
+        target: targetShape.id,
+        sourceInterface: interfaces.source?.id || null,
+        targetInterface: interfaces.target?.id || null,
+        line: { x1: sourcePoint.x, y1: sourcePoint.y, x2: targetPoint.x, y2: targetPoint.y },
+        points: points.slice(1, -1),
+        style: { stroke: strokeColor, strokeWidth },
+        labels: {
+            source: createEndLabel(
+                sourceLabel,
+                sourceCenter,
+                getEndAngle(points, 'source', sourceCenter)
+            ),
+            target: createEndLabel(
+                targetLabel,
+                targetCenter,
+                getEndAngle(points, 'target', targetCenter)
+            ),
+            center: { text: centerLabel, x: centerPoint.x, y: centerPoint.y },
+        },
+    });
 
-    // Calculate connection angle for label positioning
-    const dx = targetPoint.x - sourcePoint.x;
-    const dy = targetPoint.y - sourcePoint.y;
+    const connectionGroup = renderConnection(link);
 
-    // Calculate center point for center label
-    const centerPoint = {
-        x: (sourcePoint.x + targetPoint.x) / 2,
-        y: (sourcePoint.y + targetPoint.y) / 2,
-    };
+    // Make room for the new connection next to those already joining the same shapes
+    respaceParallelConnections(sourceShape.id, targetShape.id);
+    commitReroutedConnections();
+
+    // Save state
+    saveAppState('add connection');
+
+    // Return the connection group for further operations
+    return connectionGroup;
+}
 
+/**
+ * Render a connection and its labels from a model link record
+ * @param {Object} link - Link record from the topology model
+ * @returns {SVGGElement} The connection group
+ */
+export function renderConnection(link) {
     // Create connection group
     const connectionGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    connectionGroup.id = connectionId;
+    connectionGroup.id = link.id;
     connectionGroup.classList.add('connection');
-    connectionGroup.setAttribute('data-source', sourceShape.id);
-    connectionGroup.setAttribute('data-target', targetShape.id);
+    connectionGroup.setAttribute('data-source', link.source);
+    connectionGroup.setAttribute('data-target', link.target);
+    ['source', 'target'].forEach(end => {
+        if (link[`${end}Interface`]) {
+            connectionGroup.setAttribute(`data-${end}-interface`, link[`${end}Interface`]);
+        }
+    });
+    if (link.routing) {
+        connectionGroup.setAttribute('data-routing', link.routing);
+    }
+    if (link.curved) {
+        connectionGroup.setAttribute('data-curved', 'true');
+    }
+    if (link.bundle) {
+        connectionGroup.setAttribute('data-bundle', link.bundle);
+    }
+    setConnectionLinkType(connectionGroup, link.type, link.speed);
+    ['source', 'target'].forEach(end => {
+        if (link.markers && link.markers[end] !== 'none') {
+            connectionGroup.setAttribute(`data-${end}-marker`, link.markers[end]);
+        }
+    });
 
     // Create the line
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    line.setAttribute('x1', sourcePoint.x);
-    line.setAttribute('y1', sourcePoint.y);
-    line.setAttribute('x2', targetPoint.x);
-    line.setAttribute('y2', targetPoint.y);
-    line.setAttribute('stroke', strokeColor);
-    line.setAttribute('stroke-width', strokeWidth.toString());
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', link.style.stroke);
+    line.setAttribute('stroke-width', link.style.strokeWidth.toString());
     line.classList.add('connection-line');
 
     // Use inline styles to override CSS
-    line.style.stroke = strokeColor;
-    line.style.strokeWidth = strokeWidth + 'px';
+    line.style.stroke = link.style.stroke;
+    line.style.strokeWidth = link.style.strokeWidth + 'px';
+
+    // Apply stroke-dasharray if present
+    if (link.style.strokeDasharray) {
+        line.setAttribute('stroke-dasharray', link.style.strokeDasharray);
+        line.style.strokeDasharray = link.style.strokeDasharray;
+    }
 
     // Create invisible wider line for easier clicking (hit target)
-    const hitTarget = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    hitTarget.setAttribute('x1', sourcePoint.x);
-    hitTarget.setAttribute('y1', sourcePoint.y);
-    hitTarget.setAttribute('x2', targetPoint.x);
-    hitTarget.setAttribute('y2', targetPoint.y);
+    const hitTarget = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    hitTarget.setAttribute('fill', 'none');
     hitTarget.setAttribute('stroke', 'transparent');
     hitTarget.setAttribute('stroke-width', '12'); // Wider hit area
     hitTarget.classList.add('connection-hit-target');
     hitTarget.style.cursor = 'pointer';
     hitTarget.style.strokeWidth = '12px';
 
-    // Get shape centers for label positioning
-    const sourceCenter = {
-        x: sourceBounds.x + sourceBounds.width / 2,
-        y: sourceBounds.y + sourceBounds.height / 2,
-    };
-    const targetCenter = {
-        x: targetBounds.x + targetBounds.width / 2,
-        y: targetBounds.y + targetBounds.height / 2,
-    };
-
-    // Create source label positioned on circle around source shape
-    const sourceLabelEl = createConnectionLabel(
-        connectionId,
-        sourceLabel,
-        sourcePoint.x,
-        sourcePoint.y,
-        'source',
-        sourceShape,
-        sourceCenter,
-        targetCenter
-    );
-
-    // Create target label positioned on circle around target shape
-    const targetLabelEl = createConnectionLabel(
-        connectionId,
-        targetLabel,
-        targetPoint.x,
-        targetPoint.y,
-        'target',
-        targetShape,
-        targetCenter,
-        sourceCenter
-    );
-
-    // Create center label (always empty initially)
-    const centerLabelEl = createConnectionLabel(
-        connectionId,
-        centerLabel,
-        centerPoint.x,
-        centerPoint.y,
-        'center'
-    );
-
     // Add line to the group
     connectionGroup.appendChild(line); // Add visible line first
     connectionGroup.appendChild(hitTarget); // Add hit target last (on top for mouse events)
+    applyConnectionMarkers(connectionGroup);
+
+    const { x1, y1, x2, y2 } = link.line;
+    setConnectionPoints(connectionGroup, [
+        { x: x1, y: y1 },
+        ...(link.points || []),
+        { x: x2, y: y2 },
+    ]);
 
     // Add connection to the connections layer
     const connectionsLayer = document.getElementById('connectionsLayer');
@@ -317,133 +423,553 @@ export function createConnection(
         const gridRect = elements.canvas.querySelector('rect[fill="url(#grid)"]');
         if (gridRect && gridRect.nextSibling) {
             elements.canvas.insertBefore(connectionGroup, gridRect.nextSibling);
-        } else if (gridRect) {
-            elements.canvas.appendChild(connectionGroup);
         } else {
             elements.canvas.appendChild(connectionGroup);
         }
     }
 
-    // Add labels to the labels layer
+    // Create labels and add them to the labels layer
     const labelsLayer = document.getElementById('labelsLayer');
     const labelTarget = labelsLayer || elements.canvas;
-    labelTarget.appendChild(sourceLabelEl);
-    labelTarget.appendChild(targetLabelEl);
-    labelTarget.appendChild(centerLabelEl);
 
-    // Add event listeners to labels for selection, editing, and dragging
-    addLabelListeners(sourceLabelEl);
-    addLabelListeners(targetLabelEl);
-    addLabelListeners(centerLabelEl);
+    ['source', 'target', 'center'].forEach(type => {
+        const labelEl = createConnectionLabel(link.id, type, link.labels[type]);
+        labelTarget.appendChild(labelEl);
 
-    // Set IDs on labels so we can find them
-    sourceLabelEl.id = `label-${connectionId}-source`;
-    targetLabelEl.id = `label-${connectionId}-target`;
-    centerLabelEl.id = `label-${connectionId}-center`;
+        // Add event listeners to labels for selection, editing, and dragging
+        addLabelListeners(labelEl);
 
-    // Store label references in connection group for updates
-    connectionGroup.setAttribute('data-source-label-id', sourceLabelEl.id);
-    connectionGroup.setAttribute('data-target-label-id', targetLabelEl.id);
-    connectionGroup.setAttribute('data-center-label-id', centerLabelEl.id);
+        // Store label references in connection group for updates
+        connectionGroup.setAttribute(`data-${type}-label-id`, labelEl.id);
+    });
 
     // Store connection data on shapes for updates
-    if (!sourceShape.dataset.connections) {
-        sourceShape.dataset.connections = '';
+    [link.source, link.target].forEach(shapeId => {
+        const shape = document.getElementById(shapeId);
+        if (!shape) return;
+
+        if (!shape.dataset.connections) {
+            shape.dataset.connections = '';
+        }
+        shape.dataset.connections += link.id + ',';
+    });
+
+    // Links without a route (e.g. after the document's routing mode changed) get one now. The
+    // saved center label belongs to the dropped route, so it goes to the middle of the new one
+    if (link.points === null) {
+        rerouteConnection(connectionGroup);
+        const points = getConnectionPoints(connectionGroup);
+        placeCenterLabel(connectionGroup, null, getRouteMidpoint(points, link.curved));
     }
-    sourceShape.dataset.connections += connectionId + ',';
 
-    if (!targetShape.dataset.connections) {
-        targetShape.dataset.connections = '';
+    return connectionGroup;
+}
+
+/**
+ * Read a rendered connection back into a model link record
+ * @param {SVGGElement} connection - The connection group
+ * @returns {Object} Link data
+ */
+export function linkFromConnection(connection) {
+    const line = connection.querySelector('.connection-line');
+    const points = getConnectionPoints(connection);
+    const labels = {};
+
+    ['source', 'target', 'center'].forEach(type => {
+        const labelId = connection.getAttribute(`data-${type}-label-id`);
+        const labelEl = labelId ? document.getElementById(labelId) : null;
+        if (!labelEl) return;
+
+        const centerX = labelEl.getAttribute('data-constraint-center-x');
+        const centerY = labelEl.getAttribute('data-constraint-center-y');
+        labels[type] = {
+            text: labelEl.textContent || '',
+            x: labelEl.getAttribute('x'),
+            y: labelEl.getAttribute('y'),
+            dx: labelEl.getAttribute('dx'),
+            dy: labelEl.getAttribute('dy'),
+            textAnchor: labelEl.getAttribute('text-anchor'),
+            fill: labelEl.getAttribute('fill'),
+            fontSize: labelEl.getAttribute('font-size'),
+            constraint:
+                centerX && centerY
+                    ? {
+                          centerX,
+                          centerY,
+                          radius: labelEl.getAttribute('data-constraint-radius'),
+                      }
+                    : null,
+        };
+    });
+
+    return {
+        id: connection.id,
+        source: connection.getAttribute('data-source'),
+        target: connection.getAttribute('data-target'),
+        sourceInterface: connection.getAttribute('data-source-interface'),
+        targetInterface: connection.getAttribute('data-target-interface'),
+        type: connection.getAttribute('data-link-type'),
+        speed: connection.getAttribute('data-link-speed'),
+        line:
+            points.length >= 2
+                ? {
+                      x1: points[0].x,
+                      y1: points[0].y,
+                      x2: points[points.length - 1].x,
+                      y2: points[points.length - 1].y,
+                  }
+                : {},
+        routing: connection.getAttribute('data-routing'),
+        points: points.slice(1, -1),
+        curved: isConnectionCurved(connection),
+        bundle: connection.getAttribute('data-bundle'),
+        markers: getConnectionMarkers(connection),
+        style: line
+            ? {
+                  stroke: line.getAttribute('stroke') || undefined,
+                  strokeWidth: line.getAttribute('stroke-width') || undefined,
+                  strokeDasharray: line.getAttribute('stroke-dasharray') || '',
+              }
+            : {},
+        labels,
+    };
+}
+
+/**
+ * Get the route of a rendered connection
+ * @param {SVGGElement} connection - The connection group
+ * @returns {Array<Object>} Route points {x, y} from the source end to the target end
+ */
+export function getConnectionPoints(connection) {
+    return parseRoutePoints(connection.getAttribute('data-points'));
+}
+
+/**
+ * Check whether a connection is drawn as a curve
+ * @param {SVGGElement} connection - The connection group
+ * @returns {boolean} True if curved
+ */
+export function isConnectionCurved(connection) {
+    return connection.getAttribute('data-curved') === 'true';
+}
+
+/**
+ * Draw a connection along a route
+ * @param {SVGGElement} connection - The connection group
+ * @param {Array<Object>} points - Route points
+ */
+function setConnectionPoints(connection, points) {
+    connection.setAttribute('data-points', formatRoutePoints(points));
+
+    const pathData = toPathData(points, isConnectionCurved(connection));
+    connection
+        .querySelectorAll('.connection-line, .connection-hit-target')
+        .forEach(path => path.setAttribute('d', pathData));
+}
+
+/**
+ * Get the routing mode a connection is drawn with
+ * @param {SVGGElement} connection - The connection group
+ * @returns {string} Routing mode (see ROUTING_MODES)
+ */
+export function getConnectionRouting(connection) {
+    return topologyModel.getLinkRouting({ routing: connection.getAttribute('data-routing') });
+}
+
+/**
+ * Set a connection's own routing mode and route it again
+ * @param {SVGGElement} connection - The connection group
+ * @param {string|null} routing - Routing mode, or null to follow the document's default
+ */
+export function setConnectionRouting(connection, routing) {
+    if (routing) {
+        connection.setAttribute('data-routing', routing);
+    } else {
+        connection.removeAttribute('data-routing');
     }
-    targetShape.dataset.connections += connectionId + ',';
 
-    // Save state
-    saveAppState();
+    // Manual connections don't take a lane, so the others may have to move over
+    respaceParallelConnections(
+        connection.getAttribute('data-source'),
+        connection.getAttribute('data-target')
+    );
+}
 
-    // Return the connection group for further operations
-    return connectionGroup;
+/**
+ * Make a connection go through waypoints; it becomes a manual connection
+ * @param {SVGGElement} connection - The connection group
+ * @param {Array<Object>} waypoints - Waypoints {x, y} from the source to the target
+ */
+export function setConnectionWaypoints(connection, waypoints) {
+    const wasManual = connection.getAttribute('data-routing') === 'manual';
+    connection.setAttribute('data-routing', 'manual');
+    rerouteConnection(connection, waypoints);
+
+    if (!wasManual) {
+        respaceParallelConnections(
+            connection.getAttribute('data-source'),
+            connection.getAttribute('data-target')
+        );
+    } else {
+        renderBundleMarkers();
+    }
 }
 
 /**
- * Create a connection label
- * @param {string} connectionId - The connection ID
- * @param {string} text - Label text
- * @param {number} x - Connection point X (intersection with shape)
- * @param {number} y - Connection point Y (intersection with shape)
- * @param {string} type - 'source', 'target', or 'center'
- * @param {SVGElement} shape - The shape element (for source/target)
- * @param {Object} shapeCenter - Center of the shape {x, y}
- * @param {Object} otherCenter - Center of the other shape {x, y}
- * @returns {SVGTextElement} The label element
+ * Draw a connection as a smooth curve through its route, or as straight segments
+ * @param {SVGGElement} connection - The connection group
+ * @param {boolean} curved - Whether to draw a curve
  */
-function createConnectionLabel(
-    connectionId,
-    text,
-    x,
-    y,
-    type,
-    shape = null,
-    shapeCenter = null,
-    otherCenter = null
-) {
-    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+export function setConnectionCurved(connection, curved) {
+    const points = getConnectionPoints(connection);
+    const oldMidpoint = getRouteMidpoint(points, isConnectionCurved(connection));
 
-    // Define constraint circle radius (distance from shape center)
-    const CONSTRAINT_RADIUS = 60; // pixels from shape center
+    if (curved) {
+        connection.setAttribute('data-curved', 'true');
+    } else {
+        connection.removeAttribute('data-curved');
+    }
+    setConnectionPoints(connection, points);
+    placeCenterLabel(connection, oldMidpoint, getRouteMidpoint(points, curved));
 
-    let labelX = x;
-    let labelY = y;
+    // Curved connections fan out from their shapes instead of running parallel
+    rerouteConnection(connection);
+    renderBundleMarkers();
+}
 
-    // For source/target labels, position on the constraint circle
-    if ((type === 'source' || type === 'target') && shapeCenter && otherCenter) {
-        // Calculate angle from shape center to other shape center (connection direction)
-        const dx = otherCenter.x - shapeCenter.x;
-        const dy = otherCenter.y - shapeCenter.y;
-        const angle = Math.atan2(dy, dx);
+/**
+ * Put a connection in a bundle (e.g. a port-channel), or take it out of its bundle
+ * @param {SVGGElement} connection - The connection group
+ * @param {string|null} bundle - Bundle name, or null
+ */
+export function setConnectionBundle(connection, bundle) {
+    if (bundle) {
+        connection.setAttribute('data-bundle', bundle);
+    } else {
+        connection.removeAttribute('data-bundle');
+    }
+    renderBundleMarkers();
+}
 
-        // Position label on the constraint circle at this angle
-        labelX = shapeCenter.x + Math.cos(angle) * CONSTRAINT_RADIUS;
-        labelY = shapeCenter.y + Math.sin(angle) * CONSTRAINT_RADIUS;
+/**
+ * Set the catalogue type and speed of a connection
+ * Only records them: the line keeps its style (see setConnectionStyle())
+ * @param {SVGGElement} connection - The connection group
+ * @param {string|null} type - Link type (see LINK_TYPES), or null for a line styled by hand
+ * @param {string|null} speed - Link speed (e.g. "10G"), or null
+ */
+export function setConnectionLinkType(connection, type, speed) {
+    if (type) {
+        connection.setAttribute('data-link-type', type);
+    } else {
+        connection.removeAttribute('data-link-type');
+    }
+    if (speed) {
+        connection.setAttribute('data-link-speed', speed);
+    } else {
+        connection.removeAttribute('data-link-speed');
+    }
+}
 
-        // Store the shape center and radius as data attributes for dragging
-        label.setAttribute('data-constraint-center-x', shapeCenter.x);
-        label.setAttribute('data-constraint-center-y', shapeCenter.y);
-        label.setAttribute('data-constraint-radius', CONSTRAINT_RADIUS);
+/**
+ * Change the line style of a connection
+ * @param {SVGGElement} connection - The connection group
+ * @param {Object} style - Line style {stroke, strokeWidth, strokeDasharray}
+ */
+export function setConnectionStyle(connection, style) {
+    const line = connection.querySelector('.connection-line');
+    if (!line) return;
+
+    // Use style properties to override CSS rules, and attributes for persistence
+    line.setAttribute('stroke', style.stroke);
+    line.setAttribute('stroke-width', style.strokeWidth);
+    line.style.stroke = style.stroke;
+    line.style.strokeWidth = style.strokeWidth + 'px';
+
+    if (style.strokeDasharray) {
+        line.setAttribute('stroke-dasharray', style.strokeDasharray);
+        line.style.strokeDasharray = style.strokeDasharray;
+    } else {
+        line.removeAttribute('stroke-dasharray');
+        line.style.strokeDasharray = '';
     }
 
-    label.setAttribute('x', labelX);
-    label.setAttribute('y', labelY);
-    label.setAttribute('fill', '#495057');
-    label.setAttribute('font-size', '12');
+    applyConnectionMarkers(connection);
+}
+
+/**
+ * Show the current page's line styles from the model on the canvas connections
+ * Used after a link type was restyled (see topologyModel.setLinkTypeStyle())
+ */
+export function refreshConnectionStyles() {
+    elements.topologyCanvas.querySelectorAll('.connection').forEach(connection => {
+        const link = topologyModel.getLink(connection.id);
+        if (link) setConnectionStyle(connection, link.style);
+    });
+}
+
+/**
+ * Get the connections between two shapes that are spread into lanes, in canvas order
+ * @param {string} sourceId - ID of one shape
+ * @param {string} targetId - ID of the other shape
+ * @returns {Array<SVGGElement>} Connection groups, in either direction, except manual ones
+ */
+function getParallelConnections(sourceId, targetId) {
+    return Array.from(elements.topologyCanvas.querySelectorAll('.connection')).filter(
+        connection => {
+            const source = connection.getAttribute('data-source');
+            const target = connection.getAttribute('data-target');
+            return (
+                ((source === sourceId && target === targetId) ||
+                    (source === targetId && target === sourceId)) &&
+                getConnectionRouting(connection) !== 'manual'
+            );
+        }
+    );
+}
+
+/**
+ * Get the lane of a connection among the connections between its shapes
+ * Lanes are counted across the connections from the shape with the lowest ID, so connections
+ * drawn in opposite directions share the same sequence
+ * @param {SVGGElement} connection - The connection group
+ * @returns {number} Lane, 0 in the middle (e.g. -0.5 and 0.5 for two connections)
+ */
+function getConnectionLane(connection) {
+    const sourceId = connection.getAttribute('data-source');
+    const targetId = connection.getAttribute('data-target');
+    const parallels = getParallelConnections(sourceId, targetId);
+    const index = parallels.indexOf(connection);
+    if (index === -1) return 0;
+
+    const lane = index - (parallels.length - 1) / 2;
+    return sourceId < targetId ? lane : -lane;
+}
+
+/**
+ * Route the connections between two shapes again, e.g. after one was added or removed, so
+ * they stay evenly spread
+ * @param {string} sourceId - ID of one shape
+ * @param {string} targetId - ID of the other shape
+ */
+export function respaceParallelConnections(sourceId, targetId) {
+    getParallelConnections(sourceId, targetId).forEach(connection => rerouteConnection(connection));
+    renderBundleMarkers();
+}
+
+/**
+ * Draw the marker of a bundle: an ellipse across the middle of its connections
+ * @param {string} name - Bundle name
+ * @param {Array<SVGGElement>} connections - Connections of the bundle
+ * @returns {SVGEllipseElement} The marker
+ */
+function createBundleMarker(name, connections) {
+    const { BUNDLE_PADDING } = PARALLEL_LINK_CONFIG;
+    const midpoints = connections.map(connection =>
+        getRouteMidpoint(getConnectionPoints(connection), isConnectionCurved(connection))
+    );
+    const center = {
+        x: midpoints.reduce((sum, point) => sum + point.x, 0) / midpoints.length,
+        y: midpoints.reduce((sum, point) => sum + point.y, 0) / midpoints.length,
+    };
+
+    // Width of the bundle, measured across the direction of its first connection
+    const across = midpoints[0].angle + Math.PI / 2;
+    const halfWidth = Math.max(
+        ...midpoints.map(point =>
+            Math.abs(
+                (point.x - center.x) * Math.cos(across) + (point.y - center.y) * Math.sin(across)
+            )
+        )
+    );
+
+    const line = connections[0].querySelector('.connection-line');
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'ellipse');
+    marker.classList.add('link-bundle');
+    marker.setAttribute('data-bundle', name);
+    marker.setAttribute('cx', center.x);
+    marker.setAttribute('cy', center.y);
+    marker.setAttribute('rx', halfWidth + BUNDLE_PADDING);
+    marker.setAttribute('ry', BUNDLE_PADDING);
+    marker.setAttribute(
+        'transform',
+        `rotate(${(across * 180) / Math.PI}, ${center.x}, ${center.y})`
+    );
+    marker.setAttribute('fill', 'none');
+    marker.setAttribute('stroke', line?.getAttribute('stroke') || '#6c757d');
+    marker.setAttribute('stroke-width', '1.5');
+    marker.setAttribute('pointer-events', 'none');
+
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = name;
+    marker.appendChild(title);
+
+    return marker;
+}
+
+/**
+ * Draw the markers of every bundle on the canvas again
+ * A bundle is made of the connections between the same two shapes with the same bundle name
+ */
+export function renderBundleMarkers() {
+    elements.topologyCanvas.querySelectorAll('.link-bundle').forEach(marker => marker.remove());
+
+    const bundles = new Map();
+    elements.topologyCanvas.querySelectorAll('.connection[data-bundle]').forEach(connection => {
+        const name = connection.getAttribute('data-bundle');
+        const ends = [
+            connection.getAttribute('data-source'),
+            connection.getAttribute('data-target'),
+        ];
+        const key = JSON.stringify([...ends.sort(), name]);
+        if (!bundles.has(key)) bundles.set(key, { name, connections: [] });
+        bundles.get(key).connections.push(connection);
+    });
+
+    const layer = document.getElementById('connectionsLayer') || elements.topologyCanvas;
+    bundles.forEach(({ name, connections }) => {
+        layer.appendChild(createBundleMarker(name, connections));
+    });
+}
+
+/**
+ * Route every connection on the canvas again, e.g. after the document's routing mode changed
+ */
+export function rerouteConnections() {
+    elements.topologyCanvas
+        .querySelectorAll('.connection')
+        .forEach(connection => rerouteConnection(connection));
+    renderBundleMarkers();
+}
+
+/**
+ * Bind a connection end to an interface of the device at that end, or unbind it
+ * A bound end shows the interface name as its label; unbinding keeps the label
+ * @param {SVGGElement} connection - The connection group
+ * @param {string} end - 'source' or 'target'
+ * @param {Object|null} item - Interface record, or null to unbind
+ */
+export function setConnectionInterface(connection, end, item) {
+    if (!item) {
+        connection.removeAttribute(`data-${end}-interface`);
+        return;
+    }
+
+    connection.setAttribute(`data-${end}-interface`, item.id);
+    const labelId = connection.getAttribute(`data-${end}-label-id`);
+    const labelEl = labelId ? document.getElementById(labelId) : null;
+    if (labelEl) {
+        labelEl.textContent = item.name;
+    }
+}
+
+/**
+ * Show the current page's interface bindings from the model on the canvas connections
+ * Used after a device's interfaces changed (see topologyModel.setDeviceInterfaces())
+ */
+export function refreshConnectionInterfaces() {
+    elements.topologyCanvas.querySelectorAll('.connection').forEach(connection => {
+        const link = topologyModel.getLink(connection.id);
+        if (!link) return;
+
+        ['source', 'target'].forEach(end => {
+            const interfaceId = link[`${end}Interface`];
+            const deviceId = topologyModel.getNode(link[end])?.device;
+            const item = interfaceId ? topologyModel.getInterface(deviceId, interfaceId) : null;
+            setConnectionInterface(connection, end, item || null);
+        });
+    });
+}
+
+/**
+ * Get the direction from a shape's center to where a route meets the shape
+ * It is the direction the route leaves in, except for connections shifted into a lane, whose
+ * end labels are spread the same way as the connections
+ * @param {Array<Object>} points - Route points
+ * @param {string} end - 'source' or 'target'
+ * @param {Object} shapeCenter - Center of the end's shape {x, y}
+ * @returns {number} Angle in radians
+ */
+function getEndAngle(points, end, shapeCenter) {
+    const point = end === 'source' ? points[0] : points[points.length - 1];
+    const dx = point.x - shapeCenter.x;
+    const dy = point.y - shapeCenter.y;
+    return dx === 0 && dy === 0 ? getRouteEndAngle(points, end) : Math.atan2(dy, dx);
+}
+
+/**
+ * Get the text anchor of an end label so its text reads away from the shape
+ * @param {number} angle - Angle of the label around the shape center
+ * @returns {string} 'start', 'middle' or 'end'
+ */
+function getEndLabelAnchor(angle) {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    if (Math.abs(dx) > Math.abs(dy)) {
+        // More horizontal
+        return dx > 0 ? 'start' : 'end';
+    }
+    return 'middle'; // More vertical
+}
+
+/**
+ * Compute the label data for a source or target end
+ * The label sits on a constraint circle around its shape, where the connection leaves it
+ * @param {string} text - Label text
+ * @param {Object} shapeCenter - Center of the shape {x, y}
+ * @param {number} angle - Direction the connection meets the shape in (see getEndAngle())
+ * @returns {Object} Label data
+ */
+function createEndLabel(text, shapeCenter, angle) {
+    // Define constraint circle radius (distance from shape center)
+    const CONSTRAINT_RADIUS = 60; // pixels from shape center
+
+    return {
+        text,
+        x: shapeCenter.x + Math.cos(angle) * CONSTRAINT_RADIUS,
+        y: shapeCenter.y + Math.sin(angle) * CONSTRAINT_RADIUS,
+        dy: '0.35em', // Center vertically
+        textAnchor: getEndLabelAnchor(angle),
+        constraint: {
+            centerX: shapeCenter.x,
+            centerY: shapeCenter.y,
+            radius: CONSTRAINT_RADIUS,
+        },
+    };
+}
+
+/**
+ * Create a connection label element from a model label record
+ * @param {string} connectionId - The connection ID
+ * @param {string} type - 'source', 'target', or 'center'
+ * @param {Object} labelData - Label record
+ * @returns {SVGTextElement} The label element
+ */
+function createConnectionLabel(connectionId, type, labelData) {
+    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+
+    label.id = `label-${connectionId}-${type}`;
+    label.setAttribute('x', labelData.x);
+    label.setAttribute('y', labelData.y);
+    label.setAttribute('dx', labelData.dx);
+    label.setAttribute('dy', labelData.dy);
+    label.setAttribute('text-anchor', labelData.textAnchor);
+    label.setAttribute('fill', labelData.fill);
+    label.setAttribute('font-size', labelData.fontSize);
     label.setAttribute('font-family', 'Arial, sans-serif');
     label.setAttribute('font-weight', 'bold');
     label.classList.add('connection-label', `connection-label-${type}`);
     label.setAttribute('data-connection-id', connectionId);
     label.setAttribute('data-label-type', type);
 
-    // Set text anchor based on position relative to shape center
-    if (type === 'source' || type === 'target') {
-        const dx = labelX - shapeCenter.x;
-        const dy = labelY - shapeCenter.y;
-
-        if (Math.abs(dx) > Math.abs(dy)) {
-            // More horizontal
-            label.setAttribute('text-anchor', dx > 0 ? 'start' : 'end');
-        } else {
-            // More vertical
-            label.setAttribute('text-anchor', 'middle');
-        }
-
-        // Vertical alignment offset
-        label.setAttribute('dy', '0.35em'); // Center vertically
-    } else if (type === 'center') {
-        // Center label is positioned horizontally centered
-        label.setAttribute('text-anchor', 'middle');
-        label.setAttribute('dy', '-5');
-        label.setAttribute('fill', '#212529'); // Darker for center label
+    // Store the shape center and radius as data attributes for dragging
+    if (labelData.constraint) {
+        label.setAttribute('data-constraint-center-x', labelData.constraint.centerX);
+        label.setAttribute('data-constraint-center-y', labelData.constraint.centerY);
+        label.setAttribute('data-constraint-radius', labelData.constraint.radius);
     }
 
-    label.textContent = text;
+    label.textContent = labelData.text;
 
     // Make label draggable
     makeLabelDraggable(label);
@@ -553,7 +1079,10 @@ function makeLabelDraggable(label) {
             isDragging = false;
             shapeCenter = null;
             label.style.cursor = 'pointer';
-            saveAppState();
+
+            const connection = document.getElementById(label.getAttribute('data-connection-id'));
+            if (connection) updateLinkRecord(connection);
+            saveAppState('move label');
 
             // Reset drag flag after a short delay
             setTimeout(() => {
@@ -567,221 +1096,219 @@ function makeLabelDraggable(label) {
 }
 
 /**
- * Find closest points on the boundaries of two shapes for connection
- * @param {Object} sourceBounds - Bounds of source shape {x, y, width, height}
- * @param {Object} targetBounds - Bounds of target shape
- * @returns {Object} {sourcePoint: {x, y}, targetPoint: {x, y}}
+ * Get the bounds of the shapes a route must go around
+ * Lines and arrows are drawn over connections, so they are not avoided
+ * @param {Array<string>} excludedIds - IDs of the connection's own shapes
+ * @returns {Array<Object>} Shape bounds
  */
-function findClosestPoints(sourceBounds, targetBounds) {
-    // Calculate centers
-    const sourceCenter = {
-        x: sourceBounds.x + sourceBounds.width / 2,
-        y: sourceBounds.y + sourceBounds.height / 2,
-    };
+function getObstacleBounds(excludedIds) {
+    return Array.from(elements.topologyCanvas.querySelectorAll('.canvas-shape'))
+        .filter(
+            shape =>
+                !excludedIds.includes(shape.id) &&
+                !['line', 'arrow'].includes(shape.getAttribute('data-shape-type'))
+        )
+        .map(shape => getShapeBounds(shape))
+        .filter(Boolean);
+}
 
-    const targetCenter = {
-        x: targetBounds.x + targetBounds.width / 2,
-        y: targetBounds.y + targetBounds.height / 2,
-    };
+/**
+ * Compute the route of a connection between two shapes
+ * @param {SVGElement} sourceShape - The source shape
+ * @param {SVGElement} targetShape - The target shape
+ * @param {string} routing - Routing mode (see LINK_ROUTING_MODES)
+ * @param {Object} options - Waypoints of a manual route, lane among parallel connections (see
+ * getConnectionLane()) and whether the connection is curved
+ * @returns {Array<Object>} Route points
+ */
+function computeRoute(sourceShape, targetShape, routing, options = {}) {
+    const { waypoints = [], lane = 0, curved = false } = options;
+    const { SPACING, FAN_SPACING } = PARALLEL_LINK_CONFIG;
+    const sourceBounds = getShapeBounds(sourceShape);
+    const targetBounds = getShapeBounds(targetShape);
 
-    // Calculate the direction from source to target
-    const dx = targetCenter.x - sourceCenter.x;
-    const dy = targetCenter.y - sourceCenter.y;
+    if (routing === 'manual') {
+        return routeThroughWaypoints(sourceBounds, targetBounds, waypoints);
+    }
+    if (routing === 'orthogonal') {
+        const obstacles = getObstacleBounds([sourceShape.id, targetShape.id]);
+
+        // Routed from the shape with the lowest ID, so connections in opposite directions take
+        // the same path (its lanes are counted from that shape too)
+        if (sourceShape.id > targetShape.id) {
+            const route = routeOrthogonal(targetBounds, sourceBounds, obstacles);
+            return offsetRoute(route, -lane * SPACING).reverse();
+        }
+        return offsetRoute(routeOrthogonal(sourceBounds, targetBounds, obstacles), lane * SPACING);
+    }
+    if (curved) {
+        return routeFanned(sourceBounds, targetBounds, lane * FAN_SPACING);
+    }
+    return routeStraight(sourceBounds, targetBounds, lane * SPACING);
+}
 
-    // Find intersection points on the boundaries
-    const sourcePoint = findBoundaryIntersection(sourceBounds, sourceCenter, dx, dy);
-    const targetPoint = findBoundaryIntersection(targetBounds, targetCenter, -dx, -dy);
+/**
+ * Move an end label along with its shape and the connection's new route
+ * The label keeps its angle to the direction the route meets the shape in, so a label that
+ * was dragged aside stays aside and one on the line stays on it
+ * @param {SVGTextElement} label - The end label
+ * @param {Object} shapeCenter - New center of the label's shape {x, y}
+ * @param {number|null} oldAngle - Direction the old route met the shape in, if known
+ * @param {number} newAngle - Direction the new route meets the shape in
+ */
+function placeEndLabel(label, shapeCenter, oldAngle, newAngle) {
+    const oldCenterX = parseFloat(label.getAttribute('data-constraint-center-x'));
+    const oldCenterY = parseFloat(label.getAttribute('data-constraint-center-y'));
+    const radius = parseFloat(label.getAttribute('data-constraint-radius')) || 60;
+
+    // Current angle relative to the OLD center, turned as much as the route turned
+    let angle = newAngle;
+    if (!isNaN(oldCenterX) && !isNaN(oldCenterY) && oldAngle !== null) {
+        const dx = parseFloat(label.getAttribute('x')) - oldCenterX;
+        const dy = parseFloat(label.getAttribute('y')) - oldCenterY;
+        angle = Math.atan2(dy, dx) + newAngle - oldAngle;
+    }
 
-    return {
-        sourcePoint,
-        targetPoint,
-    };
+    label.setAttribute('data-constraint-center-x', shapeCenter.x);
+    label.setAttribute('data-constraint-center-y', shapeCenter.y);
+    label.setAttribute('x', shapeCenter.x + Math.cos(angle) * radius);
+    label.setAttribute('y', shapeCenter.y + Math.sin(angle) * radius);
+    label.setAttribute('text-anchor', getEndLabelAnchor(angle));
 }
 
 /**
- * Find the intersection point on a shape's boundary
- * @param {Object} bounds - Shape bounds {x, y, width, height}
- * @param {Object} center - Shape center {x, y}
- * @param {number} dx - Direction x component
- * @param {number} dy - Direction y component
- * @returns {Object} {x, y} intersection point
+ * Move the center label along with the middle of its connection
+ * A label dragged off the line keeps its offset from the middle
+ * @param {SVGGElement} connection - The connection group
+ * @param {Object|null} oldMidpoint - Middle of the old route, if known
+ * @param {Object} newMidpoint - Middle of the new route
  */
-function findBoundaryIntersection(bounds, center, dx, dy) {
-    const halfWidth = bounds.width / 2;
-    const halfHeight = bounds.height / 2;
-
-    // Normalize direction
-    const length = Math.sqrt(dx * dx + dy * dy);
-    if (length === 0) {
-        return { x: center.x, y: center.y };
+function placeCenterLabel(connection, oldMidpoint, newMidpoint) {
+    const label = document.getElementById(connection.getAttribute('data-center-label-id'));
+    if (!label) return;
+
+    let offsetX = 0;
+    let offsetY = 0;
+    if (oldMidpoint) {
+        offsetX = (parseFloat(label.getAttribute('x')) || oldMidpoint.x) - oldMidpoint.x;
+        offsetY = (parseFloat(label.getAttribute('y')) || oldMidpoint.y) - oldMidpoint.y;
     }
+    label.setAttribute('x', newMidpoint.x + offsetX);
+    label.setAttribute('y', newMidpoint.y + offsetY);
+}
 
-    const normalizedDx = dx / length;
-    const normalizedDy = dy / length;
+/**
+ * Route a connection again from the current position of its shapes, and move its labels
+ * @param {SVGGElement} connection - The connection group
+ * @param {Array<Object>|null} waypoints - New waypoints of a manual connection (by default
+ * it keeps its current ones)
+ */
+function rerouteConnection(connection, waypoints = null) {
+    const sourceShape = document.getElementById(connection.getAttribute('data-source'));
+    const targetShape = document.getElementById(connection.getAttribute('data-target'));
+    if (!sourceShape || !targetShape) return;
+
+    const curved = isConnectionCurved(connection);
+    const oldPoints = getConnectionPoints(connection);
+    const points = computeRoute(sourceShape, targetShape, getConnectionRouting(connection), {
+        waypoints: waypoints || oldPoints.slice(1, -1),
+        lane: getConnectionLane(connection),
+        curved,
+    });
+    setConnectionPoints(connection, points);
 
-    // Calculate which edge the line intersects
-    // Check horizontal edges (top/bottom)
-    const tHorizontal = halfHeight / Math.abs(normalizedDy);
-    // Check vertical edges (left/right)
-    const tVertical = halfWidth / Math.abs(normalizedDx);
+    ['source', 'target'].forEach(end => {
+        const label = document.getElementById(connection.getAttribute(`data-${end}-label-id`));
+        if (!label) return;
 
-    // Use the smaller t value (first intersection)
-    const t = Math.min(tHorizontal, tVertical);
+        const bounds = getShapeBounds(end === 'source' ? sourceShape : targetShape);
+        const shapeCenter = {
+            x: bounds.x + bounds.width / 2,
+            y: bounds.y + bounds.height / 2,
+        };
+        const oldCenter = {
+            x: parseFloat(label.getAttribute('data-constraint-center-x')),
+            y: parseFloat(label.getAttribute('data-constraint-center-y')),
+        };
+        const oldAngle =
+            oldPoints.length >= 2 && !isNaN(oldCenter.x) && !isNaN(oldCenter.y)
+                ? getEndAngle(oldPoints, end, oldCenter)
+                : null;
+        placeEndLabel(label, shapeCenter, oldAngle, getEndAngle(points, end, shapeCenter));
+    });
 
-    return {
-        x: center.x + normalizedDx * t,
-        y: center.y + normalizedDy * t,
-    };
+    placeCenterLabel(
+        connection,
+        oldPoints.length >= 2 ? getRouteMidpoint(oldPoints, curved) : null,
+        getRouteMidpoint(points, curved)
+    );
+    reroutedConnections.add(connection);
+}
+
+/**
+ * Write the connections routed again since the last call back to their link records
+ * Called once an edit is done rather than for every route change, e.g. at the end of a drag
+ */
+export function commitReroutedConnections() {
+    reroutedConnections.forEach(connection => {
+        if (connection.isConnected) updateLinkRecord(connection);
+    });
+    reroutedConnections.clear();
+}
+
+/**
+ * Write a connection back to its link record in the topology model
+ * Connections that are not in the model yet (while they are created or pasted) are committed
+ * by the operation adding them
+ * @param {SVGGElement} connection - The connection group
+ */
+function updateLinkRecord(connection) {
+    if (topologyModel.getLink(connection.id)) {
+        topologyModel.addLink(linkFromConnection(connection));
+    }
 }
 
 /**
  * Update connections when a shape is moved
+ * Its own connections are routed again, and so are the orthogonal connections it is (or
+ * was, before the move) close enough to for their routes to go around it
  * @param {SVGElement} shape - The shape that was moved
  */
 export function updateShapeConnections(shape) {
-    const connectionIds = shape.dataset.connections;
-    if (!connectionIds) return;
-
-    // Get all connection IDs for this shape
-    const ids = connectionIds.split(',').filter(id => id);
+    const ids = (shape.dataset.connections || '').split(',').filter(id => id);
 
     ids.forEach(connectionId => {
         const connection = document.getElementById(connectionId);
-        if (!connection) return;
+        if (connection) rerouteConnection(connection);
+    });
 
-        const sourceId = connection.getAttribute('data-source');
-        const targetId = connection.getAttribute('data-target');
+    const bounds = getShapeBounds(shape);
+    if (!bounds) return;
+    const previousBounds = routedBounds.get(shape);
+    routedBounds.set(shape, bounds);
 
-        const sourceShape = document.getElementById(sourceId);
-        const targetShape = document.getElementById(targetId);
+    elements.topologyCanvas.querySelectorAll('.connection').forEach(connection => {
+        if (ids.includes(connection.id) || getConnectionRouting(connection) !== 'orthogonal') {
+            return;
+        }
 
+        const sourceShape = document.getElementById(connection.getAttribute('data-source'));
+        const targetShape = document.getElementById(connection.getAttribute('data-target'));
         if (!sourceShape || !targetShape) return;
 
-        // Recalculate connection points
+        // Where the shape was before its first move is not known: route them all once
         const sourceBounds = getShapeBounds(sourceShape);
         const targetBounds = getShapeBounds(targetShape);
-        const { sourcePoint, targetPoint } = findClosestPoints(sourceBounds, targetBounds);
-
-        // Calculate shape centers for label constraint circles
-        const sourceCenter = {
-            x: sourceBounds.x + sourceBounds.width / 2,
-            y: sourceBounds.y + sourceBounds.height / 2,
-        };
-        const targetCenter = {
-            x: targetBounds.x + targetBounds.width / 2,
-            y: targetBounds.y + targetBounds.height / 2,
-        };
-
-        // Calculate center point
-        const centerPoint = {
-            x: (sourcePoint.x + targetPoint.x) / 2,
-            y: (sourcePoint.y + targetPoint.y) / 2,
-        };
-
-        // Update line
-        const line = connection.querySelector('.connection-line');
-        if (line) {
-            line.setAttribute('x1', sourcePoint.x);
-            line.setAttribute('y1', sourcePoint.y);
-            line.setAttribute('x2', targetPoint.x);
-            line.setAttribute('y2', targetPoint.y);
-        }
-
-        // Update hit target
-        const hitTarget = connection.querySelector('.connection-hit-target');
-        if (hitTarget) {
-            hitTarget.setAttribute('x1', sourcePoint.x);
-            hitTarget.setAttribute('y1', sourcePoint.y);
-            hitTarget.setAttribute('x2', targetPoint.x);
-            hitTarget.setAttribute('y2', targetPoint.y);
-        }
-
-        // Update labels with constraint circle repositioning
-        const sourceLabelId = connection.getAttribute('data-source-label-id');
-        const targetLabelId = connection.getAttribute('data-target-label-id');
-        const centerLabelId = connection.getAttribute('data-center-label-id');
-
-        if (sourceLabelId) {
-            const sourceLabel = document.getElementById(sourceLabelId);
-            if (sourceLabel) {
-                // Update constraint center
-                const oldCenterX = parseFloat(sourceLabel.getAttribute('data-constraint-center-x'));
-                const oldCenterY = parseFloat(sourceLabel.getAttribute('data-constraint-center-y'));
-
-                sourceLabel.setAttribute('data-constraint-center-x', sourceCenter.x);
-                sourceLabel.setAttribute('data-constraint-center-y', sourceCenter.y);
-
-                // Get constraint radius and current label position
-                const radius = parseFloat(sourceLabel.getAttribute('data-constraint-radius')) || 60;
-                const currentX = parseFloat(sourceLabel.getAttribute('x'));
-                const currentY = parseFloat(sourceLabel.getAttribute('y'));
-
-                // Calculate current angle relative to OLD center
-                let angle;
-                if (!isNaN(oldCenterX) && !isNaN(oldCenterY)) {
-                    const dx = currentX - oldCenterX;
-                    const dy = currentY - oldCenterY;
-                    angle = Math.atan2(dy, dx);
-                } else {
-                    // Fallback: use connection direction
-                    const dx = targetCenter.x - sourceCenter.x;
-                    const dy = targetCenter.y - sourceCenter.y;
-                    angle = Math.atan2(dy, dx);
-                }
-
-                // Position label on constraint circle at the SAME angle relative to NEW center
-                const labelX = sourceCenter.x + Math.cos(angle) * radius;
-                const labelY = sourceCenter.y + Math.sin(angle) * radius;
-
-                sourceLabel.setAttribute('x', labelX);
-                sourceLabel.setAttribute('y', labelY);
-            }
-        }
-
-        if (targetLabelId) {
-            const targetLabel = document.getElementById(targetLabelId);
-            if (targetLabel) {
-                // Update constraint center
-                const oldCenterX = parseFloat(targetLabel.getAttribute('data-constraint-center-x'));
-                const oldCenterY = parseFloat(targetLabel.getAttribute('data-constraint-center-y'));
-
-                targetLabel.setAttribute('data-constraint-center-x', targetCenter.x);
-                targetLabel.setAttribute('data-constraint-center-y', targetCenter.y);
-
-                // Get constraint radius and current label position
-                const radius = parseFloat(targetLabel.getAttribute('data-constraint-radius')) || 60;
-                const currentX = parseFloat(targetLabel.getAttribute('x'));
-                const currentY = parseFloat(targetLabel.getAttribute('y'));
-
-                // Calculate current angle relative to OLD center
-                let angle;
-                if (!isNaN(oldCenterX) && !isNaN(oldCenterY)) {
-                    const dx = currentX - oldCenterX;
-                    const dy = currentY - oldCenterY;
-                    angle = Math.atan2(dy, dx);
-                } else {
-                    // Fallback: use connection direction
-                    const dx = sourceCenter.x - targetCenter.x;
-                    const dy = sourceCenter.y - targetCenter.y;
-                    angle = Math.atan2(dy, dx);
-                }
-
-                // Position label on constraint circle at the SAME angle relative to NEW center
-                const labelX = targetCenter.x + Math.cos(angle) * radius;
-                const labelY = targetCenter.y + Math.sin(angle) * radius;
-
-                targetLabel.setAttribute('x', labelX);
-                targetLabel.setAttribute('y', labelY);
-            }
-        }
-        if (centerLabelId) {
-            const centerLabel = document.getElementById(centerLabelId);
-            if (centerLabel) {
-                centerLabel.setAttribute('x', centerPoint.x);
-                centerLabel.setAttribute('y', centerPoint.y);
-            }
+        if (
+            !previousBounds ||
+            isInRoutingArea(sourceBounds, targetBounds, bounds) ||
+            isInRoutingArea(sourceBounds, targetBounds, previousBounds)
+        ) {
+            rerouteConnection(connection);
         }
     });
+
+    renderBundleMarkers();
 }
 
 /**
@@ -820,53 +1347,6 @@ export function deleteShapeConnections(shape) {
             }
         }
     });
-}
-
-/**
- * Migrate existing connections to have label ID attributes
- * This fixes connections created before the label ID feature was implemented
- */
-export function migrateExistingConnections() {
-    console.log('Migrating existing connections...');
-
-    const connections = document.querySelectorAll('.connection');
-    let migratedCount = 0;
-
-    connections.forEach(connection => {
-        const connectionId = connection.id;
-
-        // Check if connection already has label IDs
-        const hasSourceId = connection.getAttribute('data-source-label-id');
-        const hasTargetId = connection.getAttribute('data-target-label-id');
-
-        if (hasSourceId && hasTargetId) {
-            // Already migrated
-            return;
-        }
-
-        // Find the labels by their expected IDs based on connection ID
-        const sourceLabel = document.getElementById(`label-${connectionId}-source`);
-        const targetLabel = document.getElementById(`label-${connectionId}-target`);
-        const centerLabel = document.getElementById(`label-${connectionId}-center`);
-
-        // Set the data attributes if labels exist
-        if (sourceLabel) {
-            connection.setAttribute('data-source-label-id', sourceLabel.id);
-            migratedCount++;
-        }
-        if (targetLabel) {
-            connection.setAttribute('data-target-label-id', targetLabel.id);
-        }
-        if (centerLabel) {
-            connection.setAttribute('data-center-label-id', centerLabel.id);
-        }
-    });
 
-    if (migratedCount > 0) {
-        console.log(`Migrated ${migratedCount} connections`);
-        // Save the updated state
-        saveAppState();
-    } else {
-        console.log('No connections needed migration');
-    }
+    renderBundleMarkers();
 }
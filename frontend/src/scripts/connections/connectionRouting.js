@@ -0,0 +1,763 @@
+/**
+ * Connection routing
+ * Computes the path of a connection between two shapes from their bounds ({x, y, width,
+ * height}). Straight routes run from centre to centre, clipped to the shapes' bounds.
+ * Orthogonal routes are right-angle polylines leaving and entering the shapes through the
+ * middle of a side; they are found with an A* search on a sparse grid made of the edges of
+ * the surrounding shapes, so they go around them. Manual routes go through waypoints placed by
+ * the user. Routes are arrays of {x, y} points from the source end to the target end; curved
+ * connections draw them as a smooth Bézier curve through the same points. Parallel connections
+ * between the same shapes are shifted sideways by an offset, along the normal (-dy, dx) of
+ * their direction. Like the model, this module must not touch the DOM.
+ */
+
+import { ROUTING_CONFIG } from '../config/constants.js';
+
+// Points per curve segment used to measure curved routes
+const CURVE_SAMPLES = 16;
+
+// Search directions, in the order of the shape sides they leave from (top, right, bottom, left)
+const DIRECTIONS = [
+    { dx: 0, dy: -1 },
+    { dx: 1, dy: 0 },
+    { dx: 0, dy: 1 },
+    { dx: -1, dy: 0 },
+];
+
+/**
+ * Get the centre of some bounds
+ * @param {Object} bounds - Bounds {x, y, width, height}
+ * @returns {Object} {x, y}
+ */
+function getCenter(bounds) {
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Find the intersection point on a shape's boundary
+ * @param {Object} bounds - Shape bounds {x, y, width, height}
+ * @param {Object} center - Shape center {x, y}
+ * @param {number} dx - Direction x component
+ * @param {number} dy - Direction y component
+ * @returns {Object} {x, y} intersection point
+ */
+function findBoundaryIntersection(bounds, center, dx, dy) {
+    const halfWidth = bounds.width / 2;
+    const halfHeight = bounds.height / 2;
+
+    // Normalize direction
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) {
+        return { x: center.x, y: center.y };
+    }
+
+    const normalizedDx = dx / length;
+    const normalizedDy = dy / length;
+
+    // Calculate which edge the line intersects
+    // Check horizontal edges (top/bottom)
+    const tHorizontal = halfHeight / Math.abs(normalizedDy);
+    // Check vertical edges (left/right)
+    const tVertical = halfWidth / Math.abs(normalizedDx);
+
+    // Use the smaller t value (first intersection)
+    const t = Math.min(tHorizontal, tVertical);
+
+    return {
+        x: center.x + normalizedDx * t,
+        y: center.y + normalizedDy * t,
+    };
+}
+
+/**
+ * Find where a ray from a point inside some bounds leaves them
+ * @param {Object} bounds - Bounds {x, y, width, height}
+ * @param {Object} point - Start of the ray {x, y}
+ * @param {number} dx - Direction x component
+ * @param {number} dy - Direction y component
+ * @returns {Object} {x, y} exit point
+ */
+function findBoundaryExit(bounds, point, dx, dy) {
+    const limits = [];
+    if (dx > 0) limits.push((bounds.x + bounds.width - point.x) / dx);
+    if (dx < 0) limits.push((bounds.x - point.x) / dx);
+    if (dy > 0) limits.push((bounds.y + bounds.height - point.y) / dy);
+    if (dy < 0) limits.push((bounds.y - point.y) / dy);
+    if (limits.length === 0) return { ...point };
+
+    const t = Math.max(0, Math.min(...limits));
+    return { x: point.x + dx * t, y: point.y + dy * t };
+}
+
+/**
+ * Route a straight connection: the centre-to-centre line clipped to both shapes' bounds
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @param {number} offset - Distance to shift the line sideways by (for parallel connections)
+ * @returns {Array<Object>} Route points (source and target end)
+ */
+export function routeStraight(sourceBounds, targetBounds, offset = 0) {
+    const sourceCenter = getCenter(sourceBounds);
+    const targetCenter = getCenter(targetBounds);
+
+    // Calculate the direction from source to target
+    const dx = targetCenter.x - sourceCenter.x;
+    const dy = targetCenter.y - sourceCenter.y;
+
+    const length = Math.hypot(dx, dy);
+    if (offset !== 0 && length > 0) {
+        const shiftX = (-dy / length) * offset;
+        const shiftY = (dx / length) * offset;
+        return [
+            findBoundaryExit(
+                sourceBounds,
+                { x: sourceCenter.x + shiftX, y: sourceCenter.y + shiftY },
+                dx,
+                dy
+            ),
+            findBoundaryExit(
+                targetBounds,
+                { x: targetCenter.x + shiftX, y: targetCenter.y + shiftY },
+                -dx,
+                -dy
+            ),
+        ];
+    }
+
+    return [
+        findBoundaryIntersection(sourceBounds, sourceCenter, dx, dy),
+        findBoundaryIntersection(targetBounds, targetCenter, -dx, -dy),
+    ];
+}
+
+/**
+ * Route a connection through waypoints
+ * Each end leaves its shape towards the nearest waypoint; without waypoints the route is
+ * straight
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @param {Array<Object>} waypoints - Waypoints {x, y} from the source to the target
+ * @returns {Array<Object>} Route points
+ */
+export function routeThroughWaypoints(sourceBounds, targetBounds, waypoints) {
+    if (waypoints.length === 0) {
+        return routeStraight(sourceBounds, targetBounds);
+    }
+
+    const sourceCenter = getCenter(sourceBounds);
+    const targetCenter = getCenter(targetBounds);
+    const first = waypoints[0];
+    const last = waypoints[waypoints.length - 1];
+
+    return [
+        findBoundaryIntersection(
+            sourceBounds,
+            sourceCenter,
+            first.x - sourceCenter.x,
+            first.y - sourceCenter.y
+        ),
+        ...waypoints.map(({ x, y }) => ({ x, y })),
+        findBoundaryIntersection(
+            targetBounds,
+            targetCenter,
+            last.x - targetCenter.x,
+            last.y - targetCenter.y
+        ),
+    ];
+}
+
+/**
+ * Route a connection as a bow through a point beside the centre-to-centre line, so parallel
+ * connections fan out from their shapes
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @param {number} offset - Distance from the centre-to-centre line at the middle
+ * @returns {Array<Object>} Route points
+ */
+export function routeFanned(sourceBounds, targetBounds, offset) {
+    const sourceCenter = getCenter(sourceBounds);
+    const targetCenter = getCenter(targetBounds);
+    const dx = targetCenter.x - sourceCenter.x;
+    const dy = targetCenter.y - sourceCenter.y;
+    const length = Math.hypot(dx, dy);
+    if (offset === 0 || length === 0) {
+        return routeStraight(sourceBounds, targetBounds);
+    }
+
+    const middle = {
+        x: (sourceCenter.x + targetCenter.x) / 2 - (dy / length) * offset,
+        y: (sourceCenter.y + targetCenter.y) / 2 + (dx / length) * offset,
+    };
+    return routeThroughWaypoints(sourceBounds, targetBounds, [middle]);
+}
+
+/**
+ * Shift a route sideways, keeping each segment parallel to the original one
+ * @param {Array<Object>} points - Route points
+ * @param {number} offset - Distance to shift by
+ * @returns {Array<Object>} Shifted route points
+ */
+export function offsetRoute(points, offset) {
+    if (offset === 0 || points.length < 2) return points;
+
+    const normals = points.slice(1).map((to, index) => {
+        const from = points[index];
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        return { x: -(to.y - from.y) / length, y: (to.x - from.x) / length };
+    });
+
+    return points.map((point, index) => {
+        const before = normals[index - 1] || normals[index];
+        const after = normals[index] || normals[index - 1];
+
+        // Bends move along the bisector of their segments' normals, far enough for both
+        // segments to keep their distance (a U-turn only moves along the first one)
+        const dot = before.x * after.x + before.y * after.y;
+        if (dot < -0.9) {
+            return { x: point.x + before.x * offset, y: point.y + before.y * offset };
+        }
+        const scale = offset / (1 + dot);
+        return {
+            x: point.x + (before.x + after.x) * scale,
+            y: point.y + (before.y + after.y) * scale,
+        };
+    });
+}
+
+/**
+ * Grow bounds into a rectangle keeping a clearance around a shape
+ * @param {Object} bounds - Bounds {x, y, width, height}
+ * @param {number} margin - Clearance
+ * @returns {Object} {left, top, right, bottom}
+ */
+function inflate(bounds, margin) {
+    return {
+        left: bounds.x - margin,
+        top: bounds.y - margin,
+        right: bounds.x + bounds.width + margin,
+        bottom: bounds.y + bounds.height + margin,
+    };
+}
+
+/**
+ * Check whether a point is strictly inside a rectangle (its border is outside)
+ * @param {Object} rect - Rectangle {left, top, right, bottom}
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @returns {boolean} True if inside
+ */
+function isInside(rect, x, y) {
+    return x > rect.left && x < rect.right && y > rect.top && y < rect.bottom;
+}
+
+/**
+ * Check whether two rectangles overlap
+ * @param {Object} a - Rectangle {left, top, right, bottom}
+ * @param {Object} b - Rectangle {left, top, right, bottom}
+ * @returns {boolean} True if they overlap
+ */
+function overlaps(a, b) {
+    return a.right > b.left && a.left < b.right && a.bottom > b.top && a.top < b.bottom;
+}
+
+/**
+ * Get the area in which an orthogonal route between two shapes avoids other shapes
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @returns {Object} Rectangle {left, top, right, bottom}
+ */
+function getRoutingArea(sourceBounds, targetBounds) {
+    const { MARGIN, SEARCH_PADDING } = ROUTING_CONFIG;
+    const sourceRect = inflate(sourceBounds, MARGIN);
+    const targetRect = inflate(targetBounds, MARGIN);
+    return {
+        left: Math.min(sourceRect.left, targetRect.left) - SEARCH_PADDING,
+        top: Math.min(sourceRect.top, targetRect.top) - SEARCH_PADDING,
+        right: Math.max(sourceRect.right, targetRect.right) + SEARCH_PADDING,
+        bottom: Math.max(sourceRect.bottom, targetRect.bottom) + SEARCH_PADDING,
+    };
+}
+
+/**
+ * Check whether a shape is near enough to two others to change the orthogonal route between
+ * them, i.e. whether the route has to be computed again when that shape moves
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @param {Object} bounds - Bounds of the other shape
+ * @returns {boolean} True if the route avoids the shape there
+ */
+export function isInRoutingArea(sourceBounds, targetBounds, bounds) {
+    return overlaps(
+        inflate(bounds, ROUTING_CONFIG.MARGIN),
+        getRoutingArea(sourceBounds, targetBounds)
+    );
+}
+
+/**
+ * Get the ports of a shape: the middle of each side, and the point a margin away from it
+ * where the route starts (so the first segment leaves the side at a right angle)
+ * @param {Object} bounds - Shape bounds
+ * @param {number} margin - Clearance
+ * @returns {Array<Object>} Ports {point, stub, direction}, indexed like DIRECTIONS
+ */
+function getPorts(bounds, margin) {
+    const center = getCenter(bounds);
+    return DIRECTIONS.map(({ dx, dy }, direction) => {
+        const point = {
+            x: center.x + (dx * bounds.width) / 2,
+            y: center.y + (dy * bounds.height) / 2,
+        };
+        return { point, stub: { x: point.x + dx * margin, y: point.y + dy * margin }, direction };
+    });
+}
+
+/**
+ * Drop the points in the middle of straight runs
+ * @param {Array<Object>} points - Route points
+ * @returns {Array<Object>} Route points with bends only
+ */
+function simplify(points) {
+    return points.filter((point, index) => {
+        const previous = points[index - 1];
+        const next = points[index + 1];
+        if (!previous || !next) return true;
+        if (point.x === previous.x && point.y === previous.y) return false;
+        return !(
+            (previous.x === point.x && point.x === next.x) ||
+            (previous.y === point.y && point.y === next.y)
+        );
+    });
+}
+
+/**
+ * Route an orthogonal connection that does not avoid anything: across the gap between the
+ * shapes with a bend halfway. Used when no route around the other shapes exists
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @returns {Array<Object>} Route points
+ */
+function routeDirect(sourceBounds, targetBounds) {
+    const sourceCenter = getCenter(sourceBounds);
+    const targetCenter = getCenter(targetBounds);
+    const dx = targetCenter.x - sourceCenter.x;
+    const dy = targetCenter.y - sourceCenter.y;
+
+    const sourcePorts = getPorts(sourceBounds, 0);
+    const targetPorts = getPorts(targetBounds, 0);
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+        const start = sourcePorts[dx >= 0 ? 1 : 3].point;
+        const end = targetPorts[dx >= 0 ? 3 : 1].point;
+        const middleX = (start.x + end.x) / 2;
+        return simplify([start, { x: middleX, y: start.y }, { x: middleX, y: end.y }, end]);
+    }
+
+    const start = sourcePorts[dy >= 0 ? 2 : 0].point;
+    const end = targetPorts[dy >= 0 ? 0 : 2].point;
+    const middleY = (start.y + end.y) / 2;
+    return simplify([start, { x: start.x, y: middleY }, { x: end.x, y: middleY }, end]);
+}
+
+/**
+ * Minimal binary heap of search entries ordered by their estimated cost `f`
+ */
+class SearchQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * @param {Object} item - Entry with an `f` cost
+     */
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].f <= item.f) break;
+            items[index] = items[parent];
+            index = parent;
+        }
+        items[index] = item;
+    }
+
+    /**
+     * @returns {Object} The entry with the lowest cost
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length === 0) return top;
+
+        let index = 0;
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+            let smallestF = last.f;
+            if (left < items.length && items[left].f < smallestF) {
+                smallest = left;
+                smallestF = items[left].f;
+            }
+            if (right < items.length && items[right].f < smallestF) {
+                smallest = right;
+            }
+            if (smallest === index) break;
+            items[index] = items[smallest];
+            index = smallest;
+        }
+        items[index] = last;
+        return top;
+    }
+}
+
+/**
+ * Route an orthogonal connection around other shapes
+ * Only the shapes near the two ends are avoided (see ROUTING_CONFIG.SEARCH_PADDING). The
+ * route with the lowest cost (length plus a penalty per bend) is picked among all sides of
+ * both shapes. If the ends are walled in, the route goes straight across the gap instead.
+ * @param {Object} sourceBounds - Bounds of the source shape
+ * @param {Object} targetBounds - Bounds of the target shape
+ * @param {Array<Object>} obstacles - Bounds of the other shapes
+ * @returns {Array<Object>} Route points
+ */
+export function routeOrthogonal(sourceBounds, targetBounds, obstacles = []) {
+    const { MARGIN, BEND_PENALTY } = ROUTING_CONFIG;
+
+    const area = getRoutingArea(sourceBounds, targetBounds);
+    const rects = [inflate(sourceBounds, MARGIN), inflate(targetBounds, MARGIN)];
+    obstacles.forEach(bounds => {
+        const rect = inflate(bounds, MARGIN);
+        if (overlaps(rect, area)) rects.push(rect);
+    });
+    const isBlocked = (x, y) => rects.some(rect => isInside(rect, x, y));
+
+    // Ports whose start point is covered by another shape can't be used
+    const sourcePorts = getPorts(sourceBounds, MARGIN).filter(
+        port => !isBlocked(port.stub.x, port.stub.y)
+    );
+    const targetPorts = getPorts(targetBounds, MARGIN).filter(
+        port => !isBlocked(port.stub.x, port.stub.y)
+    );
+    if (sourcePorts.length === 0 || targetPorts.length === 0) {
+        return routeDirect(sourceBounds, targetBounds);
+    }
+
+    // Grid lines: the area, every rectangle edge, the ports and the middle between the ends
+    const sourceCenter = getCenter(sourceBounds);
+    const targetCenter = getCenter(targetBounds);
+    const xValues = [area.left, area.right, (sourceCenter.x + targetCenter.x) / 2];
+    const yValues = [area.top, area.bottom, (sourceCenter.y + targetCenter.y) / 2];
+    rects.forEach(rect => {
+        xValues.push(rect.left, rect.right);
+        yValues.push(rect.top, rect.bottom);
+    });
+    [...sourcePorts, ...targetPorts].forEach(({ stub }) => {
+        xValues.push(stub.x);
+        yValues.push(stub.y);
+    });
+    const xs = Array.from(new Set(xValues)).sort((a, b) => a - b);
+    const ys = Array.from(new Set(yValues)).sort((a, b) => a - b);
+    const columns = xs.length;
+    const nodeCount = columns * ys.length;
+    const nodeAt = (column, row) => row * columns + column;
+
+    const open = new Uint8Array(nodeCount);
+    for (let row = 0; row < ys.length; row++) {
+        for (let column = 0; column < columns; column++) {
+            open[nodeAt(column, row)] = isBlocked(xs[column], ys[row]) ? 0 : 1;
+        }
+    }
+
+    const findNode = point => nodeAt(xs.indexOf(point.x), ys.indexOf(point.y));
+    const goals = new Map(targetPorts.map(port => [findNode(port.stub), port]));
+    const heuristic = (x, y) =>
+        Math.min(...targetPorts.map(({ stub }) => Math.abs(stub.x - x) + Math.abs(stub.y - y)));
+
+    // Search states are a grid node and the direction it was reached from
+    const costs = new Float64Array(nodeCount * 4).fill(Infinity);
+    const parents = new Int32Array(nodeCount * 4).fill(-1);
+    const queue = new SearchQueue();
+
+    sourcePorts.forEach(({ stub, direction }) => {
+        const state = findNode(stub) * 4 + direction;
+        costs[state] = 0;
+        queue.push({ f: heuristic(stub.x, stub.y), g: 0, state });
+    });
+
+    let finish = null;
+    while (queue.size > 0) {
+        const { g, state, end } = queue.pop();
+        if (end) {
+            finish = { state, port: end };
+            break;
+        }
+        if (g > costs[state]) continue;
+
+        const node = state >> 2;
+        const direction = state & 3;
+        const column = node % columns;
+        const row = (node - column) / columns;
+
+        // Entering the target through a port: its last segment runs into the side
+        const goal = goals.get(node);
+        if (goal) {
+            const entry = (goal.direction + 2) % 4;
+            queue.push({ f: g + (direction === entry ? 0 : BEND_PENALTY), g, state, end: goal });
+        }
+
+        DIRECTIONS.forEach(({ dx, dy }, next) => {
+            if (next === (direction + 2) % 4) return;
+
+            const nextColumn = column + dx;
+            const nextRow = row + dy;
+            if (nextColumn < 0 || nextColumn >= columns || nextRow < 0 || nextRow >= ys.length) {
+                return;
+            }
+            const neighbour = nodeAt(nextColumn, nextRow);
+            if (!open[neighbour]) return;
+
+            // Grid lines include every rectangle edge, so a step crosses a rectangle only if
+            // its middle is inside it
+            const x = xs[nextColumn];
+            const y = ys[nextRow];
+            if (isBlocked((xs[column] + x) / 2, (ys[row] + y) / 2)) return;
+
+            const cost =
+                g +
+                Math.abs(x - xs[column]) +
+                Math.abs(y - ys[row]) +
+                (next === direction ? 0 : BEND_PENALTY);
+            const nextState = neighbour * 4 + next;
+            if (cost >= costs[nextState]) return;
+
+            costs[nextState] = cost;
+            parents[nextState] = state;
+            queue.push({ f: cost + heuristic(x, y), g: cost, state: nextState });
+        });
+    }
+
+    if (!finish) {
+        return routeDirect(sourceBounds, targetBounds);
+    }
+
+    const points = [finish.port.point];
+    for (let state = finish.state; state !== -1; state = parents[state]) {
+        const node = state >> 2;
+        const column = node % columns;
+        points.push({ x: xs[column], y: ys[(node - column) / columns] });
+    }
+    const startStub = points[points.length - 1];
+    const start = sourcePorts.find(({ stub }) => stub.x === startStub.x && stub.y === startStub.y);
+    points.push(start.point);
+
+    return simplify(points.reverse());
+}
+
+/**
+ * Get the Bézier segments of a curve through route points
+ * The curve is a Catmull-Rom spline, so it passes through every point and its ends leave in
+ * the direction of the first and last route segment
+ * @param {Array<Object>} points - Route points
+ * @returns {Array<Object>} Segments {from, control1, control2, to}
+ */
+function getCurveSegments(points) {
+    return points.slice(1).map((to, index) => {
+        const from = points[index];
+        const before = points[index - 1] || from;
+        const after = points[index + 2] || to;
+        return {
+            from,
+            control1: { x: from.x + (to.x - before.x) / 6, y: from.y + (to.y - before.y) / 6 },
+            control2: { x: to.x - (after.x - from.x) / 6, y: to.y - (after.y - from.y) / 6 },
+            to,
+        };
+    });
+}
+
+/**
+ * Get points along a Bézier segment
+ * @param {Object} segment - Segment (see getCurveSegments())
+ * @returns {Array<Object>} Points after the segment start, ending with its end
+ */
+function sampleCurveSegment({ from, control1, control2, to }) {
+    const samples = [];
+    for (let step = 1; step <= CURVE_SAMPLES; step++) {
+        const t = step / CURVE_SAMPLES;
+        const u = 1 - t;
+        const a = u * u * u;
+        const b = 3 * u * u * t;
+        const c = 3 * u * t * t;
+        const d = t * t * t;
+        samples.push({
+            x: a * from.x + b * control1.x + c * control2.x + d * to.x,
+            y: a * from.y + b * control1.y + c * control2.y + d * to.y,
+        });
+    }
+    return samples;
+}
+
+/**
+ * Get the polyline a route is drawn as
+ * @param {Array<Object>} points - Route points
+ * @param {boolean} curved - Whether the route is drawn as a curve
+ * @returns {Array<Object>} Points of the polyline
+ */
+function flattenRoute(points, curved) {
+    if (!curved || points.length < 3) return points;
+    return [points[0], ...getCurveSegments(points).flatMap(sampleCurveSegment)];
+}
+
+/**
+ * Get the length of a route
+ * @param {Array<Object>} points - Route points
+ * @returns {number} Length
+ */
+function getRouteLength(points) {
+    let length = 0;
+    for (let index = 1; index < points.length; index++) {
+        length += Math.hypot(
+            points[index].x - points[index - 1].x,
+            points[index].y - points[index - 1].y
+        );
+    }
+    return length;
+}
+
+/**
+ * Get the point halfway along a route, where its centre label goes
+ * @param {Array<Object>} points - Route points
+ * @param {boolean} curved - Whether the route is drawn as a curve
+ * @returns {Object} {x, y, angle}, angle being the route's direction there (in radians)
+ */
+export function getRouteMidpoint(points, curved = false) {
+    const polyline = flattenRoute(points, curved);
+    let remaining = getRouteLength(polyline) / 2;
+    for (let index = 1; index < polyline.length; index++) {
+        const from = polyline[index - 1];
+        const to = polyline[index];
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        if (length > 0 && remaining <= length) {
+            const t = remaining / length;
+            return {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                angle: Math.atan2(to.y - from.y, to.x - from.x),
+            };
+        }
+        remaining -= length;
+    }
+    return { x: polyline[0].x, y: polyline[0].y, angle: 0 };
+}
+
+/**
+ * Get the distance from a point to a line segment
+ * @param {Object} point - The point {x, y}
+ * @param {Object} from - Segment start {x, y}
+ * @param {Object} to - Segment end {x, y}
+ * @returns {number} Distance
+ */
+function getSegmentDistance(point, from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+        lengthSquared === 0
+            ? 0
+            : Math.max(
+                  0,
+                  Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared)
+              );
+    return Math.hypot(point.x - from.x - dx * t, point.y - from.y - dy * t);
+}
+
+/**
+ * Find the route segment closest to a point, e.g. to insert a waypoint where the user clicked
+ * @param {Array<Object>} points - Route points
+ * @param {Object} point - The point {x, y}
+ * @param {boolean} curved - Whether the route is drawn as a curve
+ * @returns {number} Index of the segment (it runs from points[index] to points[index + 1])
+ */
+export function findRouteSegment(points, point, curved = false) {
+    const segments = curved
+        ? getCurveSegments(points).map(segment => [segment.from, ...sampleCurveSegment(segment)])
+        : points.slice(1).map((to, index) => [points[index], to]);
+
+    let closest = 0;
+    let closestDistance = Infinity;
+    segments.forEach((polyline, index) => {
+        for (let step = 1; step < polyline.length; step++) {
+            const distance = getSegmentDistance(point, polyline[step - 1], polyline[step]);
+            if (distance < closestDistance) {
+                closest = index;
+                closestDistance = distance;
+            }
+        }
+    });
+    return closest;
+}
+
+/**
+ * Get the direction a route leaves one of its ends in
+ * Curves leave in the same direction (see getCurveSegments())
+ * @param {Array<Object>} points - Route points
+ * @param {string} end - 'source' or 'target'
+ * @returns {number} Angle in radians, pointing away from the end's shape
+ */
+export function getRouteEndAngle(points, end) {
+    const [from, to] =
+        end === 'source'
+            ? [points[0], points[1]]
+            : [points[points.length - 1], points[points.length - 2]];
+    return Math.atan2(to.y - from.y, to.x - from.x);
+}
+
+/**
+ * Write a route as text, e.g. "0,0 10,0 10,20" (how connections keep it in data-points)
+ * @param {Array<Object>} points - Route points
+ * @returns {string} The route as text
+ */
+export function formatRoutePoints(points) {
+    return points.map(({ x, y }) => `${x},${y}`).join(' ');
+}
+
+/**
+ * Read a route written by formatRoutePoints()
+ * @param {string|null} value - The route as text
+ * @returns {Array<Object>} Route points
+ */
+export function parseRoutePoints(value) {
+    return (value || '')
+        .split(' ')
+        .filter(Boolean)
+        .map(pair => {
+            const [x, y] = pair.split(',').map(parseFloat);
+            return { x, y };
+        });
+}
+
+/**
+ * Build the SVG path data of a route
+ * @param {Array<Object>} points - Route points
+ * @param {boolean} curved - Whether to draw a smooth curve through the points
+ * @returns {string} Path data, e.g. "M 0 0 L 10 0 L 10 20"
+ */
+export function toPathData(points, curved = false) {
+    if (curved && points.length >= 3) {
+        const segments = getCurveSegments(points).map(
+            ({ control1, control2, to }) =>
+                `C ${control1.x} ${control1.y} ${control2.x} ${control2.y} ${to.x} ${to.y}`
+        );
+        return [`M ${points[0].x} ${points[0].y}`, ...segments].join(' ');
+    }
+
+    return points
+        .map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`)
+        .join(' ');
+}
@@ -0,0 +1,128 @@
+/**
+ * Connection end markers
+ * Draws arrowheads and other markers at the ends of connections with SVG <marker> elements.
+ * A marker is defined once per type, colour and line width in the canvas <defs>, so it takes
+ * the colour of the line it ends and it is part of exported images. The same definition
+ * serves both ends: it is turned around at the start of the line.
+ */
+
+import { elements } from '../utils/dom.js';
+
+const ENDS = ['source', 'target'];
+
+// Shapes of the markers in a 10 x 10 box, pointing right with their tip at (10, 5)
+const MARKER_SHAPES = {
+    arrow: { element: 'path', attributes: { d: 'M 0 0 L 10 5 L 0 10 z' }, filled: true },
+    'open-arrow': { element: 'path', attributes: { d: 'M 1 1 L 10 5 L 1 9' }, filled: false },
+    circle: { element: 'circle', attributes: { cx: 5, cy: 5, r: 4.5 }, filled: true },
+    diamond: { element: 'path', attributes: { d: 'M 0 5 L 5 1 L 10 5 L 5 9 z' }, filled: true },
+    'crows-foot': {
+        element: 'path',
+        attributes: { d: 'M 0 5 L 10 0.5 M 0 5 L 10 5 M 0 5 L 10 9.5' },
+        filled: false,
+    },
+};
+
+/**
+ * Get the size of the markers of a line, so they grow with it
+ * @param {number} strokeWidth - Line width
+ * @returns {number} Marker width and height (px)
+ */
+function getMarkerSize(strokeWidth) {
+    return 8 + strokeWidth * 2;
+}
+
+/**
+ * Get the ID of a marker definition, creating the definition if needed
+ * @param {string} type - Marker type (see LINK_MARKERS)
+ * @param {string} color - Line colour
+ * @param {number} strokeWidth - Line width
+ * @returns {string|null} Marker ID, or null for unknown types
+ */
+function ensureMarker(type, color, strokeWidth) {
+    const shape = MARKER_SHAPES[type];
+    if (!shape) return null;
+
+    const id = `link-marker-${type}-${color.replace(/[^a-z0-9]/gi, '')}-${strokeWidth}`;
+    if (document.getElementById(id)) return id;
+
+    const size = getMarkerSize(strokeWidth);
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+    marker.id = id;
+    marker.classList.add('link-marker');
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', 10);
+    marker.setAttribute('refY', 5);
+    marker.setAttribute('markerWidth', size);
+    marker.setAttribute('markerHeight', size);
+    marker.setAttribute('markerUnits', 'userSpaceOnUse');
+    marker.setAttribute('orient', 'auto-start-reverse');
+
+    const glyph = document.createElementNS('http://www.w3.org/2000/svg', shape.element);
+    Object.entries(shape.attributes).forEach(([name, value]) => glyph.setAttribute(name, value));
+    glyph.setAttribute('fill', shape.filled ? color : 'none');
+    glyph.setAttribute('stroke', color);
+    glyph.setAttribute('stroke-width', shape.filled ? 0 : 1.5);
+    glyph.setAttribute('stroke-linejoin', 'round');
+    marker.appendChild(glyph);
+
+    let defs = elements.topologyCanvas.querySelector('defs');
+    if (!defs) {
+        defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        elements.topologyCanvas.prepend(defs);
+    }
+    defs.appendChild(marker);
+    return id;
+}
+
+/**
+ * Get the markers of a connection's ends
+ * @param {SVGGElement} connection - The connection group
+ * @returns {Object} {source, target} marker types
+ */
+export function getConnectionMarkers(connection) {
+    return {
+        source: connection.getAttribute('data-source-marker') || 'none',
+        target: connection.getAttribute('data-target-marker') || 'none',
+    };
+}
+
+/**
+ * Draw the markers of a connection's ends, in the current colour and width of its line
+ * Called again whenever the line's style changes
+ * @param {SVGGElement} connection - The connection group
+ */
+export function applyConnectionMarkers(connection) {
+    const line = connection.querySelector('.connection-line');
+    if (!line) return;
+
+    const markers = getConnectionMarkers(connection);
+    const color = line.getAttribute('stroke') || '#6c757d';
+    const strokeWidth = parseFloat(line.getAttribute('stroke-width')) || 3;
+
+    ENDS.forEach(end => {
+        const attribute = end === 'source' ? 'marker-start' : 'marker-end';
+        const id = ensureMarker(markers[end], color, strokeWidth);
+        if (id) {
+            line.setAttribute(attribute, `url(#${id})`);
+        } else {
+            line.removeAttribute(attribute);
+        }
+    });
+}
+
+/**
+ * Set the markers of a connection's ends
+ * @param {SVGGElement} connection - The connection group
+ * @param {Object} markers - {source, target} marker types
+ */
+export function setConnectionMarkers(connection, markers) {
+    ENDS.forEach(end => {
+        if (markers[end] && markers[end] !== 'none') {
+            connection.setAttribute(`data-${end}-marker`, markers[end]);
+        } else {
+            connection.removeAttribute(`data-${end}-marker`);
+        }
+    });
+    applyConnectionMarkers(connection);
+}
@@ -0,0 +1,193 @@
+/**
+ * Connection waypoint editing
+ * Double-clicking a connection adds a bend where it was clicked. While a connection is
+ * selected its bends have handles: dragging one moves the bend and double-clicking it removes
+ * it. Editing the bends makes the connection a manual one (see connectionManager.js), so they
+ * stay where they were placed until its routing mode is changed.
+ */
+
+import { appState } from '../state/appState.js';
+import { elements } from '../utils/dom.js';
+import { saveAppState } from '../services/storage.js';
+import { findRouteSegment } from './connectionRouting.js';
+import {
+    getConnectionPoints,
+    isConnectionCurved,
+    setConnectionWaypoints,
+    commitReroutedConnections,
+} from './connectionManager.js';
+
+const HANDLE_RADIUS = 5;
+
+let editedConnection = null;
+let changeCallback = null;
+let handles = [];
+
+/**
+ * Setup adding waypoints by double-clicking a connection
+ */
+export function initializeWaypointEditor() {
+    elements.topologyCanvas.addEventListener('dblclick', e => {
+        const connection = e.target.closest('.connection');
+        if (!connection || appState.isAddingConnection) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        addWaypoint(connection, getCanvasPoint(e));
+    });
+}
+
+/**
+ * Get the canvas position of a mouse event
+ * @param {MouseEvent} e - Mouse event
+ * @returns {Object} {x, y}
+ */
+function getCanvasPoint(e) {
+    const canvasRect = elements.canvas.getBoundingClientRect();
+    return {
+        x: Math.round((e.clientX - canvasRect.left) / appState.currentZoom),
+        y: Math.round((e.clientY - canvasRect.top) / appState.currentZoom),
+    };
+}
+
+/**
+ * Get the waypoints of a connection (its route without the ends)
+ * @param {SVGGElement} connection - The connection group
+ * @returns {Array<Object>} Waypoints {x, y}
+ */
+function getWaypoints(connection) {
+    return getConnectionPoints(connection).slice(1, -1);
+}
+
+/**
+ * Change the waypoints of a connection and refresh its handles
+ * @param {SVGGElement} connection - The connection group
+ * @param {Array<Object>} waypoints - New waypoints
+ */
+function updateWaypoints(connection, waypoints) {
+    setConnectionWaypoints(connection, waypoints);
+    if (connection === editedConnection) {
+        renderHandles();
+        changeCallback?.(connection);
+    }
+}
+
+/**
+ * Add a bend to a connection on the route segment closest to a point
+ * @param {SVGGElement} connection - The connection group
+ * @param {Object} point - Position of the new bend {x, y}
+ */
+export function addWaypoint(connection, point) {
+    const points = getConnectionPoints(connection);
+    if (points.length < 2) return;
+
+    const segment = findRouteSegment(points, point, isConnectionCurved(connection));
+    const waypoints = points.slice(1, -1);
+    waypoints.splice(segment, 0, point);
+
+    updateWaypoints(connection, waypoints);
+    commitReroutedConnections();
+    saveAppState('add connection bend');
+}
+
+/**
+ * Remove a bend from a connection
+ * @param {SVGGElement} connection - The connection group
+ * @param {number} index - Index of the bend among the waypoints
+ */
+export function removeWaypoint(connection, index) {
+    const waypoints = getWaypoints(connection);
+    if (!waypoints[index]) return;
+
+    waypoints.splice(index, 1);
+    updateWaypoints(connection, waypoints);
+    commitReroutedConnections();
+    saveAppState('remove connection bend');
+}
+
+/**
+ * Show the bend handles of a connection
+ * @param {SVGGElement} connection - The connection group
+ * @param {Function} onChange - Called with the connection after its bends were edited
+ */
+export function showWaypointHandles(connection, onChange = null) {
+    editedConnection = connection;
+    changeCallback = onChange;
+    renderHandles();
+}
+
+/**
+ * Remove the bend handles
+ */
+export function hideWaypointHandles() {
+    handles.forEach(handle => handle.remove());
+    handles = [];
+    editedConnection = null;
+    changeCallback = null;
+}
+
+/**
+ * Draw a handle on each bend of the edited connection
+ */
+function renderHandles() {
+    handles.forEach(handle => handle.remove());
+    handles = [];
+    if (!editedConnection?.isConnected) return;
+
+    getWaypoints(editedConnection).forEach((point, index) => {
+        const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        handle.setAttribute('class', 'waypoint-handle');
+        handle.setAttribute('cx', point.x);
+        handle.setAttribute('cy', point.y);
+        handle.setAttribute('r', HANDLE_RADIUS);
+        handle.setAttribute('fill', '#ffffff');
+        handle.setAttribute('stroke', '#2196F3');
+        handle.setAttribute('stroke-width', 2);
+        handle.setAttribute('data-waypoint-index', index);
+        handle.style.cursor = 'move';
+
+        handle.addEventListener('mousedown', e => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            e.preventDefault();
+            startWaypointDrag(editedConnection, index);
+        });
+        handle.addEventListener('dblclick', e => {
+            e.stopPropagation();
+            removeWaypoint(editedConnection, index);
+        });
+        // Keep the connection panel open
+        handle.addEventListener('click', e => e.stopPropagation());
+
+        elements.topologyCanvas.appendChild(handle);
+        handles.push(handle);
+    });
+}
+
+/**
+ * Drag a bend of a connection with the mouse
+ * @param {SVGGElement} connection - The connection group
+ * @param {number} index - Index of the bend among the waypoints
+ */
+function startWaypointDrag(connection, index) {
+    let moved = false;
+
+    const handleMouseMove = e => {
+        const waypoints = getWaypoints(connection);
+        waypoints[index] = getCanvasPoint(e);
+        moved = true;
+        updateWaypoints(connection, waypoints);
+    };
+
+    const handleMouseUp = () => {
+        document.removeEventListener('mousemove', handleMouseMove);
+        document.removeEventListener('mouseup', handleMouseUp);
+        if (moved) {
+            commitReroutedConnections();
+            saveAppState('move connection bend');
+        }
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+}
@@ -4,9 +4,11 @@
 
 import { appState } from '../state/appState.js';
 import { removeResizeHandles, deselectShape } from '../shapes/shapeSelection.js';
-import { zoomIn, zoomOut, resetZoom } from '../canvas/zoom.js';
+import { zoomIn, zoomOut, resetZoom, zoomToFit, zoomToSelection } from '../canvas/zoom.js';
 import { saveAppState } from '../services/storage.js';
 import { deleteShapeConnections } from '../connections/connectionManager.js';
+import { commitRemoval } from '../topology/modelSync.js';
+import { undo, redo } from '../services/history.js';
 
 /**
  * Setup keyboard shortcuts
@@ -50,7 +52,8 @@ function handleKeyDown(e) {
         removeResizeHandles();
 
         // Persist state after deleting shape
-        saveAppState();
+        commitRemoval([shapeId]);
+        saveAppState('delete shape');
         return;
     }
 
@@ -60,9 +63,37 @@ function handleKeyDown(e) {
         return;
     }
 
-    // Zoom shortcuts (Ctrl/Cmd + =/-/0)
+    // Shift+1 zooms to fit the page, Shift+2 to the selection (by key position, as the
+    // characters differ between keyboard layouts)
+    if (e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.code === 'Digit1') {
+            e.preventDefault();
+            zoomToFit();
+            return;
+        }
+        if (e.code === 'Digit2') {
+            e.preventDefault();
+            zoomToSelection();
+            return;
+        }
+    }
+
+    // Zoom and history shortcuts (Ctrl/Cmd + =/-/0, Z, Shift+Z, Y)
     if (e.ctrlKey || e.metaKey) {
         switch (e.key) {
+            case 'z':
+            case 'Z':
+                e.preventDefault();
+                if (e.shiftKey) {
+                    redo();
+                } else {
+                    undo();
+                }
+                break;
+            case 'y':
+                e.preventDefault();
+                redo();
+                break;
             case '=':
             case '+':
                 e.preventDefault();
@@ -7,11 +7,29 @@ import { testApiConnection } from '../services/api.js';
 import {
     newTopology,
     exportTopology,
+    exportCurrentPage,
+    exportDeviceInventory,
+    exportDrawio,
+    exportContainerlab,
+    exportCml,
     importTopology,
+    importIntoCurrentPage,
+    importDrawio,
+    importContainerlab,
+    importCml,
     clearCanvas,
 } from '../topology/fileOperations.js';
-import { exportCanvasAsPNG } from '../topology/pngExport.js';
-import { zoomIn, zoomOut, resetZoom } from '../canvas/zoom.js';
+import { exportCanvasAsPNG, exportAllPagesAsPNG } from '../topology/pngExport.js';
+import { exportCanvasAsSVG } from '../topology/svgExport.js';
+import { SVG_EXPORT_CONFIG } from '../config/constants.js';
+import {
+    zoomIn,
+    zoomOut,
+    resetZoom,
+    zoomToFit,
+    zoomToSelection,
+    setupWheelZoom,
+} from '../canvas/zoom.js';
 
 /**
  * Setup all event listeners for UI elements
@@ -35,8 +53,33 @@ function setupApiListeners() {
 function setupMenuListeners() {
     elements.newTopologyBtn.addEventListener('click', newTopology);
     elements.exportBtn.addEventListener('click', exportTopology);
+    elements.exportPageBtn.addEventListener('click', exportCurrentPage);
     elements.exportPngBtn.addEventListener('click', exportCanvasAsPNG);
+    elements.exportAllPngBtn.addEventListener('click', exportAllPagesAsPNG);
+    elements.exportSvgBtn.addEventListener('click', () => {
+        window.bootstrap.Modal.getOrCreateInstance(elements.svgExportModal).show();
+    });
+    elements.svgExportForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const form = new FormData(elements.svgExportForm);
+        const padding = parseFloat(form.get('padding'));
+        window.bootstrap.Modal.getInstance(elements.svgExportModal)?.hide();
+        exportCanvasAsSVG({
+            background: form.get('background'),
+            padding: Number.isFinite(padding)
+                ? Math.min(Math.max(padding, 0), SVG_EXPORT_CONFIG.MAX_PADDING)
+                : SVG_EXPORT_CONFIG.PADDING,
+        });
+    });
+    elements.exportDrawioBtn.addEventListener('click', exportDrawio);
+    elements.exportContainerlabBtn.addEventListener('click', exportContainerlab);
+    elements.exportCmlBtn.addEventListener('click', exportCml);
+    elements.exportInventoryBtn.addEventListener('click', exportDeviceInventory);
     elements.importBtn.addEventListener('click', importTopology);
+    elements.importPageBtn.addEventListener('click', importIntoCurrentPage);
+    elements.importDrawioBtn.addEventListener('click', importDrawio);
+    elements.importContainerlabBtn.addEventListener('click', importContainerlab);
+    elements.importCmlBtn.addEventListener('click', importCml);
 }
 
 /**
@@ -62,6 +105,17 @@ function setupCanvasControlListeners() {
         hideTooltip(elements.resetZoomBtnFloating);
         resetZoom();
     });
+    elements.zoomFitBtnFloating.addEventListener('click', () => {
+        hideTooltip(elements.zoomFitBtnFloating);
+        zoomToFit();
+    });
+    elements.zoomSelectionBtnFloating.addEventListener('click', () => {
+        hideTooltip(elements.zoomSelectionBtnFloating);
+        zoomToSelection();
+    });
+
+    // Ctrl/Cmd + wheel and pinch zoom around the mouse
+    setupWheelZoom();
 }
 
 /**
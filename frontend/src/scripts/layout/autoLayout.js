@@ -0,0 +1,191 @@
+/**
+ * Automatic layout
+ * Runs a layout algorithm over the shapes of the current page and animates them into place.
+ * With two or more shapes selected (see SelectionMode) only those move; the other shapes stay
+ * where they are, and the force-directed layout still places the selection around them.
+ * Free lines, arrows and text annotations are left alone. Connections follow the shapes as
+ * they move, and the whole move is one undo step.
+ */
+
+import { appState } from '../state/appState.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { saveAppState } from '../services/storage.js';
+import { commitShapes } from '../topology/modelSync.js';
+import { getShapeBounds } from '../shapes/shapeFactory.js';
+import { moveShapeBy } from '../shapes/multiShapeAlignment.js';
+import { LAYOUTS, LAYOUT_CONFIG, CANVAS_CONFIG } from '../config/constants.js';
+import { computeForceLayout } from './forceLayout.js';
+import { computeHierarchicalLayout } from './hierarchicalLayout.js';
+
+// Layout algorithms by LAYOUTS value; each maps the nodes and links to new node centres.
+// `aroundFixed` layouts place shapes around the fixed ones; the others are moved to where
+// their shapes were.
+const LAYOUT_ALGORITHMS = {
+    force: { compute: computeForceLayout, aroundFixed: true },
+    hierarchical: { compute: computeHierarchicalLayout, aroundFixed: false },
+};
+
+const IGNORED_SHAPE_TYPES = ['line', 'arrow', 'text'];
+
+let isAnimating = false;
+
+/**
+ * Get the shapes of the current page that automatic layouts place
+ * @returns {Array<SVGElement>} Shapes
+ */
+export function getLayoutShapes() {
+    return Array.from(elements.topologyCanvas.querySelectorAll('.canvas-shape')).filter(
+        shape => !IGNORED_SHAPE_TYPES.includes(shape.getAttribute('data-shape-type'))
+    );
+}
+
+/**
+ * Get the connections between the shapes of a layout
+ * @param {Set<string>} shapeIds - IDs of the laid out shapes
+ * @returns {Array<Object>} Links {source, target}
+ */
+function getLayoutLinks(shapeIds) {
+    return Array.from(elements.topologyCanvas.querySelectorAll('.connection'))
+        .map(connection => ({
+            source: connection.getAttribute('data-source'),
+            target: connection.getAttribute('data-target'),
+        }))
+        .filter(link => shapeIds.has(link.source) && shapeIds.has(link.target));
+}
+
+/**
+ * Move a layout to where its shapes were, keeping it on the canvas
+ * @param {Array<Object>} nodes - Laid out nodes, at their old centres
+ * @param {Map<string, Object>} positions - New node centres (changed in place)
+ */
+function keepLayoutInPlace(nodes, positions) {
+    const box = (centre, node) => ({
+        left: centre.x - node.width / 2,
+        top: centre.y - node.height / 2,
+        right: centre.x + node.width / 2,
+        bottom: centre.y + node.height / 2,
+    });
+    const oldBoxes = nodes.map(node => box(node, node));
+    const newBoxes = nodes.map(node => box(positions.get(node.id) || node, node));
+    const extent = boxes => ({
+        left: Math.min(...boxes.map(b => b.left)),
+        top: Math.min(...boxes.map(b => b.top)),
+        right: Math.max(...boxes.map(b => b.right)),
+        bottom: Math.max(...boxes.map(b => b.bottom)),
+    });
+    const oldExtent = extent(oldBoxes);
+    const newExtent = extent(newBoxes);
+    const clamp = (value, size, canvasSize) =>
+        Math.max(LAYOUT_CONFIG.MARGIN, Math.min(value, canvasSize - LAYOUT_CONFIG.MARGIN - size));
+
+    // Shift by whole grid cells, so shapes the layout spaced on the grid stay on it
+    const snap = value => Math.round(value / CANVAS_CONFIG.GRID_SIZE) * CANVAS_CONFIG.GRID_SIZE;
+
+    const left = clamp(oldExtent.left, newExtent.right - newExtent.left, CANVAS_CONFIG.WIDTH);
+    const top = clamp(oldExtent.top, newExtent.bottom - newExtent.top, CANVAS_CONFIG.HEIGHT);
+    const dx = snap(left - newExtent.left);
+    const dy = snap(top - newExtent.top);
+    positions.forEach(centre => {
+        centre.x += dx;
+        centre.y += dy;
+    });
+}
+
+/**
+ * Lay out the shapes of the current page, or only the selected ones
+ * @param {string} layout - Layout (see LAYOUTS)
+ * @param {Object} options - Options of the layout algorithm, e.g. the direction of the
+ *     hierarchical layout (see hierarchicalLayout.js)
+ */
+export function runAutoLayout(layout, options = {}) {
+    const algorithm = LAYOUT_ALGORITHMS[layout];
+    if (!algorithm || isAnimating) return;
+
+    const shapes = getLayoutShapes();
+    const selected = new Set(appState.selectionManager?.getSelectedShapes() || []);
+    const selectionOnly = shapes.filter(shape => selected.has(shape.id)).length >= 2;
+
+    const nodes = shapes.map(shape => {
+        const bounds = getShapeBounds(shape);
+        return {
+            id: shape.id,
+            x: bounds.centerX,
+            y: bounds.centerY,
+            width: bounds.width,
+            height: bounds.height,
+            fixed: selectionOnly && !selected.has(shape.id),
+            type: shape.getAttribute('data-shape-type'),
+            role: topologyModel.getDevice(shape.getAttribute('data-device'))?.properties.role,
+        };
+    });
+    if (nodes.filter(node => !node.fixed).length < 2) {
+        showAlert('Add at least two shapes to lay them out.', 'Auto Layout', 'info');
+        return;
+    }
+
+    const links = getLayoutLinks(new Set(nodes.map(node => node.id)));
+    const positions = algorithm.compute(nodes, links, options);
+    if (!selectionOnly || !algorithm.aroundFixed) {
+        keepLayoutInPlace(
+            nodes.filter(node => positions.has(node.id)),
+            positions
+        );
+    }
+
+    const moves = nodes
+        .filter(node => positions.has(node.id))
+        .map(node => ({
+            shape: document.getElementById(node.id),
+            x: node.x,
+            y: node.y,
+            dx: Math.round(positions.get(node.id).x - node.x),
+            dy: Math.round(positions.get(node.id).y - node.y),
+        }))
+        .filter(move => move.dx !== 0 || move.dy !== 0);
+
+    const label = LAYOUTS.find(item => item.value === layout).label.toLowerCase();
+    animateMoves(moves, `${label} layout`);
+}
+
+/**
+ * Move shapes into place over LAYOUT_CONFIG.ANIMATION_DURATION, then save them
+ * @param {Array<Object>} moves - Shape moves {shape, x, y, dx, dy} from their centre {x, y}
+ * @param {string} label - Undo label
+ */
+function animateMoves(moves, label) {
+    if (moves.length === 0) return;
+
+    isAnimating = true;
+    let start = null;
+
+    const step = time => {
+        if (start === null) start = time;
+        const progress = Math.min((time - start) / LAYOUT_CONFIG.ANIMATION_DURATION, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        // Each step moves from where the shape is, so the last one ends exactly in place
+        moves.forEach(move => {
+            const bounds = getShapeBounds(move.shape);
+            moveShapeBy(
+                move.shape,
+                move.x + move.dx * eased - bounds.centerX,
+                move.y + move.dy * eased - bounds.centerY
+            );
+        });
+
+        if (progress < 1) {
+            requestAnimationFrame(step);
+            return;
+        }
+        isAnimating = false;
+        // Nothing to save if another page was opened meanwhile
+        if (moves.some(move => move.shape.isConnected)) {
+            commitShapes(moves.map(move => move.shape));
+            saveAppState(label);
+        }
+    };
+
+    requestAnimationFrame(step);
+}
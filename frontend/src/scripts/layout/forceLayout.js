@@ -0,0 +1,174 @@
+/**
+ * Force-directed layout
+ * Shapes push each other apart, connected shapes pull towards each other until they are a
+ * link length apart, and a weak pull towards the middle keeps unconnected shapes nearby.
+ * Distances are measured between the edges of the shapes rather than their centres, so large
+ * shapes get the room they need, and a last pass moves overlapping shapes apart.
+ * This module does not touch the DOM; see autoLayout.js for running it on the canvas.
+ */
+
+import { LAYOUT_CONFIG } from '../config/constants.js';
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const MAX_OVERLAP_PASSES = 50;
+// Shapes further apart than this many link lengths no longer push each other
+const REPULSION_RANGE = 3;
+
+/**
+ * Give shapes that are on top of each other (e.g. imported without positions) their own
+ * starting place on a spiral around the spot, so the forces can tell them apart
+ * @param {Array<Object>} bodies - Layout bodies
+ * @param {number} spacing - Smallest gap between shapes
+ */
+function spreadStackedBodies(bodies, spacing) {
+    const spots = new Map();
+    bodies.forEach(body => {
+        const key = `${Math.round(body.x)},${Math.round(body.y)}`;
+        if (!spots.has(key)) spots.set(key, []);
+        spots.get(key).push(body);
+    });
+
+    spots.forEach(stack => {
+        stack
+            .filter(body => !body.fixed)
+            .forEach((body, index) => {
+                if (index === 0 && !stack[0].fixed) return;
+                const radius = (body.radius + spacing) * Math.sqrt(index + 1);
+                body.x += Math.cos(index * GOLDEN_ANGLE) * radius;
+                body.y += Math.sin(index * GOLDEN_ANGLE) * radius;
+            });
+    });
+}
+
+/**
+ * Move overlapping shapes apart along the axis they overlap least on
+ * Fixed shapes don't move: the other shape of the pair moves the whole way
+ * @param {Array<Object>} bodies - Layout bodies
+ * @param {number} spacing - Smallest gap between shapes
+ */
+function removeOverlaps(bodies, spacing) {
+    for (let pass = 0; pass < MAX_OVERLAP_PASSES; pass++) {
+        let moved = false;
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                if (a.fixed && b.fixed) continue;
+
+                const overlapX = (a.width + b.width) / 2 + spacing - Math.abs(a.x - b.x);
+                const overlapY = (a.height + b.height) / 2 + spacing - Math.abs(a.y - b.y);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+
+                const alongX = overlapX < overlapY;
+                const sign = (alongX ? a.x - b.x : a.y - b.y) < 0 ? -1 : 1;
+                const distance = alongX ? overlapX : overlapY;
+                const share = a.fixed || b.fixed ? 1 : 0.5;
+                const axis = alongX ? 'x' : 'y';
+
+                if (!a.fixed) a[axis] += sign * distance * share;
+                if (!b.fixed) b[axis] -= sign * distance * share;
+                moved = true;
+            }
+        }
+
+        if (!moved) return;
+    }
+}
+
+/**
+ * Compute a force-directed layout
+ * @param {Array<Object>} nodes - Shapes {id, x, y, width, height, fixed}, placed by their
+ *     centre; fixed shapes stay where they are but still push and pull the others
+ * @param {Array<Object>} links - Connections {source, target} between node IDs
+ * @param {Object} options - Overrides of LAYOUT_CONFIG {linkLength, spacing, iterations, gravity}
+ * @returns {Map<string, Object>} New centre {x, y} of every shape that isn't fixed
+ */
+export function computeForceLayout(nodes, links, options = {}) {
+    const {
+        linkLength = LAYOUT_CONFIG.LINK_LENGTH,
+        spacing = LAYOUT_CONFIG.SPACING,
+        iterations = LAYOUT_CONFIG.ITERATIONS,
+        gravity = LAYOUT_CONFIG.GRAVITY,
+    } = options;
+
+    const bodies = nodes.map(node => ({
+        ...node,
+        radius: Math.hypot(node.width, node.height) / 2,
+    }));
+    const movable = bodies.filter(body => !body.fixed);
+    if (movable.length === 0) return new Map();
+
+    const bodiesById = new Map(bodies.map(body => [body.id, body]));
+    const springs = links
+        .map(link => [bodiesById.get(link.source), bodiesById.get(link.target)])
+        .filter(([a, b]) => a && b && a !== b);
+
+    spreadStackedBodies(bodies, spacing);
+
+    // The temperature limits how far a shape moves in one step; it cools down so the
+    // layout settles
+    let temperature = Math.max(linkLength, ...movable.map(body => body.radius));
+    const cooling = temperature / iterations;
+
+    for (let step = 0; step < iterations; step++) {
+        bodies.forEach(body => {
+            body.forceX = 0;
+            body.forceY = 0;
+        });
+
+        // Nearby shapes push apart, harder the closer their edges are
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.hypot(dx, dy) || 0.01;
+                const gap = Math.max(distance - a.radius - b.radius, 1);
+                if (gap > linkLength * REPULSION_RANGE) continue;
+                const force = (linkLength * linkLength) / gap;
+
+                a.forceX += (dx / distance) * force;
+                a.forceY += (dy / distance) * force;
+                b.forceX -= (dx / distance) * force;
+                b.forceY -= (dy / distance) * force;
+            }
+        }
+
+        // Connected shapes pull together; pushes and pulls balance at a link length apart
+        springs.forEach(([a, b]) => {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.hypot(dx, dy) || 0.01;
+            const gap = distance - a.radius - b.radius;
+            const force = (gap * Math.abs(gap)) / linkLength;
+
+            a.forceX += (dx / distance) * force;
+            a.forceY += (dy / distance) * force;
+            b.forceX -= (dx / distance) * force;
+            b.forceY -= (dy / distance) * force;
+        });
+
+        // A weak pull towards the middle keeps unconnected shapes close
+        const middleX = bodies.reduce((sum, body) => sum + body.x, 0) / bodies.length;
+        const middleY = bodies.reduce((sum, body) => sum + body.y, 0) / bodies.length;
+
+        movable.forEach(body => {
+            body.forceX += (middleX - body.x) * gravity;
+            body.forceY += (middleY - body.y) * gravity;
+
+            const force = Math.hypot(body.forceX, body.forceY);
+            if (force === 0) return;
+            const move = Math.min(force, temperature);
+            body.x += (body.forceX / force) * move;
+            body.y += (body.forceY / force) * move;
+        });
+
+        temperature = Math.max(temperature - cooling, 1);
+    }
+
+    removeOverlaps(bodies, spacing);
+
+    return new Map(movable.map(body => [body.id, { x: body.x, y: body.y }]));
+}
@@ -0,0 +1,250 @@
+/**
+ * Hierarchical layout
+ * Places shapes in tiers, top-down or left to right, the way core/distribution/access designs
+ * are drawn. A shape's tier comes from the role of its device (see LAYOUT_TIERS), or from how
+ * many connections it is away from a root shape such as the WAN cloud. The shapes of each tier
+ * are then reordered so fewer links cross, and spaced evenly on the canvas grid.
+ * This module does not touch the DOM; see autoLayout.js for running it on the canvas.
+ */
+
+import {
+    LAYOUT_CONFIG,
+    LAYOUT_TIERS,
+    LAYOUT_ROOT_TYPES,
+    CANVAS_CONFIG,
+} from '../config/constants.js';
+
+/**
+ * Get the LAYOUT_TIERS index of a device role
+ * @param {string} role - Role property, e.g. "Core switch"
+ * @returns {number} Tier index, or -1 if no tier has one of the role's words
+ */
+function getRoleTier(role) {
+    const words = String(role || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/);
+    return LAYOUT_TIERS.findIndex(tier => tier.roles.some(name => words.includes(name)));
+}
+
+/**
+ * Give every shape without a tier one, counting connections outwards from a root shape
+ * Each group of connected shapes that has no tier yet gets its own root: the picked root if
+ * it is in the group, else its first root-type shape (see LAYOUT_ROOT_TYPES), else its most
+ * connected shape.
+ * @param {Array<Object>} bodies - Layout bodies
+ * @param {Map<Object, Set<Object>>} neighbours - Connected bodies of each body
+ * @param {string} rootId - ID of the picked root shape, if any
+ */
+function assignDepthTiers(bodies, neighbours, rootId) {
+    const rank = body => {
+        if (body.id === rootId) return Infinity;
+        if (LAYOUT_ROOT_TYPES.includes(body.type)) return bodies.length + 1;
+        return neighbours.get(body).size;
+    };
+    const candidates = [...bodies].sort((a, b) => rank(b) - rank(a));
+
+    candidates.forEach(root => {
+        if (root.tier !== null) return;
+        root.tier = 0;
+        const queue = [root];
+        while (queue.length > 0) {
+            const body = queue.shift();
+            neighbours.get(body).forEach(next => {
+                if (next.tier !== null) return;
+                next.tier = body.tier + 1;
+                queue.push(next);
+            });
+        }
+    });
+}
+
+/**
+ * Give shapes a tier from the role of their device
+ * Root-type shapes without a role (a WAN cloud) go in the top tier. Other shapes without a
+ * known role go one tier below the nearest shape that has one, so hosts without a role still
+ * end up under their access switch.
+ * @param {Array<Object>} bodies - Layout bodies
+ * @param {Map<Object, Set<Object>>} neighbours - Connected bodies of each body
+ */
+function assignRoleTiers(bodies, neighbours) {
+    const queue = [];
+    bodies.forEach(body => {
+        let tier = getRoleTier(body.role);
+        if (tier === -1 && !body.role && LAYOUT_ROOT_TYPES.includes(body.type)) tier = 0;
+        if (tier === -1) return;
+        body.tier = tier;
+        queue.push(body);
+    });
+
+    while (queue.length > 0) {
+        const body = queue.shift();
+        neighbours.get(body).forEach(next => {
+            if (next.tier !== null) return;
+            next.tier = body.tier + 1;
+            queue.push(next);
+        });
+    }
+}
+
+/**
+ * Count the links that cross between two neighbouring tiers
+ * @param {Array<Object>} upper - Bodies of the upper tier, in order
+ * @param {Map<Object, Set<Object>>} neighbours - Connected bodies of each body
+ * @param {Map<Object, number>} orderOf - Position of each body in its tier
+ * @returns {number} Crossings
+ */
+function countCrossings(upper, neighbours, orderOf) {
+    const edges = [];
+    upper.forEach(body => {
+        neighbours.get(body).forEach(next => {
+            if (next.tier === body.tier + 1) edges.push([orderOf.get(body), orderOf.get(next)]);
+        });
+    });
+
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            if ((edges[i][0] - edges[j][0]) * (edges[i][1] - edges[j][1]) < 0) crossings++;
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Reorder the shapes of each tier to uncross links
+ * Sweeps down and up the tiers, sorting each tier by the average position of the connected
+ * shapes in the tiers already swept (the barycenter method), and keeps the best order seen.
+ * @param {Array<Array<Object>>} tiers - Bodies of each tier (reordered in place)
+ * @param {Map<Object, Set<Object>>} neighbours - Connected bodies of each body
+ * @param {number} sweeps - Number of sweeps
+ */
+function orderTiers(tiers, neighbours, sweeps) {
+    const orderOf = new Map();
+    const updateOrder = () => {
+        tiers.forEach(tier => tier.forEach((body, index) => orderOf.set(body, index)));
+    };
+    const totalCrossings = () =>
+        tiers
+            .slice(0, -1)
+            .reduce((sum, tier) => sum + countCrossings(tier, neighbours, orderOf), 0);
+    // Positions relative to the tier's width, so tiers with more shapes compare fairly
+    const place = body => (orderOf.get(body) + 0.5) / tiers[body.tier].length;
+
+    updateOrder();
+    let best = tiers.map(tier => [...tier]);
+    let fewest = totalCrossings();
+
+    for (let sweep = 0; sweep < sweeps && fewest > 0; sweep++) {
+        const downwards = sweep % 2 === 0;
+        const indexes = tiers.map((tier, index) => index);
+        if (!downwards) indexes.reverse();
+
+        indexes.slice(1).forEach(index => {
+            const centre = new Map(
+                tiers[index].map(body => {
+                    const swept = [...neighbours.get(body)].filter(next =>
+                        downwards ? next.tier < index : next.tier > index
+                    );
+                    if (swept.length === 0) return [body, place(body)];
+                    return [body, swept.reduce((sum, next) => sum + place(next), 0) / swept.length];
+                })
+            );
+            // Sorting is stable, so shapes with the same centre keep their order
+            tiers[index].sort((a, b) => centre.get(a) - centre.get(b));
+            tiers[index].forEach((body, position) => orderOf.set(body, position));
+        });
+
+        const crossings = totalCrossings();
+        if (crossings < fewest) {
+            fewest = crossings;
+            best = tiers.map(tier => [...tier]);
+        }
+    }
+
+    best.forEach((tier, index) => {
+        tiers[index] = tier;
+    });
+}
+
+/**
+ * Compute a hierarchical layout
+ * @param {Array<Object>} nodes - Shapes {id, x, y, width, height, fixed, role, type}, placed
+ *     by their centre; fixed shapes are left out of the layout
+ * @param {Array<Object>} links - Connections {source, target} between node IDs
+ * @param {Object} options - Layout options
+ * @param {string} [options.direction='down'] - 'down' for top-down tiers, 'right' for left to right
+ * @param {string} [options.tiers='roles'] - 'roles' to take tiers from device roles (shapes
+ *     without one are placed by their connections), 'depth' to count connections from the root
+ * @param {string} [options.root] - ID of the root shape; picked automatically if not given
+ * @param {number} [options.spacing] - Smallest gap between shapes of a tier
+ * @param {number} [options.tierSpacing] - Smallest gap between tiers
+ * @param {number} [options.sweeps] - Passes that reorder the tiers to uncross links
+ * @returns {Map<string, Object>} New centre {x, y} of every shape that isn't fixed
+ */
+export function computeHierarchicalLayout(nodes, links, options = {}) {
+    const {
+        direction = 'down',
+        tiers: tierSource = 'roles',
+        root = null,
+        spacing = LAYOUT_CONFIG.SPACING,
+        tierSpacing = LAYOUT_CONFIG.TIER_SPACING,
+        sweeps = LAYOUT_CONFIG.ORDERING_SWEEPS,
+    } = options;
+
+    const bodies = nodes.filter(node => !node.fixed).map(node => ({ ...node, tier: null }));
+    if (bodies.length === 0) return new Map();
+
+    const bodiesById = new Map(bodies.map(body => [body.id, body]));
+    const neighbours = new Map(bodies.map(body => [body, new Set()]));
+    links.forEach(link => {
+        const a = bodiesById.get(link.source);
+        const b = bodiesById.get(link.target);
+        if (!a || !b || a === b) return;
+        neighbours.get(a).add(b);
+        neighbours.get(b).add(a);
+    });
+
+    if (tierSource === 'roles') {
+        assignRoleTiers(bodies, neighbours);
+    }
+    assignDepthTiers(bodies, neighbours, root);
+
+    // Drop empty tiers, e.g. when no device has the WAN role
+    const used = [...new Set(bodies.map(body => body.tier))].sort((a, b) => a - b);
+    bodies.forEach(body => {
+        body.tier = used.indexOf(body.tier);
+    });
+
+    // Across is the axis along a tier, down the axis from tier to tier
+    const horizontal = direction === 'right';
+    const across = horizontal ? 'y' : 'x';
+    const down = horizontal ? 'x' : 'y';
+    const acrossSize = body => (horizontal ? body.height : body.width);
+    const downSize = body => (horizontal ? body.width : body.height);
+
+    // Start from the current arrangement, so running the layout again changes little
+    const tiers = used.map(() => []);
+    [...bodies].sort((a, b) => a[across] - b[across]).forEach(body => tiers[body.tier].push(body));
+    orderTiers(tiers, neighbours, sweeps);
+
+    // Every shape gets a slot of the same size, rounded up to the grid
+    const grid = CANVAS_CONFIG.GRID_SIZE;
+    const snap = value => Math.ceil(value / grid) * grid;
+    const slot = snap(Math.max(...bodies.map(acrossSize)) + spacing);
+    const pitch = snap(Math.max(...bodies.map(downSize)) + tierSpacing);
+    const widest = Math.max(...tiers.map(tier => tier.length));
+
+    const positions = new Map();
+    tiers.forEach((tier, tierIndex) => {
+        // Centre each tier under the widest one, staying on the grid
+        const offset = Math.round(((widest - tier.length) * slot) / 2 / grid) * grid;
+        tier.forEach((body, index) => {
+            positions.set(body.id, {
+                [across]: offset + index * slot + slot / 2,
+                [down]: tierIndex * pitch + pitch / 2,
+            });
+        });
+    });
+
+    return positions;
+}
@@ -0,0 +1,123 @@
+/**
+ * IndexedDB document store
+ * Persists the workspace's topology documents. Each record holds one named topology:
+ *
+ *   {
+ *     id: 'doc-…',            // Record key
+ *     name: 'Campus network',
+ *     created: ISO date, modified: ISO date,
+ *     thumbnail: 'data:image/png;base64,…' | null,
+ *     topology: { …serialized topology model, including each page's `view` (zoom/scroll) },
+ *     counters: { shape, connection }   // Next shape/connection ID numbers
+ *   }
+ */
+
+import { WORKSPACE_CONFIG } from '../config/constants.js';
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the document database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ * @throws {Error} If IndexedDB is not available (e.g. disabled by the browser)
+ */
+export function openDocumentStore() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(WORKSPACE_CONFIG.DB_NAME, WORKSPACE_CONFIG.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(WORKSPACE_CONFIG.STORE)) {
+                    database.createObjectStore(WORKSPACE_CONFIG.STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The document database is blocked'));
+        });
+
+        // Allow a later retry if opening failed
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run a request against the document object store
+ * Resolves once the transaction has committed, so a write is stored when the promise resolves
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} createRequest - Receives the object store and returns a request
+ * @returns {Promise<*>} The request result
+ * @throws {Error} If the request fails or the transaction is aborted (e.g. quota exceeded)
+ */
+async function withStore(mode, createRequest) {
+    const database = await openDocumentStore();
+    const transaction = database.transaction(WORKSPACE_CONFIG.STORE, mode);
+    const committed = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () =>
+            reject(transaction.error || new Error('The document transaction was aborted'));
+    });
+
+    const [result] = await Promise.all([
+        promisifyRequest(createRequest(transaction.objectStore(WORKSPACE_CONFIG.STORE))),
+        committed,
+    ]);
+    return result;
+}
+
+/**
+ * Get every document record
+ * @returns {Promise<Array<Object>>} Document records
+ */
+export function getAllDocuments() {
+    return withStore('readonly', store => store.getAll());
+}
+
+/**
+ * Get a document record
+ * @param {string} id - Document ID
+ * @returns {Promise<Object|null>} The record, or null if it doesn't exist
+ */
+export async function getDocument(id) {
+    const record = await withStore('readonly', store => store.get(id));
+    return record || null;
+}
+
+/**
+ * Create or replace a document record
+ * @param {Object} record - Document record
+ * @returns {Promise<string>} The document ID
+ */
+export function putDocument(record) {
+    return withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a document record
+ * @param {string} id - Document ID
+ * @returns {Promise<void>}
+ */
+export function removeDocument(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
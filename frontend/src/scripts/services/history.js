@@ -0,0 +1,297 @@
+/**
+ * Undo/redo for canvas edits
+ * Every saved topology change is recorded as a snapshot command on the command history.
+ * Gestures (drag, resize) and multi-part actions are grouped into a single step with
+ * beginHistoryStep()/endHistoryStep() or runHistoryStep(). Undoing or redoing a step shows
+ * the page it was made on. The number of steps kept is picked from the canvas toolbar and
+ * remembered in localStorage.
+ */
+
+import { appState } from '../state/appState.js';
+import { commandHistory } from '../state/commandHistory.js';
+import { HISTORY_CONFIG } from '../config/constants.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { elements } from '../utils/dom.js';
+import { serializeTopology } from '../topology/modelSync.js';
+import { saveAppState } from './storage.js';
+import { showCurrentPage } from './restore.js';
+
+let baseline = null; // Document snapshot the next recorded change starts from
+let openStep = null; // Step grouping several saves, e.g. { label: 'move shape' }
+let isApplying = false; // True while an undo/redo snapshot is being rendered
+
+/**
+ * Get the comparable document part of a serialized topology
+ * Save time, the shown page and page views (zoom/scroll) are not part of the undo history
+ * @param {Object} topology - Serialized topology
+ * @returns {string} Document snapshot
+ */
+function getSnapshot(topology) {
+    const content = { ...topology };
+    delete content.saved;
+    delete content.currentPage;
+    content.pages = topology.pages.map(page => {
+        const { view, ...rest } = page;
+        return rest;
+    });
+    return JSON.stringify(content);
+}
+
+/**
+ * Create a command that switches the canvas between two document snapshots
+ * @param {string} label - Human readable step name
+ * @param {string} before - Snapshot before the change
+ * @param {string} after - Snapshot after the change
+ * @param {string} pageId - Page the change was made on
+ * @returns {Object} Command with undo() and redo()
+ */
+function createSnapshotCommand(label, before, after, pageId) {
+    return {
+        label,
+        undo: () => applySnapshot(before, pageId),
+        redo: () => applySnapshot(after, pageId),
+    };
+}
+
+/**
+ * Replace the topology with a document snapshot and show the page of the step
+ * Pages keep their current views
+ * @param {string} snapshot - Document snapshot
+ * @param {string} pageId - Page to show (the current page stays if the snapshot lacks it)
+ */
+function applySnapshot(snapshot, pageId) {
+    const topology = JSON.parse(snapshot);
+    topology.pages.forEach(page => {
+        page.view = topologyModel.getPage(page.id)?.view || null;
+    });
+
+    const previousPageId = topologyModel.currentPageId;
+    topology.currentPage = topology.pages.some(page => page.id === pageId)
+        ? pageId
+        : previousPageId;
+
+    isApplying = true;
+    try {
+        topologyModel.load(topology);
+        showCurrentPage(topologyModel.currentPageId !== previousPageId);
+        saveAppState();
+    } finally {
+        isApplying = false;
+    }
+    baseline = snapshot;
+}
+
+/**
+ * Record a saved topology as an undo step if the document changed
+ * Called by the storage service on every topology save
+ * @param {Object} topology - Serialized topology
+ * @param {string} label - Step name used when the change is recorded
+ */
+export function recordTopologyChange(topology, label = 'edit') {
+    // Undo/redo and grouped steps record their own snapshots
+    if (isApplying || openStep) return;
+
+    const snapshot = getSnapshot(topology);
+    if (baseline !== null && snapshot !== baseline) {
+        commandHistory.push(createSnapshotCommand(label, baseline, snapshot, topology.currentPage));
+    }
+    baseline = snapshot;
+}
+
+/**
+ * Start grouping changes into a single undo step
+ * Nested calls are ignored so the outermost step wins
+ * @param {string} label - Step name, e.g. 'move shape'
+ */
+export function beginHistoryStep(label) {
+    if (openStep) return;
+
+    if (baseline === null) {
+        baseline = getSnapshot(serializeTopology());
+    }
+    openStep = { label };
+}
+
+/**
+ * Finish the current step and record it if the document changed
+ */
+export function endHistoryStep() {
+    if (!openStep) return;
+
+    const { label } = openStep;
+    openStep = null;
+    recordTopologyChange(serializeTopology(), label);
+}
+
+/**
+ * Run an action as a single undo step
+ * @param {string} label - Step name
+ * @param {Function} action - Action to run
+ * @returns {*} The action's return value
+ */
+export function runHistoryStep(label, action) {
+    const isOuterStep = !openStep;
+    beginHistoryStep(label);
+    try {
+        return action();
+    } finally {
+        if (isOuterStep) {
+            endHistoryStep();
+        }
+    }
+}
+
+/**
+ * Undo the last change
+ */
+export function undo() {
+    endHistoryStep();
+    commandHistory.undo();
+}
+
+/**
+ * Redo the last undone change
+ */
+export function redo() {
+    endHistoryStep();
+    commandHistory.redo();
+}
+
+/**
+ * Forget all undo steps and start tracking from the current topology
+ * Used after restoring or replacing the whole document
+ */
+export function resetHistory() {
+    openStep = null;
+    baseline = getSnapshot(serializeTopology());
+    commandHistory.clear();
+}
+
+/**
+ * Get the chosen maximum number of undo steps
+ * @returns {number} Maximum history depth
+ */
+export function getHistoryDepth() {
+    try {
+        const depth = parseInt(localStorage.getItem(HISTORY_CONFIG.STORAGE_KEY), 10);
+        return depth > 0 ? depth : HISTORY_CONFIG.DEFAULT_DEPTH;
+    } catch (error) {
+        return HISTORY_CONFIG.DEFAULT_DEPTH;
+    }
+}
+
+/**
+ * Set and remember the maximum number of undo steps kept
+ * The oldest steps beyond it are dropped at once
+ * @param {number} depth - Maximum history depth
+ */
+export function setHistoryDepth(depth) {
+    try {
+        localStorage.setItem(HISTORY_CONFIG.STORAGE_KEY, String(depth));
+    } catch (error) {
+        console.error('Error saving history depth:', error);
+    }
+
+    commandHistory.setLimit(depth);
+    renderHistoryDepthMenu();
+}
+
+/**
+ * Setup the undo/redo toolbar buttons
+ */
+export function initializeHistoryControls() {
+    if (elements.undoBtn) {
+        elements.undoBtn.addEventListener('click', () => {
+            hideTooltip(elements.undoBtn);
+            undo();
+        });
+    }
+    if (elements.redoBtn) {
+        elements.redoBtn.addEventListener('click', () => {
+            hideTooltip(elements.redoBtn);
+            redo();
+        });
+    }
+
+    if (elements.historyDepthMenu) {
+        elements.historyDepthMenu.replaceChildren(
+            ...HISTORY_CONFIG.DEPTH_OPTIONS.map(depth => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'dropdown-item';
+                button.dataset.depth = depth;
+                button.textContent = `Keep ${depth} undo steps`;
+                item.appendChild(button);
+                return item;
+            })
+        );
+        elements.historyDepthMenu.addEventListener('click', e => {
+            const item = e.target.closest('[data-depth]');
+            if (item) setHistoryDepth(Number(item.dataset.depth));
+        });
+    }
+
+    commandHistory.setLimit(getHistoryDepth());
+    renderHistoryDepthMenu();
+
+    commandHistory.onChange(updateHistoryControls);
+    updateHistoryControls();
+}
+
+/**
+ * Mark the chosen history depth in the toolbar menu
+ */
+function renderHistoryDepthMenu() {
+    const depth = getHistoryDepth();
+    elements.historyDepthMenu?.querySelectorAll('[data-depth]').forEach(item => {
+        item.classList.toggle('active', Number(item.dataset.depth) === depth);
+    });
+}
+
+/**
+ * Enable/disable the undo/redo buttons and describe the next step in their tooltips
+ */
+function updateHistoryControls() {
+    const undoLabel = commandHistory.getUndoLabel();
+    const redoLabel = commandHistory.getRedoLabel();
+
+    updateHistoryButton(
+        elements.undoBtn,
+        !commandHistory.canUndo(),
+        undoLabel ? `Undo ${undoLabel} (Ctrl/Cmd Z)` : 'Undo (Ctrl/Cmd Z)'
+    );
+    updateHistoryButton(
+        elements.redoBtn,
+        !commandHistory.canRedo(),
+        redoLabel ? `Redo ${redoLabel} (Ctrl/Cmd Shift Z)` : 'Redo (Ctrl/Cmd Shift Z)'
+    );
+}
+
+/**
+ * Update a history button's state and tooltip
+ * @param {HTMLElement} button - The button
+ * @param {boolean} disabled - Whether the button is disabled
+ * @param {string} title - Tooltip text
+ */
+function updateHistoryButton(button, disabled, title) {
+    if (!button) return;
+
+    button.disabled = disabled;
+    button.setAttribute('aria-label', title);
+    button.setAttribute('data-bs-title', title);
+
+    const tooltipInstance = window.bootstrap?.Tooltip.getInstance(button);
+    if (tooltipInstance) {
+        tooltipInstance.setContent({ '.tooltip-inner': title });
+    }
+}
+
+/**
+ * Hide Bootstrap tooltip for an element
+ * @param {HTMLElement} element - The element
+ */
+function hideTooltip(element) {
+    const tooltipInstance = window.bootstrap?.Tooltip.getInstance(element);
+    if (tooltipInstance) tooltipInstance.hide();
+}
@@ -1,9 +1,19 @@
 /**
  * Storage service for persisting application state
+ * Saves go to the open workspace document (see workspace.js). The localStorage keys below hold
+ * the single topology of earlier versions; they are still used when IndexedDB is unavailable.
  */
 
 import { appState } from '../state/appState.js';
 import { elements } from '../utils/dom.js';
+import { serializeTopology } from '../topology/modelSync.js';
+import { recordTopologyChange } from './history.js';
+import {
+    isWorkspaceLoading,
+    hasOpenDocument,
+    saveDocumentTopology,
+    saveDocumentView,
+} from './workspace.js';
 
 const STORAGE_KEYS = {
     TOPOLOGY: 'topologyBuilder_topology',
@@ -14,136 +24,19 @@ const STORAGE_KEYS = {
 };
 
 /**
- * Save the current topology to localStorage
+ * Save the current topology to the open document (or localStorage)
+ * Serialized through the topology model, exactly like file export
+ * @param {string} historyLabel - Undo step name if the save records a change (optional)
  */
-export function saveTopology() {
+export function saveTopology(historyLabel) {
     try {
-        const shapes = Array.from(elements.topologyCanvas.querySelectorAll('.canvas-shape'));
-        const connections = Array.from(elements.topologyCanvas.querySelectorAll('.connection'));
-
-        const topology = {
-            version: '1.0',
-            saved: new Date().toISOString(),
-            shapes: shapes.map(shape => {
-                const shapeData = {
-                    id: shape.id,
-                    tagName: shape.tagName.toLowerCase(), // SVG element type (circle, ellipse, rect, g)
-                    shapeType: shape.getAttribute('data-shape-type'), // Shape type (circle, oval, rectangle, square, or cisco shape)
-                    layer: shape.parentElement?.id || 'shapesLayer', // Save which layer the shape is in
-                    attributes: Array.from(shape.attributes).reduce((acc, attr) => {
-                        // Skip internal attributes
-                        if (attr.name !== 'class' && attr.name !== 'id') {
-                            acc[attr.name] = attr.value;
-                        }
-                        return acc;
-                    }, {}),
-                    style: {
-                        cursor: shape.style.cursor || '',
-                    },
-                };
-
-                // For group elements (Cisco shapes), save the innerHTML
-                if (shape.tagName.toLowerCase() === 'g') {
-                    shapeData.innerHTML = shape.innerHTML;
-                }
-
-                return shapeData;
-            }),
-            connections: connections.map(connection => {
-                const sourceLabelId = connection.getAttribute('data-source-label-id');
-                const targetLabelId = connection.getAttribute('data-target-label-id');
-                const centerLabelId = connection.getAttribute('data-center-label-id');
-
-                const sourceLabel = document.getElementById(sourceLabelId);
-                const targetLabel = document.getElementById(targetLabelId);
-                const centerLabel = document.getElementById(centerLabelId);
-
-                const line = connection.querySelector('.connection-line');
-                return {
-                    id: connection.id,
-                    sourceId: connection.getAttribute('data-source'),
-                    targetId: connection.getAttribute('data-target'),
-                    line: {
-                        x1: line.getAttribute('x1'),
-                        y1: line.getAttribute('y1'),
-                        x2: line.getAttribute('x2'),
-                        y2: line.getAttribute('y2'),
-                        stroke: line.getAttribute('stroke') || '#6c757d',
-                        strokeWidth: line.getAttribute('stroke-width') || '3',
-                        strokeDasharray: line.getAttribute('stroke-dasharray') || '',
-                    },
-                    sourceLabel: sourceLabel
-                        ? {
-                              text: sourceLabel.textContent || '',
-                              x: sourceLabel.getAttribute('x') || '0',
-                              y: sourceLabel.getAttribute('y') || '0',
-                              dx: sourceLabel.getAttribute('dx') || '0',
-                              dy: sourceLabel.getAttribute('dy') || '0',
-                              textAnchor: sourceLabel.getAttribute('text-anchor') || 'start',
-                              constraintCenterX:
-                                  sourceLabel.getAttribute('data-constraint-center-x') || null,
-                              constraintCenterY:
-                                  sourceLabel.getAttribute('data-constraint-center-y') || null,
-                              constraintRadius:
-                                  sourceLabel.getAttribute('data-constraint-radius') || '60',
-                          }
-                        : {
-                              text: '',
-                              x: '0',
-                              y: '0',
-                              dx: '-5',
-                              dy: '-10',
-                              textAnchor: 'end',
-                          },
-                    targetLabel: targetLabel
-                        ? {
-                              text: targetLabel.textContent || '',
-                              x: targetLabel.getAttribute('x') || '0',
-                              y: targetLabel.getAttribute('y') || '0',
-                              dx: targetLabel.getAttribute('dx') || '0',
-                              dy: targetLabel.getAttribute('dy') || '0',
-                              textAnchor: targetLabel.getAttribute('text-anchor') || 'start',
-                              constraintCenterX:
-                                  targetLabel.getAttribute('data-constraint-center-x') || null,
-                              constraintCenterY:
-                                  targetLabel.getAttribute('data-constraint-center-y') || null,
-                              constraintRadius:
-                                  targetLabel.getAttribute('data-constraint-radius') || '60',
-                          }
-                        : {
-                              text: '',
-                              x: '0',
-                              y: '0',
-                              dx: '5',
-                              dy: '-10',
-                              textAnchor: 'start',
-                          },
-                    centerLabel: centerLabel
-                        ? {
-                              text: centerLabel.textContent || '',
-                              x: centerLabel.getAttribute('x') || '0',
-                              y: centerLabel.getAttribute('y') || '0',
-                              dx: centerLabel.getAttribute('dx') || '0',
-                              dy: centerLabel.getAttribute('dy') || '0',
-                              textAnchor: centerLabel.getAttribute('text-anchor') || 'middle',
-                              fill: centerLabel.getAttribute('fill') || '#212529',
-                              fontSize: centerLabel.getAttribute('font-size') || '12',
-                          }
-                        : {
-                              text: '',
-                              x: '0',
-                              y: '0',
-                              dx: '0',
-                              dy: '-5',
-                              textAnchor: 'middle',
-                              fill: '#212529',
-                              fontSize: '12',
-                          },
-                };
-            }),
-        };
-
-        localStorage.setItem(STORAGE_KEYS.TOPOLOGY, JSON.stringify(topology));
+        const topology = serializeTopology();
+        recordTopologyChange(topology, historyLabel);
+        if (hasOpenDocument()) {
+            saveDocumentTopology(topology);
+        } else {
+            localStorage.setItem(STORAGE_KEYS.TOPOLOGY, JSON.stringify(topology));
+        }
         return true;
     } catch (error) {
         console.error('Error saving topology:', error);
@@ -169,7 +62,13 @@ export function loadTopology() {
  * Save current zoom level
  */
 export function saveZoom() {
+    if (isWorkspaceLoading()) return false;
+
     try {
+        if (hasOpenDocument()) {
+            saveDocumentView();
+            return true;
+        }
         localStorage.setItem(STORAGE_KEYS.ZOOM, appState.currentZoom.toString());
         return true;
     } catch (error) {
@@ -196,7 +95,13 @@ export function loadZoom() {
  * Save current scroll position
  */
 export function saveScrollPosition() {
+    if (isWorkspaceLoading()) return false;
+
     try {
+        if (hasOpenDocument()) {
+            saveDocumentView();
+            return true;
+        }
         const scroll = {
             left: elements.canvasWrapper.scrollLeft,
             top: elements.canvasWrapper.scrollTop,
@@ -209,6 +114,19 @@ export function saveScrollPosition() {
     }
 }
 
+/**
+ * Save the current zoom level and scroll position together
+ * The open document stores both with one write
+ */
+export function saveView() {
+    if (hasOpenDocument()) {
+        saveScrollPosition();
+        return;
+    }
+    saveZoom();
+    saveScrollPosition();
+}
+
 /**
  * Load saved scroll position
  * @returns {Object|null} The saved scroll position or null
@@ -282,9 +200,16 @@ export function loadConnectionCounter() {
 
 /**
  * Save complete application state
+ * @param {string} historyLabel - Undo step name if the save records a change (optional)
  */
-export function saveAppState() {
-    saveTopology();
+export function saveAppState(historyLabel) {
+    if (isWorkspaceLoading()) return;
+
+    saveTopology(historyLabel);
+
+    // The open document stores view and counters with its topology
+    if (hasOpenDocument()) return;
+
     saveZoom();
     saveScrollPosition();
     saveShapeCounter();
@@ -292,7 +217,7 @@ export function saveAppState() {
 }
 
 /**
- * Clear all saved data
+ * Clear all data saved in localStorage
  */
 export function clearStorage() {
     try {
@@ -307,7 +232,7 @@ export function clearStorage() {
 }
 
 /**
- * Check if there is saved data
+ * Check if there is a topology saved in localStorage
  * @returns {boolean} True if there is saved data
  */
 export function hasSavedData() {
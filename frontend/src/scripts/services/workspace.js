@@ -0,0 +1,505 @@
+/**
+ * Workspace of named topology documents
+ * Documents live in IndexedDB (see documentStore.js for the record layout). The open document
+ * is written on every topology save, together with its page views (zoom/scroll) and ID
+ * counters, and its thumbnail is refreshed once editing pauses.
+ *
+ * On first start the topology saved in localStorage by earlier versions becomes the first
+ * document. If IndexedDB is not available the application keeps using that single
+ * localStorage topology.
+ */
+
+import { WORKSPACE_CONFIG } from '../config/constants.js';
+import { appState } from '../state/appState.js';
+import { topologyModel, TopologyModel } from '../state/topologyModel.js';
+import { TopologyValidationError } from '../state/topologySchema.js';
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { createThumbnail } from '../topology/pngExport.js';
+import {
+    openDocumentStore,
+    getAllDocuments,
+    getDocument,
+    putDocument,
+    removeDocument,
+} from './documentStore.js';
+import { restoreDocument, restoreAppState } from './restore.js';
+import {
+    loadTopology,
+    loadZoom,
+    loadScrollPosition,
+    loadShapeCounter,
+    loadConnectionCounter,
+    hasSavedData,
+    clearStorage,
+} from './storage.js';
+import { endHistoryStep, resetHistory } from './history.js';
+
+let currentDocument = null; // Record of the open document, null when IndexedDB is unavailable
+let isLoading = true; // True until the first document (or the localStorage topology) is shown
+let pendingWrite = Promise.resolve(); // Last queued write, so records are stored in order
+let thumbnailTimer = null;
+const listeners = new Set();
+
+/**
+ * Create a unique document ID
+ * @returns {string} Document ID
+ */
+function createDocumentId() {
+    return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a document record
+ * @param {string} name - Document name
+ * @param {Object} topology - Serialized topology
+ * @param {{shape: number, connection: number}} counters - Next shape/connection ID numbers
+ * @returns {Object} Document record
+ */
+function createRecord(name, topology, counters = { shape: 1, connection: 1 }) {
+    const now = new Date().toISOString();
+    return {
+        id: createDocumentId(),
+        name,
+        created: now,
+        modified: now,
+        thumbnail: null,
+        topology,
+        counters,
+    };
+}
+
+/**
+ * Get the ID counters that continue after the IDs used by a model
+ * @param {TopologyModel} model - Topology model
+ * @returns {{shape: number, connection: number}} Next shape/connection ID numbers
+ */
+function getNextCounters(model) {
+    const maxIds = model.getMaxIds();
+    return { shape: maxIds.shape + 1, connection: maxIds.connection + 1 };
+}
+
+/**
+ * Queue a document record write
+ * @param {Object} record - Document record
+ * @returns {Promise<void>} Resolves once the record is stored
+ * @throws {Error} If the record could not be stored; later writes still run
+ */
+function writeDocument(record) {
+    const write = pendingWrite.then(() => putDocument(record));
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Queue a write of the open document without waiting for it (topology and view saves)
+ * Failures are logged; the next save writes the whole record again
+ */
+function saveCurrentDocument() {
+    writeDocument(currentDocument).catch(error => {
+        console.error('Error saving document:', error);
+    });
+}
+
+/**
+ * Notify workspace listeners (document list, navbar title)
+ */
+function notifyChange() {
+    listeners.forEach(listener => listener(currentDocument));
+}
+
+/**
+ * Pick a document name that is not used yet, e.g. "Untitled topology 2"
+ * @param {Array<Object>} documents - Existing document records
+ * @param {string} baseName - Preferred name
+ * @returns {string} Unused name
+ */
+function getUnusedName(documents, baseName = WORKSPACE_CONFIG.DEFAULT_NAME) {
+    const names = new Set(documents.map(record => record.name));
+    if (!names.has(baseName)) return baseName;
+
+    let index = 2;
+    while (names.has(`${baseName} ${index}`)) index++;
+    return `${baseName} ${index}`;
+}
+
+/**
+ * Sort document records, most recently modified first
+ * @param {Array<Object>} documents - Document records
+ * @returns {Array<Object>} Sorted records
+ */
+function sortByModified(documents) {
+    return [...documents].sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * Create the first document from the topology saved in localStorage by earlier versions
+ * The legacy localStorage keys are removed only once the document is stored
+ * @returns {Promise<Object>} The new document record
+ * @throws {Error} If the document could not be stored; the localStorage topology is kept
+ */
+async function migrateLegacyTopology() {
+    if (!hasSavedData()) {
+        const record = createRecord(WORKSPACE_CONFIG.DEFAULT_NAME, new TopologyModel().toJSON());
+        await writeDocument(record);
+        return record;
+    }
+
+    const counters = {
+        shape: loadShapeCounter() || 1,
+        connection: loadConnectionCounter() || 1,
+    };
+
+    let topology = loadTopology();
+    try {
+        const model = TopologyModel.fromJSON(topology);
+        const scroll = loadScrollPosition();
+        model.view = {
+            zoom: loadZoom() || 1,
+            scrollLeft: scroll?.left || 0,
+            scrollTop: scroll?.top || 0,
+        };
+        topology = model.toJSON();
+    } catch (error) {
+        // Keep the data as it was; opening the document reports the errors
+        console.error('Error upgrading the saved topology:', error);
+    }
+
+    const record = createRecord(WORKSPACE_CONFIG.DEFAULT_NAME, topology, counters);
+    await writeDocument(record);
+    clearStorage();
+
+    console.log('Moved the saved topology into the document workspace');
+    return record;
+}
+
+/**
+ * Refresh the open document's thumbnail once editing pauses
+ */
+function scheduleThumbnail() {
+    clearTimeout(thumbnailTimer);
+    thumbnailTimer = setTimeout(updateThumbnail, WORKSPACE_CONFIG.THUMBNAIL_DELAY);
+}
+
+/**
+ * Render and store the open document's thumbnail
+ * @returns {Promise<void>}
+ */
+async function updateThumbnail() {
+    thumbnailTimer = null;
+
+    const record = currentDocument;
+    if (!record) return;
+
+    try {
+        const thumbnail = await createThumbnail(
+            WORKSPACE_CONFIG.THUMBNAIL_WIDTH,
+            WORKSPACE_CONFIG.THUMBNAIL_HEIGHT
+        );
+
+        // Skip if another document was opened while rendering
+        if (record !== currentDocument) return;
+
+        record.thumbnail = thumbnail;
+        await writeDocument(record);
+        notifyChange();
+    } catch (error) {
+        console.error('Error creating thumbnail:', error);
+    }
+}
+
+/**
+ * Store a pending thumbnail before the canvas shows another document
+ * @returns {Promise<void>}
+ */
+async function flushThumbnail() {
+    if (thumbnailTimer === null) return;
+
+    clearTimeout(thumbnailTimer);
+    await updateThumbnail();
+}
+
+/**
+ * Show the open document's name in the navbar and window title
+ */
+function updateDocumentTitle() {
+    if (elements.documentName) {
+        elements.documentName.textContent = currentDocument ? currentDocument.name : '';
+    }
+    document.title = currentDocument
+        ? `${currentDocument.name} - Topology Builder`
+        : 'Topology Builder';
+}
+
+/**
+ * Open the document workspace and show the last opened document
+ * Falls back to the single localStorage topology if IndexedDB is not available
+ * @returns {Promise<boolean>} True if the workspace is available
+ */
+export async function initializeWorkspace() {
+    onWorkspaceChange(updateDocumentTitle);
+
+    try {
+        await openDocumentStore();
+    } catch (error) {
+        console.warn('Document workspace is not available, using localStorage:', error);
+        isLoading = false;
+        restoreAppState();
+        return false;
+    }
+
+    let documents;
+    try {
+        documents = await getAllDocuments();
+        if (documents.length === 0) {
+            documents = [await migrateLegacyTopology()];
+        }
+    } catch (error) {
+        // Keep working on the localStorage topology rather than leave it behind
+        console.warn('Document workspace could not be set up, using localStorage:', error);
+        isLoading = false;
+        restoreAppState();
+        return false;
+    }
+
+    try {
+        const lastId = localStorage.getItem(WORKSPACE_CONFIG.CURRENT_DOCUMENT_KEY);
+        const record =
+            documents.find(candidate => candidate.id === lastId) || sortByModified(documents)[0];
+        await openDocument(record.id);
+    } catch (error) {
+        console.error('Error opening document:', error);
+        showAlert(
+            `The last opened topology could not be opened: ${error.message}. A new topology was created; the document is still listed under Documents.`,
+            'Open Error',
+            'error',
+            error instanceof TopologyValidationError ? error.errors : []
+        );
+        await createDocument();
+    }
+
+    isLoading = false;
+    return true;
+}
+
+/**
+ * Check whether the workspace is still loading the document to show
+ * Nothing is saved meanwhile, so startup (e.g. centering the canvas) can't overwrite saved data
+ * @returns {boolean} True while loading
+ */
+export function isWorkspaceLoading() {
+    return isLoading;
+}
+
+/**
+ * Check whether a workspace document is open (false when IndexedDB is unavailable)
+ * @returns {boolean} True if a document is open
+ */
+export function hasOpenDocument() {
+    return currentDocument !== null;
+}
+
+/**
+ * Get the open document
+ * @returns {Object|null} The open document record
+ */
+export function getCurrentDocument() {
+    return currentDocument;
+}
+
+/**
+ * Register a listener called when the open document or the document list changes
+ * @param {Function} listener - Receives the open document record
+ */
+export function onWorkspaceChange(listener) {
+    listeners.add(listener);
+}
+
+/**
+ * Store a saved topology in the open document
+ * Called by the storage service on every topology save
+ * @param {Object} topology - Serialized topology
+ */
+export function saveDocumentTopology(topology) {
+    if (!currentDocument) return;
+
+    currentDocument.topology = topology;
+    currentDocument.modified = topology.saved || new Date().toISOString();
+    currentDocument.counters = {
+        shape: appState.shapeIdCounter,
+        connection: appState.connectionIdCounter,
+    };
+    saveCurrentDocument();
+    scheduleThumbnail();
+}
+
+/**
+ * Store the current zoom level and scroll position in the open document
+ * The view belongs to the page shown on the canvas
+ */
+export function saveDocumentView() {
+    topologyModel.view = {
+        zoom: appState.currentZoom,
+        scrollLeft: elements.canvasWrapper?.scrollLeft || 0,
+        scrollTop: elements.canvasWrapper?.scrollTop || 0,
+    };
+    if (!currentDocument) return;
+
+    const { pages = [] } = currentDocument.topology;
+    currentDocument.topology = {
+        ...currentDocument.topology,
+        pages: pages.map(page =>
+            page.id === topologyModel.currentPageId ? { ...page, view: topologyModel.view } : page
+        ),
+    };
+    saveCurrentDocument();
+}
+
+/**
+ * List the workspace documents, most recently modified first
+ * @returns {Promise<Array<Object>>} Document records
+ */
+export async function listDocuments() {
+    await pendingWrite;
+    return sortByModified(await getAllDocuments());
+}
+
+/**
+ * Show a document on the canvas
+ * The open document is stored first; undo history starts over for the opened document
+ * @param {string} id - Document ID
+ * @returns {Promise<void>}
+ * @throws {TopologyValidationError} If the document is not valid; the open document stays open
+ */
+export async function openDocument(id) {
+    endHistoryStep();
+    await flushThumbnail();
+    await pendingWrite;
+
+    const record = await getDocument(id);
+    if (!record) {
+        throw new Error('The document no longer exists');
+    }
+
+    const model = restoreDocument(record);
+
+    // Keep the upgraded topology so later view saves write the current version
+    record.topology = model.toJSON();
+    currentDocument = record;
+    localStorage.setItem(WORKSPACE_CONFIG.CURRENT_DOCUMENT_KEY, id);
+
+    resetHistory();
+    notifyChange();
+}
+
+/**
+ * Create an empty document and open it
+ * @param {string} name - Document name (optional, defaults to an unused "Untitled topology")
+ * @returns {Promise<Object>} The new document record
+ */
+export async function createDocument(name) {
+    const documents = await listDocuments();
+    const record = createRecord(name || getUnusedName(documents), new TopologyModel().toJSON());
+
+    await writeDocument(record);
+    await openDocument(record.id);
+    return record;
+}
+
+/**
+ * Store an imported topology as a new document and open it
+ * @param {string} name - Document name, e.g. the file name
+ * @param {Object} topology - Topology data of any supported version
+ * @returns {Promise<Object>} The new document record
+ * @throws {TopologyValidationError} If the data is not a valid topology
+ */
+export async function importDocument(name, topology) {
+    // Validate before anything is stored
+    const model = TopologyModel.fromJSON(topology);
+
+    const documents = await listDocuments();
+    const record = createRecord(
+        getUnusedName(documents, name),
+        model.toJSON(),
+        getNextCounters(model)
+    );
+
+    await writeDocument(record);
+    await openDocument(record.id);
+    return record;
+}
+
+/**
+ * Copy a document under a new name (the copy is not opened)
+ * @param {string} id - Document ID
+ * @returns {Promise<Object>} The copy
+ */
+export async function duplicateDocument(id) {
+    const documents = await listDocuments();
+    const source = documents.find(record => record.id === id);
+    if (!source) {
+        throw new Error('The document no longer exists');
+    }
+
+    const copy = {
+        ...createRecord(
+            getUnusedName(documents, `${source.name} (copy)`),
+            source.topology,
+            source.counters
+        ),
+        thumbnail: source.thumbnail,
+    };
+
+    await writeDocument(copy);
+    notifyChange();
+    return copy;
+}
+
+/**
+ * Rename a document
+ * @param {string} id - Document ID
+ * @param {string} name - New name (ignored if blank)
+ * @returns {Promise<void>}
+ */
+export async function renameDocument(id, name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    const record = id === currentDocument?.id ? currentDocument : await getDocument(id);
+    if (!record) return;
+
+    record.name = trimmed;
+    await writeDocument(record);
+    notifyChange();
+}
+
+/**
+ * Delete a document
+ * Deleting the open document opens the most recent remaining one (or a new empty one)
+ * @param {string} id - Document ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDocument(id) {
+    await pendingWrite;
+    await removeDocument(id);
+
+    if (id !== currentDocument?.id) {
+        notifyChange();
+        return;
+    }
+
+    clearTimeout(thumbnailTimer);
+    thumbnailTimer = null;
+    currentDocument = null;
+
+    const [next] = await listDocuments();
+    try {
+        if (next) {
+            await openDocument(next.id);
+            return;
+        }
+    } catch (error) {
+        console.error('Error opening document:', error);
+    }
+    await createDocument();
+}
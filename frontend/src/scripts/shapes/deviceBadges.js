@@ -0,0 +1,116 @@
+/**
+ * Device badges
+ * Optional on-canvas badges above device shapes showing some of their structured properties
+ * (the DEVICE_PROPERTIES marked as `badge`). Badges are drawn from the topology model and are
+ * never saved with the shape; the toggle is remembered in localStorage.
+ */
+
+import { topologyModel } from '../state/topologyModel.js';
+import { DEVICE_PROPERTIES, DEVICE_BADGE_CONFIG } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+
+const BADGE_PROPERTIES = DEVICE_PROPERTIES.filter(property => property.badge);
+
+/**
+ * Check whether device badges are shown
+ * @returns {boolean} True if badges are on
+ */
+export function areDeviceBadgesVisible() {
+    try {
+        return localStorage.getItem(DEVICE_BADGE_CONFIG.STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Turn device badges on or off
+ * @param {boolean} visible - Whether to show the badges
+ */
+export function setDeviceBadgesVisible(visible) {
+    try {
+        localStorage.setItem(DEVICE_BADGE_CONFIG.STORAGE_KEY, String(visible));
+    } catch (error) {
+        console.error('Error saving badge setting:', error);
+    }
+
+    elements.toggleDeviceBadges?.classList.toggle('active', visible);
+    refreshDeviceBadges();
+}
+
+/**
+ * Setup the badge toggle button
+ */
+export function initializeDeviceBadges() {
+    if (!elements.toggleDeviceBadges) return;
+
+    elements.toggleDeviceBadges.classList.toggle('active', areDeviceBadgesVisible());
+    elements.toggleDeviceBadges.addEventListener('click', () => {
+        const tooltipInstance = window.bootstrap?.Tooltip.getInstance(elements.toggleDeviceBadges);
+        if (tooltipInstance) tooltipInstance.hide();
+        setDeviceBadgesVisible(!areDeviceBadgesVisible());
+    });
+}
+
+/**
+ * Redraw the badges of every device shape on the canvas
+ */
+export function refreshDeviceBadges() {
+    elements.topologyCanvas
+        ?.querySelectorAll('.canvas-shape[data-device]')
+        .forEach(shape => renderDeviceBadges(shape));
+}
+
+/**
+ * Redraw the badges of a device shape
+ * Badge texts come from user input, so they are set as text content only
+ * @param {SVGElement} shape - The device shape group
+ */
+export function renderDeviceBadges(shape) {
+    shape.querySelector('.device-badges')?.remove();
+    if (!areDeviceBadgesVisible()) return;
+
+    const device = topologyModel.getDevice(shape.getAttribute('data-device'));
+    const lines = device
+        ? BADGE_PROPERTIES.map(({ key }) => device.properties[key]).filter(Boolean)
+        : [];
+    if (lines.length === 0) return;
+
+    const { FONT_SIZE, LINE_HEIGHT, CHAR_WIDTH, PADDING } = DEVICE_BADGE_CONFIG;
+    const iconWidth = parseFloat(shape.querySelector('svg')?.getAttribute('width')) || 0;
+
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'device-badges');
+
+    // Stacked upwards from just above the icon, the first property on top
+    lines.forEach((text, index) => {
+        const width = text.length * CHAR_WIDTH + PADDING * 2;
+        const y = -PADDING - (lines.length - index) * LINE_HEIGHT;
+
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('class', 'device-badge-background');
+        background.setAttribute('x', iconWidth / 2 - width / 2);
+        background.setAttribute('y', y);
+        background.setAttribute('width', width);
+        background.setAttribute('height', LINE_HEIGHT - 2);
+        background.setAttribute('rx', 3);
+        background.setAttribute('fill', '#f8f9fa');
+        background.setAttribute('stroke', '#adb5bd');
+        background.setAttribute('stroke-width', 1);
+
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('data-badge', 'true');
+        label.setAttribute('x', iconWidth / 2);
+        label.setAttribute('y', y + (LINE_HEIGHT - 2) / 2);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('dominant-baseline', 'central');
+        label.setAttribute('font-family', 'Arial, sans-serif');
+        label.setAttribute('font-size', FONT_SIZE);
+        label.setAttribute('fill', '#495057');
+        label.textContent = text;
+
+        group.append(background, label);
+    });
+
+    shape.appendChild(group);
+}
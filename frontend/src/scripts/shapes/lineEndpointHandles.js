@@ -6,6 +6,7 @@
 import { appState } from '../state/appState.js';
 import { elements } from '../utils/dom.js';
 import { updateShapeConnections } from '../connections/connectionManager.js';
+import { beginHistoryStep } from '../services/history.js';
 
 /**
  * Create endpoint handles for line or arrow shapes
@@ -108,6 +109,9 @@ function startEndpointDrag(shape, endpointType, e) {
     appState.draggingEndpointType = endpointType;
     appState.selectShape(shape);
 
+    // The whole drag becomes one undo step (closed on mouse up)
+    beginHistoryStep('move endpoint');
+
     // Prevent text selection during endpoint drag
     document.body.classList.add('no-select');
 
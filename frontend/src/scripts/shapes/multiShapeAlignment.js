@@ -1,9 +1,11 @@
 /**
- * Multi-shape alignment and distribution tools
+ * Multi-shape alignment, distribution and arrangement tools
  */
 
 import { saveAppState } from '../services/storage.js';
 import { updateShapeConnections } from '../connections/connectionManager.js';
+import { commitShapes } from '../topology/modelSync.js';
+import { LAYOUT_CONFIG } from '../config/constants.js';
 
 /**
  * Get the bounding box for a shape
@@ -79,6 +81,36 @@ function moveShapeToPosition(shape, x, y) {
     updateShapeConnections(shape);
 }
 
+/**
+ * Move a shape by an offset, with its label and connections
+ * Used to animate automatic layouts (see layout/autoLayout.js)
+ * @param {SVGElement} shape - The shape to move
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ */
+export function moveShapeBy(shape, dx, dy) {
+    // Keep coordinates short: the offsets of an animation add up to fractions
+    const round = value => Math.round(value * 100) / 100;
+
+    if (shape.tagName === 'g') {
+        const match = (shape.getAttribute('transform') || '').match(
+            /translate\(([^,]+),\s*([^)]+)\)/
+        );
+        const x = match ? parseFloat(match[1]) : 0;
+        const y = match ? parseFloat(match[2]) : 0;
+        shape.setAttribute('transform', `translate(${round(x + dx)}, ${round(y + dy)})`);
+    } else if (shape.tagName === 'circle' || shape.tagName === 'ellipse') {
+        shape.setAttribute('cx', round(parseFloat(shape.getAttribute('cx')) + dx));
+        shape.setAttribute('cy', round(parseFloat(shape.getAttribute('cy')) + dy));
+    } else if (shape.tagName === 'rect') {
+        shape.setAttribute('x', round(parseFloat(shape.getAttribute('x')) + dx));
+        shape.setAttribute('y', round(parseFloat(shape.getAttribute('y')) + dy));
+    }
+
+    updateSiblingLabel(shape);
+    updateShapeConnections(shape);
+}
+
 /**
  * Update sibling label position for basic shapes
  * @param {SVGElement} shape - The shape element
@@ -173,7 +205,8 @@ export function alignHorizontal(shapeIds, alignment) {
         moveShapeToPosition(shape, newX, bound.y);
     });
 
-    saveAppState();
+    commitShapes(shapes);
+    saveAppState('align shapes');
 }
 
 /**
@@ -219,7 +252,8 @@ export function alignVertical(shapeIds, alignment) {
         moveShapeToPosition(shape, bound.x, newY);
     });
 
-    saveAppState();
+    commitShapes(shapes);
+    saveAppState('align shapes');
 }
 
 /**
@@ -254,7 +288,8 @@ export function distributeHorizontal(shapeIds) {
         currentX += bound.width + spacing;
     });
 
-    saveAppState();
+    commitShapes(shapes);
+    saveAppState('distribute shapes');
 }
 
 /**
@@ -289,5 +324,206 @@ export function distributeVertical(shapeIds) {
         currentY += bound.height + spacing;
     });
 
-    saveAppState();
+    commitShapes(shapes);
+    saveAppState('distribute shapes');
+}
+
+/**
+ * Get the shapes of a selection with their bounds
+ * @param {Array<string>} shapeIds - Array of shape IDs
+ * @returns {Array<Object>} Shapes with their bounds {shape, x, y, width, height, centerX, ...}
+ */
+function getShapeItems(shapeIds) {
+    return shapeIds
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(shape => ({ shape, ...getShapeBounds(shape) }));
+}
+
+/**
+ * Move a shape so its centre is at a position
+ * @param {Object} item - Shape with its bounds (see getShapeItems)
+ * @param {number} x - New centre x
+ * @param {number} y - New centre y
+ */
+function moveItemCentre(item, x, y) {
+    moveShapeBy(item.shape, Math.round(x - item.centerX), Math.round(y - item.centerY));
+}
+
+/**
+ * Get the angle of a point around a centre, in degrees clockwise from the top
+ * @param {Object} item - Shape with its bounds
+ * @param {number} centerX - Centre x
+ * @param {number} centerY - Centre y
+ * @returns {number} Angle from 0 to 360
+ */
+function getAngle(item, centerX, centerY) {
+    const angle = (Math.atan2(item.centerX - centerX, centerY - item.centerY) * 180) / Math.PI;
+    return (angle + 360) % 360;
+}
+
+/**
+ * Place shapes evenly on a circle or arc, keeping the order they had around the centre
+ * @param {Array<Object>} items - Shapes with their bounds
+ * @param {Object} arc - Arc {centerX, centerY, radius, startAngle, arc}; angles in degrees
+ *     clockwise from the top; without a radius the smallest that keeps shapes apart is used
+ * @param {number} minRadius - Smallest radius
+ */
+function placeOnArc(items, arc, minRadius = 0) {
+    const { centerX, centerY, startAngle = 0 } = arc;
+    const sweep = Math.min(Math.max(arc.arc || 360, 1), 360);
+    const fullCircle = sweep === 360;
+    const step = items.length > 1 ? sweep / (fullCircle ? items.length : items.length - 1) : 0;
+
+    // Neighbours are a chord apart; it must fit the largest shape and a gap
+    const size = Math.max(...items.map(item => Math.hypot(item.width, item.height)));
+    const chord = 2 * Math.sin((step * Math.PI) / 360);
+    const fitting = chord > 0 ? (size + LAYOUT_CONFIG.SPACING) / chord : 0;
+    const radius = arc.radius > 0 ? arc.radius : Math.max(fitting, minRadius);
+
+    const relative = item => (getAngle(item, centerX, centerY) - startAngle + 360) % 360;
+    [...items]
+        .sort((a, b) => relative(a) - relative(b))
+        .forEach((item, index) => {
+            const angle = ((startAngle + index * step) * Math.PI) / 180;
+            moveItemCentre(
+                item,
+                centerX + radius * Math.sin(angle),
+                centerY - radius * Math.cos(angle)
+            );
+        });
+}
+
+/**
+ * Get the centre of the bounding box of shapes
+ * @param {Array<string>} shapeIds - Array of shape IDs
+ * @returns {Object|null} Centre {x, y}, or null without shapes
+ */
+export function getShapesCenter(shapeIds) {
+    const items = getShapeItems(shapeIds);
+    if (items.length === 0) return null;
+
+    const left = Math.min(...items.map(item => item.x));
+    const top = Math.min(...items.map(item => item.y));
+    const right = Math.max(...items.map(item => item.right));
+    const bottom = Math.max(...items.map(item => item.bottom));
+    return { x: Math.round((left + right) / 2), y: Math.round((top + bottom) / 2) };
+}
+
+/**
+ * Get the hub of a selection: the shape with the most connections to the other shapes
+ * @param {Array<string>} shapeIds - Array of shape IDs
+ * @returns {string|null} Shape ID, or null without shapes
+ */
+export function getHubShape(shapeIds) {
+    const selected = new Set(shapeIds);
+    const counts = new Map(shapeIds.map(id => [id, 0]));
+
+    document.querySelectorAll('.connection').forEach(connection => {
+        const source = connection.getAttribute('data-source');
+        const target = connection.getAttribute('data-target');
+        if (source === target || !selected.has(source) || !selected.has(target)) return;
+        counts.set(source, counts.get(source) + 1);
+        counts.set(target, counts.get(target) + 1);
+    });
+
+    let hub = null;
+    counts.forEach((count, id) => {
+        if (hub === null || count > counts.get(hub)) hub = id;
+    });
+    return hub;
+}
+
+/**
+ * Arrange shapes evenly on a circle or an arc
+ * @param {Array<string>} shapeIds - Array of shape IDs
+ * @param {Object} options - Arc options
+ * @param {number} [options.centerX] - Centre x; the centre of the shapes if not given
+ * @param {number} [options.centerY] - Centre y; the centre of the shapes if not given
+ * @param {number} [options.radius] - Radius; the smallest that keeps the shapes apart if not given
+ * @param {number} [options.startAngle=0] - Angle of the first shape, in degrees clockwise from the top
+ * @param {number} [options.arc=360] - Angle the shapes are spread over, 360 for a full circle
+ */
+export function arrangeCircle(shapeIds, options = {}) {
+    const items = getShapeItems(shapeIds);
+    if (items.length < 2) return;
+
+    const center = getShapesCenter(shapeIds);
+    placeOnArc(items, {
+        ...options,
+        centerX: Number.isFinite(options.centerX) ? options.centerX : center.x,
+        centerY: Number.isFinite(options.centerY) ? options.centerY : center.y,
+    });
+
+    commitShapes(items.map(item => item.shape));
+    saveAppState('arrange shapes');
+}
+
+/**
+ * Arrange shapes in a grid of equal cells, starting at the top-left of the shapes
+ * Shapes keep their reading order: top row first, left to right.
+ * @param {Array<string>} shapeIds - Array of shape IDs
+ * @param {Object} options - Grid options
+ * @param {number} [options.columns] - Number of columns; a square grid if not given
+ * @param {number} [options.gapX] - Horizontal gap between cells
+ * @param {number} [options.gapY] - Vertical gap between cells
+ */
+export function arrangeGrid(shapeIds, options = {}) {
+    const items = getShapeItems(shapeIds);
+    if (items.length < 2) return;
+
+    const {
+        columns = Math.ceil(Math.sqrt(items.length)),
+        gapX = LAYOUT_CONFIG.SPACING,
+        gapY = LAYOUT_CONFIG.SPACING,
+    } = options;
+    const columnCount = Math.max(1, Math.round(columns));
+    const cellWidth = Math.max(...items.map(item => item.width));
+    const cellHeight = Math.max(...items.map(item => item.height));
+    const left = Math.min(...items.map(item => item.x));
+    const top = Math.min(...items.map(item => item.y));
+
+    const byRow = [...items].sort((a, b) => a.centerY - b.centerY);
+    for (let row = 0; row * columnCount < byRow.length; row++) {
+        byRow
+            .slice(row * columnCount, (row + 1) * columnCount)
+            .sort((a, b) => a.centerX - b.centerX)
+            .forEach((item, column) => {
+                moveItemCentre(
+                    item,
+                    left + column * (cellWidth + gapX) + cellWidth / 2,
+                    top + row * (cellHeight + gapY) + cellHeight / 2
+                );
+            });
+    }
+
+    commitShapes(items.map(item => item.shape));
+    saveAppState('arrange shapes');
+}
+
+/**
+ * Arrange shapes in a circle around a hub shape, which stays where it is
+ * @param {Array<string>} shapeIds - Array of shape IDs
+ * @param {Object} options - Hub options
+ * @param {string} [options.hub] - ID of the hub shape; the most connected shape if not given
+ * @param {number} [options.radius] - Radius; the smallest that keeps the shapes apart if not given
+ */
+export function arrangeHubAndSpoke(shapeIds, options = {}) {
+    const items = getShapeItems(shapeIds);
+    const hubId = shapeIds.includes(options.hub) ? options.hub : getHubShape(shapeIds);
+    const hub = items.find(item => item.shape.id === hubId);
+    const spokes = items.filter(item => item !== hub);
+    if (!hub || spokes.length === 0) return;
+
+    // Spokes keep clear of the hub as well as of each other
+    const hubSize = Math.hypot(hub.width, hub.height);
+    const spokeSize = Math.max(...spokes.map(item => Math.hypot(item.width, item.height)));
+    placeOnArc(
+        spokes,
+        { centerX: hub.centerX, centerY: hub.centerY, radius: options.radius },
+        (hubSize + spokeSize) / 2 + LAYOUT_CONFIG.SPACING
+    );
+
+    commitShapes(items.map(item => item.shape));
+    saveAppState('arrange shapes');
 }
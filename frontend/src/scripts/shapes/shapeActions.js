@@ -3,7 +3,9 @@
  */
 
 import { appState } from '../state/appState.js';
+import { topologyModel } from '../state/topologyModel.js';
 import { saveAppState } from '../services/storage.js';
+import { commitShapes } from '../topology/modelSync.js';
 import { addShapeEventListeners } from './shapeEvents.js';
 
 export function duplicateShape(shapeId) {
@@ -53,6 +55,14 @@ export function duplicateShape(shapeId) {
         clonedShape.setAttribute('y2', y2);
     }
 
+    // The copy of a device shape is a new device with the same properties
+    const device = topologyModel.copyDevice(originalShape.getAttribute('data-device'));
+    if (device) {
+        clonedShape.setAttribute('data-device', device.id);
+    } else {
+        clonedShape.removeAttribute('data-device');
+    }
+
     // Update label if present (append " (copy)")
     const labelElement = clonedShape.querySelector('[data-label="true"]');
     if (labelElement && labelElement.textContent) {
@@ -75,7 +85,8 @@ export function duplicateShape(shapeId) {
     }
 
     // Save state
-    saveAppState();
+    commitShapes([clonedShape]);
+    saveAppState('duplicate shape');
 
     return clonedShape;
 }
@@ -89,7 +100,9 @@ export function moveShapeToFront(shapeId) {
 
     targetParent.appendChild(shapeGroup);
 
-    saveAppState();
+    topologyModel.raiseNode(shapeId);
+    commitShapes([shapeGroup]);
+    saveAppState('bring to front');
     console.log(`Moved shape ${shapeId} to front`);
 }
 
@@ -111,7 +124,9 @@ export function moveShapeToBack(shapeId) {
     // Move the shape to the background layer
     targetParent.appendChild(shapeGroup);
 
-    saveAppState();
+    topologyModel.raiseNode(shapeId);
+    commitShapes([shapeGroup]);
+    saveAppState('send to back');
     console.log(`Moved shape ${shapeId} to background layer (behind connections)`);
 }
 
@@ -127,14 +142,16 @@ export function applyShapeFill(shapeId, fillColor) {
         if (bgRect) {
             bgRect.setAttribute('fill', fillColor);
         }
-        saveAppState();
+        commitShapes([shape]);
+        saveAppState('change fill');
         return;
     }
 
     // For basic shapes (circle, rect, ellipse) that are direct elements
     if (shape.tagName === 'circle' || shape.tagName === 'rect' || shape.tagName === 'ellipse') {
         shape.setAttribute('fill', fillColor);
-        saveAppState();
+        commitShapes([shape]);
+        saveAppState('change fill');
         return;
     }
 
@@ -158,7 +175,8 @@ export function applyShapeFill(shapeId, fillColor) {
         }
     }
 
-    saveAppState();
+    commitShapes([shape]);
+    saveAppState('change fill');
 }
 
 export function applyShapeStroke(shapeId, strokeColor, strokeWidth = 2) {
@@ -182,7 +200,8 @@ export function applyShapeStroke(shapeId, strokeColor, strokeWidth = 2) {
                 bgRect.setAttribute('stroke-width', width);
             }
         }
-        saveAppState();
+        commitShapes([shape]);
+        saveAppState('change stroke');
         return;
     }
 
@@ -195,7 +214,8 @@ export function applyShapeStroke(shapeId, strokeColor, strokeWidth = 2) {
             shape.setAttribute('stroke', strokeColor);
             shape.setAttribute('stroke-width', width);
         }
-        saveAppState();
+        commitShapes([shape]);
+        saveAppState('change stroke');
         return;
     }
 
@@ -230,7 +250,8 @@ export function applyShapeStroke(shapeId, strokeColor, strokeWidth = 2) {
         }
     }
 
-    saveAppState();
+    commitShapes([shape]);
+    saveAppState('change stroke');
 }
 
 export function getShapeStyles(shapeId) {
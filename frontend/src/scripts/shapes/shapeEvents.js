@@ -11,6 +11,8 @@ import {
     handleConnectionShapeLeave,
 } from '../connections/connectionManager.js';
 import { isInConnectionMode, handleTargetShapeClick } from '../ui/shapeOverlay.js';
+import { beginHistoryStep } from '../services/history.js';
+import { openPage } from '../topology/pages.js';
 
 /**
  * Remove event listeners from a shape
@@ -88,6 +90,18 @@ export function addShapeEventListeners(shape) {
         { signal }
     );
 
+    // Page links open their page
+    if (shape.getAttribute('data-shape-type') === 'pagelink') {
+        shape.addEventListener(
+            'dblclick',
+            e => {
+                e.stopPropagation();
+                openPage(shape.getAttribute('data-page-ref'));
+            },
+            { signal }
+        );
+    }
+
     // Hover effects for connection mode
     shape.addEventListener(
         'mouseenter',
@@ -116,6 +130,9 @@ function startDragging(shape, e) {
     appState.isMouseDown = true;
     selectShape(shape);
 
+    // The whole drag becomes one undo step (closed on mouse up)
+    beginHistoryStep('move shape');
+
     const canvasRect = elements.topologyCanvas.getBoundingClientRect();
     const mouseX = (e.clientX - canvasRect.left) / appState.currentZoom;
     const mouseY = (e.clientY - canvasRect.top) / appState.currentZoom;
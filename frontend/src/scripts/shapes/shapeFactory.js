@@ -4,7 +4,10 @@
 
 import { SHAPE_TEMPLATES, CISCO_SHAPES } from '../config/constants.js';
 import { appState } from '../state/appState.js';
+import { getIconDefaults, getIconStyleOverrides } from '../state/shapeContent.js';
+import { topologyModel } from '../state/topologyModel.js';
 import { addShapeEventListeners } from './shapeEvents.js';
+import { renderDeviceBadges } from './deviceBadges.js';
 
 /**
  * Create a new shape on the canvas
@@ -30,6 +33,9 @@ export function createShape(shapeType, x, y, isCisco = false) {
     if (shapeType === 'text') {
         return createTextShape(x, y);
     }
+    if (shapeType === 'pagelink') {
+        return createPageLinkShape(x, y);
+    }
 
     const template = SHAPE_TEMPLATES[shapeType];
     if (!template) return null;
@@ -77,16 +83,7 @@ function createCiscoShape(shapeType, x, y) {
     if (!ciscoTemplate) return null;
 
     const shapeId = appState.getNextShapeId();
-
-    // Parse viewBox to get original dimensions
-    const viewBoxParts = ciscoTemplate.viewBox.split(' ').map(Number);
-    const [vbX, vbY, vbWidth, vbHeight] = viewBoxParts;
-
-    // Scale to fit within 60x60 while maintaining aspect ratio
-    const targetSize = 60;
-    const scale = Math.min(targetSize / vbWidth, targetSize / vbHeight);
-    const scaledWidth = vbWidth * scale;
-    const scaledHeight = vbHeight * scale;
+    const { width, height } = getIconDefaults(shapeType);
 
     // Create a group element to hold the shape
     const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -94,12 +91,37 @@ function createCiscoShape(shapeType, x, y) {
     group.setAttribute('class', 'canvas-shape cisco-shape');
     group.setAttribute('data-shape-type', shapeType);
     group.setAttribute('data-cisco', 'true');
-    group.setAttribute('transform', `translate(${x - scaledWidth / 2}, ${y - scaledHeight / 2})`);
+    group.setAttribute('transform', `translate(${x - width / 2}, ${y - height / 2})`);
+
+    appendCiscoIcon(group, shapeType);
+    appendCiscoLabel(group, ciscoTemplate, width, height);
+
+    // Add event listeners
+    addShapeEventListeners(group);
+
+    return group;
+}
+
+/**
+ * Append the icon of a Cisco shape to its group
+ * The icon is always built from the shape catalogue; only its size and style overrides
+ * come from the node, so catalogue updates reach existing diagrams
+ * @param {SVGElement} group - The shape group
+ * @param {string} shapeType - Type of Cisco shape
+ * @param {Object|null} icon - Icon reference from the model (null for the defaults)
+ */
+function appendCiscoIcon(group, shapeType, icon = null) {
+    const ciscoTemplate = CISCO_SHAPES[shapeType];
+    const defaults = getIconDefaults(shapeType);
+    const style = icon?.style || {};
+
+    // Parse viewBox to get original dimensions
+    const [vbX, vbY, vbWidth, vbHeight] = ciscoTemplate.viewBox.split(' ').map(Number);
 
     // Create an SVG element to properly handle viewBox
     const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', scaledWidth);
-    svg.setAttribute('height', scaledHeight);
+    svg.setAttribute('width', icon ? icon.width : defaults.width);
+    svg.setAttribute('height', icon ? icon.height : defaults.height);
     svg.setAttribute('viewBox', ciscoTemplate.viewBox);
     svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
 
@@ -109,34 +131,62 @@ function createCiscoShape(shapeType, x, y) {
     bgRect.setAttribute('y', vbY);
     bgRect.setAttribute('width', vbWidth);
     bgRect.setAttribute('height', vbHeight);
-    bgRect.setAttribute('fill', '#ffffff');
     bgRect.setAttribute('rx', '3');
+    setAttributes(bgRect, { ...defaults.background, ...style.background });
     svg.appendChild(bgRect);
 
     // Create the shape path with proper fill
     const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
     path.setAttribute('d', ciscoTemplate.svgPath);
-    path.setAttribute('fill', ciscoTemplate.attributes.fill);
-    path.setAttribute('stroke', ciscoTemplate.attributes.stroke || 'none');
+    setAttributes(path, { ...defaults.glyph, ...style.glyph });
     svg.appendChild(path);
 
     group.appendChild(svg);
+}
 
-    // Add label text below the shape
+/**
+ * Append the default label of a Cisco shape below its icon
+ * @param {SVGElement} group - The shape group
+ * @param {Object} ciscoTemplate - The Cisco shape template
+ * @param {number} width - Rendered icon width
+ * @param {number} height - Rendered icon height
+ */
+function appendCiscoLabel(group, ciscoTemplate, width, height) {
     const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    text.setAttribute('x', scaledWidth / 2);
-    text.setAttribute('y', scaledHeight + 12);
+    text.setAttribute('x', width / 2);
+    text.setAttribute('y', height + 12);
     text.setAttribute('text-anchor', 'middle');
     text.setAttribute('fill', '#333');
     text.setAttribute('font-size', '10');
     text.setAttribute('font-weight', 'bold');
     text.textContent = ciscoTemplate.label;
     group.appendChild(text);
+}
 
-    // Add event listeners
-    addShapeEventListeners(group);
+/**
+ * Set several attributes on an element
+ * @param {SVGElement} element - The element
+ * @param {Object} attributes - Attribute map
+ */
+function setAttributes(element, attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+        element.setAttribute(name, value);
+    });
+}
 
-    return group;
+/**
+ * Read an element's attributes into a map
+ * @param {Element} element - The element
+ * @param {Array<string>} excluded - Attribute names to skip
+ * @returns {Object} Attribute map
+ */
+function getAttributes(element, excluded = []) {
+    return Array.from(element.attributes).reduce((acc, attr) => {
+        if (!excluded.includes(attr.name)) {
+            acc[attr.name] = attr.value;
+        }
+        return acc;
+    }, {});
 }
 
 /**
@@ -285,6 +335,265 @@ function createTextShape(x, y) {
     return group;
 }
 
+/**
+ * Create a page link shape, which opens another page of the topology when double-clicked
+ * It links to the first page after the current one (or the current page if it is the only
+ * one); the target is changed in the shape's edit panel
+ * @param {number} x - X coordinate (center)
+ * @param {number} y - Y coordinate (center)
+ * @returns {SVGElement} The created page link group
+ */
+function createPageLinkShape(x, y) {
+    const shapeId = appState.getNextShapeId();
+    const template = SHAPE_TEMPLATES.pagelink;
+    const { width, height } = template.attributes;
+
+    const pages = topologyModel.pages;
+    const currentIndex = pages.indexOf(topologyModel.currentPage);
+    const target = pages[(currentIndex + 1) % pages.length];
+
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('id', shapeId);
+    group.setAttribute('class', 'canvas-shape page-link-shape');
+    group.setAttribute('data-shape-type', 'pagelink');
+    group.setAttribute('data-page-ref', target.id);
+    group.setAttribute('transform', `translate(${x - width / 2}, ${y - height / 2})`);
+
+    const bgRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    bgRect.setAttribute('class', 'page-link-background');
+    bgRect.setAttribute('x', 0);
+    bgRect.setAttribute('y', 0);
+    setAttributes(bgRect, template.attributes);
+    group.appendChild(bgRect);
+
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('class', 'page-link-text');
+    text.setAttribute('x', width / 2);
+    text.setAttribute('y', height / 2);
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'middle');
+    setAttributes(text, template.textAttributes);
+    group.appendChild(text);
+
+    updatePageLinkText(group);
+
+    addShapeEventListeners(group);
+
+    return group;
+}
+
+/**
+ * Show the name of the linked page on a page link shape
+ * @param {SVGElement} shape - The page link group
+ */
+export function updatePageLinkText(shape) {
+    const text = shape.querySelector('.page-link-text');
+    if (!text) return;
+
+    const page = topologyModel.getPage(shape.getAttribute('data-page-ref'));
+    text.textContent = `→ ${page ? page.name : SHAPE_TEMPLATES.pagelink.missingText}`;
+}
+
+/**
+ * Render a shape from a model node record
+ * @param {Object} node - Node record from the topology model
+ * @returns {SVGElement} The shape element (not yet attached to a layer)
+ */
+export function renderNode(node) {
+    const shape = document.createElementNS('http://www.w3.org/2000/svg', node.element);
+    shape.id = node.id;
+
+    Object.entries(node.attributes).forEach(([name, value]) => {
+        shape.setAttribute(name, value);
+    });
+    if (node.device) {
+        shape.setAttribute('data-device', node.device);
+    }
+
+    // Classes are derived from the node type rather than stored
+    shape.classList.add('canvas-shape');
+    if (node.attributes['data-cisco'] === 'true') {
+        shape.classList.add('cisco-shape');
+    }
+    if (node.type === 'text') {
+        shape.classList.add('text-shape');
+    }
+    if (node.type === 'pagelink') {
+        shape.classList.add('page-link-shape');
+    }
+
+    Object.entries(node.style).forEach(([property, value]) => {
+        if (value) {
+            shape.style[property] = value;
+        }
+    });
+
+    if (node.element === 'g') {
+        appendNodeContent(shape, node);
+    }
+
+    // Page names can change while the link is not shown
+    if (node.type === 'pagelink') {
+        updatePageLinkText(shape);
+    }
+    if (node.device) {
+        renderDeviceBadges(shape);
+    }
+
+    addShapeEventListeners(shape);
+
+    return shape;
+}
+
+/**
+ * Build the child elements of a group shape from its model node
+ * Cisco shapes are rebuilt from the shape catalogue, other groups from their stored children
+ * @param {SVGElement} group - The shape group
+ * @param {Object} node - Node record from the topology model
+ */
+function appendNodeContent(group, node) {
+    if (node.attributes['data-cisco'] === 'true') {
+        const ciscoTemplate = CISCO_SHAPES[node.type];
+        if (!ciscoTemplate) {
+            console.warn(`Unknown Cisco shape type "${node.type}", rendering a placeholder`);
+            appendElement(group, {
+                element: 'rect',
+                attributes: {
+                    width: node.icon?.width || 60,
+                    height: node.icon?.height || 60,
+                    fill: '#f8f9fa',
+                    stroke: '#adb5bd',
+                    'stroke-dasharray': '4 2',
+                },
+                text: null,
+            });
+            return;
+        }
+
+        appendCiscoIcon(group, node.type, node.icon);
+
+        // A missing icon means the shape was saved without content: use the template defaults
+        if (!node.icon) {
+            const { width, height } = getIconDefaults(node.type);
+            appendCiscoLabel(group, ciscoTemplate, width, height);
+        } else if (node.label) {
+            appendElement(group, { element: 'text', ...node.label });
+        }
+        return;
+    }
+
+    node.children.forEach(child => appendElement(group, child));
+}
+
+/**
+ * Append a child element described by the model to a group
+ * @param {SVGElement} group - The parent group
+ * @param {Object} child - Child record ({ element, attributes, text })
+ */
+function appendElement(group, child) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', child.element);
+    setAttributes(element, child.attributes);
+    if (child.text !== null && child.text !== undefined) {
+        element.textContent = child.text;
+    }
+    group.appendChild(element);
+}
+
+/**
+ * Render the sibling label of a basic shape from a model node record
+ * @param {Object} node - Node record from the topology model
+ * @returns {SVGTextElement|null} The label element, or null if the node has none
+ */
+export function renderNodeLabel(node) {
+    // Cisco shapes keep their label inside the group (see renderNode)
+    if (!node.label || node.attributes['data-cisco'] === 'true') return null;
+
+    const labelEl = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    Object.entries(node.label.attributes).forEach(([name, value]) => {
+        labelEl.setAttribute(name, value);
+    });
+    labelEl.setAttribute('data-shape-id', node.id);
+    labelEl.textContent = node.label.text;
+
+    return labelEl;
+}
+
+/**
+ * Read a rendered shape back into a model node record
+ * @param {SVGElement} shape - The shape element
+ * @returns {Object} Node data
+ */
+export function nodeFromShape(shape) {
+    const tagName = shape.tagName.toLowerCase();
+    const attributes = getAttributes(shape);
+    const isCisco = attributes['data-cisco'] === 'true';
+
+    // Basic shapes keep their label as a sibling text element, Cisco shapes as a child
+    let label = null;
+    const labelEl = isCisco
+        ? shape.querySelector('text:not([data-label]):not([data-badge])')
+        : shape.parentNode?.querySelector(`text[data-shape-id="${shape.id}"]`);
+    if (labelEl) {
+        label = {
+            text: labelEl.textContent || '',
+            attributes: getAttributes(labelEl, ['data-shape-id']),
+        };
+    }
+
+    let icon = null;
+    let children = [];
+    if (isCisco) {
+        icon = iconFromShape(shape);
+    } else if (tagName === 'g') {
+        children = Array.from(shape.children).map(child => ({
+            element: child.tagName.toLowerCase(),
+            attributes: getAttributes(child),
+            text: child.tagName.toLowerCase() === 'text' ? child.textContent : null,
+        }));
+    }
+
+    return {
+        id: shape.id,
+        type: shape.getAttribute('data-shape-type'),
+        element: tagName,
+        layer: shape.parentElement?.id || 'shapesLayer',
+        device: shape.getAttribute('data-device'),
+        attributes,
+        // Inline cursors are interaction state (connection mode); shapes get theirs from CSS
+        style: {},
+        icon,
+        children,
+        label,
+    };
+}
+
+/**
+ * Read the icon reference of a rendered Cisco shape
+ * Only size and style values that differ from the catalogue are kept
+ * @param {SVGElement} shape - The Cisco shape group
+ * @returns {Object|null} Icon reference, or null if the shape type is unknown
+ */
+function iconFromShape(shape) {
+    const defaults = getIconDefaults(shape.getAttribute('data-shape-type'));
+    const svg = shape.querySelector('svg');
+    if (!defaults || !svg) return null;
+
+    const bgRect = svg.querySelector('rect');
+    const path = svg.querySelector('path');
+
+    return {
+        width: parseFloat(svg.getAttribute('width')) || defaults.width,
+        height: parseFloat(svg.getAttribute('height')) || defaults.height,
+        style: {
+            background: getIconStyleOverrides(
+                bgRect ? getAttributes(bgRect) : {},
+                defaults.background
+            ),
+            glyph: getIconStyleOverrides(path ? getAttributes(path) : {}, defaults.glyph),
+        },
+    };
+}
+
 /**
  * Update text background rectangle to fit text content
  * @param {SVGElement} textGroup - The text shape group
@@ -321,8 +630,8 @@ export function getShapeBounds(shape) {
     if (shapeType === 'g') {
         const dataType = shape.getAttribute('data-shape-type');
 
-        // Handle text shapes
-        if (dataType === 'text') {
+        // Handle text shapes and page links (sized by their background)
+        if (dataType === 'text' || dataType === 'pagelink') {
             const transform = shape.getAttribute('transform');
             let tx = 0,
                 ty = 0;
@@ -335,7 +644,7 @@ export function getShapeBounds(shape) {
                 }
             }
 
-            const bgRect = shape.querySelector('.text-background');
+            const bgRect = shape.querySelector('.text-background, .page-link-background');
             if (bgRect) {
                 const x = parseFloat(bgRect.getAttribute('x'));
                 const y = parseFloat(bgRect.getAttribute('y'));
@@ -6,8 +6,12 @@ import { appState } from '../state/appState.js';
 import { elements } from '../utils/dom.js';
 import { MIN_SHAPE_SIZE } from '../config/constants.js';
 import { updateResizeHandles } from './shapeSelection.js';
+import { renderDeviceBadges } from './deviceBadges.js';
 import { updateShapeConnections } from '../connections/connectionManager.js';
 import { updateInteractionCirclePosition } from '../ui/shapeInteractionCircle.js';
+import { beginHistoryStep } from '../services/history.js';
+import { getShapeBounds } from './shapeFactory.js';
+import { snapResize } from '../canvas/snapping.js';
 
 /**
  * Start resizing a shape
@@ -20,6 +24,9 @@ export function startResize(shape, handleType, e) {
     appState.resizeHandle = handleType;
     appState.selectShape(shape);
 
+    // The whole resize becomes one undo step (closed on mouse up)
+    beginHistoryStep('resize shape');
+
     // Prevent text selection during resize
     document.body.classList.add('no-select');
 
@@ -51,25 +58,27 @@ export function startResize(shape, handleType, e) {
  * @param {string} handleType - The type of resize handle
  * @param {number} mouseX - Current mouse X position
  * @param {number} mouseY - Current mouse Y position
+ * @param {boolean} snapping - False to resize freely (Alt held)
  */
-export function handleResize(shape, handleType, mouseX, mouseY) {
-    const shapeType = shape.tagName;
+export function handleResize(shape, handleType, mouseX, mouseY, snapping = true) {
     const deltaX = mouseX - appState.dragOffsetX;
     const deltaY = mouseY - appState.dragOffsetY;
 
-    if (shapeType === 'circle') {
-        handleCircleResize(shape, deltaX, deltaY);
-    } else if (shapeType === 'ellipse') {
-        handleEllipseResize(shape, handleType, deltaX, deltaY);
-    } else if (shapeType === 'rect') {
-        handleRectResize(shape, handleType, deltaX, deltaY);
-    } else if (shapeType === 'g') {
-        handleGroupResize(shape, handleType, deltaX, deltaY);
+    resizeBy(shape, handleType, deltaX, deltaY);
+
+    // Line the moving edges up with other shapes or the grid (see canvas/snapping.js);
+    // circles grow from their centre on both axes, so they don't snap
+    let snap = { dx: 0, dy: 0 };
+    if (shape.tagName !== 'circle') {
+        snap = snapResize(getShapeBounds(shape), handleType, [shape.id], snapping);
+        if (snap.dx !== 0 || snap.dy !== 0) {
+            resizeBy(shape, handleType, snap.dx, snap.dy);
+        }
     }
 
-    // Update drag offset for continuous resizing
-    appState.dragOffsetX = mouseX;
-    appState.dragOffsetY = mouseY;
+    // Update drag offset for continuous resizing; the next step starts from the snapped edges
+    appState.dragOffsetX = mouseX + snap.dx;
+    appState.dragOffsetY = mouseY + snap.dy;
 
     // Update resize handles
     updateResizeHandles(shape);
@@ -80,6 +89,27 @@ export function handleResize(shape, handleType, mouseX, mouseY) {
     // Note: Circle update moved to mouseup for better performance
 }
 
+/**
+ * Resize a shape by moving the edges of a handle
+ * @param {SVGElement} shape - The shape being resized
+ * @param {string} handleType - The type of resize handle
+ * @param {number} deltaX - Horizontal move of the handle
+ * @param {number} deltaY - Vertical move of the handle
+ */
+function resizeBy(shape, handleType, deltaX, deltaY) {
+    const shapeType = shape.tagName;
+
+    if (shapeType === 'circle') {
+        handleCircleResize(shape, deltaX, deltaY);
+    } else if (shapeType === 'ellipse') {
+        handleEllipseResize(shape, handleType, deltaX, deltaY);
+    } else if (shapeType === 'rect') {
+        handleRectResize(shape, handleType, deltaX, deltaY);
+    } else if (shapeType === 'g') {
+        handleGroupResize(shape, handleType, deltaX, deltaY);
+    }
+}
+
 /**
  * Handle circle resize
  */
@@ -280,4 +310,9 @@ function handleGroupResize(shape, handleType, deltaX, deltaY) {
         label.setAttribute('x', newWidth / 2);
         label.setAttribute('y', newHeight + 12);
     }
+
+    // Keep the device badges centered above the icon
+    if (shape.hasAttribute('data-device')) {
+        renderDeviceBadges(shape);
+    }
 }
@@ -0,0 +1,138 @@
+/**
+ * Command history (undo/redo stack)
+ * Commands are plain objects with a `label` and `undo()`/`redo()` methods.
+ */
+
+import { HISTORY_CONFIG } from '../config/constants.js';
+
+export class CommandHistory {
+    /**
+     * @param {number} limit - Maximum number of undoable commands kept
+     */
+    constructor(limit = HISTORY_CONFIG.DEFAULT_DEPTH) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+        this.listeners = [];
+    }
+
+    /**
+     * Add an already-applied command to the history
+     * @param {Object} command - Command with label, undo() and redo()
+     */
+    push(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        // Drop the oldest commands beyond the configured depth
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Apply a command and add it to the history
+     * @param {Object} command - Command with label, undo() and redo()
+     */
+    execute(command) {
+        command.redo();
+        this.push(command);
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {boolean} True if a command was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {boolean} True if a command was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * @returns {boolean} True if there is a command to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is a command to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * @returns {string|null} Label of the next command to undo
+     */
+    getUndoLabel() {
+        return this.undoStack.length ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    /**
+     * @returns {string|null} Label of the next command to redo
+     */
+    getRedoLabel() {
+        return this.redoStack.length ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Change the maximum history depth, trimming the oldest commands if needed
+     * @param {number} limit - New maximum depth
+     */
+    setLimit(limit) {
+        this.limit = Math.max(1, Math.floor(limit));
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+            this.notify();
+        }
+    }
+
+    /**
+     * Remove all commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Register a listener called whenever the stacks change
+     * @param {Function} listener - Callback receiving the history instance
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify change listeners
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export singleton instance
+export const commandHistory = new CommandHistory();
@@ -0,0 +1,56 @@
+/**
+ * Group shape content rules
+ * What the model stores for group shapes instead of their markup: icon shapes keep a reference
+ * to their icon (size and style overrides) and other groups keep whitelisted child elements.
+ * Shared by the model, the file migrations and the renderer; must not touch the DOM.
+ */
+
+import { CISCO_SHAPES } from '../config/constants.js';
+
+// Elements a group shape (arrow, text box) may contain; anything else is dropped
+export const NODE_CHILD_ELEMENTS = ['line', 'polygon', 'circle', 'ellipse', 'rect', 'text'];
+
+// Rendered icon size (icons are scaled to fit, keeping their aspect ratio)
+export const ICON_SIZE = 60;
+
+// Icon presentation attributes that can be overridden per node
+const ICON_STYLE_ATTRIBUTES = ['fill', 'stroke', 'stroke-width'];
+
+/**
+ * Get the default size and style of an icon shape
+ * @param {string} type - Shape type (key of CISCO_SHAPES)
+ * @returns {Object|null} Defaults with width, height and background/glyph styles, or null
+ *   if the type has no icon
+ */
+export function getIconDefaults(type) {
+    const template = CISCO_SHAPES[type];
+    if (!template) return null;
+
+    const [, , vbWidth, vbHeight] = template.viewBox.split(' ').map(Number);
+    const scale = Math.min(ICON_SIZE / vbWidth, ICON_SIZE / vbHeight);
+
+    return {
+        width: vbWidth * scale,
+        height: vbHeight * scale,
+        background: { fill: '#ffffff' },
+        glyph: { fill: template.attributes.fill, stroke: template.attributes.stroke || 'none' },
+    };
+}
+
+/**
+ * Get the icon style values that differ from the defaults
+ * Only overrides are stored, so icon updates still reach existing diagrams
+ * @param {Object} values - Current presentation attributes (missing values are skipped)
+ * @param {Object} defaults - Default presentation attributes
+ * @returns {Object} Overridden attributes
+ */
+export function getIconStyleOverrides(values, defaults = {}) {
+    const overrides = {};
+    ICON_STYLE_ATTRIBUTES.forEach(name => {
+        const value = values[name];
+        if (value !== undefined && value !== null && String(value) !== String(defaults[name])) {
+            overrides[name] = String(value);
+        }
+    });
+    return overrides;
+}
@@ -0,0 +1,301 @@
+/**
+ * Topology file migrations
+ * Upgrades topology documents from older file versions to the current one, one version
+ * at a time. Every document is validated against the schema of its own version before
+ * it is upgraded, so errors point at the fields of the file the user actually has.
+ *
+ * To change the file format: publish a new schema in frontend/static/schemas, register it
+ * in topologySchema.js, bump MODEL_VERSION and append a step to MIGRATIONS below.
+ */
+
+import { TOPOLOGY_SCHEMAS, validateTopology, TopologyValidationError } from './topologySchema.js';
+import { NODE_CHILD_ELEMENTS, getIconDefaults, getIconStyleOverrides } from './shapeContent.js';
+
+// Layer groups a shape can live in; older files may name the canvas itself
+const SHAPE_LAYERS = ['backgroundShapesLayer', 'shapesLayer'];
+
+// Entities browsers use when serializing innerHTML
+const MARKUP_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': '\u00a0',
+};
+
+/**
+ * Convert a version 1.0 label (flat constraint fields) to a 2.0 label
+ * @param {Object|null} label - Legacy label data
+ * @returns {Object} Label data
+ */
+function upgradeLabelV1(label) {
+    if (!label) return {};
+
+    const hasConstraint = label.constraintCenterX && label.constraintCenterY;
+    return {
+        text: label.text || '',
+        x: parseFloat(label.x) || 0,
+        y: parseFloat(label.y) || 0,
+        ...(label.dx !== undefined && { dx: String(label.dx) }),
+        ...(label.dy !== undefined && { dy: String(label.dy) }),
+        ...(label.textAnchor && { textAnchor: label.textAnchor }),
+        ...(label.fill && { fill: label.fill }),
+        ...(label.fontSize !== undefined && { fontSize: parseFloat(label.fontSize) || 12 }),
+        constraint: hasConstraint
+            ? {
+                  centerX: parseFloat(label.constraintCenterX),
+                  centerY: parseFloat(label.constraintCenterY),
+                  radius: parseFloat(label.constraintRadius) || 60,
+              }
+            : null,
+    };
+}
+
+/**
+ * Upgrade a version 1.0 topology (shapes/connections scraped from the DOM) to 2.0
+ * Shapes saved before layer groups existed are moved into the shapes layer, and
+ * connection label IDs are no longer stored (they are derived when rendering)
+ * @param {Object} topology - Version 1.0 topology
+ * @returns {Object} Version 2.0 topology
+ */
+function upgradeV1(topology) {
+    return {
+        version: '2.0',
+        saved: topology.saved,
+        nodes: topology.shapes.map(shape => ({
+            id: shape.id,
+            type: shape.shapeType || shape.attributes['data-shape-type'] || null,
+            element: shape.tagName,
+            layer: SHAPE_LAYERS.includes(shape.layer) ? shape.layer : 'shapesLayer',
+            attributes: shape.attributes,
+            // Inline cursors are interaction state and were never meant to be saved
+            style: {},
+            content: shape.innerHTML || null,
+            label: null,
+        })),
+        links: (topology.connections || []).map(connection => ({
+            id: connection.id,
+            source: connection.sourceId,
+            target: connection.targetId,
+            line: {
+                x1: parseFloat(connection.line.x1),
+                y1: parseFloat(connection.line.y1),
+                x2: parseFloat(connection.line.x2),
+                y2: parseFloat(connection.line.y2),
+            },
+            style: {
+                stroke: connection.line.stroke || '#6c757d',
+                strokeWidth: parseFloat(connection.line.strokeWidth) || 3,
+                strokeDasharray: connection.line.strokeDasharray || '',
+            },
+            labels: {
+                source: upgradeLabelV1(connection.sourceLabel),
+                target: upgradeLabelV1(connection.targetLabel),
+                center: upgradeLabelV1(connection.centerLabel),
+            },
+        })),
+    };
+}
+
+/**
+ * Decode the entities of serialized markup
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => MARKUP_ENTITIES[entity]);
+}
+
+/**
+ * Read the elements of serialized SVG markup without a DOM
+ * Nesting is flattened and only the text of <text> elements is kept, which is all the
+ * group content written by version 2.0 needs
+ * @param {string} markup - Serialized markup (a version 2.0 node's `content`)
+ * @returns {Array<Object>} Elements as { element, attributes, text }
+ */
+function parseMarkup(markup) {
+    const elements = [];
+    const tagPattern = /<([a-zA-Z][\w:-]*)((?:[^>"]|"[^"]*")*?)(\/?)>/g;
+
+    let match;
+    while ((match = tagPattern.exec(markup))) {
+        const [, name, attributeText, selfClosing] = match;
+        const element = { element: name.toLowerCase(), attributes: {}, text: null };
+
+        attributeText.replace(/([^\s=]+)\s*=\s*"([^"]*)"/g, (_, attribute, value) => {
+            // Event handlers are never part of a shape
+            if (!/^on/i.test(attribute)) {
+                element.attributes[attribute] = decodeEntities(value);
+            }
+        });
+
+        if (element.element === 'text' && !selfClosing) {
+            const end = markup.indexOf('</text>', tagPattern.lastIndex);
+            const inner = markup.slice(tagPattern.lastIndex, end === -1 ? undefined : end);
+            element.text = decodeEntities(inner.replace(/<[^>]*>/g, ''));
+        }
+
+        elements.push(element);
+    }
+
+    return elements;
+}
+
+/**
+ * Upgrade a version 2.0 node: replace its `content` markup
+ * Icon shapes keep a reference to their icon (size and style overrides) and their label;
+ * other groups keep their whitelisted child elements. Anything else in the markup is dropped
+ * @param {Object} node - Version 2.0 node
+ * @returns {Object} Version 3.0 node
+ */
+function upgradeNodeV2(node) {
+    const { content, ...rest } = node;
+    const upgraded = { ...rest, icon: null, children: [] };
+    if (node.element !== 'g' || !content) return upgraded;
+
+    const elements = parseMarkup(content);
+
+    if (node.attributes['data-cisco'] === 'true') {
+        const find = name => elements.find(element => element.element === name);
+        const svg = find('svg');
+        const defaults = getIconDefaults(node.type) || { background: {}, glyph: {} };
+        const label = find('text');
+
+        upgraded.icon = {
+            width: parseFloat(svg?.attributes.width) || defaults.width || 60,
+            height: parseFloat(svg?.attributes.height) || defaults.height || 60,
+            style: {
+                background: getIconStyleOverrides(
+                    find('rect')?.attributes || {},
+                    defaults.background
+                ),
+                glyph: getIconStyleOverrides(find('path')?.attributes || {}, defaults.glyph),
+            },
+        };
+        upgraded.label = label ? { text: label.text || '', attributes: label.attributes } : null;
+        return upgraded;
+    }
+
+    upgraded.children = elements.filter(element => NODE_CHILD_ELEMENTS.includes(element.element));
+    return upgraded;
+}
+
+/**
+ * Upgrade a version 2.0 topology to 3.0
+ * Group shapes no longer carry raw markup (see upgradeNodeV2)
+ * @param {Object} topology - Version 2.0 topology
+ * @returns {Object} Version 3.0 topology
+ */
+function upgradeV2(topology) {
+    return {
+        ...topology,
+        version: '3.0',
+        nodes: topology.nodes.map(upgradeNodeV2),
+    };
+}
+
+/**
+ * Upgrade a version 3.0 topology to 4.0
+ * The single canvas becomes the first page, and every device shape gets its own entry in the
+ * shared device list so it can later be placed on other pages
+ * @param {Object} topology - Version 3.0 topology
+ * @returns {Object} Version 4.0 topology
+ */
+function upgradeV3(topology) {
+    const devices = [];
+    const nodes = topology.nodes.map(node => {
+        if (node.attributes['data-cisco'] !== 'true') return { ...node, device: null };
+
+        const device = {
+            id: `device-${devices.length + 1}`,
+            type: node.type,
+            name: node.label?.text || '',
+        };
+        devices.push(device);
+        return { ...node, device: device.id };
+    });
+
+    return {
+        version: '4.0',
+        saved: topology.saved,
+        currentPage: 'page-1',
+        devices,
+        pages: [
+            {
+                id: 'page-1',
+                name: 'Page 1',
+                view: topology.view || null,
+                nodes,
+                links: topology.links || [],
+            },
+        ],
+    };
+}
+
+// Upgrade steps, in order; each one turns version `from` into version `to`
+const MIGRATIONS = [
+    { from: '1.0', to: '2.0', upgrade: upgradeV1 },
+    { from: '2.0', to: '3.0', upgrade: upgradeV2 },
+    { from: '3.0', to: '4.0', upgrade: upgradeV3 },
+];
+
+/**
+ * Get the file version of a topology document
+ * Files written before the version field are recognised by their content
+ * @param {Object} topology - Topology document
+ * @returns {string|null} File version, or null if it can't be determined
+ */
+export function getTopologyVersion(topology) {
+    if (typeof topology.version === 'string') return topology.version;
+    if (Array.isArray(topology.shapes)) return '1.0';
+    return null;
+}
+
+/**
+ * Validate a topology document and upgrade it to the current file version
+ * @param {Object} topology - Topology document of any supported version
+ * @param {string} targetVersion - Current file version
+ * @returns {Object} Valid topology in the current version
+ * @throws {TopologyValidationError} If the document or one of its upgrades is invalid
+ */
+export function migrateTopology(topology, targetVersion) {
+    if (!topology || typeof topology !== 'object' || Array.isArray(topology)) {
+        throw new TopologyValidationError(['topology: must be a JSON object']);
+    }
+
+    let version = getTopologyVersion(topology);
+    if (version === null) {
+        throw new TopologyValidationError(['version: is required'], 'Unrecognized topology format');
+    }
+
+    if (!TOPOLOGY_SCHEMAS[version]) {
+        throw new TopologyValidationError(
+            [`version: ${JSON.stringify(version)} is not a supported version`],
+            `Unsupported topology version ${version}`
+        );
+    }
+
+    let current = topology;
+    let message = `Topology file (version ${version}) is not valid`;
+    for (;;) {
+        const errors = validateTopology(current, version);
+        if (errors.length > 0) {
+            throw new TopologyValidationError(errors, message);
+        }
+
+        if (version === targetVersion) return current;
+
+        const migration = MIGRATIONS.find(step => step.from === version);
+        if (!migration) {
+            throw new TopologyValidationError(
+                [`version: no upgrade from ${version} to ${targetVersion}`],
+                `Unsupported topology version ${version}`
+            );
+        }
+
+        current = migration.upgrade(current);
+        version = migration.to;
+        message = `Topology could not be upgraded to version ${version}`;
+    }
+}
@@ -0,0 +1,1047 @@
+/**
+ * Topology document model
+ * DOM-independent representation of a diagram: pages of nodes, links, labels and styles,
+ * each with its own view, plus the devices shared between pages. The SVG canvas is a view of
+ * the current page: loading, importing and restoring render from it, and saving/exporting
+ * serialize it. This module must not touch `document` or `window`
+ * so topologies can be loaded, validated and transformed outside the browser.
+ */
+
+import { migrateTopology } from './topologyMigrations.js';
+import { NODE_CHILD_ELEMENTS, ICON_SIZE, getIconStyleOverrides } from './shapeContent.js';
+import {
+    DEVICE_PROPERTIES,
+    ROUTING_MODES,
+    LINK_ROUTING_MODES,
+    LINK_MARKERS,
+    LINK_TYPES,
+    LINK_SPEED_WIDTHS,
+} from '../config/constants.js';
+
+export const MODEL_VERSION = '4.0';
+
+// Default label record per connection end
+const LABEL_DEFAULTS = {
+    source: { dx: '0', dy: '0.35em', textAnchor: 'end', fill: '#495057' },
+    target: { dx: '0', dy: '0.35em', textAnchor: 'start', fill: '#495057' },
+    center: { dx: '0', dy: '-5', textAnchor: 'middle', fill: '#212529' },
+};
+
+// Default link stroke style
+const LINK_STYLE_DEFAULTS = {
+    stroke: '#6c757d',
+    strokeWidth: 3,
+    strokeDasharray: '',
+};
+
+// Shape attributes that are derived at render time and never stored
+const DERIVED_NODE_ATTRIBUTES = ['class', 'id', 'style', 'data-connections', 'data-device'];
+
+/**
+ * Parse a numeric value, falling back to a default
+ * Also used by the file format converters for numbers read from other tools' files
+ * @param {*} value - Value to parse
+ * @param {number} fallback - Value used when parsing fails
+ * @returns {number} The parsed number
+ */
+export function toNumber(value, fallback = 0) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Copy an attribute map with string values, skipping excluded and event handler attributes
+ * @param {Object} attributes - Attribute map
+ * @param {Array<string>} excluded - Attribute names to skip
+ * @returns {Object} Attribute map
+ */
+function toAttributeMap(attributes = {}, excluded = []) {
+    const result = {};
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (!excluded.includes(name) && !/^on/i.test(name)) {
+            result[name] = String(value);
+        }
+    });
+    return result;
+}
+
+/**
+ * Create a normalized icon reference
+ * @param {Object} data - Partial icon data
+ * @returns {Object} Icon record with size and style overrides
+ */
+function createIcon(data) {
+    const style = data.style || {};
+    return {
+        width: toNumber(data.width, ICON_SIZE),
+        height: toNumber(data.height, ICON_SIZE),
+        style: {
+            background: getIconStyleOverrides(style.background || {}),
+            glyph: getIconStyleOverrides(style.glyph || {}),
+        },
+    };
+}
+
+/**
+ * Create a normalized connection label record
+ * @param {Object} data - Partial label data
+ * @param {string} type - 'source', 'target', or 'center'
+ * @returns {Object} Label record
+ */
+export function createLabel(data = {}, type = 'center') {
+    const defaults = LABEL_DEFAULTS[type] || LABEL_DEFAULTS.center;
+    const constraint = data.constraint
+        ? {
+              centerX: toNumber(data.constraint.centerX),
+              centerY: toNumber(data.constraint.centerY),
+              radius: toNumber(data.constraint.radius, 60),
+          }
+        : null;
+
+    return {
+        text: data.text || '',
+        x: toNumber(data.x),
+        y: toNumber(data.y),
+        dx: data.dx !== undefined && data.dx !== null ? String(data.dx) : defaults.dx,
+        dy: data.dy !== undefined && data.dy !== null ? String(data.dy) : defaults.dy,
+        textAnchor: data.textAnchor || defaults.textAnchor,
+        fill: data.fill || defaults.fill,
+        fontSize: toNumber(data.fontSize, 12),
+        constraint,
+    };
+}
+
+/**
+ * Create a normalized node record
+ * Basic shapes and lines are described by their attributes, icon shapes (Cisco devices) by a
+ * reference to their icon, and other groups (arrows, text boxes) by whitelisted child elements.
+ * Device shapes also refer to their entry in the topology's shared device list
+ * @param {Object} data - Partial node data
+ * @returns {Object} Node record
+ */
+export function createNode(data = {}) {
+    const attributes = toAttributeMap(data.attributes, DERIVED_NODE_ATTRIBUTES);
+
+    return {
+        id: data.id,
+        type: data.type || attributes['data-shape-type'] || null,
+        element: data.element || 'rect',
+        layer: data.layer || 'shapesLayer',
+        device: typeof data.device === 'string' && data.device ? data.device : null,
+        attributes,
+        style: { ...(data.style || {}) },
+        icon: data.icon ? createIcon(data.icon) : null,
+        children: (data.children || [])
+            .filter(child => NODE_CHILD_ELEMENTS.includes(child.element))
+            .map(child => ({
+                element: child.element,
+                attributes: toAttributeMap(child.attributes),
+                text: typeof child.text === 'string' ? child.text : null,
+            })),
+        label: data.label
+            ? { text: data.label.text || '', attributes: toAttributeMap(data.label.attributes) }
+            : null,
+    };
+}
+
+/**
+ * Create normalized device properties
+ * Only filled-in properties are kept; tags are `{ key, value }` pairs with a key
+ * @param {Object} data - Partial properties
+ * @returns {Object} Properties record
+ */
+export function createDeviceProperties(data = {}) {
+    const properties = {};
+    DEVICE_PROPERTIES.forEach(({ key }) => {
+        const value = typeof data[key] === 'string' ? data[key].trim() : '';
+        if (value) properties[key] = value;
+    });
+
+    const tags = (Array.isArray(data.tags) ? data.tags : [])
+        .map(tag => ({
+            key: String(tag?.key ?? '').trim(),
+            value: String(tag?.value ?? '').trim(),
+        }))
+        .filter(tag => tag.key);
+    if (tags.length > 0) properties.tags = tags;
+
+    return properties;
+}
+
+/**
+ * Create a normalized interface list
+ * Interfaces without a name are dropped and empty fields are left out. Existing IDs are kept;
+ * missing or repeated IDs get the next free `if-<n>`, never one of `reservedIds`, so a link
+ * bound to a removed interface can't end up on a new one
+ * @param {Array<Object>} data - Partial interface records ({ id, name, type, speed, ip })
+ * @param {Array<string>} reservedIds - IDs that new interfaces must not get
+ * @returns {Array<Object>} Interface records
+ */
+export function createInterfaces(data, reservedIds = []) {
+    const items = (Array.isArray(data) ? data : []).filter(item => String(item?.name ?? '').trim());
+    let lastId = getMaxSuffix([...items.map(item => item.id), ...reservedIds], 'if');
+    const ids = new Set();
+
+    return items.map(item => {
+        const id =
+            typeof item.id === 'string' && item.id && !ids.has(item.id)
+                ? item.id
+                : `if-${++lastId}`;
+        ids.add(id);
+
+        const record = { id, name: String(item.name).trim() };
+        ['type', 'speed', 'ip'].forEach(key => {
+            const value = String(item[key] ?? '').trim();
+            if (value) record[key] = value;
+        });
+        return record;
+    });
+}
+
+/**
+ * Create a normalized device record
+ * @param {Object} data - Partial device data
+ * @returns {Object} Device record
+ */
+export function createDevice(data) {
+    return {
+        id: data.id,
+        type: data.type || null,
+        name: data.name || '',
+        properties: createDeviceProperties(data.properties),
+        interfaces: createInterfaces(data.interfaces),
+    };
+}
+
+/**
+ * Get the interface ID bound to a link end
+ * @param {*} value - Stored interface ID
+ * @returns {string|null} Interface ID, or null if the end is not bound
+ */
+function toInterfaceId(value) {
+    return typeof value === 'string' && value ? value : null;
+}
+
+/**
+ * Get a link's routing mode
+ * @param {*} value - Stored routing mode
+ * @param {Array<Object>} modes - Allowed routing modes
+ * @returns {string|null} Routing mode, or null if the link follows the document's default
+ */
+function toRoutingMode(value, modes = LINK_ROUTING_MODES) {
+    return modes.some(mode => mode.value === value) ? value : null;
+}
+
+/**
+ * Get the bend points of a link's route
+ * Links saved before routing existed have none (they are straight)
+ * @param {*} points - Stored points
+ * @returns {Array<Object>|null} Points, or null if the link is to be routed when next shown
+ */
+function toRoutePoints(points) {
+    if (points === null) return null;
+    return (Array.isArray(points) ? points : []).map(point => ({
+        x: toNumber(point?.x),
+        y: toNumber(point?.y),
+    }));
+}
+
+/**
+ * Get the name of the bundle (e.g. a port-channel) a link belongs to
+ * @param {*} value - Stored bundle name
+ * @returns {string|null} Bundle name, or null if the link is not bundled
+ */
+function toBundleName(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Get the marker drawn at a link end
+ * @param {*} value - Stored marker
+ * @returns {string} Marker (see LINK_MARKERS); 'none' if not known
+ */
+function toLinkMarker(value) {
+    return LINK_MARKERS.some(marker => marker.value === value) ? value : 'none';
+}
+
+/**
+ * Get the catalogue type of a link
+ * @param {*} value - Stored link type
+ * @returns {string|null} Link type (see LINK_TYPES), or null for links styled by hand
+ */
+function toLinkType(value) {
+    return LINK_TYPES.some(type => type.value === value) ? value : null;
+}
+
+/**
+ * Get the speed of a link
+ * @param {*} value - Stored speed (e.g. "10G")
+ * @returns {string|null} Speed, or null if not set
+ */
+function toLinkSpeed(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Read a link speed such as "10G", "2.5 Gbps" or "100M" (a bare number is in Mbit/s)
+ * @param {string|null} speed - Link speed
+ * @returns {number|null} Speed in bit/s, or null if it can't be read
+ */
+function parseLinkSpeed(speed) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmgt])?(?:b(?:ps|it\/s)?)?$/i.exec(speed?.trim() || '');
+    if (!match) return null;
+
+    const units = { k: 1e3, m: 1e6, g: 1e9, t: 1e12 };
+    return parseFloat(match[1]) * units[(match[2] || 'm').toLowerCase()] || null;
+}
+
+/**
+ * Get the line width of a link from its speed
+ * @param {string|null} speed - Link speed
+ * @returns {number|null} Width (px, see LINK_SPEED_WIDTHS), or null if the speed can't be read
+ */
+export function getLinkSpeedWidth(speed) {
+    const bitsPerSecond = parseLinkSpeed(speed);
+    if (!bitsPerSecond) return null;
+    return LINK_SPEED_WIDTHS.find(step => bitsPerSecond <= step.speed).width;
+}
+
+/**
+ * Create the style of a link type, filling what a document didn't restyle from the catalogue
+ * @param {string|null} type - Link type (see LINK_TYPES); other links use the default style
+ * @param {Object} data - Partial style
+ * @returns {Object} Link style {stroke, strokeWidth, strokeDasharray}
+ */
+function createLinkTypeStyle(type, data = {}) {
+    const defaults = LINK_TYPES.find(item => item.value === type) || LINK_STYLE_DEFAULTS;
+    return {
+        stroke: typeof data.stroke === 'string' && data.stroke ? data.stroke : defaults.stroke,
+        strokeWidth: toNumber(data.strokeWidth) || defaults.strokeWidth,
+        strokeDasharray:
+            typeof data.strokeDasharray === 'string'
+                ? data.strokeDasharray
+                : defaults.strokeDasharray,
+    };
+}
+
+/**
+ * Create the document settings
+ * `linkStyles` only holds the link types the document restyled
+ * @param {Object} data - Partial settings
+ * @returns {Object} Settings record
+ */
+function createSettings(data = {}) {
+    const linkStyles = {};
+    Object.entries(data.linkStyles || {}).forEach(([type, style]) => {
+        if (toLinkType(type)) linkStyles[type] = createLinkTypeStyle(type, style);
+    });
+
+    return {
+        routing: toRoutingMode(data.routing, ROUTING_MODES) || ROUTING_MODES[0].value,
+        linkStyles,
+    };
+}
+
+/**
+ * Create a normalized link record
+ * @param {Object} data - Partial link data
+ * @returns {Object} Link record
+ */
+export function createLink(data = {}) {
+    const line = data.line || {};
+    const style = { ...LINK_STYLE_DEFAULTS, ...(data.style || {}) };
+    const labels = data.labels || {};
+
+    return {
+        id: data.id,
+        source: data.source,
+        target: data.target,
+        sourceInterface: toInterfaceId(data.sourceInterface),
+        targetInterface: toInterfaceId(data.targetInterface),
+        type: toLinkType(data.type),
+        speed: toLinkSpeed(data.speed),
+        line: {
+            x1: toNumber(line.x1),
+            y1: toNumber(line.y1),
+            x2: toNumber(line.x2),
+            y2: toNumber(line.y2),
+        },
+        routing: toRoutingMode(data.routing),
+        points: toRoutePoints(data.points),
+        curved: data.curved === true,
+        bundle: toBundleName(data.bundle),
+        markers: {
+            source: toLinkMarker(data.markers?.source),
+            target: toLinkMarker(data.markers?.target),
+        },
+        style: {
+            stroke: style.stroke,
+            strokeWidth: toNumber(style.strokeWidth, LINK_STYLE_DEFAULTS.strokeWidth),
+            strokeDasharray: style.strokeDasharray || '',
+        },
+        labels: {
+            source: createLabel(labels.source, 'source'),
+            target: createLabel(labels.target, 'target'),
+            center: createLabel(labels.center, 'center'),
+        },
+    };
+}
+
+/**
+ * Create a normalized page view (zoom level and scroll position)
+ * @param {Object|null} view - Partial view data
+ * @returns {Object} View record
+ */
+function createView(view) {
+    return {
+        zoom: toNumber(view?.zoom, 1) || 1,
+        scrollLeft: toNumber(view?.scrollLeft),
+        scrollTop: toNumber(view?.scrollTop),
+    };
+}
+
+/**
+ * Create an empty page
+ * @param {Object} data - Page data ({ id, name, view, origin })
+ * @returns {Object} Page with node and link maps
+ */
+function createPage(data) {
+    return {
+        id: data.id,
+        name: data.name || '',
+        view: createView(data.view),
+        origin: data.origin ? { x: toNumber(data.origin.x), y: toNumber(data.origin.y) } : null,
+        nodes: new Map(),
+        links: new Map(),
+    };
+}
+
+/**
+ * Serialize a page to plain JSON data
+ * @param {Object} page - The page
+ * @returns {Object} Serialized page
+ */
+function serializePage(page) {
+    return {
+        id: page.id,
+        name: page.name,
+        view: { ...page.view },
+        ...(page.origin && { origin: { ...page.origin } }),
+        nodes: Array.from(page.nodes.values()),
+        links: Array.from(page.links.values()),
+    };
+}
+
+/**
+ * Check whether a node is a device shape (it then belongs to a shared device)
+ * @param {Object} node - Node record
+ * @returns {boolean} True for device shapes
+ */
+export function isDeviceNode(node) {
+    return node.attributes['data-cisco'] === 'true';
+}
+
+/**
+ * Get the highest numeric suffix of a set of IDs, e.g. 12 for "shape-12"
+ * @param {Iterable<string>} ids - IDs
+ * @param {string} prefix - ID prefix
+ * @returns {number} Highest suffix, 0 if none
+ */
+function getMaxSuffix(ids, prefix) {
+    let max = 0;
+    for (const id of ids) {
+        const match = String(id).match(new RegExp(`^${prefix}-(\\d+)$`));
+        if (match) max = Math.max(max, parseInt(match[1], 10));
+    }
+    return max;
+}
+
+/**
+ * In-memory topology document
+ * Node and link methods work on the current page; IDs are unique across all pages
+ */
+export class TopologyModel {
+    constructor() {
+        this.pages = [];
+        this.devices = new Map();
+        this.currentPageId = null;
+        this.settings = createSettings();
+        this.reset();
+    }
+
+    /**
+     * Replace the content with a single empty page
+     */
+    reset() {
+        this.pages = [createPage({ id: 'page-1', name: 'Page 1' })];
+        this.devices.clear();
+        this.currentPageId = 'page-1';
+        this.settings = createSettings();
+    }
+
+    /**
+     * The page shown on the canvas
+     * @returns {Object} The current page
+     */
+    get currentPage() {
+        return this.getPage(this.currentPageId) || this.pages[0];
+    }
+
+    /**
+     * Nodes of the current page
+     * @returns {Map<string, Object>} Node records by ID
+     */
+    get nodes() {
+        return this.currentPage.nodes;
+    }
+
+    /**
+     * Links of the current page
+     * @returns {Map<string, Object>} Link records by ID
+     */
+    get links() {
+        return this.currentPage.links;
+    }
+
+    /**
+     * View (zoom level and scroll position) of the current page
+     * @returns {Object} View record
+     */
+    get view() {
+        return this.currentPage.view;
+    }
+
+    set view(view) {
+        this.currentPage.view = createView(view);
+    }
+
+    /**
+     * Remove all nodes and links of the current page
+     */
+    clear() {
+        this.nodes.clear();
+        this.links.clear();
+    }
+
+    /**
+     * Add or replace a node
+     * @param {Object} data - Node data
+     * @returns {Object} The stored node record
+     */
+    addNode(data) {
+        const node = createNode(data);
+        this.nodes.set(node.id, node);
+        return node;
+    }
+
+    /**
+     * Get a node by ID
+     * @param {string} id - Node ID
+     * @returns {Object|undefined} The node record
+     */
+    getNode(id) {
+        return this.nodes.get(id);
+    }
+
+    /**
+     * Move a node to the end of the drawing order, in front of the other nodes of its layer
+     * @param {string} id - Node ID
+     */
+    raiseNode(id) {
+        const node = this.nodes.get(id);
+        if (!node) return;
+
+        this.nodes.delete(id);
+        this.nodes.set(id, node);
+    }
+
+    /**
+     * Remove a node and every link attached to it
+     * @param {string} id - Node ID
+     */
+    removeNode(id) {
+        this.nodes.delete(id);
+        this.getLinksForNode(id).forEach(link => this.links.delete(link.id));
+    }
+
+    /**
+     * Add or replace a link
+     * @param {Object} data - Link data
+     * @returns {Object} The stored link record
+     */
+    addLink(data) {
+        const link = createLink(data);
+        this.links.set(link.id, link);
+        return link;
+    }
+
+    /**
+     * Get a link by ID
+     * @param {string} id - Link ID
+     * @returns {Object|undefined} The link record
+     */
+    getLink(id) {
+        return this.links.get(id);
+    }
+
+    /**
+     * Remove a link
+     * @param {string} id - Link ID
+     */
+    removeLink(id) {
+        this.links.delete(id);
+    }
+
+    /**
+     * Get all links attached to a node
+     * @param {string} nodeId - Node ID
+     * @returns {Array<Object>} Link records
+     */
+    getLinksForNode(nodeId) {
+        return Array.from(this.links.values()).filter(
+            link => link.source === nodeId || link.target === nodeId
+        );
+    }
+
+    /**
+     * Get the routing mode a link is drawn with
+     * @param {Object} link - Link record (or partial link data)
+     * @returns {string} The link's own routing mode, or the document's default
+     */
+    getLinkRouting(link) {
+        return toRoutingMode(link?.routing) || this.settings.routing;
+    }
+
+    /**
+     * Set the document's default routing mode
+     * Links following the default on other pages are routed again when their page is shown;
+     * the canvas takes care of the current page
+     * @param {string} routing - Routing mode (see ROUTING_MODES)
+     */
+    setDefaultRouting(routing) {
+        this.settings = createSettings({ ...this.settings, routing });
+        this.pages.forEach(page => {
+            if (page === this.currentPage) return;
+            page.links.forEach(link => {
+                if (!link.routing) link.points = null;
+            });
+        });
+    }
+
+    /**
+     * Get the style links of a catalogue type are drawn with in this document
+     * @param {string|null} type - Link type (see LINK_TYPES)
+     * @param {string|null} speed - Link speed; when it can be read it sets the width
+     * @returns {Object} Link style {stroke, strokeWidth, strokeDasharray}
+     */
+    getLinkTypeStyle(type, speed = null) {
+        const style = createLinkTypeStyle(type, this.settings.linkStyles[type]);
+        return { ...style, strokeWidth: getLinkSpeedWidth(speed) || style.strokeWidth };
+    }
+
+    /**
+     * Restyle a link type in this document
+     * Every link of the type on every page takes the new style, with its width still following
+     * its speed; the canvas shows the current page's links again from the model
+     * @param {string} type - Link type (see LINK_TYPES)
+     * @param {Object} style - Partial style {stroke, strokeWidth, strokeDasharray}
+     */
+    setLinkTypeStyle(type, style) {
+        if (!toLinkType(type)) return;
+
+        this.settings = createSettings({
+            ...this.settings,
+            linkStyles: { ...this.settings.linkStyles, [type]: style },
+        });
+        this.pages.forEach(page => {
+            page.links.forEach(link => {
+                if (link.type === type) link.style = this.getLinkTypeStyle(type, link.speed);
+            });
+        });
+    }
+
+    /**
+     * Get a page by ID
+     * @param {string} id - Page ID
+     * @returns {Object|undefined} The page
+     */
+    getPage(id) {
+        return this.pages.find(page => page.id === id);
+    }
+
+    /**
+     * Add an empty page after the last one
+     * @param {string} name - Page name (optional, defaults to "Page <n>")
+     * @returns {Object} The new page
+     */
+    addPage(name) {
+        const pageIds = this.pages.map(page => page.id);
+        const names = new Set(this.pages.map(page => page.name));
+
+        let index = this.pages.length + 1;
+        while (names.has(`Page ${index}`)) index++;
+
+        const page = createPage({
+            id: `page-${getMaxSuffix(pageIds, 'page') + 1}`,
+            name: name || `Page ${index}`,
+        });
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Remove a page; the last remaining page can't be removed
+     * Removing the current page makes its neighbour current
+     * @param {string} id - Page ID
+     * @returns {boolean} True if the page was removed
+     */
+    removePage(id) {
+        const index = this.pages.findIndex(page => page.id === id);
+        if (index === -1 || this.pages.length === 1) return false;
+
+        this.pages.splice(index, 1);
+        if (id === this.currentPageId) {
+            this.currentPageId = this.pages[Math.min(index, this.pages.length - 1)].id;
+        }
+        this.pruneDevices();
+        return true;
+    }
+
+    /**
+     * Rename a page
+     * @param {string} id - Page ID
+     * @param {string} name - New name (ignored if blank)
+     * @returns {boolean} True if the page was renamed
+     */
+    renamePage(id, name) {
+        const page = this.getPage(id);
+        const trimmed = (name || '').trim();
+        if (!page || !trimmed) return false;
+
+        page.name = trimmed;
+        return true;
+    }
+
+    /**
+     * Make a page the current one
+     * @param {string} id - Page ID
+     * @returns {boolean} True if the page exists
+     */
+    setCurrentPage(id) {
+        if (!this.getPage(id)) return false;
+
+        this.currentPageId = id;
+        return true;
+    }
+
+    /**
+     * Get a device by ID
+     * @param {string} id - Device ID
+     * @returns {Object|undefined} The device record
+     */
+    getDevice(id) {
+        return this.devices.get(id);
+    }
+
+    /**
+     * Add a device with the next free ID
+     * @param {Object} data - Device data (without ID)
+     * @returns {Object} The new device record
+     */
+    addDevice(data) {
+        const id = `device-${getMaxSuffix(this.devices.keys(), 'device') + 1}`;
+        const device = createDevice({ ...data, id });
+        this.devices.set(id, device);
+        return device;
+    }
+
+    /**
+     * Add a new device with the type, name, properties and interfaces of an existing one
+     * Used when a device shape is duplicated: the copy is a device of its own
+     * @param {string} id - ID of the device to copy
+     * @returns {Object|null} The new device record, or null if the device doesn't exist
+     */
+    copyDevice(id) {
+        const device = this.devices.get(id);
+        return device ? this.addDevice(device) : null;
+    }
+
+    /**
+     * Replace the structured properties of a device
+     * @param {string} id - Device ID
+     * @param {Object} properties - New properties
+     * @returns {boolean} True if the device exists
+     */
+    setDeviceProperties(id, properties) {
+        const device = this.devices.get(id);
+        if (!device) return false;
+
+        device.properties = createDeviceProperties(properties);
+        return true;
+    }
+
+    /**
+     * Replace the interfaces of a device
+     * Links bound to a removed interface are unbound (keeping their label), and links bound to
+     * a kept interface take over its name as their end label, on every page
+     * @param {string} id - Device ID
+     * @param {Array<Object>} interfaces - New interface list; existing interfaces keep their ID
+     * @returns {boolean} True if the device exists
+     */
+    setDeviceInterfaces(id, interfaces) {
+        const device = this.devices.get(id);
+        if (!device) return false;
+
+        device.interfaces = createInterfaces(
+            interfaces,
+            device.interfaces.map(item => item.id)
+        );
+
+        this.pages.forEach(page => {
+            page.links.forEach(link => {
+                ['source', 'target'].forEach(end => {
+                    const key = `${end}Interface`;
+                    if (!link[key] || page.nodes.get(link[end])?.device !== id) return;
+
+                    const item = device.interfaces.find(({ id: itemId }) => itemId === link[key]);
+                    if (item) {
+                        link.labels[end].text = item.name;
+                    } else {
+                        link[key] = null;
+                    }
+                });
+            });
+        });
+        return true;
+    }
+
+    /**
+     * Get an interface of a device
+     * @param {string} deviceId - Device ID
+     * @param {string} interfaceId - Interface ID
+     * @returns {Object|undefined} The interface record
+     */
+    getInterface(deviceId, interfaceId) {
+        return this.devices.get(deviceId)?.interfaces.find(item => item.id === interfaceId);
+    }
+
+    /**
+     * Find the link an interface is bound to; an interface is bound to one link at most
+     * @param {string} deviceId - Device ID
+     * @param {string} interfaceId - Interface ID
+     * @returns {{page: Object, link: Object, end: string}|null} The link and its bound end
+     *   ('source' or 'target'), or null if the interface is free
+     */
+    findInterfaceLink(deviceId, interfaceId) {
+        for (const page of this.pages) {
+            for (const link of page.links.values()) {
+                for (const end of ['source', 'target']) {
+                    if (
+                        link[`${end}Interface`] === interfaceId &&
+                        page.nodes.get(link[end])?.device === deviceId
+                    ) {
+                        return { page, link, end };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the devices whose name, properties, tags or interfaces contain a text
+     * (case-insensitive)
+     * @param {string} query - Text to look for
+     * @returns {Array<Object>} One result per device shape: `{ device, field, value, pageId,
+     *   nodeId }`, where `field` and `value` describe the first matching property
+     */
+    searchDevices(query) {
+        const text = query.trim().toLowerCase();
+        if (!text) return [];
+
+        const results = [];
+        this.devices.forEach(device => {
+            const fields = [
+                { field: 'Name', value: device.name },
+                ...DEVICE_PROPERTIES.map(({ key, label }) => ({
+                    field: label,
+                    value: device.properties[key],
+                })),
+                ...(device.properties.tags || []).map(tag => ({
+                    field: 'Tag',
+                    value: tag.value ? `${tag.key}=${tag.value}` : tag.key,
+                })),
+                ...device.interfaces.map(item => ({
+                    field: 'Interface',
+                    value: item.ip ? `${item.name} ${item.ip}` : item.name,
+                })),
+            ];
+            const match = fields.find(({ value }) => value && value.toLowerCase().includes(text));
+            if (!match) return;
+
+            this.pages.forEach(page => {
+                page.nodes.forEach(node => {
+                    if (node.device === device.id) {
+                        results.push({ device, ...match, pageId: page.id, nodeId: node.id });
+                    }
+                });
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Check whether a device is shown on a page
+     * @param {string} deviceId - Device ID
+     * @param {string} pageId - Page ID (defaults to the current page)
+     * @returns {boolean} True if one of the page's nodes is the device
+     */
+    isDeviceOnPage(deviceId, pageId = this.currentPageId) {
+        const page = this.getPage(pageId);
+        return !!page && Array.from(page.nodes.values()).some(node => node.device === deviceId);
+    }
+
+    /**
+     * Bring the shared device list in line with the current page
+     * Device shapes without a device get a new one, device names follow the labels of the
+     * current page, other pages' shapes of the same devices take over those names, and devices
+     * no longer shown on any page are dropped
+     */
+    syncDevices() {
+        this.nodes.forEach(node => {
+            if (!isDeviceNode(node)) {
+                node.device = null;
+                return;
+            }
+
+            if (!node.device) {
+                node.device = `device-${getMaxSuffix(this.devices.keys(), 'device') + 1}`;
+            }
+            const device =
+                this.devices.get(node.device) || createDevice({ id: node.device, type: node.type });
+            device.type = node.type;
+            if (node.label) device.name = node.label.text;
+            this.devices.set(device.id, device);
+        });
+
+        this.pages.forEach(page => {
+            if (page === this.currentPage) return;
+
+            page.nodes.forEach(node => {
+                const device = node.device && this.devices.get(node.device);
+                if (device && node.label) node.label.text = device.name;
+            });
+        });
+
+        this.pruneDevices();
+    }
+
+    /**
+     * Drop devices that no page shows
+     */
+    pruneDevices() {
+        const used = new Set();
+        this.pages.forEach(page => {
+            page.nodes.forEach(node => {
+                if (node.device) used.add(node.device);
+            });
+        });
+
+        Array.from(this.devices.keys()).forEach(id => {
+            if (!used.has(id)) this.devices.delete(id);
+        });
+    }
+
+    /**
+     * Get the highest numeric suffix used by node and link IDs on any page
+     * @returns {{shape: number, connection: number}} Highest IDs in use
+     */
+    getMaxIds() {
+        const nodeIds = this.pages.flatMap(page => Array.from(page.nodes.keys()));
+        const linkIds = this.pages.flatMap(page => Array.from(page.links.keys()));
+
+        return {
+            shape: getMaxSuffix(nodeIds, 'shape'),
+            connection: getMaxSuffix(linkIds, 'connection'),
+        };
+    }
+
+    /**
+     * Replace the model content with serialized topology data
+     * The data is validated against its file version's schema and upgraded to the current
+     * version first, so older files (e.g. single-page 3.0 files) load transparently.
+     * The model is left unchanged if the data is not valid
+     * @param {Object} data - Serialized topology
+     * @throws {TopologyValidationError} If the data is not a valid topology
+     */
+    load(data) {
+        const source = migrateTopology(data, MODEL_VERSION);
+
+        this.devices = new Map(
+            (source.devices || []).map(device => [device.id, createDevice(device)])
+        );
+        this.pages = source.pages.map(pageData => {
+            const page = createPage(pageData);
+            pageData.nodes.forEach(nodeData => {
+                const node = createNode(nodeData);
+                page.nodes.set(node.id, node);
+            });
+            (pageData.links || []).forEach(linkData => {
+                const link = createLink(linkData);
+                page.links.set(link.id, link);
+            });
+            return page;
+        });
+        this.currentPageId = this.getPage(source.currentPage)
+            ? source.currentPage
+            : this.pages[0].id;
+        this.settings = createSettings(source.settings);
+    }
+
+    /**
+     * Serialize the model to plain JSON data
+     * @returns {Object} Serialized topology
+     */
+    toJSON() {
+        return {
+            version: MODEL_VERSION,
+            saved: new Date().toISOString(),
+            currentPage: this.currentPageId,
+            settings: { ...this.settings },
+            devices: Array.from(this.devices.values(), createDevice),
+            pages: this.pages.map(serializePage),
+        };
+    }
+
+    /**
+     * Serialize a single page as a topology of its own
+     * Only the devices shown on that page are kept
+     * @param {string} pageId - Page ID (defaults to the current page)
+     * @returns {Object} Serialized single-page topology
+     */
+    toPageJSON(pageId = this.currentPageId) {
+        const page = this.getPage(pageId) || this.currentPage;
+        const topology = this.toJSON();
+
+        return {
+            ...topology,
+            currentPage: page.id,
+            devices: topology.devices.filter(device => this.isDeviceOnPage(device.id, page.id)),
+            pages: [serializePage(page)],
+        };
+    }
+
+    /**
+     * Create a model from serialized topology data
+     * @param {Object} data - Serialized topology
+     * @returns {TopologyModel} The new model
+     */
+    static fromJSON(data) {
+        const model = new TopologyModel();
+        model.load(data);
+        return model;
+    }
+}
+
+// Export singleton instance
+export const topologyModel = new TopologyModel();
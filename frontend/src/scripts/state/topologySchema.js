@@ -0,0 +1,307 @@
+/**
+ * Topology file validation
+ * Checks topology documents against the published JSON Schemas in frontend/static/schemas
+ * (served as /static/schemas/topology-<version>.schema.json). Only the schema keywords used
+ * by those files are supported. Like the model, this module must not touch the DOM.
+ */
+
+import topologySchemaV1 from '../../../static/schemas/topology-1.0.schema.json';
+import topologySchemaV2 from '../../../static/schemas/topology-2.0.schema.json';
+import topologySchemaV3 from '../../../static/schemas/topology-3.0.schema.json';
+import topologySchemaV4 from '../../../static/schemas/topology-4.0.schema.json';
+
+// Published schema per topology file version
+export const TOPOLOGY_SCHEMAS = {
+    '1.0': topologySchemaV1,
+    '2.0': topologySchemaV2,
+    '3.0': topologySchemaV3,
+    '4.0': topologySchemaV4,
+};
+
+/**
+ * Error thrown when a topology document does not match its schema
+ * `errors` lists every failing field as "path: problem"
+ */
+export class TopologyValidationError extends Error {
+    /**
+     * @param {Array<string>} errors - Validation errors
+     * @param {string} message - Summary message
+     */
+    constructor(errors, message = 'Topology file is not valid') {
+        super(message);
+        this.name = 'TopologyValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema `type` keyword
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Allowed type(s)
+ * @returns {boolean} True if the value has an allowed type
+ */
+function matchesType(value, type) {
+    const actual = getJsonType(value);
+    const types = Array.isArray(type) ? type : [type];
+    return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Resolve a local `$ref` such as "#/$defs/node"
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+    return ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((schema, key) => schema[key], root);
+}
+
+/**
+ * Format a child path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path, e.g. "nodes[2].attributes.fill"
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema for the value
+ * @param {Object} root - Root schema (for `$ref`)
+ * @param {string} path - Path of the value
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateValue(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        validateValue(value, resolveRef(root, schema.$ref), root, path, errors);
+        return;
+    }
+
+    const where = path || 'topology';
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+        errors.push(`${where}: must be ${expected}, got ${getJsonType(value)}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where}: "${value}" has an invalid format`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push(`${where}: must be a finite number`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where}: must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${where}: must be greater than ${schema.exclusiveMinimum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${where}: must have at least ${schema.minItems} item(s)`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            validateValue(item, schema.items, root, childPath(path, index), errors);
+        });
+    }
+
+    if (getJsonType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${childPath(path, key)}: is required`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            // Undefined values are absent once serialized
+            if (propertyValue === undefined) return;
+
+            const propertyPath = childPath(path, key);
+
+            if (
+                schema.propertyNames?.pattern &&
+                !new RegExp(schema.propertyNames.pattern).test(key)
+            ) {
+                errors.push(`${propertyPath}: property name is not allowed`);
+                return;
+            }
+
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                validateValue(propertyValue, propertySchema, root, propertyPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${propertyPath}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(
+                    propertyValue,
+                    schema.additionalProperties,
+                    root,
+                    propertyPath,
+                    errors
+                );
+            }
+        });
+    }
+}
+
+/**
+ * Check that the IDs of a list are unique
+ * @param {Array<Object>} items - Records with an `id`
+ * @param {string} path - Path of the list, e.g. "pages[0].nodes"
+ * @param {Set<string>} ids - IDs seen so far (shared across lists that must not overlap)
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkUniqueIds(items, path, ids, errors) {
+    items.forEach((item, index) => {
+        if (ids.has(item.id)) {
+            errors.push(`${path}[${index}].id: duplicate id "${item.id}"`);
+        }
+        ids.add(item.id);
+    });
+}
+
+/**
+ * Check the nodes and links of one canvas: links must point at nodes of the same canvas
+ * @param {Object} content - Object with nodes and links (a topology or a page)
+ * @param {string} path - Path prefix of the content, e.g. "pages[1]." or ""
+ * @param {Set<string>} nodeIds - Node IDs seen so far (unique across pages)
+ * @param {Set<string>} linkIds - Link IDs seen so far (unique across pages)
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateContentReferences(content, path, nodeIds, linkIds, errors) {
+    const contentNodeIds = new Set(content.nodes.map(node => node.id));
+    checkUniqueIds(content.nodes, `${path}nodes`, nodeIds, errors);
+    checkUniqueIds(content.links || [], `${path}links`, linkIds, errors);
+
+    (content.links || []).forEach((link, index) => {
+        ['source', 'target'].forEach(end => {
+            if (!contentNodeIds.has(link[end])) {
+                errors.push(`${path}links[${index}].${end}: unknown node "${link[end]}"`);
+            }
+        });
+    });
+}
+
+/**
+ * Check that the interfaces bound to a page's links belong to the devices at their ends
+ * @param {Object} page - The page
+ * @param {string} path - Path of the page, e.g. "pages[1]"
+ * @param {Map<string, Object>} devices - Devices by ID
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateInterfaceReferences(page, path, devices, errors) {
+    const nodes = new Map(page.nodes.map(node => [node.id, node]));
+
+    (page.links || []).forEach((link, index) => {
+        ['source', 'target'].forEach(end => {
+            const interfaceId = link[`${end}Interface`];
+            if (!interfaceId) return;
+
+            const device = devices.get(nodes.get(link[end])?.device);
+            if (!(device?.interfaces || []).some(item => item.id === interfaceId)) {
+                errors.push(
+                    `${path}.links[${index}].${end}Interface: unknown interface "${interfaceId}"`
+                );
+            }
+        });
+    });
+}
+
+/**
+ * Check that IDs are unique and references point at existing records
+ * Node and link IDs are unique across all pages, links stay on their page, device shapes
+ * refer to a listed device and bound interfaces belong to the device at their link end.
+ * These rules can't be expressed in the JSON Schema
+ * @param {Object} topology - Topology with nodes and links, or with pages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateReferences(topology, errors) {
+    const nodeIds = new Set();
+    const linkIds = new Set();
+
+    if (!Array.isArray(topology.pages)) {
+        validateContentReferences(topology, '', nodeIds, linkIds, errors);
+        return;
+    }
+
+    const deviceIds = new Set();
+    checkUniqueIds(topology.devices || [], 'devices', deviceIds, errors);
+    checkUniqueIds(topology.pages, 'pages', new Set(), errors);
+    (topology.devices || []).forEach((device, index) => {
+        checkUniqueIds(device.interfaces || [], `devices[${index}].interfaces`, new Set(), errors);
+    });
+    const devices = new Map((topology.devices || []).map(device => [device.id, device]));
+
+    topology.pages.forEach((page, pageIndex) => {
+        validateContentReferences(page, `pages[${pageIndex}].`, nodeIds, linkIds, errors);
+
+        page.nodes.forEach((node, index) => {
+            if (node.device && !deviceIds.has(node.device)) {
+                errors.push(
+                    `pages[${pageIndex}].nodes[${index}].device: unknown device "${node.device}"`
+                );
+            }
+        });
+        validateInterfaceReferences(page, `pages[${pageIndex}]`, devices, errors);
+    });
+}
+
+/**
+ * Validate a topology document against the schema of a file version
+ * @param {Object} topology - Topology document
+ * @param {string} version - File version whose schema applies
+ * @returns {Array<string>} Validation errors (empty if the document is valid)
+ */
+export function validateTopology(topology, version) {
+    const schema = TOPOLOGY_SCHEMAS[version];
+    if (!schema) {
+        return [`version: unsupported version ${JSON.stringify(version)}`];
+    }
+
+    const errors = [];
+    validateValue(topology, schema, schema, '', errors);
+
+    if (errors.length === 0 && (Array.isArray(topology.nodes) || Array.isArray(topology.pages))) {
+        validateReferences(topology, errors);
+    }
+
+    return errors;
+}
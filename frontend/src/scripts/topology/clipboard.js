@@ -0,0 +1,554 @@
+/**
+ * Clipboard - copy, cut and paste of shapes and their connections
+ *
+ * Copied shapes travel through the system clipboard so they can be pasted into another
+ * topology, including one open in a different browser tab. The payload is written as
+ * `application/x-topolizer-selection+json` (CLIPBOARD_CONFIG.MIME_TYPE) and, for browsers
+ * that drop custom types, as `text/plain`:
+ *
+ *   {
+ *     "format": "topolizer-selection",   // CLIPBOARD_CONFIG.FORMAT
+ *     "version": 1,                      // CLIPBOARD_CONFIG.VERSION
+ *     "modelVersion": "4.0",             // Topology model version of the records
+ *     "documentId": "doc-…",             // Document the shapes were copied from (or null)
+ *     "origin": { "x": 240, "y": 180 },  // Center of the copied shapes' bounds
+ *     "devices": [ ...device records ],  // Devices of the copied device shapes
+ *     "nodes": [ ...node records ],      // Same records as the saved topology
+ *     "links": [ ...link records ]       // Only connections between copied shapes
+ *   }
+ *
+ * On paste the records are validated (and upgraded) like a topology file of `modelVersion`,
+ * then every node and link gets a fresh ID and the selection is centered on the pointer.
+ * Device shapes pasted onto another page of the same document stay the same device; anywhere
+ * else they become new devices with the copied device's properties and interfaces. Pasted
+ * connections keep their interface bindings unless the interface is already in use.
+ */
+
+import { appState } from '../state/appState.js';
+import {
+    MODEL_VERSION,
+    createNode,
+    createLink,
+    createDevice,
+    topologyModel,
+} from '../state/topologyModel.js';
+import { migrateTopology } from '../state/topologyMigrations.js';
+import { CLIPBOARD_CONFIG } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { renderNode, renderNodeLabel, getShapeBounds } from '../shapes/shapeFactory.js';
+import {
+    renderConnection,
+    renderBundleMarkers,
+    deleteShapeConnections,
+} from '../connections/connectionManager.js';
+import { selectShape, deselectShape } from '../shapes/shapeSelection.js';
+import { saveAppState } from '../services/storage.js';
+import { commitShapes, commitRemoval } from './modelSync.js';
+import { getCurrentDocument } from '../services/workspace.js';
+
+let pointer = null; // Last pointer position over the canvas, in canvas coordinates
+let lastPayload = null; // Fallback when the browser gives no clipboard access
+let pasteCount = 0; // Pastes of the current payload without a pointer position
+
+/**
+ * Setup clipboard shortcuts (Ctrl/Cmd + C, X, V) and pointer tracking
+ */
+export function initializeClipboard() {
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCut);
+    document.addEventListener('paste', handlePaste);
+
+    if (elements.topologyCanvas) {
+        elements.topologyCanvas.addEventListener('mousemove', e => {
+            const canvasRect = elements.topologyCanvas.getBoundingClientRect();
+            pointer = {
+                x: (e.clientX - canvasRect.left) / appState.currentZoom,
+                y: (e.clientY - canvasRect.top) / appState.currentZoom,
+            };
+        });
+        elements.topologyCanvas.addEventListener('mouseleave', () => {
+            pointer = null;
+        });
+    }
+}
+
+/**
+ * Check whether a clipboard event belongs to a text field, text selection or open modal
+ * @returns {boolean} True if the event should be left to the browser
+ */
+function isTextClipboardEvent() {
+    const active = document.activeElement;
+    const isTyping =
+        active &&
+        (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable);
+    const hasTextSelection = window.getSelection && !window.getSelection().isCollapsed;
+    const hasOpenModal = !!document.querySelector('.modal.show');
+
+    return isTyping || hasTextSelection || hasOpenModal;
+}
+
+/**
+ * Get the IDs of the shapes currently selected
+ * Multi-selection (selection mode) wins over the single selected shape
+ * @returns {Array<string>} Selected shape IDs
+ */
+function getSelectedShapeIds() {
+    const selectionManager = appState.selectionManager;
+    if (selectionManager?.isActive && selectionManager.selectedShapes.size > 0) {
+        return selectionManager.getSelectedShapes();
+    }
+    return appState.selectedShape ? [appState.selectedShape.id] : [];
+}
+
+/**
+ * Write a payload to the clipboard event (and the in-memory fallback)
+ * @param {ClipboardEvent} e - The copy or cut event
+ * @param {Object} payload - Clipboard payload
+ */
+function writePayload(e, payload) {
+    const json = JSON.stringify(payload);
+    if (e.clipboardData) {
+        e.clipboardData.setData(CLIPBOARD_CONFIG.MIME_TYPE, json);
+        e.clipboardData.setData('text/plain', json);
+    }
+    e.preventDefault();
+
+    lastPayload = payload;
+    pasteCount = 0;
+}
+
+/**
+ * Handle the copy event
+ * @param {ClipboardEvent} e - The copy event
+ */
+function handleCopy(e) {
+    if (isTextClipboardEvent()) return;
+
+    const payload = createClipboardPayload(getSelectedShapeIds());
+    if (!payload) return;
+
+    writePayload(e, payload);
+}
+
+/**
+ * Handle the cut event
+ * @param {ClipboardEvent} e - The cut event
+ */
+function handleCut(e) {
+    if (isTextClipboardEvent()) return;
+
+    const shapeIds = getSelectedShapeIds();
+    const payload = createClipboardPayload(shapeIds);
+    if (!payload) return;
+
+    writePayload(e, payload);
+    deleteShapes(shapeIds);
+    commitRemoval(shapeIds);
+    saveAppState('cut');
+}
+
+/**
+ * Handle the paste event
+ * @param {ClipboardEvent} e - The paste event
+ */
+function handlePaste(e) {
+    if (isTextClipboardEvent()) return;
+
+    let payload = lastPayload;
+    if (e.clipboardData) {
+        const json =
+            e.clipboardData.getData(CLIPBOARD_CONFIG.MIME_TYPE) ||
+            e.clipboardData.getData('text/plain');
+
+        // Anything that isn't a copied selection is left alone
+        payload = parseClipboardPayload(json);
+    }
+    if (!payload) return;
+
+    e.preventDefault();
+
+    try {
+        pasteClipboardPayload(payload, pointer);
+    } catch (error) {
+        console.error('Error pasting shapes:', error);
+        showAlert(
+            'The copied shapes could not be pasted.',
+            'Paste Failed',
+            'error',
+            error.errors || []
+        );
+    }
+}
+
+/**
+ * Create a clipboard payload for a set of shapes
+ * Connections are included when both of their shapes are part of the set
+ * @param {Array<string>} shapeIds - IDs of the shapes to copy
+ * @returns {Object|null} Clipboard payload, or null if none of the shapes exist
+ */
+export function createClipboardPayload(shapeIds) {
+    const nodes = shapeIds.map(id => topologyModel.getNode(id)).filter(Boolean);
+    if (nodes.length === 0) return null;
+
+    const ids = new Set(nodes.map(node => node.id));
+    const links = Array.from(topologyModel.links.values()).filter(
+        link => ids.has(link.source) && ids.has(link.target)
+    );
+
+    const deviceIds = new Set(nodes.map(node => node.device));
+    const devices = Array.from(deviceIds)
+        .map(id => topologyModel.getDevice(id))
+        .filter(Boolean)
+        .map(createDevice);
+
+    const bounds = nodes
+        .map(node => document.getElementById(node.id))
+        .filter(Boolean)
+        .map(shape => getShapeBounds(shape))
+        .filter(Boolean);
+    const left = Math.min(...bounds.map(b => b.x));
+    const top = Math.min(...bounds.map(b => b.y));
+    const right = Math.max(...bounds.map(b => b.x + b.width));
+    const bottom = Math.max(...bounds.map(b => b.y + b.height));
+
+    return {
+        format: CLIPBOARD_CONFIG.FORMAT,
+        version: CLIPBOARD_CONFIG.VERSION,
+        modelVersion: MODEL_VERSION,
+        documentId: getCurrentDocument()?.id ?? null,
+        origin: { x: (left + right) / 2, y: (top + bottom) / 2 },
+        devices,
+        nodes: nodes.map(createNode),
+        links: links.map(createLink),
+    };
+}
+
+/**
+ * Parse clipboard text into a payload
+ * @param {string} text - Clipboard text
+ * @returns {Object|null} The payload, or null if the text is not a copied selection
+ */
+export function parseClipboardPayload(text) {
+    if (!text) return null;
+
+    try {
+        const payload = JSON.parse(text);
+        const isSelection =
+            payload &&
+            payload.format === CLIPBOARD_CONFIG.FORMAT &&
+            Array.isArray(payload.nodes) &&
+            Array.isArray(payload.links);
+        return isSelection ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Paste a clipboard payload onto the canvas with fresh IDs
+ * @param {Object} payload - Clipboard payload
+ * @param {{x: number, y: number}|null} position - Where to center the pasted shapes;
+ *   without a position each paste is offset from the copied shapes
+ * @returns {Array<SVGElement>} The pasted shapes
+ * @throws {TopologyValidationError} If the copied records are not valid
+ */
+export function pasteClipboardPayload(payload, position = null) {
+    // Clipboard text can come from anywhere, so it goes through the same checks as a file
+    const { devices, pages } = migrateTopology(toTopology(payload), MODEL_VERSION);
+    const { nodes, links } = pages[0];
+    const resolveDevice = createDeviceResolver(payload, devices);
+
+    const origin = payload.origin || { x: 0, y: 0 };
+    let dx;
+    let dy;
+    if (position) {
+        dx = position.x - origin.x;
+        dy = position.y - origin.y;
+    } else {
+        pasteCount++;
+        dx = dy = CLIPBOARD_CONFIG.PASTE_OFFSET * pasteCount;
+    }
+
+    // Shapes first, so connections can attach to them
+    const shapeIdMap = new Map();
+    const deviceIdMap = new Map(); // Pasted shape ID -> device ID
+    const pastedShapes = nodes.map(data => {
+        const node = createNode({
+            ...data,
+            id: appState.getNextShapeId(),
+            device: resolveDevice(data.device),
+        });
+        shapeIdMap.set(data.id, node.id);
+        deviceIdMap.set(node.id, node.device);
+
+        // Cisco labels live inside the shape group and move with it
+        if (node.label && node.attributes['data-cisco'] !== 'true') {
+            translateAttributes(node.label.attributes, dx, dy);
+        }
+
+        const shape = renderNode(node);
+        translateShape(shape, dx, dy);
+
+        const targetLayer =
+            document.getElementById(node.layer) ||
+            document.getElementById('shapesLayer') ||
+            elements.canvas;
+        targetLayer.appendChild(shape);
+
+        const labelEl = renderNodeLabel(node);
+        if (labelEl) {
+            targetLayer.appendChild(labelEl);
+        }
+
+        return shape;
+    });
+
+    const claimInterface = createInterfaceClaimer();
+    links
+        .filter(data => shapeIdMap.has(data.source) && shapeIdMap.has(data.target))
+        .forEach(data => {
+            const source = shapeIdMap.get(data.source);
+            const target = shapeIdMap.get(data.target);
+            const link = topologyModel.addLink(
+                translateLink(
+                    createLink({
+                        ...data,
+                        id: appState.getNextConnectionId(),
+                        source,
+                        target,
+                        sourceInterface: claimInterface(
+                            deviceIdMap.get(source),
+                            data.sourceInterface
+                        ),
+                        targetInterface: claimInterface(
+                            deviceIdMap.get(target),
+                            data.targetInterface
+                        ),
+                    }),
+                    dx,
+                    dy
+                )
+            );
+            renderConnection(link);
+        });
+    renderBundleMarkers();
+
+    commitShapes(pastedShapes);
+    selectPastedShapes(pastedShapes);
+    saveAppState('paste');
+
+    return pastedShapes;
+}
+
+/**
+ * Wrap the payload's records in a topology of its model version
+ * Selections copied before pages existed (2.0 and 3.0) hold a flat node and link list, and
+ * selections copied before device properties existed only the IDs of their devices
+ * @param {Object} payload - Clipboard payload
+ * @returns {Object} Topology data
+ */
+function toTopology(payload) {
+    const { modelVersion: version, nodes, links } = payload;
+    if (version === '2.0' || version === '3.0') {
+        return { version, nodes, links };
+    }
+
+    let { devices } = payload;
+    if (!Array.isArray(devices)) {
+        const deviceIds = new Set(nodes.map(node => node?.device).filter(Boolean));
+        devices = Array.from(deviceIds, id => ({ id }));
+    }
+    return {
+        version,
+        devices,
+        pages: [{ id: 'clipboard', name: 'Clipboard', nodes, links }],
+    };
+}
+
+/**
+ * Decide which device each pasted device shape belongs to
+ * Shapes stay the device they were copied from within the document they were copied from,
+ * as long as the device isn't shown on the current page yet. The other shapes become new
+ * devices with the copied device's properties
+ * @param {Object} payload - Clipboard payload
+ * @param {Array<Object>} devices - The payload's (validated) device records
+ * @returns {Function} Takes a copied node's device ID and returns the pasted node's device ID
+ */
+function createDeviceResolver(payload, devices) {
+    const isSameDocument =
+        payload.modelVersion === MODEL_VERSION &&
+        (payload.documentId ?? null) === (getCurrentDocument()?.id ?? null);
+
+    const shownDevices = new Set(
+        Array.from(elements.topologyCanvas.querySelectorAll('[data-device]'), shape =>
+            shape.getAttribute('data-device')
+        )
+    );
+
+    const copiedDevices = new Map(devices.map(device => [device.id, device]));
+
+    return deviceId => {
+        if (!deviceId) return null;
+
+        const isKept =
+            isSameDocument && topologyModel.devices.has(deviceId) && !shownDevices.has(deviceId);
+        if (isKept) return deviceId;
+
+        const copied = copiedDevices.get(deviceId);
+        return copied ? topologyModel.addDevice(copied).id : null;
+    };
+}
+
+/**
+ * Decide which interface bindings pasted connections keep
+ * An interface is bound to one connection at most: connections of devices that stay the same
+ * device lose the bindings still held by the connections they were copied from (their end
+ * labels are kept)
+ * @returns {Function} Takes a pasted shape's device ID and a copied interface ID and returns
+ *   the interface ID to bind, or null
+ */
+function createInterfaceClaimer() {
+    const claimed = new Set();
+
+    return (deviceId, interfaceId) => {
+        if (!deviceId || !interfaceId || !topologyModel.getInterface(deviceId, interfaceId)) {
+            return null;
+        }
+
+        const key = `${deviceId}/${interfaceId}`;
+        if (claimed.has(key) || topologyModel.findInterfaceLink(deviceId, interfaceId)) {
+            return null;
+        }
+        claimed.add(key);
+        return interfaceId;
+    };
+}
+
+/**
+ * Select the pasted shapes so they can be moved right away
+ * @param {Array<SVGElement>} shapes - The pasted shapes
+ */
+function selectPastedShapes(shapes) {
+    const selectionManager = appState.selectionManager;
+    if (selectionManager?.isActive) {
+        selectionManager.selectShapes(shapes.map(shape => shape.id));
+    } else if (shapes.length === 1) {
+        selectShape(shapes[0]);
+    } else {
+        deselectShape();
+    }
+}
+
+/**
+ * Remove shapes with their labels and connections
+ * @param {Array<string>} shapeIds - IDs of the shapes to remove
+ */
+function deleteShapes(shapeIds) {
+    appState.selectionManager?.clearSelection();
+    deselectShape();
+
+    shapeIds.forEach(shapeId => {
+        const shape = document.getElementById(shapeId);
+        if (!shape) return;
+
+        deleteShapeConnections(shape);
+        shape.parentNode?.querySelector(`text[data-shape-id="${shapeId}"]`)?.remove();
+        shape.remove();
+    });
+}
+
+/**
+ * Move x/y attributes of an attribute map by an offset
+ * @param {Object} attributes - Attribute map (modified in place)
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ */
+function translateAttributes(attributes, dx, dy) {
+    if (attributes.x !== undefined) attributes.x = String(parseFloat(attributes.x) + dx);
+    if (attributes.y !== undefined) attributes.y = String(parseFloat(attributes.y) + dy);
+}
+
+/**
+ * Move a link record's line, route and labels by an offset
+ * @param {Object} link - Link record (modified in place)
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} The link record
+ */
+function translateLink(link, dx, dy) {
+    link.line.x1 += dx;
+    link.line.y1 += dy;
+    link.line.x2 += dx;
+    link.line.y2 += dy;
+    link.points?.forEach(point => {
+        point.x += dx;
+        point.y += dy;
+    });
+
+    Object.values(link.labels).forEach(label => {
+        label.x += dx;
+        label.y += dy;
+        if (label.constraint) {
+            label.constraint.centerX += dx;
+            label.constraint.centerY += dy;
+        }
+    });
+
+    return link;
+}
+
+/**
+ * Move a rendered shape by an offset
+ * @param {SVGElement} shape - The shape element
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ */
+function translateShape(shape, dx, dy) {
+    const tagName = shape.tagName.toLowerCase();
+    const move = (element, xName, yName) => {
+        element.setAttribute(xName, parseFloat(element.getAttribute(xName)) + dx);
+        element.setAttribute(yName, parseFloat(element.getAttribute(yName)) + dy);
+    };
+
+    if (tagName === 'g' && shape.getAttribute('data-shape-type') === 'arrow') {
+        // Arrows keep absolute coordinates on their parts
+        const line = shape.querySelector('.arrow-line');
+        const arrowhead = shape.querySelector('.arrow-head');
+        const startCircle = shape.querySelector('.arrow-start');
+
+        if (line) {
+            move(line, 'x1', 'y1');
+            move(line, 'x2', 'y2');
+        }
+        if (arrowhead) {
+            const points = arrowhead
+                .getAttribute('points')
+                .split(' ')
+                .map(point => {
+                    const [x, y] = point.split(',').map(Number);
+                    return `${x + dx},${y + dy}`;
+                })
+                .join(' ');
+            arrowhead.setAttribute('points', points);
+        }
+        if (startCircle) {
+            move(startCircle, 'cx', 'cy');
+        }
+    } else if (tagName === 'g') {
+        // Cisco and text shapes are positioned by their transform
+        const match = (shape.getAttribute('transform') || '').match(
+            /translate\(([^,]+),\s*([^)]+)\)/
+        );
+        const x = match ? parseFloat(match[1]) : 0;
+        const y = match ? parseFloat(match[2]) : 0;
+        shape.setAttribute('transform', `translate(${x + dx}, ${y + dy})`);
+    } else if (tagName === 'line') {
+        move(shape, 'x1', 'y1');
+        move(shape, 'x2', 'y2');
+    } else if (tagName === 'circle' || tagName === 'ellipse') {
+        move(shape, 'cx', 'cy');
+    } else if (tagName === 'rect') {
+        move(shape, 'x', 'y');
+    }
+}
@@ -0,0 +1,459 @@
+/**
+ * Cisco Modeling Labs (CML 2.x) lab file format
+ * Converts between topology data and a CML lab (YAML). Every device becomes a lab node at the
+ * centre of its shape, with the node definition of its Cisco icon; connections between devices
+ * become links between node interfaces named by the connection's source and target labels; and
+ * text shapes become text annotations. Reading a lab draws each node as the Cisco icon of its
+ * node definition. Labs centred on the origin are moved onto the canvas as a whole; the page
+ * keeps the move as its `origin`, so writing the lab again gives the same coordinates.
+ * Only the conversion lives here; reading and saving files is in fileOperations.js.
+ */
+
+import { SHAPE_TEMPLATES, CML_CONFIG, LAYOUT_CONFIG } from '../config/constants.js';
+import { MODEL_VERSION, toNumber } from '../state/topologyModel.js';
+import { parseYAML, stringifyYAML, isMapping } from '../utils/yaml.js';
+import {
+    getTranslation,
+    getIconSize,
+    getInterfaceName,
+    addInterface,
+    createDeviceNode,
+    createDeviceLink,
+} from './labShapes.js';
+
+// Node definitions written for the Cisco shapes, with the names of their interfaces: prefix and
+// number of the first one
+const NODE_DEFINITIONS = {
+    router: { definition: 'iosv', prefix: 'GigabitEthernet0/', first: 0 },
+    l2switch: { definition: 'iosvl2', prefix: 'GigabitEthernet0/', first: 0 },
+    l3switch: { definition: 'nxosv9000', prefix: 'Ethernet1/', first: 1 },
+    firewall: { definition: 'asav', prefix: 'GigabitEthernet0/', first: 0 },
+    accesspoint: { definition: 'unmanaged_switch', prefix: 'port', first: 0 },
+    workstation: { definition: 'desktop', prefix: 'eth', first: 0 },
+    printer: { definition: 'desktop', prefix: 'eth', first: 0 },
+    server: { definition: 'server', prefix: 'eth', first: 0 },
+    cloud: { definition: 'external_connector', prefix: 'port', first: 0 },
+};
+
+// Cisco shapes of node definitions, first match wins; other node definitions (IOSv, CSR 1000v,
+// Catalyst 8000v, IOS XRv 9000, IOL, ...) are drawn as routers
+const DEFINITION_SHAPES = [
+    [/asa|ftd|fmc|firepower|fortigate|panos|firewall/, 'firewall'],
+    [/l2|unmanaged_switch/, 'l2switch'],
+    [/nxos|cat9|n9k|switch/, 'l3switch'],
+    [/external_connector/, 'cloud'],
+    [/desktop/, 'workstation'],
+    [/server|alpine|ubuntu|coreos|tinycore|trex|wan_emulator|kali|linux/, 'server'],
+];
+
+const PT_TO_PX = 96 / 72; // Annotation text sizes are in points
+const TEXT_PADDING = 8; // Space (px) around the text of a text shape, as on the canvas
+
+/**
+ * Write a topology as a CML lab
+ * Devices shown on several pages are written once, at their place on the first of them, and
+ * text shapes of every page become annotations. Connection ends without an interface name get
+ * the next free interface of their node
+ * @param {Object} topology - Serialized topology (current version)
+ * @param {string} title - Lab title
+ * @returns {string} Lab YAML
+ */
+export function topologyToCml(topology, title) {
+    const devices = new Map((topology.devices || []).map(device => [device.id, device]));
+
+    const labNodes = new Map(); // Lab node {node, device, names} by device ID
+    const shapeNodes = new Map(); // Lab node by shape ID
+    const annotations = [];
+    topology.pages.forEach(page => {
+        const origin = page.origin || { x: 0, y: 0 };
+        page.nodes.forEach(node => {
+            const device = devices.get(node.device);
+            if (device) {
+                if (!labNodes.has(device.id)) {
+                    labNodes.set(device.id, createLabNode(node, device, labNodes.size, origin));
+                }
+                shapeNodes.set(node.id, labNodes.get(device.id));
+            } else if (node.type === 'text') {
+                const annotation = createTextAnnotation(node, origin);
+                if (annotation) annotations.push(annotation);
+            }
+        });
+    });
+
+    const links = getLinkEnds(topology, shapeNodes).map(([a, b], index) => {
+        const i1 = getLabInterface(a.labNode, a.name);
+        const i2 = getLabInterface(b.labNode, b.name);
+        return {
+            id: `l${index}`,
+            n1: a.labNode.node.id,
+            n2: b.labNode.node.id,
+            i1: i1.id,
+            i2: i2.id,
+            label: `${a.labNode.node.label}-${i1.label}<->${b.labNode.node.label}-${i2.label}`,
+        };
+    });
+
+    return stringifyYAML({
+        lab: { title, description: '', notes: '', version: CML_CONFIG.SCHEMA_VERSION },
+        nodes: Array.from(labNodes.values(), labNode => labNode.node),
+        links,
+        annotations,
+    });
+}
+
+/**
+ * Read a CML lab into a topology
+ * Text annotations become text shapes, on one line; other annotations are left out
+ * @param {string} text - Content of a CML lab YAML file
+ * @returns {Object} Serialized topology (current version) with one page, not yet validated
+ * @throws {Error} If the file is not a CML lab
+ */
+export function cmlToTopology(text) {
+    const lab = parseYAML(text);
+    if (!isMapping(lab) || !Array.isArray(lab.nodes)) {
+        throw new Error('The file is not a CML lab');
+    }
+
+    const entries = new Map(); // Lab node entry {device, shapeId, interfaceIds, bounds} by ID
+    lab.nodes.filter(isMapping).forEach((node, index) => {
+        const type = getDefinitionShape(node.node_definition);
+        const { width, height } = getIconSize(type);
+        const device = {
+            id: `device-${index + 1}`,
+            type,
+            name: String(node.label ?? node.id ?? ''),
+            properties: {},
+            interfaces: [],
+        };
+
+        const interfaceIds = new Map();
+        (Array.isArray(node.interfaces) ? node.interfaces : []).filter(isMapping).forEach(item => {
+            const details = item.type === 'loopback' ? { type: 'virtual' } : {};
+            interfaceIds.set(item.id, addInterface(device, item.label, details));
+        });
+
+        entries.set(node.id, {
+            device,
+            shapeId: `shape-${index + 1}`,
+            interfaceIds,
+            bounds: {
+                x: toNumber(node.x) - width / 2,
+                y: toNumber(node.y) - height / 2,
+                width,
+                height,
+            },
+        });
+    });
+
+    // Link ends [{entry, interfaceId}, {entry, interfaceId}]
+    const links = (Array.isArray(lab.links) ? lab.links : []).filter(isMapping).map(link =>
+        [
+            [link.n1, link.i1],
+            [link.n2, link.i2],
+        ].map(([nodeId, interfaceId]) => {
+            const entry = entries.get(nodeId);
+            if (!entry) throw new Error(`Link ${link.id} connects unknown node "${nodeId}"`);
+            return { entry, interfaceId: entry.interfaceIds.get(interfaceId) || null };
+        })
+    );
+
+    const texts = (Array.isArray(lab.annotations) ? lab.annotations : [])
+        .filter(annotation => isMapping(annotation) && annotation.type === 'text')
+        .map(readTextAnnotation);
+
+    // Move the lab onto the canvas if part of it is left of or above the origin
+    const allBounds = [...Array.from(entries.values(), entry => entry.bounds), ...texts];
+    const left = Math.min(...allBounds.map(box => box.x));
+    const top = Math.min(...allBounds.map(box => box.y));
+    const origin = {
+        x: left < 0 ? Math.ceil(LAYOUT_CONFIG.MARGIN - left) : 0,
+        y: top < 0 ? Math.ceil(LAYOUT_CONFIG.MARGIN - top) : 0,
+    };
+    allBounds.forEach(box => {
+        box.x += origin.x;
+        box.y += origin.y;
+    });
+
+    const entryList = Array.from(entries.values());
+    const bounds = new Map(entryList.map(entry => [entry.shapeId, entry.bounds]));
+    const page = {
+        id: 'page-1',
+        name: typeof lab.lab?.title === 'string' && lab.lab.title ? lab.lab.title : 'Page 1',
+        view: null,
+        ...((origin.x || origin.y) && { origin }),
+        nodes: [
+            ...entryList.map(entry => createDeviceNode(entry, entry.bounds)),
+            ...texts.map((box, index) =>
+                createTextNode(`shape-${entryList.length + index + 1}`, box)
+            ),
+        ],
+        links: links.map(([source, target], index) =>
+            createDeviceLink(`connection-${index + 1}`, source, target, bounds)
+        ),
+    };
+
+    return {
+        version: MODEL_VERSION,
+        currentPage: page.id,
+        devices: entryList.map(entry => entry.device),
+        pages: [page],
+    };
+}
+
+/**
+ * Create the lab node of a device shape
+ * The device's interfaces are listed first; physical ones are numbered in slots
+ * @param {Object} node - Node record of the device shape
+ * @param {Object} device - Device record
+ * @param {number} index - Number of lab nodes so far
+ * @param {Object} origin - Canvas position {x, y} of the lab origin on the shape's page
+ * @returns {Object} Lab node {node, device, names} with its interfaces by name
+ */
+function createLabNode(node, device, index, origin) {
+    const definition = NODE_DEFINITIONS[device.type] || NODE_DEFINITIONS.router;
+    const offset = getTranslation(node);
+    const size = node.icon?.width ? node.icon : getIconSize(device.type);
+
+    const labNode = {
+        node: {
+            id: `n${index}`,
+            label: device.name || device.type,
+            node_definition: definition.definition,
+            x: Math.round(offset.x + size.width / 2 - origin.x),
+            y: Math.round(offset.y + size.height / 2 - origin.y),
+            tags: [],
+            interfaces: [],
+        },
+        device,
+        names: new Map(),
+    };
+    (device.interfaces || []).forEach(item =>
+        getLabInterface(labNode, item.name, item.type === 'virtual')
+    );
+    return labNode;
+}
+
+/**
+ * Get a lab node's interface of a name, adding it if there is none
+ * @param {Object} labNode - Lab node {node, device, names}
+ * @param {string} name - Interface name
+ * @param {boolean} [loopback=false] - Whether a new interface is a loopback
+ * @returns {Object} Lab interface {id, label, slot, type}
+ */
+function getLabInterface(labNode, name, loopback = false) {
+    if (!labNode.names.has(name)) {
+        const { interfaces } = labNode.node;
+        const slot = interfaces.filter(item => item.type === 'physical').length;
+        const item = loopback
+            ? { id: `i${interfaces.length}`, label: name, type: 'loopback' }
+            : { id: `i${interfaces.length}`, label: name, slot, type: 'physical' };
+        interfaces.push(item);
+        labNode.names.set(name, item);
+    }
+    return labNode.names.get(name);
+}
+
+/**
+ * Get the ends of the connections between device shapes, with interface names
+ * A connection drawn again on another page (same interfaces at both ends) is written once.
+ * Names bound to the ends or on their labels are kept unless an earlier connection of the node
+ * uses them; the other ends get the next free interface of their node definition
+ * @param {Object} topology - Serialized topology
+ * @param {Map} shapeNodes - Lab nodes by shape ID
+ * @returns {Array<Array<Object>>} Link ends [{labNode, name}, {labNode, name}]
+ */
+function getLinkEnds(topology, shapeNodes) {
+    const written = new Set();
+    const links = topology.pages
+        .flatMap(page => page.links || [])
+        .map(link =>
+            ['source', 'target'].map(end => {
+                const labNode = shapeNodes.get(link[end]);
+                return labNode && { labNode, name: getInterfaceName(labNode.device, link, end) };
+            })
+        )
+        .filter(([a, b]) => {
+            if (!a || !b || a.labNode === b.labNode) return false;
+            if (!a.name || !b.name) return true;
+
+            const key = [a, b]
+                .map(end => `${end.labNode.node.id}:${end.name}`)
+                .sort()
+                .join(' ');
+            if (written.has(key)) return false;
+            written.add(key);
+            return true;
+        });
+
+    const usedNames = new Map(Array.from(shapeNodes.values(), labNode => [labNode, new Set()]));
+    links.flat().forEach(end => {
+        const names = usedNames.get(end.labNode);
+        if (!end.name || names.has(end.name)) end.name = null;
+        else names.add(end.name);
+    });
+
+    links.flat().forEach(end => {
+        if (end.name) return;
+        const names = usedNames.get(end.labNode);
+        const { prefix, first } =
+            NODE_DEFINITIONS[end.labNode.device.type] || NODE_DEFINITIONS.router;
+        let number = first;
+        while (names.has(`${prefix}${number}`)) number++;
+        end.name = `${prefix}${number}`;
+        names.add(end.name);
+    });
+    return links;
+}
+
+/**
+ * Create the text annotation of a text shape
+ * @param {Object} node - Node record of the text shape
+ * @param {Object} origin - Canvas position {x, y} of the lab origin on the shape's page
+ * @returns {Object|null} Annotation, or null if the shape has no text
+ */
+function createTextAnnotation(node, origin) {
+    const background = node.children?.find(child => child.element === 'rect');
+    const text = node.children?.find(child => child.element === 'text');
+    if (!text?.text) return null;
+
+    const offset = getTranslation(node);
+    const attributes = { ...SHAPE_TEMPLATES.text.attributes, ...text.attributes };
+    const border = background?.attributes.stroke;
+    return {
+        type: 'text',
+        text_content: text.text,
+        x1: Math.round(offset.x + toNumber(background?.attributes.x) - origin.x),
+        y1: Math.round(offset.y + toNumber(background?.attributes.y) - origin.y),
+        text_size: Math.round(toNumber(attributes['font-size'], 24) / PT_TO_PX),
+        text_unit: 'pt',
+        text_font: String(attributes['font-family']),
+        text_bold: String(attributes['font-weight']) === 'bold',
+        text_italic: attributes['font-style'] === 'italic',
+        color: toLabColor(attributes.fill, '#808080FF'),
+        border_color: toLabColor(border, '#00000000'),
+        border_style: '',
+        thickness:
+            border && border !== 'none' ? toNumber(background.attributes['stroke-width'], 1) : 1,
+        rotation: 0,
+        z_index: 0,
+    };
+}
+
+/**
+ * Read a text annotation
+ * Text shapes hold one line, so its lines are joined. The size is estimated from the text, as
+ * the canvas measures it only when it is drawn
+ * @param {Object} annotation - Text annotation
+ * @returns {Object} Text box {x, y, width, height, text, attributes, border}
+ */
+function readTextAnnotation(annotation) {
+    const text = String(annotation.text_content ?? '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join(' ');
+    const size =
+        toNumber(annotation.text_size, 12) * (annotation.text_unit === 'px' ? 1 : PT_TO_PX);
+    const border = toPaint(annotation.border_color);
+
+    return {
+        x: toNumber(annotation.x1),
+        y: toNumber(annotation.y1),
+        width: Math.round(text.length * size * 0.6 + TEXT_PADDING * 2),
+        height: Math.round(size * 1.2 + TEXT_PADDING * 2),
+        text,
+        attributes: {
+            'font-size': Math.round(size),
+            ...(annotation.text_font && { 'font-family': String(annotation.text_font) }),
+            'font-weight': annotation.text_bold ? 'bold' : 'normal',
+            'font-style': annotation.text_italic ? 'italic' : 'normal',
+            fill: toPaint(annotation.color) || SHAPE_TEMPLATES.text.attributes.fill,
+        },
+        border: border && { stroke: border, 'stroke-width': toNumber(annotation.thickness, 1) },
+    };
+}
+
+/**
+ * Create the node record of a text shape
+ * @param {string} id - Shape ID
+ * @param {Object} box - Text box from readTextAnnotation()
+ * @returns {Object} Node record
+ */
+function createTextNode(id, box) {
+    return {
+        id,
+        type: 'text',
+        element: 'g',
+        attributes: { 'data-shape-type': 'text', transform: `translate(${box.x}, ${box.y})` },
+        children: [
+            {
+                element: 'rect',
+                attributes: {
+                    class: 'text-background',
+                    x: 0,
+                    y: 0,
+                    width: box.width,
+                    height: box.height,
+                    fill: 'transparent',
+                    stroke: 'none',
+                    'stroke-width': 0,
+                    ...box.border,
+                    rx: 4,
+                },
+                text: null,
+            },
+            {
+                element: 'text',
+                attributes: {
+                    class: 'text-content',
+                    x: box.width / 2,
+                    y: box.height / 2,
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'middle',
+                    ...SHAPE_TEMPLATES.text.attributes,
+                    ...box.attributes,
+                },
+                text: box.text,
+            },
+        ],
+    };
+}
+
+/**
+ * Get the Cisco shape drawn for a node definition
+ * @param {*} definition - Node definition ID
+ * @returns {string} Cisco shape type
+ */
+function getDefinitionShape(definition) {
+    const id = String(definition ?? '').toLowerCase();
+    const match = DEFINITION_SHAPES.find(([pattern]) => pattern.test(id));
+    return match ? match[1] : 'router';
+}
+
+/**
+ * Convert a paint to a CML colour
+ * @param {string} paint - SVG paint
+ * @param {string} fallback - Colour for paints other than hex colours
+ * @returns {string} Colour as #RRGGBBAA
+ */
+function toLabColor(paint, fallback) {
+    const hex = String(paint ?? '').trim();
+    if (/^#[0-9a-f]{6}$/i.test(hex)) return `${hex.toUpperCase()}FF`;
+    if (/^#[0-9a-f]{3}$/i.test(hex)) {
+        return `#${Array.from(hex.slice(1), digit => digit + digit)
+            .join('')
+            .toUpperCase()}FF`;
+    }
+    return fallback;
+}
+
+/**
+ * Convert a CML colour to a paint
+ * @param {*} color - Colour as #RRGGBB or #RRGGBBAA
+ * @returns {string|null} Colour as #rrggbb, or null if it is transparent or not a colour
+ */
+function toPaint(color) {
+    const match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(String(color ?? '').trim());
+    if (!match || match[2] === '00') return null;
+    return `#${match[1].toLowerCase()}`;
+}
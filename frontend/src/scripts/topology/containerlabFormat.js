@@ -0,0 +1,405 @@
+/**
+ * containerlab topology file format
+ * Converts between topology data and containerlab lab definitions (.clab.yml). Every device
+ * becomes a lab node with the lab kind and image of its properties, and every connection
+ * between two devices becomes a link whose endpoints take their interface names from the
+ * connection's source and target labels. Reading a lab draws each node as the device icon of
+ * its kind. Shape positions are kept in the graph-posX and graph-posY node labels that
+ * containerlab's graph tools use; nodes without them are placed by the force-directed layout.
+ * Only the conversion lives here; reading and saving files is in fileOperations.js.
+ */
+
+import { CONTAINERLAB_CONFIG, LAYOUT_CONFIG } from '../config/constants.js';
+import { MODEL_VERSION } from '../state/topologyModel.js';
+import { computeForceLayout } from '../layout/forceLayout.js';
+import { parseYAML, stringifyYAML, isMapping } from '../utils/yaml.js';
+import {
+    getUniqueName,
+    getTranslation,
+    getIconSize,
+    getInterfaceName,
+    addInterface,
+    createDeviceNode,
+    createDeviceLink,
+} from './labShapes.js';
+
+// Device shapes of containerlab kinds, first match wins; other kinds are drawn as routers.
+// The kind is matched together with the node type, e.g. "cisco_iol:l2" for an IOL switch
+const KIND_SHAPES = [
+    [/^cisco_iol:l2$/, 'l2switch'],
+    [/fortigate|panos|paloalto|checkpoint|vsrx|asav|ftdv/, 'firewall'],
+    [/srl|ceos|veos|n9kv|nxos|sonic|cvx|cumulus|vqfx|vjunosswitch|cat9kv|ocnos/, 'l3switch'],
+    [/^(bridge|ovs-bridge):/, 'l2switch'],
+    [/^(host|ext-container):/, 'cloud'],
+    [/^(linux|k8s-kind|generic_vm|openbsd|freebsd):|ixia|ostinato/, 'server'],
+];
+
+// Endpoint node names that stand for the container host rather than a lab node
+const HOST_NODES = ['host', 'mgmt-net', 'macvlan'];
+
+/**
+ * Write a topology as a containerlab lab
+ * Devices shown on several pages are written once, at their place on the first of them. The
+ * cloud shapes of links to the container host (devices named and of kind "host", "mgmt-net" or
+ * "macvlan") are written as those special endpoints
+ * @param {Object} topology - Serialized topology (current version)
+ * @param {string} name - Lab name
+ * @returns {string} Lab definition YAML
+ */
+export function topologyToContainerlab(topology, name) {
+    const devices = new Map((topology.devices || []).map(device => [device.id, device]));
+    const nodes = {};
+    const nodeNames = new Map(); // Lab node name of every device ID
+    const usedNames = new Set(HOST_NODES);
+
+    topology.pages.forEach(page => {
+        page.nodes.forEach(node => {
+            const device = devices.get(node.device);
+            if (!device || nodeNames.has(device.id)) return;
+
+            const { kind, image, managementIp } = device.properties || {};
+            if (HOST_NODES.includes(kind) && device.name === kind) {
+                nodeNames.set(device.id, kind);
+                return;
+            }
+
+            const nodeName = getUniqueName(toNodeName(device.name), usedNames);
+            const position = getTranslation(node);
+            nodeNames.set(device.id, nodeName);
+            nodes[nodeName] = {
+                kind: kind || CONTAINERLAB_CONFIG.DEFAULT_KIND,
+                ...(image && { image }),
+                ...getManagementAddress(managementIp),
+                labels: {
+                    'graph-posX': String(Math.round(position.x)),
+                    'graph-posY': String(Math.round(position.y)),
+                },
+            };
+        });
+    });
+
+    return stringifyYAML({
+        name,
+        topology: { nodes, links: getLabLinks(topology, devices, nodeNames) },
+    });
+}
+
+/**
+ * Read a containerlab lab into a topology
+ * Node settings are taken from the node, its group, its kind and the topology defaults, in
+ * that order. Links to the container host (host, mgmt-net and macvlan endpoints) end at a cloud
+ * shape of that name
+ * @param {string} text - Content of a .clab.yml file
+ * @returns {Object} Serialized topology (current version) with one page, not yet validated
+ * @throws {Error} If the file is not a containerlab lab
+ */
+export function containerlabToTopology(text) {
+    const lab = parseYAML(text);
+    const topology = isMapping(lab) ? lab.topology : null;
+    if (!isMapping(topology)) {
+        throw new Error('The file is not a containerlab topology');
+    }
+    if (!isMapping(topology.nodes) || Object.keys(topology.nodes).length === 0) {
+        throw new Error('The lab has no nodes');
+    }
+
+    const entries = new Map(); // Lab node name to {device, shapeId, position}
+    const addEntry = (nodeName, settings) => {
+        const index = entries.size + 1;
+        const device = {
+            id: `device-${index}`,
+            type: getKindShape(settings.kind, settings.type),
+            name: nodeName,
+            properties: {
+                kind: String(settings.kind ?? ''),
+                image: String(settings.image ?? ''),
+                managementIp: String(settings.managementIp ?? ''),
+            },
+            interfaces: [],
+        };
+        const entry = { device, shapeId: `shape-${index}`, position: settings.position };
+        entries.set(nodeName, entry);
+        return entry;
+    };
+
+    Object.entries(topology.nodes).forEach(([nodeName, node]) => {
+        addEntry(nodeName, getNodeSettings(isMapping(node) ? node : {}, topology));
+    });
+
+    const links = [];
+    (Array.isArray(topology.links) ? topology.links : []).forEach((link, index) => {
+        const endpoints = getLinkEndpoints(link);
+        if (!endpoints) return; // e.g. dummy interfaces, which have no peer
+
+        const ends = endpoints.map(endpoint => {
+            let entry = entries.get(endpoint.node);
+            if (!entry && HOST_NODES.includes(endpoint.node)) {
+                entry = addEntry(endpoint.node, { kind: endpoint.node, position: null });
+                entry.device.type = 'cloud';
+            }
+            if (!entry) {
+                throw new Error(`Link ${index + 1} connects unknown node "${endpoint.node}"`);
+            }
+            return { entry, interfaceId: addInterface(entry.device, endpoint.interface) };
+        });
+        links.push(ends);
+    });
+
+    const entryList = Array.from(entries.values());
+    const bounds = placeShapes(entryList, links);
+    const nodes = entryList.map(entry => createDeviceNode(entry, bounds.get(entry.shapeId)));
+    const page = {
+        id: 'page-1',
+        name: typeof lab.name === 'string' && lab.name ? lab.name : 'Page 1',
+        view: null,
+        nodes,
+        links: links.map(([source, target], index) =>
+            createDeviceLink(`connection-${index + 1}`, source, target, bounds)
+        ),
+    };
+
+    return {
+        version: MODEL_VERSION,
+        currentPage: page.id,
+        devices: entryList.map(entry => entry.device),
+        pages: [page],
+    };
+}
+
+/**
+ * Get the links of a lab from the connections between devices on every page
+ * Connection ends get the interface bound to them or the name on their label; ends without one
+ * get the next free interface of their node. Connections drawn again between the same
+ * interfaces (e.g. on another page) are written once
+ * @param {Object} topology - Serialized topology
+ * @param {Map} devices - Devices by ID
+ * @param {Map} nodeNames - Lab node names by device ID
+ * @returns {Array<Object>} Links {endpoints}
+ */
+function getLabLinks(topology, devices, nodeNames) {
+    const ends = [];
+    const links = [];
+    const written = new Set();
+    topology.pages.forEach(page => {
+        const shapeDevices = new Map(
+            page.nodes
+                .filter(node => nodeNames.has(node.device))
+                .map(node => [node.id, node.device])
+        );
+        (page.links || []).forEach(link => {
+            const deviceIds = [shapeDevices.get(link.source), shapeDevices.get(link.target)];
+            if (!deviceIds[0] || !deviceIds[1]) return;
+
+            const linkEnds = ['source', 'target'].map((end, i) => ({
+                node: nodeNames.get(deviceIds[i]),
+                name: getInterfaceName(devices.get(deviceIds[i]), link, end),
+            }));
+            if (linkEnds.every(end => HOST_NODES.includes(end.node))) return;
+
+            // The same link drawn again, e.g. on another page
+            if (linkEnds.every(end => end.name)) {
+                const key = linkEnds
+                    .map(end => `${end.node}:${end.name}`)
+                    .sort()
+                    .join(' ');
+                if (written.has(key)) return;
+                written.add(key);
+            }
+            ends.push(...linkEnds);
+            links.push(linkEnds);
+        });
+    });
+
+    // Names on labels are kept; a repeated name counts as unnamed
+    const usedNames = new Map();
+    ends.forEach(end => {
+        if (!usedNames.has(end.node)) usedNames.set(end.node, new Set());
+        const names = usedNames.get(end.node);
+        if (!end.name || names.has(end.name)) end.name = null;
+        else names.add(end.name);
+    });
+
+    // Lab node ends first: a host end is named after the interface at its other end
+    const nameEnd = (end, other) => {
+        if (end.name) return;
+        const names = usedNames.get(end.node);
+        if (HOST_NODES.includes(end.node)) {
+            end.name = getUniqueName(`${other.node}-${other.name}`.replace(/[/:]/g, '-'), names);
+            return;
+        }
+        let number = 1;
+        while (names.has(`${CONTAINERLAB_CONFIG.INTERFACE_PREFIX}${number}`)) number++;
+        end.name = `${CONTAINERLAB_CONFIG.INTERFACE_PREFIX}${number}`;
+        names.add(end.name);
+    };
+    links.forEach(([a, b]) => {
+        if (!HOST_NODES.includes(a.node)) nameEnd(a, b);
+        if (!HOST_NODES.includes(b.node)) nameEnd(b, a);
+        nameEnd(a, b);
+        nameEnd(b, a);
+    });
+
+    return links.map(linkEnds => ({ endpoints: linkEnds.map(end => `${end.node}:${end.name}`) }));
+}
+
+/**
+ * Turn a device name into a lab node name
+ * @param {string} name - Device name
+ * @returns {string} Name of letters, digits, dots, dashes and underscores
+ */
+function toNodeName(name) {
+    return (
+        String(name || '')
+            .trim()
+            .replace(/[^A-Za-z0-9_.-]+/g, '-')
+            .replace(/^[^A-Za-z0-9]+|-+$/g, '') || 'node'
+    );
+}
+
+/**
+ * Get the lab node setting for a device's management address
+ * @param {string} [address] - Management IP, with or without a prefix length
+ * @returns {Object} {mgmt-ipv4} or {mgmt-ipv6}, or nothing if there is no address
+ */
+function getManagementAddress(address) {
+    const ip = (address || '').split('/')[0].trim();
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) return { 'mgmt-ipv4': ip };
+    if (ip.includes(':')) return { 'mgmt-ipv6': ip };
+    return {};
+}
+
+/**
+ * Get the settings of a lab node
+ * @param {Object} node - Lab node
+ * @param {Object} topology - The lab's topology section, with its defaults, kinds and groups
+ * @returns {Object} Settings {kind, type, image, managementIp, position}
+ */
+function getNodeSettings(node, topology) {
+    const defaults = isMapping(topology.defaults) ? topology.defaults : {};
+    const group = isMapping(topology.groups?.[node.group]) ? topology.groups[node.group] : {};
+    const kind = node.kind ?? group.kind ?? defaults.kind ?? '';
+    const kindSettings = isMapping(topology.kinds?.[kind]) ? topology.kinds[kind] : {};
+
+    // Later levels win
+    const levels = [defaults, kindSettings, group, node];
+    const setting = key => levels.reduce((value, level) => level[key] ?? value, null);
+    const labels = Object.assign({}, ...levels.map(level => level.labels).filter(isMapping));
+
+    const x = parseFloat(labels['graph-posX']);
+    const y = parseFloat(labels['graph-posY']);
+    return {
+        kind,
+        type: setting('type'),
+        image: setting('image'),
+        managementIp: node['mgmt-ipv4'] ?? node['mgmt-ipv6'],
+        position: Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null,
+    };
+}
+
+/**
+ * Get the device shape drawn for a containerlab kind
+ * @param {string} kind - Node kind
+ * @param {string} [type] - Node type, which tells some kinds' switches from their routers
+ * @returns {string} Cisco shape type
+ */
+function getKindShape(kind, type) {
+    const key = `${kind ?? ''}:${type ?? ''}`.toLowerCase();
+    const match = KIND_SHAPES.find(([pattern]) => pattern.test(key));
+    return match ? match[1] : 'router';
+}
+
+/**
+ * Get the two ends of a lab link
+ * Endpoints are read in the short "node:interface" form and the {node, interface} form; links
+ * with a single endpoint to the container host end at the host interface
+ * @param {Object} link - Lab link
+ * @returns {Array<Object>|null} Endpoints [{node, interface}], or null for other links
+ */
+function getLinkEndpoints(link) {
+    if (!isMapping(link)) return null;
+
+    if (Array.isArray(link.endpoints) && link.endpoints.length === 2) {
+        return link.endpoints.map(endpoint => {
+            if (isMapping(endpoint)) {
+                return { node: String(endpoint.node ?? ''), interface: endpoint.interface };
+            }
+            const text = String(endpoint ?? '');
+            const colon = text.indexOf(':');
+            return colon < 0
+                ? { node: text, interface: '' }
+                : { node: text.slice(0, colon), interface: text.slice(colon + 1) };
+        });
+    }
+
+    if (HOST_NODES.includes(link.type) && isMapping(link.endpoint)) {
+        return [
+            { node: String(link.endpoint.node ?? ''), interface: link.endpoint.interface },
+            { node: link.type, interface: link['host-interface'] },
+        ];
+    }
+    return null;
+}
+
+/**
+ * Place the device shapes of a lab
+ * Shapes with a position keep it; the others are placed around them by the force-directed
+ * layout, or from the top left of the canvas if no shape has a position
+ * @param {Array<Object>} entries - Lab nodes {device, shapeId, position}
+ * @param {Array<Array<Object>>} links - Link ends [{entry}, {entry}]
+ * @returns {Map<string, Object>} Icon bounds {x, y, width, height} by shape ID
+ */
+function placeShapes(entries, links) {
+    const placed = entries.filter(entry => entry.position);
+    const nodes = entries.map(entry => {
+        const { width, height } = getIconSize(entry.device.type);
+        const position = entry.position || { x: 0, y: 0 };
+        return {
+            id: entry.shapeId,
+            x: position.x + width / 2,
+            y: position.y + height / 2,
+            width,
+            height,
+            fixed: Boolean(entry.position),
+        };
+    });
+
+    // Unplaced shapes start in the middle of the placed ones
+    if (placed.length > 0) {
+        const fixed = nodes.filter(node => node.fixed);
+        const middle = {
+            x: fixed.reduce((sum, node) => sum + node.x, 0) / fixed.length,
+            y: fixed.reduce((sum, node) => sum + node.y, 0) / fixed.length,
+        };
+        nodes.filter(node => !node.fixed).forEach(node => Object.assign(node, middle));
+    }
+
+    const centres = computeForceLayout(
+        nodes,
+        links.map(([a, b]) => ({ source: a.entry.shapeId, target: b.entry.shapeId }))
+    );
+    const bounds = new Map(
+        nodes.map(node => {
+            const centre = centres.get(node.id) || node;
+            return [
+                node.id,
+                {
+                    x: centre.x - node.width / 2,
+                    y: centre.y - node.height / 2,
+                    width: node.width,
+                    height: node.height,
+                },
+            ];
+        })
+    );
+
+    // Keep the shapes on the canvas
+    const left = Math.min(...Array.from(bounds.values(), box => box.x));
+    const top = Math.min(...Array.from(bounds.values(), box => box.y));
+    const dx = placed.length === 0 || left < 0 ? LAYOUT_CONFIG.MARGIN - left : 0;
+    const dy = placed.length === 0 || top < 0 ? LAYOUT_CONFIG.MARGIN - top : 0;
+    bounds.forEach(box => {
+        box.x = Math.round(box.x + dx);
+        box.y = Math.round(box.y + dy);
+    });
+    return bounds;
+}
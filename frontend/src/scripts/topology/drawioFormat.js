@@ -0,0 +1,1184 @@
+/**
+ * draw.io / diagrams.net file format
+ * Converts between topology data and mxGraph XML (.drawio files), so diagrams can move between
+ * the two editors. Every page becomes a diagram of the file: Cisco devices become Cisco stencil
+ * cells with their label, other shapes become plain vertices, and links become edges between
+ * them with their colour, width, dashes, end markers and labels. Reading a file maps recognised
+ * Cisco stencils back to CISCO_SHAPES and turns any other cell into a rectangle with its label.
+ * Only the conversion lives here; reading and saving files is in fileOperations.js.
+ */
+
+import { CISCO_SHAPES, SHAPE_TEMPLATES, DRAWIO_CONFIG } from '../config/constants.js';
+import { MODEL_VERSION, toNumber } from '../state/topologyModel.js';
+import { getIconDefaults } from '../state/shapeContent.js';
+import { getTranslation, createEndLabel } from './labShapes.js';
+
+// Stencils written for the Cisco shapes, from draw.io's "Cisco" shape library
+const CISCO_STENCILS = {
+    l2switch: 'mxgraph.cisco.switches.workgroup_switch',
+    l3switch: 'mxgraph.cisco.switches.layer_3_switch',
+    accesspoint: 'mxgraph.cisco.wireless.access_point',
+    firewall: 'mxgraph.cisco.security.firewall',
+    router: 'mxgraph.cisco.routers.router',
+    workstation: 'mxgraph.cisco.computers_and_peripherals.workstation',
+    printer: 'mxgraph.cisco.computers_and_peripherals.printer',
+    server: 'mxgraph.cisco.servers.fileserver',
+    cloud: 'mxgraph.cisco.storage.cloud',
+};
+
+// Cisco shapes read from the icon name of a Cisco stencil (the last part of an mxgraph.cisco.*
+// or mxgraph.cisco_safe.* shape, or the prIcon of an mxgraph.cisco19.* shape), first match wins
+const CISCO_STENCIL_PATTERNS = [
+    [/layer_?3|l3_?switch|multilayer/, 'l3switch'],
+    [/router/, 'router'],
+    [/switch/, 'l2switch'],
+    [/firewall|^asa/, 'firewall'],
+    [/access_?point|wireless|^ap$/, 'accesspoint'],
+    [/printer/, 'printer'],
+    [/server/, 'server'],
+    [/workstation|computer|laptop|^pc/, 'workstation'],
+    [/cloud/, 'cloud'],
+];
+
+// Link end markers and the draw.io arrows they are written as
+const MARKER_ARROWS = {
+    none: 'none',
+    arrow: 'block',
+    'open-arrow': 'open',
+    circle: 'oval',
+    diamond: 'diamond',
+    'crows-foot': 'ERmany',
+};
+
+// draw.io arrows read as link end markers; others are read as plain arrows
+const ARROW_MARKERS = {
+    none: 'none',
+    open: 'open-arrow',
+    openThin: 'open-arrow',
+    openAsync: 'open-arrow',
+    oval: 'circle',
+    dot: 'circle',
+    circle: 'circle',
+    diamond: 'diamond',
+    diamondThin: 'diamond',
+    ERmany: 'crows-foot',
+    ERoneToMany: 'crows-foot',
+    ERzeroToMany: 'crows-foot',
+};
+
+// Label positions of basic shapes and the draw.io styles that place a label there
+const LABEL_POSITION_STYLES = {
+    above: 'verticalLabelPosition=top;verticalAlign=bottom;',
+    below: 'verticalLabelPosition=bottom;verticalAlign=top;',
+    left: 'labelPosition=left;align=right;',
+    right: 'labelPosition=right;align=left;',
+    center: '',
+};
+
+const LABEL_OFFSET = 20; // Distance (px) of a basic shape's label from the shape, as on the canvas
+const PAGE_LINK_PREFIX = 'data:page/id,'; // draw.io link to another diagram of the file
+
+/**
+ * Write a topology as a draw.io file
+ * @param {Object} topology - Serialized topology (current version)
+ * @returns {string} mxGraph XML with one diagram per page
+ */
+export function topologyToDrawio(topology) {
+    const doc = new DOMParser().parseFromString('<mxfile/>', 'application/xml');
+    const file = doc.documentElement;
+    file.setAttribute('host', 'Topolizer');
+    file.setAttribute('type', 'device');
+
+    const devices = new Map((topology.devices || []).map(device => [device.id, device]));
+    const routing = topology.settings?.routing || 'straight';
+
+    topology.pages.forEach(page => {
+        const diagram = appendElement(file, 'diagram', { id: page.id, name: page.name });
+        const model = appendElement(diagram, 'mxGraphModel', {
+            grid: 1,
+            gridSize: 10,
+            guides: 1,
+            connect: 1,
+            arrows: 1,
+            page: 0,
+        });
+        const root = appendElement(model, 'root');
+        appendElement(root, 'mxCell', { id: '0' });
+        appendElement(root, 'mxCell', { id: '1', parent: '0' });
+
+        page.nodes.forEach(node => appendNodeCell(root, node, devices));
+        (page.links || []).forEach(link => appendLinkCells(root, link, routing));
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(doc);
+}
+
+/**
+ * Read a draw.io file into a topology
+ * Compressed diagrams (the default of older draw.io versions) are inflated first
+ * @param {string} text - Content of a .drawio or .xml file
+ * @returns {Promise<Object>} Serialized topology (current version), not yet validated
+ * @throws {Error} If the file is not a draw.io file
+ */
+export async function drawioToTopology(text) {
+    const doc = parseXML(text);
+    const rootName = doc.documentElement.nodeName;
+
+    // A bare mxGraphModel (as copied from draw.io's Edit Diagram dialog) is a single diagram
+    let diagrams;
+    if (rootName === 'mxGraphModel') {
+        diagrams = [{ id: null, name: 'Page 1', model: doc.documentElement }];
+    } else if (rootName === 'mxfile') {
+        diagrams = await Promise.all(
+            Array.from(doc.documentElement.children)
+                .filter(el => el.nodeName === 'diagram')
+                .map(async (diagram, index) => ({
+                    id: diagram.getAttribute('id'),
+                    name: diagram.getAttribute('name') || `Page ${index + 1}`,
+                    model: await getDiagramModel(diagram),
+                }))
+        );
+    } else {
+        throw new Error('The file is not a draw.io diagram');
+    }
+    if (diagrams.length === 0) {
+        throw new Error('The file has no diagrams');
+    }
+
+    const pageIds = new Map(diagrams.map((diagram, index) => [diagram.id, `page-${index + 1}`]));
+    const ids = { shape: 0, connection: 0, device: 0 };
+    const devices = [];
+    const pages = diagrams.map((diagram, index) => ({
+        id: `page-${index + 1}`,
+        name: diagram.name,
+        view: null,
+        ...readDiagram(diagram.model, { ids, devices, pageIds }),
+    }));
+
+    return { version: MODEL_VERSION, currentPage: pages[0].id, devices, pages };
+}
+
+/**
+ * Append the cell of a node to a diagram
+ * Lines and arrows are written as edges with loose ends; groups other than Cisco devices, text
+ * boxes and page links are left out
+ * @param {Element} root - The diagram's root element
+ * @param {Object} node - Node record
+ * @param {Map} devices - Devices by ID, for the names of device shapes
+ */
+function appendNodeCell(root, node, devices) {
+    const { attributes } = node;
+
+    if (node.element === 'line' || node.type === 'arrow') {
+        appendLineCell(root, node);
+        return;
+    }
+
+    const bounds = getNodeBounds(node);
+    if (!bounds) return;
+
+    let style;
+    let value = node.label?.text || '';
+    let pageRef = null;
+
+    if (attributes['data-cisco'] === 'true') {
+        const stencil = CISCO_STENCILS[node.type];
+        const glyph = { ...getIconDefaults(node.type)?.glyph, ...node.icon?.style?.glyph };
+        style =
+            (stencil ? `shape=${stencil};` : 'rounded=0;dashed=1;') +
+            `fillColor=${glyph.fill || '#005073'};strokeColor=#ffffff;strokeWidth=2;` +
+            'verticalLabelPosition=bottom;verticalAlign=top;align=center;outlineConnect=0;';
+        value = devices.get(node.device)?.name || value || CISCO_SHAPES[node.type]?.label || '';
+    } else if (node.type === 'text') {
+        const text = findChild(node, 'text');
+        const background = findChild(node, 'rect');
+        style =
+            'text;align=center;verticalAlign=middle;' +
+            `fillColor=${toColor(background?.attributes.fill)};` +
+            `strokeColor=${toColor(background?.attributes.stroke)};` +
+            getFontStyle(text?.attributes || {});
+        value = text?.text || '';
+    } else if (node.type === 'pagelink') {
+        const background = findChild(node, 'rect');
+        const text = findChild(node, 'text');
+        style =
+            `rounded=1;arcSize=50;${getShapeStyle(background?.attributes || {})}` +
+            getFontStyle(text?.attributes || {});
+        value = text?.text || '';
+        pageRef = attributes['data-page-ref'] || null;
+    } else if (['circle', 'ellipse', 'rect'].includes(node.element)) {
+        const label = node.label?.attributes || {};
+        style =
+            (node.element === 'rect'
+                ? `rounded=${parseFloat(attributes.rx) > 0 ? 1 : 0};`
+                : `ellipse;${node.element === 'circle' ? 'aspect=fixed;' : ''}`) +
+            getShapeStyle(attributes) +
+            (LABEL_POSITION_STYLES[label['data-position']] ?? LABEL_POSITION_STYLES.below) +
+            getFontStyle(label);
+    } else {
+        return;
+    }
+
+    const cellAttributes = { id: node.id, value, style, vertex: 1, parent: '1' };
+    let cellParent = root;
+    if (pageRef) {
+        // Links to other diagrams are properties of a UserObject wrapping the cell
+        cellParent = appendElement(root, 'UserObject', {
+            id: node.id,
+            label: value,
+            link: PAGE_LINK_PREFIX + pageRef,
+        });
+        delete cellAttributes.id;
+        delete cellAttributes.value;
+    }
+
+    const cell = appendElement(cellParent, 'mxCell', cellAttributes);
+    appendElement(cell, 'mxGeometry', { ...roundBounds(bounds), as: 'geometry' });
+}
+
+/**
+ * Append a line or arrow shape as an edge with loose ends
+ * @param {Element} root - The diagram's root element
+ * @param {Object} node - Line or arrow node record
+ */
+function appendLineCell(root, node) {
+    const line = node.element === 'line' ? node : findChild(node, 'line');
+    if (!line) return;
+
+    const offset = getTranslation(node);
+    const end = name => ({
+        x: round((parseFloat(line.attributes[`x${name}`]) || 0) + offset.x),
+        y: round((parseFloat(line.attributes[`y${name}`]) || 0) + offset.y),
+    });
+    const attributes = { ...node.attributes, ...line.attributes };
+
+    const cell = appendElement(root, 'mxCell', {
+        id: node.id,
+        value: '',
+        style:
+            `endArrow=${node.type === 'arrow' ? 'block' : 'none'};startArrow=none;` +
+            getStrokeStyle(attributes.stroke, attributes['stroke-width']) +
+            getDashStyle(attributes['stroke-dasharray']),
+        edge: 1,
+        parent: '1',
+    });
+    const geometry = appendElement(cell, 'mxGeometry', { relative: 1, as: 'geometry' });
+    appendElement(geometry, 'mxPoint', { ...end(1), as: 'sourcePoint' });
+    appendElement(geometry, 'mxPoint', { ...end(2), as: 'targetPoint' });
+}
+
+/**
+ * Append the edge of a link, with its end labels as child label cells
+ * @param {Element} root - The diagram's root element
+ * @param {Object} link - Link record
+ * @param {string} documentRouting - The document's routing mode
+ */
+function appendLinkCells(root, link, documentRouting) {
+    const routing = link.routing || documentRouting;
+    const style = link.style || {};
+
+    const cell = appendElement(root, 'mxCell', {
+        id: link.id,
+        value: link.labels?.center?.text || '',
+        style:
+            (routing === 'orthogonal' ? 'edgeStyle=orthogonalEdgeStyle;' : '') +
+            (link.curved ? 'curved=1;' : 'rounded=0;') +
+            `endArrow=${MARKER_ARROWS[link.markers?.target] || 'none'};` +
+            `startArrow=${MARKER_ARROWS[link.markers?.source] || 'none'};` +
+            'endFill=1;startFill=1;' +
+            getStrokeStyle(style.stroke, style.strokeWidth) +
+            getDashStyle(style.strokeDasharray),
+        edge: 1,
+        parent: '1',
+        source: link.source,
+        target: link.target,
+    });
+    const geometry = appendElement(cell, 'mxGeometry', { relative: 1, as: 'geometry' });
+
+    // Hand-placed bends are kept; routed links are left to draw.io's own router
+    if (routing === 'manual' && link.points?.length) {
+        const points = appendElement(geometry, 'Array', { as: 'points' });
+        link.points.forEach(point =>
+            appendElement(points, 'mxPoint', { x: round(point.x), y: round(point.y) })
+        );
+    }
+
+    [
+        ['source', -DRAWIO_CONFIG.END_LABEL_POSITION],
+        ['target', DRAWIO_CONFIG.END_LABEL_POSITION],
+    ].forEach(([end, position]) => {
+        const label = link.labels?.[end];
+        if (!label?.text) return;
+
+        const labelCell = appendElement(root, 'mxCell', {
+            id: `${link.id}-${end}`,
+            value: label.text,
+            style: `edgeLabel;align=center;verticalAlign=middle;resizable=0;points=[];fontColor=${toColor(label.fill)};`,
+            vertex: 1,
+            connectable: 0,
+            parent: link.id,
+        });
+        const labelGeometry = appendElement(labelCell, 'mxGeometry', {
+            x: position,
+            relative: 1,
+            as: 'geometry',
+        });
+        appendElement(labelGeometry, 'mxPoint', { as: 'offset' });
+    });
+}
+
+/**
+ * Get the bounds of a node from its attributes
+ * @param {Object} node - Node record
+ * @returns {Object|null} Bounds {x, y, width, height}, or null for shapes without a size
+ */
+function getNodeBounds(node) {
+    const attributes = node.attributes;
+
+    if (node.element === 'circle') {
+        const r = toNumber(attributes.r, 30);
+        return {
+            x: toNumber(attributes.cx) - r,
+            y: toNumber(attributes.cy) - r,
+            width: r * 2,
+            height: r * 2,
+        };
+    }
+    if (node.element === 'ellipse') {
+        const rx = toNumber(attributes.rx, 40);
+        const ry = toNumber(attributes.ry, 25);
+        return {
+            x: toNumber(attributes.cx) - rx,
+            y: toNumber(attributes.cy) - ry,
+            width: rx * 2,
+            height: ry * 2,
+        };
+    }
+    if (node.element === 'rect') {
+        return {
+            x: toNumber(attributes.x),
+            y: toNumber(attributes.y),
+            width: toNumber(attributes.width, 80),
+            height: toNumber(attributes.height, 50),
+        };
+    }
+    if (node.element !== 'g') return null;
+
+    const offset = getTranslation(node);
+    if (attributes['data-cisco'] === 'true') {
+        const defaults = getIconDefaults(node.type);
+        return {
+            ...offset,
+            width: node.icon?.width || defaults?.width || 60,
+            height: node.icon?.height || defaults?.height || 60,
+        };
+    }
+
+    // Text boxes and page links are the size of their background
+    const background = findChild(node, 'rect');
+    if (!background) return null;
+    return {
+        x: offset.x + toNumber(background.attributes.x),
+        y: offset.y + toNumber(background.attributes.y),
+        width: toNumber(background.attributes.width, 100),
+        height: toNumber(background.attributes.height, 30),
+    };
+}
+
+/**
+ * Get the fill and stroke style of a shape
+ * @param {Object} attributes - SVG attributes of the shape
+ * @returns {string} draw.io style entries
+ */
+function getShapeStyle(attributes) {
+    return (
+        `fillColor=${toColor(attributes.fill)};` +
+        getStrokeStyle(attributes.stroke, attributes['stroke-width'])
+    );
+}
+
+/**
+ * Get the stroke style of a shape or edge
+ * @param {string} stroke - Stroke colour
+ * @param {string|number} width - Stroke width
+ * @returns {string} draw.io style entries
+ */
+function getStrokeStyle(stroke, width) {
+    const strokeWidth = parseFloat(width);
+    return (
+        `strokeColor=${toColor(stroke)};` +
+        (Number.isFinite(strokeWidth) ? `strokeWidth=${strokeWidth};` : '')
+    );
+}
+
+/**
+ * Get the dash style of a stroke-dasharray
+ * draw.io scales dash patterns by the line width unless fixDash is set
+ * @param {string} dasharray - SVG stroke-dasharray ("10,5"); empty for a solid line
+ * @returns {string} draw.io style entries
+ */
+function getDashStyle(dasharray) {
+    const pattern = (dasharray || '')
+        .trim()
+        .split(/[\s,]+/)
+        .filter(Boolean);
+    if (pattern.length === 0 || dasharray === 'none') return 'dashed=0;';
+    return `dashed=1;dashPattern=${pattern.join(' ')};fixDash=1;`;
+}
+
+/**
+ * Get the font style of a text element
+ * @param {Object} attributes - SVG attributes of the text
+ * @returns {string} draw.io style entries
+ */
+function getFontStyle(attributes) {
+    const fontStyle =
+        (attributes['font-weight'] === 'bold' ? 1 : 0) +
+        (attributes['font-style'] === 'italic' ? 2 : 0) +
+        (attributes['text-decoration'] === 'underline' ? 4 : 0);
+    const fontSize = parseFloat(attributes['font-size']);
+
+    return (
+        `fontColor=${toColor(attributes.fill, '#333333')};fontStyle=${fontStyle};` +
+        (Number.isFinite(fontSize) ? `fontSize=${fontSize};` : '')
+    );
+}
+
+/**
+ * Convert an SVG paint to a draw.io colour
+ * @param {string} paint - SVG fill or stroke
+ * @param {string} [fallback='none'] - Colour used when there is none
+ * @returns {string} Colour, or "none"
+ */
+function toColor(paint, fallback = 'none') {
+    if (!paint) return fallback;
+    return paint === 'transparent' ? 'none' : paint;
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML text
+ * @returns {Document} The document
+ * @throws {Error} If the text is not well-formed XML
+ */
+function parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not a draw.io diagram (it is not valid XML)');
+    }
+    return doc;
+}
+
+/**
+ * Get the graph model of a diagram, inflating it if it is compressed
+ * Compressed diagrams hold their model URI-encoded, deflated and then base64-encoded
+ * @param {Element} diagram - The diagram element
+ * @returns {Promise<Element>} The mxGraphModel element
+ */
+async function getDiagramModel(diagram) {
+    const model = Array.from(diagram.children).find(el => el.nodeName === 'mxGraphModel');
+    if (model) return model;
+
+    const data = diagram.textContent.trim();
+    if (!data) return null;
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed draw.io diagrams');
+    }
+
+    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    const xml = decodeURIComponent(await new Response(stream).text());
+    return parseXML(xml).documentElement;
+}
+
+/**
+ * Read the cells of a diagram into the nodes and links of a page
+ * @param {Element|null} model - The diagram's mxGraphModel
+ * @param {Object} context - {ids: ID counters, devices: devices read so far, pageIds: page IDs
+ *   by diagram ID}
+ * @returns {Object} Page content {nodes, links}
+ */
+function readDiagram(model, context) {
+    const nodes = [];
+    const links = [];
+    if (!model) return { nodes, links };
+
+    const cells = readCells(model);
+    const layers = new Set(
+        Array.from(cells.values())
+            .filter(cell => !cell.parent || !cells.has(cell.parent))
+            .flatMap(root => Array.from(cells.values()).filter(cell => cell.parent === root.id))
+            .map(cell => cell.id)
+    );
+    const isLayerChild = cell => layers.has(cell.parent);
+    const isEdgeLabel = cell => cells.get(cell.parent)?.edge;
+
+    // Shapes first, so links can find their ends
+    const shapeIds = new Map();
+    const shapeBounds = new Map();
+    cells.forEach(cell => {
+        if (!cell.vertex || layers.has(cell.id) || isEdgeLabel(cell) || !cell.geometry) return;
+        if (cell.style.group !== undefined) return; // A group only holds its cells
+
+        const bounds = getAbsoluteBounds(cell, cells, layers);
+        if (bounds.width <= 0 || bounds.height <= 0) return;
+
+        const id = `shape-${++context.ids.shape}`;
+        shapeIds.set(cell.id, id);
+        shapeBounds.set(id, bounds);
+        nodes.push(cellToNode(cell, id, bounds, context));
+    });
+
+    cells.forEach(cell => {
+        if (!cell.edge || !(isLayerChild(cell) || cells.get(cell.parent)?.vertex)) return;
+
+        const source = shapeIds.get(cell.source);
+        const target = shapeIds.get(cell.target);
+        if (source && target) {
+            const labels = Array.from(cells.values()).filter(label => label.parent === cell.id);
+            links.push(
+                cellToLink(cell, labels, {
+                    id: `connection-${++context.ids.connection}`,
+                    source,
+                    target,
+                    sourceBounds: shapeBounds.get(source),
+                    targetBounds: shapeBounds.get(target),
+                })
+            );
+        } else {
+            const node = edgeToLineNode(cell, shapeBounds, shapeIds, context);
+            if (node) nodes.push(node);
+        }
+    });
+
+    return { nodes, links };
+}
+
+/**
+ * Read the cells of a graph model
+ * Cells wrapped in a UserObject (cells with properties) take its ID, label and link
+ * @param {Element} model - The mxGraphModel element
+ * @returns {Map<string, Object>} Cells by ID
+ */
+function readCells(model) {
+    const cells = new Map();
+    Array.from(model.getElementsByTagName('mxCell')).forEach(el => {
+        const wrapper = ['UserObject', 'object'].includes(el.parentNode.nodeName)
+            ? el.parentNode
+            : null;
+        const style = parseStyle(el.getAttribute('style'));
+        const id = (wrapper || el).getAttribute('id');
+        if (!id) return;
+
+        const value = wrapper ? wrapper.getAttribute('label') : el.getAttribute('value');
+        cells.set(id, {
+            id,
+            parent: el.getAttribute('parent'),
+            value: toPlainText(value || '', style.html === '1'),
+            style,
+            vertex: el.getAttribute('vertex') === '1',
+            edge: el.getAttribute('edge') === '1',
+            source: el.getAttribute('source'),
+            target: el.getAttribute('target'),
+            link: wrapper?.getAttribute('link') || null,
+            geometry: readGeometry(el),
+        });
+    });
+    return cells;
+}
+
+/**
+ * Read the geometry of a cell
+ * @param {Element} cell - The mxCell element
+ * @returns {Object|null} Geometry {x, y, width, height, relative, points, sourcePoint,
+ *   targetPoint}, or null if the cell has none
+ */
+function readGeometry(cell) {
+    const geometry = Array.from(cell.children).find(el => el.nodeName === 'mxGeometry');
+    if (!geometry) return null;
+
+    const number = (el, name) => parseFloat(el?.getAttribute(name)) || 0;
+    const point = el => (el ? { x: number(el, 'x'), y: number(el, 'y') } : null);
+    const child = as => Array.from(geometry.children).find(el => el.getAttribute('as') === as);
+
+    return {
+        x: number(geometry, 'x'),
+        y: number(geometry, 'y'),
+        width: number(geometry, 'width'),
+        height: number(geometry, 'height'),
+        relative: geometry.getAttribute('relative') === '1',
+        points: Array.from(child('points')?.children || []).map(point),
+        sourcePoint: point(child('sourcePoint')),
+        targetPoint: point(child('targetPoint')),
+    };
+}
+
+/**
+ * Parse a draw.io style
+ * Entries without a value (e.g. "ellipse", "text") are kept with an empty value
+ * @param {string|null} style - Style as "name=value;..." entries
+ * @returns {Object} Style values by name
+ */
+function parseStyle(style) {
+    const values = {};
+    (style || '').split(';').forEach(entry => {
+        const [name, ...value] = entry.split('=');
+        if (name.trim()) values[name.trim()] = value.join('=').trim();
+    });
+    return values;
+}
+
+/**
+ * Get the plain text of a cell label, on one line
+ * @param {string} value - Label
+ * @param {boolean} isHTML - Whether the label is HTML (style html=1)
+ * @returns {string} Text
+ */
+function toPlainText(value, isHTML) {
+    let text = value;
+    if (isHTML) {
+        const html = value.replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '\n');
+        text = new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+    }
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Get the bounds of a vertex on the page
+ * Cells inside groups and containers are placed relative to them
+ * @param {Object} cell - The cell
+ * @param {Map} cells - All cells by ID
+ * @param {Set} layers - IDs of the layer cells
+ * @returns {Object} Bounds {x, y, width, height}
+ */
+function getAbsoluteBounds(cell, cells, layers) {
+    const bounds = {
+        x: cell.geometry.x,
+        y: cell.geometry.y,
+        width: cell.geometry.width,
+        height: cell.geometry.height,
+    };
+
+    let parent = cells.get(cell.parent);
+    while (parent && !layers.has(parent.id) && parent.geometry) {
+        bounds.x += parent.geometry.x;
+        bounds.y += parent.geometry.y;
+        parent = cells.get(parent.parent);
+    }
+    return bounds;
+}
+
+/**
+ * Get the CISCO_SHAPES type of a Cisco stencil
+ * @param {Object} style - Parsed cell style
+ * @returns {string|null} Shape type, or null if the cell is not a recognised Cisco stencil
+ */
+function getCiscoType(style) {
+    const shape = (style.shape || '').toLowerCase();
+    if (!shape.startsWith('mxgraph.cisco')) return null;
+
+    const icon = (style.prIcon || shape.split('.').pop()).toLowerCase();
+    return CISCO_STENCIL_PATTERNS.find(([pattern]) => pattern.test(icon))?.[1] || null;
+}
+
+/**
+ * Convert a vertex into a node
+ * Cisco stencils become Cisco devices, ellipses become circles or ovals, text cells become text
+ * boxes and links to other diagrams become page links; anything else becomes a rectangle
+ * @param {Object} cell - The cell
+ * @param {string} id - Node ID
+ * @param {Object} bounds - Bounds of the cell on the page
+ * @param {Object} context - Import context (see readDiagram())
+ * @returns {Object} Node record
+ */
+function cellToNode(cell, id, bounds, context) {
+    const { style } = cell;
+    const { x, y, width, height } = roundBounds(bounds);
+    const transform = `translate(${x}, ${y})`;
+
+    const ciscoType = getCiscoType(style);
+    if (ciscoType) {
+        const device = {
+            id: `device-${++context.ids.device}`,
+            type: ciscoType,
+            name: cell.value || CISCO_SHAPES[ciscoType].label,
+        };
+        context.devices.push(device);
+
+        return {
+            id,
+            type: ciscoType,
+            element: 'g',
+            device: device.id,
+            attributes: { 'data-shape-type': ciscoType, 'data-cisco': 'true', transform },
+            icon: { width, height },
+            children: [],
+            label: {
+                text: device.name,
+                attributes: {
+                    x: width / 2,
+                    y: height + 12,
+                    'text-anchor': 'middle',
+                    fill: '#333',
+                    'font-size': '10',
+                    'font-weight': 'bold',
+                },
+            },
+        };
+    }
+
+    const pageRef = cell.link?.startsWith(PAGE_LINK_PREFIX)
+        ? context.pageIds.get(cell.link.slice(PAGE_LINK_PREFIX.length))
+        : null;
+    if (pageRef) {
+        const template = SHAPE_TEMPLATES.pagelink;
+        return {
+            id,
+            type: 'pagelink',
+            element: 'g',
+            attributes: { 'data-shape-type': 'pagelink', 'data-page-ref': pageRef, transform },
+            children: [
+                {
+                    element: 'rect',
+                    attributes: {
+                        ...template.attributes,
+                        ...getPaintAttributes(style, template.attributes),
+                        class: 'page-link-background',
+                        x: 0,
+                        y: 0,
+                        width,
+                        height,
+                        rx: Math.min(template.attributes.rx, height / 2),
+                    },
+                    text: null,
+                },
+                {
+                    element: 'text',
+                    attributes: {
+                        ...template.textAttributes,
+                        class: 'page-link-text',
+                        x: width / 2,
+                        y: height / 2,
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle',
+                    },
+                    text: cell.value,
+                },
+            ],
+        };
+    }
+
+    if (style.text !== undefined) {
+        const template = SHAPE_TEMPLATES.text;
+        return {
+            id,
+            type: 'text',
+            element: 'g',
+            attributes: { 'data-shape-type': 'text', transform },
+            children: [
+                {
+                    element: 'rect',
+                    attributes: {
+                        class: 'text-background',
+                        x: 0,
+                        y: 0,
+                        width,
+                        height,
+                        ...getPaintAttributes(style, {
+                            fill: 'transparent',
+                            stroke: 'none',
+                            'stroke-width': 0,
+                        }),
+                        rx: 4,
+                    },
+                    text: null,
+                },
+                {
+                    element: 'text',
+                    attributes: {
+                        class: 'text-content',
+                        x: width / 2,
+                        y: height / 2,
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle',
+                        ...template.attributes,
+                        ...getTextAttributes(style, template.attributes),
+                    },
+                    text: cell.value || template.defaultText,
+                },
+            ],
+        };
+    }
+
+    const isEllipse = style.ellipse !== undefined || style.shape === 'ellipse';
+    const paint = getPaintAttributes(style, {
+        fill: '#ffffff',
+        stroke: '#000000',
+        'stroke-width': 1,
+    });
+    let node;
+    if (isEllipse && width === height) {
+        node = {
+            element: 'circle',
+            type: 'circle',
+            attributes: { cx: x + width / 2, cy: y + height / 2, r: width / 2 },
+        };
+    } else if (isEllipse) {
+        node = {
+            element: 'ellipse',
+            type: 'oval',
+            attributes: { cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 },
+        };
+    } else {
+        node = {
+            element: 'rect',
+            type: width === height ? 'square' : 'rectangle',
+            attributes: { x, y, width, height, rx: style.rounded === '1' ? 5 : 0 },
+        };
+    }
+
+    return {
+        id,
+        type: node.type,
+        element: node.element,
+        attributes: {
+            'data-shape-type': node.type,
+            ...node.attributes,
+            ...paint,
+            ...(cell.value ? { 'data-has-label': 'true' } : {}),
+        },
+        label: cell.value ? createShapeLabel(cell.value, style, { x, y, width, height }) : null,
+    };
+}
+
+/**
+ * Create the sibling label of a basic shape, placed like the shape's edit panel places it
+ * @param {string} text - Label text
+ * @param {Object} style - Parsed cell style
+ * @param {Object} bounds - Bounds of the shape
+ * @returns {Object} Label {text, attributes}
+ */
+function createShapeLabel(text, style, bounds) {
+    const { x, y, width, height } = bounds;
+    const centerX = x + width / 2;
+    const centerY = y + height / 2;
+
+    let position = 'center';
+    if (style.verticalLabelPosition === 'bottom') position = 'below';
+    else if (style.verticalLabelPosition === 'top') position = 'above';
+    else if (style.labelPosition === 'left') position = 'left';
+    else if (style.labelPosition === 'right') position = 'right';
+
+    const placement = {
+        above: { x: centerX, y: y - LABEL_OFFSET, 'text-anchor': 'middle' },
+        below: { x: centerX, y: y + height + LABEL_OFFSET, 'text-anchor': 'middle' },
+        left: { x: x - LABEL_OFFSET, y: centerY, 'text-anchor': 'end' },
+        right: { x: x + width + LABEL_OFFSET, y: centerY, 'text-anchor': 'start' },
+        center: {
+            x: centerX,
+            y: centerY + 5,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'middle',
+        },
+    }[position];
+
+    return {
+        text,
+        attributes: {
+            'data-label': 'true',
+            'font-weight': 'normal',
+            ...getTextAttributes(style, { fill: '#333333', 'font-size': 14 }),
+            'data-position': position,
+            ...placement,
+        },
+    };
+}
+
+/**
+ * Read the fill and stroke of a cell
+ * @param {Object} style - Parsed cell style
+ * @param {Object} defaults - Attributes used where the style has no value
+ * @returns {Object} SVG fill, stroke and stroke-width attributes
+ */
+function getPaintAttributes(style, defaults) {
+    const color = name => (style[name] === 'none' ? 'none' : style[name]);
+    return {
+        fill: color('fillColor') || defaults.fill,
+        stroke: color('strokeColor') || defaults.stroke,
+        'stroke-width': parseFloat(style.strokeWidth) || defaults['stroke-width'],
+    };
+}
+
+/**
+ * Read the font of a cell
+ * @param {Object} style - Parsed cell style
+ * @param {Object} defaults - Attributes used where the style has no value
+ * @returns {Object} SVG text attributes
+ */
+function getTextAttributes(style, defaults) {
+    const attributes = {
+        fill: style.fontColor && style.fontColor !== 'none' ? style.fontColor : defaults.fill,
+        'font-size': parseFloat(style.fontSize) || defaults['font-size'],
+    };
+
+    const fontStyle = parseInt(style.fontStyle, 10) || 0;
+    if (fontStyle & 1) attributes['font-weight'] = 'bold';
+    if (fontStyle & 2) attributes['font-style'] = 'italic';
+    if (fontStyle & 4) attributes['text-decoration'] = 'underline';
+    return attributes;
+}
+
+/**
+ * Convert an edge between two shapes into a link
+ * The link is routed when its page is shown, except when the edge has bends of its own
+ * @param {Object} cell - The edge cell
+ * @param {Array<Object>} labelCells - Label cells of the edge
+ * @param {Object} ends - {id, source, target, sourceBounds, targetBounds}
+ * @returns {Object} Link record
+ */
+function cellToLink(cell, labelCells, ends) {
+    const { style } = cell;
+    const sourceCenter = getCenter(ends.sourceBounds);
+    const targetCenter = getCenter(ends.targetBounds);
+    const points = cell.geometry?.points || [];
+
+    let routing = null;
+    if (/orthogonal|elbow|entityRelation/i.test(style.edgeStyle || '')) routing = 'orthogonal';
+    else if (points.length > 0) routing = 'manual';
+
+    // Labels along the edge: before the middle belongs to the source, after it to the target
+    const texts = { source: '', target: '', center: cell.value };
+    labelCells.forEach(label => {
+        const position = label.geometry?.x || 0;
+        const end = position <= -0.5 ? 'source' : position >= 0.5 ? 'target' : 'center';
+        texts[end] = texts[end] ? `${texts[end]} ${label.value}` : label.value;
+    });
+
+    const strokeWidth = parseFloat(style.strokeWidth) || 1;
+    const middle = getMidpoint([sourceCenter, ...points, targetCenter]);
+
+    return {
+        id: ends.id,
+        source: ends.source,
+        target: ends.target,
+        line: {
+            x1: sourceCenter.x,
+            y1: sourceCenter.y,
+            x2: targetCenter.x,
+            y2: targetCenter.y,
+        },
+        routing,
+        points: routing === 'manual' ? points : null,
+        curved: style.curved === '1',
+        markers: {
+            source: getMarker(style, 'start'),
+            target: getMarker(style, 'end'),
+        },
+        style: {
+            stroke:
+                style.strokeColor && style.strokeColor !== 'none' ? style.strokeColor : '#000000',
+            strokeWidth,
+            strokeDasharray: getDasharray(style, strokeWidth),
+        },
+        labels: {
+            source: createEndLabel(texts.source, sourceCenter, points[0] || targetCenter),
+            target: createEndLabel(texts.target, targetCenter, points.at(-1) || sourceCenter),
+            center: { text: texts.center, x: middle.x, y: middle.y },
+        },
+    };
+}
+
+/**
+ * Convert an edge with a loose end into a line or arrow shape
+ * Ends attached to a shape are placed at its centre
+ * @param {Object} cell - The edge cell
+ * @param {Map} shapeBounds - Bounds by node ID
+ * @param {Map} shapeIds - Node IDs by cell ID
+ * @param {Object} context - Import context (see readDiagram())
+ * @returns {Object|null} Node record, or null if an end can't be placed
+ */
+function edgeToLineNode(cell, shapeBounds, shapeIds, context) {
+    const endPoint = end => {
+        const bounds = shapeBounds.get(shapeIds.get(cell[end]));
+        return bounds ? getCenter(bounds) : cell.geometry?.[`${end}Point`];
+    };
+    const start = endPoint('source');
+    const end = endPoint('target');
+    if (!start || !end || (start.x === end.x && start.y === end.y)) return null;
+
+    const id = `shape-${++context.ids.shape}`;
+    const stroke = {
+        stroke:
+            cell.style.strokeColor && cell.style.strokeColor !== 'none'
+                ? cell.style.strokeColor
+                : SHAPE_TEMPLATES.line.attributes.stroke,
+        'stroke-width': parseFloat(cell.style.strokeWidth) || 1,
+    };
+    const dasharray = getDasharray(cell.style, stroke['stroke-width']);
+    if (dasharray) stroke['stroke-dasharray'] = dasharray;
+    const ends = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+
+    if (getMarker(cell.style, 'end') === 'none') {
+        return {
+            id,
+            type: 'line',
+            element: 'line',
+            attributes: { 'data-shape-type': 'line', ...ends, ...stroke },
+        };
+    }
+
+    // An arrow: the line, a head at its end and a dot at its start, as drawn on the canvas
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const corner = side => ({
+        x: round(end.x - 10 * Math.cos(angle) + side * 5 * Math.sin(angle)),
+        y: round(end.y - 10 * Math.sin(angle) - side * 5 * Math.cos(angle)),
+    });
+    const head = [end, corner(1), corner(-1)].map(point => `${point.x},${point.y}`).join(' ');
+
+    return {
+        id,
+        type: 'arrow',
+        element: 'g',
+        attributes: {
+            'data-shape-type': 'arrow',
+            ...stroke,
+            fill: stroke.stroke,
+        },
+        children: [
+            {
+                element: 'line',
+                attributes: { ...ends, ...stroke, class: 'arrow-line' },
+                text: null,
+            },
+            {
+                element: 'polygon',
+                attributes: { points: head, fill: stroke.stroke, class: 'arrow-head' },
+                text: null,
+            },
+            {
+                element: 'circle',
+                attributes: {
+                    cx: start.x,
+                    cy: start.y,
+                    r: 4,
+                    fill: stroke.stroke,
+                    class: 'arrow-start',
+                },
+                text: null,
+            },
+        ],
+    };
+}
+
+/**
+ * Read the marker at one end of an edge
+ * draw.io draws a classic arrow at the end of edges that don't name one
+ * @param {Object} style - Parsed edge style
+ * @param {string} end - 'start' or 'end'
+ * @returns {string} Link marker (see LINK_MARKERS)
+ */
+function getMarker(style, end) {
+    const arrow = style[`${end}Arrow`] ?? (end === 'end' ? 'classic' : 'none');
+    return ARROW_MARKERS[arrow] || (arrow ? 'arrow' : 'none');
+}
+
+/**
+ * Read the dash pattern of an edge
+ * @param {Object} style - Parsed edge style
+ * @param {number} strokeWidth - Line width, which draw.io dash patterns are measured in
+ * @returns {string} SVG stroke-dasharray, empty for a solid line
+ */
+function getDasharray(style, strokeWidth) {
+    if (style.dashed !== '1') return '';
+
+    const pattern = (style.dashPattern || '3 3')
+        .split(/\s+/)
+        .map(parseFloat)
+        .filter(Number.isFinite);
+    const scale = style.fixDash === '1' ? 1 : strokeWidth;
+    return pattern.map(value => round(value * scale)).join(',');
+}
+
+/**
+ * Append an element with attributes
+ * @param {Element} parent - Parent element
+ * @param {string} name - Element name
+ * @param {Object} [attributes] - Attribute values
+ * @returns {Element} The new element
+ */
+function appendElement(parent, name, attributes = {}) {
+    const el = parent.ownerDocument.createElement(name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    parent.appendChild(el);
+    return el;
+}
+
+/**
+ * Find the first stored child element of a group node
+ * @param {Object} node - Group node record
+ * @param {string} element - Element name
+ * @returns {Object|undefined} Child record
+ */
+function findChild(node, element) {
+    return (node.children || []).find(child => child.element === element);
+}
+
+/**
+ * Get the centre of bounds
+ * @param {Object} bounds - Bounds {x, y, width, height}
+ * @returns {Object} Point {x, y}
+ */
+function getCenter(bounds) {
+    return { x: round(bounds.x + bounds.width / 2), y: round(bounds.y + bounds.height / 2) };
+}
+
+/**
+ * Get the point halfway along a polyline
+ * @param {Array<Object>} points - Points {x, y}
+ * @returns {Object} Point {x, y}
+ */
+function getMidpoint(points) {
+    const lengths = points
+        .slice(1)
+        .map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] && lengths[i] > 0) {
+            const t = remaining / lengths[i];
+            return {
+                x: round(points[i].x + (points[i + 1].x - points[i].x) * t),
+                y: round(points[i].y + (points[i + 1].y - points[i].y) * t),
+            };
+        }
+        remaining -= lengths[i];
+    }
+    return points[0];
+}
+
+/**
+ * Round bounds to two decimals
+ * @param {Object} bounds - Bounds {x, y, width, height}
+ * @returns {Object} Rounded bounds
+ */
+function roundBounds(bounds) {
+    return {
+        x: round(bounds.x),
+        y: round(bounds.y),
+        width: round(bounds.width),
+        height: round(bounds.height),
+    };
+}
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - The number
+ * @returns {number} Rounded number
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
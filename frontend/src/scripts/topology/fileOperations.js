@@ -1,19 +1,53 @@
 /**
  * Topology file operations (export, import, clear)
+ * Files hold every page of the topology; a single page can also be exported, or imported
+ * into the current page. Topologies can also be exchanged with draw.io (see drawioFormat.js),
+ * containerlab (see containerlabFormat.js) and Cisco Modeling Labs (see cmlFormat.js)
  */
 
 import { appState } from '../state/appState.js';
+import { topologyModel, TopologyModel, MODEL_VERSION } from '../state/topologyModel.js';
+import {
+    CLIPBOARD_CONFIG,
+    DEVICE_PROPERTIES,
+    DRAWIO_CONFIG,
+    CONTAINERLAB_CONFIG,
+    CML_CONFIG,
+    WORKSPACE_CONFIG,
+} from '../config/constants.js';
+import { TopologyValidationError } from '../state/topologySchema.js';
 import { elements } from '../utils/dom.js';
-import { SHAPE_TEMPLATES } from '../config/constants.js';
-import { addShapeEventListeners } from '../shapes/shapeEvents.js';
 import { removeResizeHandles } from '../shapes/shapeSelection.js';
+import { serializeTopology, commitView, clearTopologyElements } from './modelSync.js';
+import { pasteClipboardPayload } from './clipboard.js';
+import { topologyToDrawio, drawioToTopology } from './drawioFormat.js';
+import { topologyToContainerlab, containerlabToTopology } from './containerlabFormat.js';
+import { topologyToCml, cmlToTopology } from './cmlFormat.js';
 import { saveAppState, clearStorage } from '../services/storage.js';
+import { runHistoryStep } from '../services/history.js';
+import { showCurrentPage } from '../services/restore.js';
+import {
+    hasOpenDocument,
+    createDocument,
+    importDocument,
+    getCurrentDocument,
+} from '../services/workspace.js';
 import { showAlert } from '../utils/modal.js';
 
 /**
- * Create a new topology (clear canvas)
+ * Create a new topology
+ * With the document workspace a new document is opened and the current one is kept;
+ * otherwise the canvas is cleared after confirmation
  */
 export function newTopology() {
+    if (hasOpenDocument()) {
+        createDocument().catch(error => {
+            console.error('Error creating topology:', error);
+            showAlert('The new topology could not be created: ' + error.message, 'Error', 'error');
+        });
+        return;
+    }
+
     // Show confirmation modal
     const modal = document.getElementById('newTopologyModal');
     const bsModal = new bootstrap.Modal(modal);
@@ -21,8 +55,14 @@ export function newTopology() {
     // Set up one-time event listener for confirmation
     const confirmBtn = document.getElementById('confirmNewTopology');
     const handleConfirm = () => {
-        clearCanvas();
-        clearStorage();
+        runHistoryStep('new topology', () => {
+            topologyModel.reset();
+            appState.shapeIdCounter = 1;
+            appState.connectionIdCounter = 1;
+            showCurrentPage();
+
+            clearStorage();
+        });
         bsModal.hide();
         confirmBtn.removeEventListener('click', handleConfirm);
     };
@@ -32,166 +72,276 @@ export function newTopology() {
 }
 
 /**
- * Export topology to JSON file
+ * Export topology to JSON file (all pages)
  */
 export function exportTopology() {
-    const shapes = Array.from(elements.topologyCanvas.querySelectorAll('.canvas-shape'));
-    const connections = Array.from(elements.topologyCanvas.querySelectorAll('.connection'));
-
-    const topology = {
-        version: '1.0',
-        created: new Date().toISOString(),
-        shapes: shapes.map(shape => {
-            const shapeData = {
-                id: shape.id,
-                tagName: shape.tagName.toLowerCase(),
-                shapeType: shape.getAttribute('data-shape-type'),
-                attributes: Array.from(shape.attributes).reduce((acc, attr) => {
-                    if (attr.name !== 'class' && attr.name !== 'id') {
-                        acc[attr.name] = attr.value;
-                    }
-                    return acc;
-                }, {}),
-                style: {
-                    cursor: shape.style.cursor || '',
-                },
-            };
-
-            // For group elements (Cisco shapes), save the innerHTML
-            if (shape.tagName.toLowerCase() === 'g') {
-                shapeData.innerHTML = shape.innerHTML;
-            }
+    downloadTopology(serializeTopology(), `topology-${Date.now()}.json`);
+}
 
-            return shapeData;
-        }),
-        connections: connections.map(connection => {
-            const sourceLabelId = connection.getAttribute('data-source-label-id');
-            const targetLabelId = connection.getAttribute('data-target-label-id');
-            const centerLabelId = connection.getAttribute('data-center-label-id');
-            const sourceLabel = sourceLabelId ? document.getElementById(sourceLabelId) : null;
-            const targetLabel = targetLabelId ? document.getElementById(targetLabelId) : null;
-            const centerLabel = centerLabelId ? document.getElementById(centerLabelId) : null;
-            const line = connection.querySelector('.connection-line');
-
-            return {
-                id: connection.id,
-                sourceId: connection.getAttribute('data-source'),
-                targetId: connection.getAttribute('data-target'),
-                line: line
-                    ? {
-                          x1: line.getAttribute('x1'),
-                          y1: line.getAttribute('y1'),
-                          x2: line.getAttribute('x2'),
-                          y2: line.getAttribute('y2'),
-                          stroke: line.getAttribute('stroke') || '#6c757d',
-                          strokeWidth: line.getAttribute('stroke-width') || '3',
-                          strokeDasharray: line.getAttribute('stroke-dasharray') || '',
-                      }
-                    : {
-                          x1: 0,
-                          y1: 0,
-                          x2: 0,
-                          y2: 0,
-                          stroke: '#6c757d',
-                          strokeWidth: '3',
-                          strokeDasharray: '',
-                      },
-                sourceLabel: sourceLabel
-                    ? {
-                          text: sourceLabel.textContent || '',
-                          x: sourceLabel.getAttribute('x') || '0',
-                          y: sourceLabel.getAttribute('y') || '0',
-                          dx: sourceLabel.getAttribute('dx') || '0',
-                          dy: sourceLabel.getAttribute('dy') || '0',
-                          textAnchor: sourceLabel.getAttribute('text-anchor') || 'start',
-                          fill: sourceLabel.getAttribute('fill') || '#333333',
-                          fontSize: sourceLabel.getAttribute('font-size') || '12',
-                      }
-                    : {
-                          text: '',
-                          x: '0',
-                          y: '0',
-                          dx: '-5',
-                          dy: '-10',
-                          textAnchor: 'end',
-                          fill: '#333333',
-                          fontSize: '12',
-                      },
-                targetLabel: targetLabel
-                    ? {
-                          text: targetLabel.textContent || '',
-                          x: targetLabel.getAttribute('x') || '0',
-                          y: targetLabel.getAttribute('y') || '0',
-                          dx: targetLabel.getAttribute('dx') || '0',
-                          dy: targetLabel.getAttribute('dy') || '0',
-                          textAnchor: targetLabel.getAttribute('text-anchor') || 'start',
-                          fill: targetLabel.getAttribute('fill') || '#333333',
-                          fontSize: targetLabel.getAttribute('font-size') || '12',
-                      }
-                    : {
-                          text: '',
-                          x: '0',
-                          y: '0',
-                          dx: '5',
-                          dy: '-10',
-                          textAnchor: 'start',
-                          fill: '#333333',
-                          fontSize: '12',
-                      },
-                centerLabel: centerLabel
-                    ? {
-                          text: centerLabel.textContent || '',
-                          x: centerLabel.getAttribute('x') || '0',
-                          y: centerLabel.getAttribute('y') || '0',
-                          dx: centerLabel.getAttribute('dx') || '0',
-                          dy: centerLabel.getAttribute('dy') || '0',
-                          textAnchor: centerLabel.getAttribute('text-anchor') || 'middle',
-                          fill: centerLabel.getAttribute('fill') || '#212529',
-                          fontSize: centerLabel.getAttribute('font-size') || '12',
-                      }
-                    : {
-                          text: '',
-                          x: '0',
-                          y: '0',
-                          dx: '0',
-                          dy: '-5',
-                          textAnchor: 'middle',
-                          fill: '#212529',
-                          fontSize: '12',
-                      },
-            };
-        }),
-    };
+/**
+ * Export the current page to a JSON file
+ * The file is a complete topology with that page and its devices only
+ */
+export function exportCurrentPage() {
+    commitView();
+    downloadTopology(
+        topologyModel.toPageJSON(),
+        `topology-${toFileName(topologyModel.currentPage.name)}-${Date.now()}.json`
+    );
+}
 
-    const dataStr = JSON.stringify(topology, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+/**
+ * Export all pages to a draw.io file
+ */
+export function exportDrawio() {
+    downloadFile(
+        topologyToDrawio(serializeTopology()),
+        'application/xml',
+        `topology-${Date.now()}.drawio`
+    );
+}
+
+/**
+ * Export the devices and connections of all pages as a containerlab lab
+ * The lab is named after the document
+ */
+export function exportContainerlab() {
+    const topology = serializeTopology();
+    if (topology.devices.length === 0) {
+        showAlert('There are no network devices to export.', 'Export containerlab', 'info');
+        return;
+    }
+
+    const name = toFileName(getCurrentDocument()?.name || WORKSPACE_CONFIG.DEFAULT_NAME);
+    downloadFile(topologyToContainerlab(topology, name), 'application/yaml', `${name}.clab.yml`);
+}
+
+/**
+ * Export the devices and connections of all pages as a CML lab
+ * The lab is titled after the document
+ */
+export function exportCml() {
+    const topology = serializeTopology();
+    if (topology.devices.length === 0) {
+        showAlert('There are no network devices to export.', 'Export CML', 'info');
+        return;
+    }
+
+    const title = getCurrentDocument()?.name || WORKSPACE_CONFIG.DEFAULT_NAME;
+    downloadFile(topologyToCml(topology, title), 'application/yaml', `${toFileName(title)}.yaml`);
+}
+
+/**
+ * Turn a page name into a file name part
+ * @param {string} name - Page name
+ * @returns {string} Lowercase name with dashes
+ */
+export function toFileName(name) {
+    return (
+        name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'page'
+    );
+}
+
+/**
+ * Download topology data as a JSON file
+ * @param {Object} topology - Serialized topology
+ * @param {string} fileName - Download file name
+ */
+function downloadTopology(topology, fileName) {
+    downloadFile(JSON.stringify(topology, null, 2), 'application/json', fileName);
+}
+
+/**
+ * Download text as a file
+ * @param {string} dataStr - File content
+ * @param {string} mimeType - Content type
+ * @param {string} fileName - Download file name
+ */
+export function downloadFile(dataStr, mimeType, fileName) {
+    const dataUri = `data:${mimeType};charset=utf-8,` + encodeURIComponent(dataStr);
 
-    const exportFileDefaultName = `topology-${Date.now()}.json`;
     const linkElement = document.createElement('a');
     linkElement.setAttribute('href', dataUri);
-    linkElement.setAttribute('download', exportFileDefaultName);
+    linkElement.setAttribute('download', fileName);
     linkElement.click();
 }
 
+/**
+ * Export the devices of all pages with their properties as a CSV file
+ * One row per device; tags (`key=value`) and interfaces (name and IP address) are listed
+ * separated by semicolons
+ */
+export function exportDeviceInventory() {
+    if (topologyModel.devices.size === 0) {
+        showAlert('There are no network devices to export.', 'Export Inventory', 'info');
+        return;
+    }
+
+    const header = [
+        'Device',
+        'Type',
+        'Pages',
+        ...DEVICE_PROPERTIES.map(({ label }) => label),
+        'Tags',
+        'Interfaces',
+    ];
+    const rows = Array.from(topologyModel.devices.values(), device => [
+        device.name,
+        device.type || '',
+        topologyModel.pages
+            .filter(page => topologyModel.isDeviceOnPage(device.id, page.id))
+            .map(page => page.name)
+            .join('; '),
+        ...DEVICE_PROPERTIES.map(({ key }) => device.properties[key] || ''),
+        (device.properties.tags || [])
+            .map(tag => (tag.value ? `${tag.key}=${tag.value}` : tag.key))
+            .join('; '),
+        device.interfaces.map(item => (item.ip ? `${item.name} ${item.ip}` : item.name)).join('; '),
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+    downloadFile(csv, 'text/csv', `topology-inventory-${Date.now()}.csv`);
+}
+
+/**
+ * Quote a CSV field
+ * Values that a spreadsheet would run as a formula are prefixed with an apostrophe
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Import topology from JSON file
+ * With the document workspace the file is opened as a new document named after the file
  */
 export function importTopology() {
+    readTopologyFile(async (topology, file) => {
+        if (hasOpenDocument()) {
+            await importDocument(file.name.replace(/\.json$/i, ''), topology);
+        } else {
+            loadTopology(topology);
+        }
+    });
+}
+
+/**
+ * Import a draw.io file
+ * Opened like a JSON file: as a new document named after the file with the document workspace
+ */
+export function importDrawio() {
+    readTopologyFile(
+        async (topology, file) => {
+            if (hasOpenDocument()) {
+                await importDocument(file.name.replace(/\.(drawio|xml)$/i, ''), topology);
+            } else {
+                loadTopology(topology);
+            }
+        },
+        { accept: DRAWIO_CONFIG.FILE_TYPES, parse: drawioToTopology }
+    );
+}
+
+/**
+ * Import a containerlab lab
+ * Opened like a JSON file: as a new document named after the file with the document workspace
+ */
+export function importContainerlab() {
+    readTopologyFile(
+        async (topology, file) => {
+            if (hasOpenDocument()) {
+                await importDocument(file.name.replace(/(\.clab)?\.ya?ml$/i, ''), topology);
+            } else {
+                loadTopology(topology);
+            }
+        },
+        { accept: CONTAINERLAB_CONFIG.FILE_TYPES, parse: containerlabToTopology }
+    );
+}
+
+/**
+ * Import a CML lab
+ * Opened like a JSON file: as a new document named after the file with the document workspace
+ */
+export function importCml() {
+    readTopologyFile(
+        async (topology, file) => {
+            if (hasOpenDocument()) {
+                await importDocument(file.name.replace(/\.ya?ml$/i, ''), topology);
+            } else {
+                loadTopology(topology);
+            }
+        },
+        { accept: CML_CONFIG.FILE_TYPES, parse: cmlToTopology }
+    );
+}
+
+/**
+ * Import the current page of a JSON file into the current page
+ * The shapes get fresh IDs like pasted shapes, and device shapes become new devices with the
+ * properties they have in the file
+ */
+export function importIntoCurrentPage() {
+    readTopologyFile((topology, file) => {
+        // Parse into a model of its own first so an invalid file leaves the canvas untouched
+        const { devices, pages } = TopologyModel.fromJSON(topology).toPageJSON();
+        const payload = {
+            format: CLIPBOARD_CONFIG.FORMAT,
+            version: CLIPBOARD_CONFIG.VERSION,
+            modelVersion: MODEL_VERSION,
+            documentId: `file:${file.name}`,
+            origin: { x: 0, y: 0 },
+            devices,
+            nodes: pages[0].nodes,
+            links: pages[0].links,
+        };
+
+        // Keep the file's positions
+        runHistoryStep('import page', () => pasteClipboardPayload(payload, { x: 0, y: 0 }));
+    });
+}
+
+/**
+ * Let the user pick a topology file and pass its topology data on
+ * Invalid files are reported and nothing is imported
+ * @param {Function} onLoad - Receives the parsed data and the file; may return a promise
+ * @param {Object} [format] - File format: {accept: file picker types, parse: converts the file
+ *   text to topology data, may return a promise}; JSON by default
+ */
+function readTopologyFile(onLoad, format = { accept: '.json', parse: JSON.parse }) {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = format.accept;
 
     input.onchange = e => {
         const file = e.target.files[0];
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = e => {
+        reader.onload = async e => {
             try {
-                const topology = JSON.parse(e.target.result);
-                loadTopology(topology);
+                await onLoad(await format.parse(e.target.result), file);
             } catch (error) {
-                showAlert('Error loading topology file: ' + error.message, 'Import Error', 'error');
+                if (error instanceof TopologyValidationError) {
+                    showAlert(
+                        `${error.message}. The file was not imported.`,
+                        'Import Error',
+                        'error',
+                        error.errors
+                    );
+                } else {
+                    showAlert(
+                        'Error loading topology file: ' + error.message,
+                        'Import Error',
+                        'error'
+                    );
+                }
             }
         };
         reader.readAsText(file);
@@ -202,216 +352,37 @@ export function importTopology() {
 
 /**
  * Load topology from data object
+ * Older file versions are upgraded on the way in
  * @param {Object} topology - The topology data
+ * @throws {TopologyValidationError} If the data is not a valid topology
  */
 function loadTopology(topology) {
-    clearCanvas();
-
-    if (!topology.shapes) return;
-
-    // Restore shapes first
-    topology.shapes.forEach(shapeData => {
-        const shape = document.createElementNS(
-            'http://www.w3.org/2000/svg',
-            shapeData.tagName || 'rect'
-        );
-
-        // Set ID first
-        shape.id = shapeData.id;
+    // Parse into a model of its own first so an invalid file leaves the canvas untouched
+    const model = TopologyModel.fromJSON(topology);
 
-        // Restore attributes
-        Object.entries(shapeData.attributes || {}).forEach(([attr, value]) => {
-            if (attr !== 'class') {
-                shape.setAttribute(attr, value);
-            }
-        });
-
-        // Restore style
-        if (shapeData.style && shapeData.style.cursor) {
-            shape.style.cursor = shapeData.style.cursor;
-        }
+    runHistoryStep('import topology', () => {
+        topologyModel.load(model.toJSON());
+        showCurrentPage();
 
-        shape.setAttribute('class', 'canvas-shape');
-        addShapeEventListeners(shape);
-        const shapesLayer = document.getElementById('shapesLayer') || elements.topologyCanvas;
-        shapesLayer.appendChild(shape);
+        saveAppState();
     });
-
-    // Restore connections after shapes
-    if (topology.connections && topology.connections.length > 0) {
-        topology.connections.forEach(connectionData => {
-            try {
-                // Create connection group
-                const connectionGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-                connectionGroup.id = connectionData.id;
-                connectionGroup.classList.add('connection');
-                connectionGroup.setAttribute('data-source', connectionData.sourceId);
-                connectionGroup.setAttribute('data-target', connectionData.targetId);
-
-                // Create the line
-                if (connectionData.line) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', connectionData.line.x1 || 0);
-                    line.setAttribute('y1', connectionData.line.y1 || 0);
-                    line.setAttribute('x2', connectionData.line.x2 || 0);
-                    line.setAttribute('y2', connectionData.line.y2 || 0);
-                    line.setAttribute('stroke', connectionData.line.stroke || '#6c757d');
-                    line.setAttribute('stroke-width', connectionData.line.strokeWidth || '3');
-                    line.classList.add('connection-line');
-
-                    // Use inline styles to override CSS
-                    line.style.stroke = connectionData.line.stroke || '#6c757d';
-                    line.style.strokeWidth = (connectionData.line.strokeWidth || '3') + 'px';
-
-                    connectionGroup.appendChild(line);
-                }
-
-                // Add connection to the connections layer
-                const connectionsLayer = document.getElementById('connectionsLayer');
-                if (connectionsLayer) {
-                    connectionsLayer.appendChild(connectionGroup);
-                } else {
-                    // Fallback: Insert connection before shapes
-                    const firstShape = elements.topologyCanvas.querySelector('.canvas-shape');
-                    if (firstShape) {
-                        elements.topologyCanvas.insertBefore(connectionGroup, firstShape);
-                    } else {
-                        elements.topologyCanvas.appendChild(connectionGroup);
-                    }
-                }
-
-                // Create and append labels to the labels layer
-                const labelsLayer = document.getElementById('labelsLayer');
-                const labelTarget = labelsLayer || elements.topologyCanvas;
-
-                if (connectionData.sourceLabel) {
-                    const sourceLabel = createLabelElement(
-                        connectionData.id,
-                        connectionData.sourceLabel,
-                        'source'
-                    );
-                    connectionGroup.setAttribute('data-source-label-id', sourceLabel.id);
-                    labelTarget.appendChild(sourceLabel);
-                }
-
-                if (connectionData.targetLabel) {
-                    const targetLabel = createLabelElement(
-                        connectionData.id,
-                        connectionData.targetLabel,
-                        'target'
-                    );
-                    connectionGroup.setAttribute('data-target-label-id', targetLabel.id);
-                    labelTarget.appendChild(targetLabel);
-                }
-
-                if (connectionData.centerLabel) {
-                    const centerLabel = createLabelElement(
-                        connectionData.id,
-                        connectionData.centerLabel,
-                        'center'
-                    );
-                    connectionGroup.setAttribute('data-center-label-id', centerLabel.id);
-                    labelTarget.appendChild(centerLabel);
-                }
-
-                // Update shape connections data
-                const sourceShape = document.getElementById(connectionData.sourceId);
-                const targetShape = document.getElementById(connectionData.targetId);
-
-                if (sourceShape) {
-                    if (!sourceShape.dataset.connections) {
-                        sourceShape.dataset.connections = '';
-                    }
-                    sourceShape.dataset.connections += connectionData.id + ',';
-                }
-
-                if (targetShape) {
-                    if (!targetShape.dataset.connections) {
-                        targetShape.dataset.connections = '';
-                    }
-                    targetShape.dataset.connections += connectionData.id + ',';
-                }
-            } catch (error) {
-                console.error('Error restoring connection:', error, connectionData);
-            }
-        });
-    }
-
-    // Update the shape counter if needed
-    const maxShapeId = topology.shapes.reduce((max, shape) => {
-        const match = shape.id.match(/shape-(\d+)/);
-        return match ? Math.max(max, parseInt(match[1])) : max;
-    }, 0);
-
-    if (maxShapeId > 0 && maxShapeId >= appState.shapeIdCounter) {
-        appState.shapeIdCounter = maxShapeId + 1;
-    }
-
-    // Update connection counter if needed
-    if (topology.connections) {
-        const maxConnectionId = topology.connections.reduce((max, conn) => {
-            const match = conn.id.match(/connection-(\d+)/);
-            return match ? Math.max(max, parseInt(match[1])) : max;
-        }, 0);
-
-        if (maxConnectionId > 0 && maxConnectionId >= appState.connectionIdCounter) {
-            appState.connectionIdCounter = maxConnectionId + 1;
-        }
-    }
-
-    saveAppState();
-}
-
-/**
- * Create a label element for imported topology
- * @param {string} connectionId - The connection ID
- * @param {Object} labelData - Label data object
- * @param {string} type - 'source' or 'target'
- * @returns {SVGTextElement} The label element
- */
-function createLabelElement(connectionId, labelData, type) {
-    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    label.id = `label-${connectionId}-${type}`;
-    label.setAttribute('x', labelData.x || 0);
-    label.setAttribute('y', labelData.y || 0);
-    label.setAttribute('dx', labelData.dx || '5');
-    label.setAttribute('dy', labelData.dy || '-5');
-    label.setAttribute('text-anchor', labelData.textAnchor || 'start');
-    label.setAttribute('fill', labelData.fill || '#495057');
-    label.setAttribute('font-size', labelData.fontSize || '12');
-    label.classList.add('connection-label');
-    label.classList.add(`connection-label-${type}`);
-    label.setAttribute('data-connection-id', connectionId);
-    label.setAttribute('data-label-type', type);
-    label.textContent = labelData.text || '';
-    label.style.cursor = 'move';
-    label.style.userSelect = 'none';
-
-    return label;
 }
 
 /**
- * Clear all shapes, connections, and labels from canvas
+ * Clear all shapes, connections, and labels from the canvas (the current page)
  */
 export function clearCanvas() {
-    // Remove all shapes
-    const shapes = elements.topologyCanvas.querySelectorAll('.canvas-shape');
-    shapes.forEach(shape => shape.remove());
-
-    // Remove all connections
-    const connections = elements.topologyCanvas.querySelectorAll('.connection');
-    connections.forEach(connection => connection.remove());
-
-    // Remove all connection labels
-    const labels = elements.topologyCanvas.querySelectorAll('.connection-label');
-    labels.forEach(label => label.remove());
+    // Remove all shapes, connections, and labels
+    clearTopologyElements();
+    topologyModel.clear();
+    topologyModel.pruneDevices();
 
     // Deselect any selected elements
     appState.deselectShape();
     removeResizeHandles();
 
-    // Reset connection counter
-    appState.connectionIdCounter = 1;
+    // Reset connection counter, past the connections of the other pages
+    appState.connectionIdCounter = topologyModel.getMaxIds().connection;
 
     saveAppState();
 }
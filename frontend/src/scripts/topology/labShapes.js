@@ -0,0 +1,180 @@
+/**
+ * Lab file building blocks
+ * Shared by the lab file formats (containerlabFormat.js and cmlFormat.js): reading the device
+ * shapes and connections of a topology, and creating the device shapes and bound connections of
+ * an imported lab. Imported devices are plain data {id, type, name, properties, interfaces}; a
+ * lab node entry pairs one with the ID of its shape. The draw.io format (drawioFormat.js) uses
+ * the shape offsets and link end labels too.
+ */
+
+import { CISCO_SHAPES } from '../config/constants.js';
+import { getIconDefaults } from '../state/shapeContent.js';
+
+const END_LABEL_RADIUS = 60; // Distance (px) of a link end label from its shape centre
+
+/**
+ * Make a name unique by numbering it
+ * @param {string} name - Wanted name
+ * @param {Set<string>} usedNames - Names taken so far; the returned name is added
+ * @returns {string} The name, or the name with the first free -2, -3, ... suffix
+ */
+export function getUniqueName(name, usedNames) {
+    let unique = name;
+    for (let number = 2; usedNames.has(unique); number++) {
+        unique = `${name}-${number}`;
+    }
+    usedNames.add(unique);
+    return unique;
+}
+
+/**
+ * Get the offset of a group shape, e.g. the top-left corner of a device shape's icon
+ * @param {Object} node - Node record of a group shape
+ * @returns {Object} Offset {x, y} of its translate() transform
+ */
+export function getTranslation(node) {
+    const match = /translate\(\s*([-\d.e]+)[\s,]+([-\d.e]+)\s*\)/.exec(
+        node.attributes?.transform || ''
+    );
+    return match ? { x: parseFloat(match[1]), y: parseFloat(match[2]) } : { x: 0, y: 0 };
+}
+
+/**
+ * Get the icon size of a device shape
+ * @param {string} type - Cisco shape type
+ * @returns {Object} Size {width, height}
+ */
+export function getIconSize(type) {
+    const { width, height } = getIconDefaults(type);
+    return { width: Math.round(width), height: Math.round(height) };
+}
+
+/**
+ * Get the interface name at a connection end
+ * @param {Object} device - Device at that end
+ * @param {Object} link - Link record
+ * @param {string} end - 'source' or 'target'
+ * @returns {string|null} Name of the bound interface or on the end label, or null if the end
+ *     has neither (or a label that can't be an interface name)
+ */
+export function getInterfaceName(device, link, end) {
+    const bound = (device.interfaces || []).find(item => item.id === link[`${end}Interface`]);
+    const name = (bound?.name || link.labels?.[end]?.text || '').trim();
+    return /^[^\s:]+$/.test(name) ? name : null;
+}
+
+/**
+ * Add an interface to a device unless it has one of that name
+ * @param {Object} device - Device data
+ * @param {*} name - Interface name
+ * @param {Object} [details] - Other interface fields, e.g. {type}
+ * @returns {string|null} Interface ID, or null if there is no name
+ */
+export function addInterface(device, name, details = {}) {
+    const text = String(name ?? '').trim();
+    if (!text) return null;
+
+    let item = device.interfaces.find(existing => existing.name === text);
+    if (!item) {
+        item = { id: `if-${device.interfaces.length + 1}`, name: text, ...details };
+        device.interfaces.push(item);
+    }
+    return item.id;
+}
+
+/**
+ * Create the node record of a device shape
+ * @param {Object} entry - Lab node {device, shapeId}
+ * @param {Object} bounds - Icon bounds {x, y, width, height}
+ * @returns {Object} Node record
+ */
+export function createDeviceNode(entry, bounds) {
+    const { device, shapeId } = entry;
+    return {
+        id: shapeId,
+        type: device.type,
+        element: 'g',
+        device: device.id,
+        attributes: {
+            'data-shape-type': device.type,
+            'data-cisco': 'true',
+            transform: `translate(${bounds.x}, ${bounds.y})`,
+        },
+        icon: { width: bounds.width, height: bounds.height },
+        children: [],
+        label: {
+            text: device.name || CISCO_SHAPES[device.type].label,
+            attributes: {
+                x: bounds.width / 2,
+                y: bounds.height + 12,
+                'text-anchor': 'middle',
+                fill: '#333',
+                'font-size': '10',
+                'font-weight': 'bold',
+            },
+        },
+    };
+}
+
+/**
+ * Create the link record of a connection between two lab nodes
+ * Its ends are bound to their interfaces and labelled with their names; the link is routed when
+ * its page is shown
+ * @param {string} id - Link ID
+ * @param {Object} source - Source end {entry, interfaceId}, where entry is a lab node entry
+ *     {device, shapeId}
+ * @param {Object} target - Target end {entry, interfaceId}
+ * @param {Map} bounds - Icon bounds by shape ID
+ * @returns {Object} Link record
+ */
+export function createDeviceLink(id, source, target, bounds) {
+    const center = end => {
+        const box = bounds.get(end.entry.shapeId);
+        return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    };
+    const interfaceName = end =>
+        end.entry.device.interfaces.find(item => item.id === end.interfaceId)?.name || '';
+    const sourceCenter = center(source);
+    const targetCenter = center(target);
+
+    return {
+        id,
+        source: source.entry.shapeId,
+        target: target.entry.shapeId,
+        sourceInterface: source.interfaceId,
+        targetInterface: target.interfaceId,
+        line: { x1: sourceCenter.x, y1: sourceCenter.y, x2: targetCenter.x, y2: targetCenter.y },
+        labels: {
+            source: createEndLabel(interfaceName(source), sourceCenter, targetCenter),
+            target: createEndLabel(interfaceName(target), targetCenter, sourceCenter),
+            center: { text: '' },
+        },
+    };
+}
+
+/**
+ * Create the label at one end of a link
+ * Like labels of links drawn on the canvas, it sits on a circle around its shape, towards the
+ * next point of the link
+ * @param {string} text - Label text
+ * @param {Object} center - Centre of the shape at that end
+ * @param {Object} toward - Next point of the link, e.g. the centre of the shape at the other end
+ * @returns {Object} Label data
+ */
+export function createEndLabel(text, center, toward) {
+    const angle = Math.atan2(toward.y - center.y, toward.x - center.x);
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+
+    let textAnchor = 'middle';
+    if (Math.abs(dx) > Math.abs(dy)) textAnchor = dx > 0 ? 'start' : 'end';
+
+    return {
+        text,
+        x: Math.round((center.x + dx * END_LABEL_RADIUS) * 100) / 100,
+        y: Math.round((center.y + dy * END_LABEL_RADIUS) * 100) / 100,
+        dy: '0.35em',
+        textAnchor,
+        constraint: { centerX: center.x, centerY: center.y, radius: END_LABEL_RADIUS },
+    };
+}
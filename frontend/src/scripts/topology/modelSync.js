@@ -0,0 +1,174 @@
+/**
+ * Topology model <-> canvas synchronization
+ * The topology model is the document: saving, export, the undo history and the panels read it,
+ * and pages are rendered onto the SVG canvas from it. Interactive gestures (drag, resize, label
+ * edits) update the SVG while they run; each edit operation then commits the shapes and
+ * connections it changed with commitShapes()/commitConnections() and the ones it deleted with
+ * commitRemoval(). Connections routed again along the way (e.g. around a dragged shape) are
+ * committed with them.
+ */
+
+import { appState } from '../state/appState.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { elements } from '../utils/dom.js';
+import { renderNode, renderNodeLabel, nodeFromShape } from '../shapes/shapeFactory.js';
+import {
+    renderConnection,
+    linkFromConnection,
+    renderBundleMarkers,
+    commitReroutedConnections,
+} from '../connections/connectionManager.js';
+
+/**
+ * Commit edited shapes to the topology model, together with the connections attached to them
+ * New shapes are added after the existing ones, in drawing order
+ * @param {Array<SVGElement>} shapes - The shape elements
+ */
+export function commitShapes(shapes) {
+    const connections = new Set();
+    shapes.forEach(shape => {
+        if (!shape?.isConnected) return;
+
+        topologyModel.addNode(nodeFromShape(shape));
+        topologyModel.getLinksForNode(shape.id).forEach(link => connections.add(link.id));
+    });
+
+    commitConnections(Array.from(connections, id => document.getElementById(id)));
+    commitDevices();
+}
+
+/**
+ * Commit edited connections (with their labels) to the topology model, together with the
+ * connections routed again since the last commit
+ * @param {Array<SVGGElement>} connections - The connection groups
+ */
+export function commitConnections(connections) {
+    connections.forEach(connection => {
+        if (connection?.isConnected) {
+            topologyModel.addLink(linkFromConnection(connection));
+        }
+    });
+    commitReroutedConnections();
+}
+
+/**
+ * Remove deleted shapes and connections from the topology model, and commit the connections
+ * routed again since the last commit
+ * Removing a shape removes the connections attached to it too
+ * @param {Array<string>} ids - Shape and connection IDs
+ */
+export function commitRemoval(ids) {
+    ids.forEach(id => {
+        if (topologyModel.getNode(id)) {
+            topologyModel.removeNode(id);
+        } else {
+            topologyModel.removeLink(id);
+        }
+    });
+    commitReroutedConnections();
+    commitDevices();
+}
+
+/**
+ * Bring the model's devices in line with the current page's device shapes
+ * New device shapes are given the device they were assigned
+ */
+function commitDevices() {
+    topologyModel.syncDevices();
+    topologyModel.nodes.forEach(node => {
+        const shape = node.device && document.getElementById(node.id);
+        if (shape && shape.getAttribute('data-device') !== node.device) {
+            shape.setAttribute('data-device', node.device);
+        }
+    });
+}
+
+/**
+ * Take the canvas zoom level and scroll position into the current page's view
+ */
+export function commitView() {
+    topologyModel.view = {
+        zoom: appState.currentZoom,
+        scrollLeft: elements.canvasWrapper?.scrollLeft || 0,
+        scrollTop: elements.canvasWrapper?.scrollTop || 0,
+    };
+}
+
+/**
+ * Rebuild the current page of the topology model from the shapes and connections on the canvas
+ * A migration aid for canvas content that was never rendered from the model; saving and export
+ * don't use it, as edits are committed to the model as they are made
+ * @returns {TopologyModel} The updated model
+ */
+export function captureCanvas() {
+    topologyModel.clear();
+    commitShapes(Array.from(elements.topologyCanvas.querySelectorAll('.canvas-shape')));
+    commitConnections(Array.from(elements.topologyCanvas.querySelectorAll('.connection')));
+    commitView();
+
+    return topologyModel;
+}
+
+/**
+ * Serialize the topology model with the current view
+ * Used by both persistence and file export so they produce identical output
+ * @returns {Object} Serialized topology
+ */
+export function serializeTopology() {
+    commitView();
+    return topologyModel.toJSON();
+}
+
+/**
+ * Remove every rendered shape, connection (with its bundle and end markers) and label from the
+ * canvas
+ * The model itself is left untouched
+ */
+export function clearTopologyElements() {
+    elements.topologyCanvas
+        .querySelectorAll(
+            '.canvas-shape, .connection, .link-bundle, .link-marker, .connection-label, text[data-shape-id]'
+        )
+        .forEach(element => element.remove());
+}
+
+/**
+ * Render every node and link of a model's current page onto the (already cleared) canvas
+ * @param {TopologyModel} model - The model to render
+ */
+export function renderTopology(model = topologyModel) {
+    // Render shapes first so connections can attach to them
+    model.nodes.forEach(node => {
+        try {
+            const shape = renderNode(node);
+            const targetLayer =
+                document.getElementById(node.layer) ||
+                document.getElementById('shapesLayer') ||
+                elements.canvas;
+            targetLayer.appendChild(shape);
+
+            const labelEl = renderNodeLabel(node);
+            if (labelEl) {
+                targetLayer.appendChild(labelEl);
+            }
+        } catch (error) {
+            console.error('Error rendering shape:', error, node);
+        }
+    });
+
+    model.links.forEach(link => {
+        try {
+            renderConnection(link);
+        } catch (error) {
+            console.error('Error rendering connection:', error, link);
+        }
+    });
+    renderBundleMarkers();
+    // Links without a route were given one while rendering
+    commitReroutedConnections();
+
+    // Make sure new shapes and connections don't reuse rendered IDs
+    const maxIds = model.getMaxIds();
+    appState.shapeIdCounter = Math.max(appState.shapeIdCounter, maxIds.shape);
+    appState.connectionIdCounter = Math.max(appState.connectionIdCounter, maxIds.connection);
+}
@@ -0,0 +1,315 @@
+/**
+ * Page tabs
+ * Shows the pages of the topology as tabs below the canvas and opens, adds, renames and
+ * deletes them. Every page has its own shapes, connections, zoom level and scroll position;
+ * device shapes can appear on several pages as the same device (see topologyModel.js), and
+ * page link shapes open the page they point at.
+ */
+
+import { topologyModel } from '../state/topologyModel.js';
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { updatePageLinkText } from '../shapes/shapeFactory.js';
+import { saveAppState } from '../services/storage.js';
+import { endHistoryStep } from '../services/history.js';
+import { showCurrentPage } from '../services/restore.js';
+import { commitShapes, commitView } from './modelSync.js';
+
+/**
+ * Setup the page tabs
+ */
+export function initializePageTabs() {
+    if (!elements.pageTabs) return;
+
+    elements.pageTabs.addEventListener('click', handleTabClick);
+    elements.pageTabs.addEventListener('dblclick', handleTabDoubleClick);
+    elements.addPageBtn.addEventListener('click', () => {
+        hideTooltip(elements.addPageBtn);
+        addPage();
+    });
+
+    renderPageTabs();
+}
+
+/**
+ * Render one tab per page, marking the current one
+ * Page names are user input, so the tabs are built with text nodes only
+ */
+export function renderPageTabs() {
+    if (!elements.pageTabs) return;
+
+    const canDelete = topologyModel.pages.length > 1;
+    elements.pageTabs.replaceChildren(
+        ...topologyModel.pages.map(page =>
+            createPageTab(page, page.id === topologyModel.currentPageId, canDelete)
+        )
+    );
+}
+
+/**
+ * Create the tab of a page
+ * @param {Object} page - The page
+ * @param {boolean} isCurrent - Whether the page is shown on the canvas
+ * @param {boolean} canDelete - Whether the page can be deleted (it is not the only one)
+ * @returns {HTMLLIElement} The tab
+ */
+function createPageTab(page, isCurrent, canDelete) {
+    const item = document.createElement('li');
+    item.className = 'nav-item d-flex align-items-center';
+    item.setAttribute('role', 'presentation');
+    item.dataset.pageId = page.id;
+
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = 'nav-link';
+    tab.classList.toggle('active', isCurrent);
+    tab.dataset.action = 'open';
+    tab.title = 'Double-click to rename';
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-selected', String(isCurrent));
+
+    const name = document.createElement('span');
+    name.className = 'page-tab-name';
+    name.textContent = page.name;
+    tab.appendChild(name);
+
+    if (canDelete) {
+        const close = document.createElement('i');
+        close.className = 'bi bi-x-lg page-tab-close';
+        close.dataset.action = 'delete';
+        close.title = 'Delete page';
+        tab.appendChild(close);
+    }
+
+    item.appendChild(tab);
+    return item;
+}
+
+/**
+ * Handle clicks on the page tabs
+ * @param {MouseEvent} e - Click event
+ */
+function handleTabClick(e) {
+    const target = e.target.closest('[data-action]');
+    const item = e.target.closest('[data-page-id]');
+    if (!target || !item) return;
+
+    if (target.dataset.action === 'delete') {
+        e.stopPropagation();
+        confirmDeletePage(item.dataset.pageId);
+        return;
+    }
+    openPage(item.dataset.pageId);
+}
+
+/**
+ * Rename a page when its tab is double-clicked
+ * @param {MouseEvent} e - Double-click event
+ */
+function handleTabDoubleClick(e) {
+    const item = e.target.closest('[data-page-id]');
+    if (!item || e.target.closest('[data-action="delete"]')) return;
+
+    startRename(item);
+}
+
+/**
+ * Show a page on the canvas
+ * The page being left is saved first, with its zoom level and scroll position
+ * @param {string} id - Page ID
+ * @returns {boolean} True if the page is shown
+ */
+export function openPage(id) {
+    if (id === topologyModel.currentPageId) return true;
+
+    if (!topologyModel.getPage(id)) {
+        showAlert('The linked page no longer exists.', 'Page Not Found', 'warning');
+        return false;
+    }
+
+    endHistoryStep();
+    saveAppState();
+
+    topologyModel.setCurrentPage(id);
+    showCurrentPage();
+
+    // Remember the shown page; switching pages is not an undo step
+    saveAppState();
+    return true;
+}
+
+/**
+ * Add an empty page and show it
+ * @returns {Object} The new page
+ */
+export function addPage() {
+    endHistoryStep();
+    saveAppState();
+
+    const page = topologyModel.addPage();
+    topologyModel.setCurrentPage(page.id);
+    showCurrentPage();
+
+    saveAppState('add page');
+    return page;
+}
+
+/**
+ * Rename a page
+ * @param {string} id - Page ID
+ * @param {string} name - New name (ignored if blank)
+ */
+export function renamePage(id, name) {
+    if (!topologyModel.renamePage(id, name)) {
+        renderPageTabs();
+        return;
+    }
+
+    renderPageTabs();
+    refreshPageLinks();
+    saveAppState('rename page');
+}
+
+/**
+ * Delete a page; the neighbouring page is shown if it was the current one
+ * @param {string} id - Page ID
+ */
+export function deletePage(id) {
+    endHistoryStep();
+    saveAppState();
+
+    const wasCurrent = id === topologyModel.currentPageId;
+    if (!topologyModel.removePage(id)) return;
+
+    if (wasCurrent) {
+        showCurrentPage();
+    } else {
+        renderPageTabs();
+        refreshPageLinks();
+    }
+
+    saveAppState('delete page');
+}
+
+/**
+ * Ask before deleting a page with content; empty pages are deleted right away
+ * @param {string} id - Page ID
+ */
+function confirmDeletePage(id) {
+    const page = topologyModel.getPage(id);
+    if (!page) return;
+
+    if (page.nodes.size === 0 || !elements.deletePageModal) {
+        deletePage(id);
+        return;
+    }
+
+    elements.deletePageMessage.textContent = `Delete the page "${page.name}" with its shapes and connections? Devices shown on other pages are kept there.`;
+
+    const modalInstance = window.bootstrap.Modal.getOrCreateInstance(elements.deletePageModal);
+    const handleConfirm = () => {
+        modalInstance.hide();
+        deletePage(id);
+    };
+    elements.confirmDeletePage.addEventListener('click', handleConfirm, { once: true });
+    elements.deletePageModal.addEventListener(
+        'hidden.bs.modal',
+        () => elements.confirmDeletePage.removeEventListener('click', handleConfirm),
+        { once: true }
+    );
+    modalInstance.show();
+}
+
+/**
+ * Replace a tab's name with an input to rename the page
+ * Enter or leaving the field saves the name, Escape cancels
+ * @param {HTMLLIElement} item - The page tab
+ */
+function startRename(item) {
+    const page = topologyModel.getPage(item.dataset.pageId);
+    if (!page) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control form-control-sm page-tab-input';
+    input.value = page.name;
+    input.setAttribute('aria-label', 'Page name');
+
+    let done = false;
+    const finish = save => {
+        if (done) return;
+        done = true;
+
+        if (save && input.value.trim() && input.value.trim() !== page.name) {
+            renamePage(page.id, input.value);
+        } else {
+            renderPageTabs();
+        }
+    };
+
+    input.addEventListener('keydown', e => {
+        // Keep canvas shortcuts (e.g. Delete) away from the field
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    item.replaceChildren(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Show the current page names on the page link shapes of the canvas, and commit them
+ */
+function refreshPageLinks() {
+    const shapes = Array.from(
+        elements.topologyCanvas?.querySelectorAll('.canvas-shape[data-shape-type="pagelink"]') || []
+    );
+    shapes.forEach(updatePageLinkText);
+    commitShapes(shapes);
+}
+
+/**
+ * Run an action on every page in turn, showing each page on the canvas while it runs
+ * The pages are shown without saving, so going through them neither writes the document nor
+ * changes its shown page; the page shown before is shown again afterwards
+ * @param {Function} action - Receives the page; may return a promise
+ * @returns {Promise<void>}
+ */
+export async function forEachPage(action) {
+    const startPageId = topologyModel.currentPageId;
+    endHistoryStep();
+
+    try {
+        for (const page of [...topologyModel.pages]) {
+            showPage(page.id);
+            await action(page);
+        }
+    } finally {
+        showPage(startPageId);
+    }
+}
+
+/**
+ * Show a page on the canvas without saving
+ * The page shown so far keeps its zoom level and scroll position
+ * @param {string} id - Page ID
+ */
+function showPage(id) {
+    if (id === topologyModel.currentPageId) return;
+
+    commitView();
+    topologyModel.setCurrentPage(id);
+    showCurrentPage();
+}
+
+/**
+ * Hide Bootstrap tooltip for an element
+ * @param {HTMLElement} element - The element
+ */
+function hideTooltip(element) {
+    const tooltipInstance = window.bootstrap?.Tooltip.getInstance(element);
+    if (tooltipInstance) tooltipInstance.hide();
+}
@@ -0,0 +1,271 @@
+/**
+ * PDF export
+ * Prints the current page, or every page, as a PDF document for engineering handoffs. Each
+ * page of the topology is cropped to its content like the PNG export, then either scaled to fit
+ * one sheet or printed at a fixed scale and tiled over as many sheets as it needs. Every sheet
+ * gets a drawing frame and a title block (project, diagram, author, revision, date, page n of m).
+ * The document is put together in the browser (see utils/pdfWriter.js).
+ */
+
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { PdfWriter } from '../utils/pdfWriter.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { PDF_PAGE_SIZES, PDF_EXPORT_CONFIG } from '../config/constants.js';
+import { calculateContentBounds, renderCanvas } from './pngExport.js';
+import { forEachPage } from './pages.js';
+import { toFileName } from './fileOperations.js';
+
+const PX_TO_PT = 72 / 96; // CSS pixels are 1/96 inch, points 1/72 inch
+
+// Cells of the title block, left to right, with their share of its width
+const TITLE_BLOCK_COLUMNS = [
+    { key: 'project', label: 'Project', share: 0.28, bold: true },
+    { key: 'diagram', label: 'Diagram', share: 0.26 },
+    { key: 'author', label: 'Author', share: 0.14 },
+    { key: 'revision', label: 'Revision', share: 0.1 },
+    { key: 'date', label: 'Date', share: 0.11 },
+    { key: 'page', label: 'Page', share: 0.11 },
+];
+
+/**
+ * Export the topology as a PDF document
+ * @param {Object} options - Page setup
+ * @param {string} options.pageSize - Value of one of PDF_PAGE_SIZES
+ * @param {string} options.orientation - 'landscape' or 'portrait'
+ * @param {number|null} options.scale - Fixed scale (%), or null to fit each page on one sheet
+ * @param {boolean} options.allPages - Whether to export every page instead of the current one
+ * @param {Object} options.titleBlock - Title block {project, author, revision, date}
+ * @returns {Promise<void>}
+ */
+export async function exportPDF({ pageSize, orientation, scale, allPages, titleBlock }) {
+    if (!elements.topologyCanvas) {
+        console.error('Canvas element not found');
+        return;
+    }
+
+    const sheetSize = getSheetSize(pageSize, orientation);
+    const sheets = [];
+    const addSheets = async page => {
+        const bounds = calculateContentBounds();
+        if (bounds) sheets.push(...(await renderSheets(bounds, sheetSize, scale, page.name)));
+    };
+
+    try {
+        if (allPages) {
+            await forEachPage(addSheets);
+        } else {
+            await addSheets(topologyModel.currentPage);
+        }
+    } catch (error) {
+        console.error('Error exporting PDF:', error);
+        showAlert('Failed to export PDF. Please try again.', 'Export PDF', 'error');
+        return;
+    }
+
+    if (sheets.length === 0) {
+        showAlert('No content to export. Please add some shapes first.', 'Export PDF', 'warning');
+        return;
+    }
+
+    const pdf = new PdfWriter();
+    sheets.forEach((sheet, index) => {
+        pdf.addPage(sheetSize.width, sheetSize.height);
+        pdf.drawImage(sheet.image, sheet.x, sheet.y, sheet.width, sheet.height);
+        drawTitleBlock(pdf, sheetSize, {
+            ...titleBlock,
+            diagram: sheet.diagram,
+            page: `${index + 1} of ${sheets.length}`,
+        });
+    });
+
+    downloadPDF(
+        pdf.toBlob({ title: titleBlock.project, author: titleBlock.author }),
+        titleBlock.project || topologyModel.currentPage.name
+    );
+}
+
+/**
+ * Get the size of a sheet
+ * @param {string} pageSize - Value of one of PDF_PAGE_SIZES
+ * @param {string} orientation - 'landscape' or 'portrait'
+ * @returns {Object} Size {width, height} in points
+ */
+function getSheetSize(pageSize, orientation) {
+    const size = PDF_PAGE_SIZES.find(option => option.value === pageSize) || PDF_PAGE_SIZES[0];
+    const long = Math.max(size.width, size.height);
+    const short = Math.min(size.width, size.height);
+    return orientation === 'landscape'
+        ? { width: long, height: short }
+        : { width: short, height: long };
+}
+
+/**
+ * Get the part of a sheet the diagram is printed in: inside the margins, above the title block
+ * @param {Object} sheetSize - Sheet size {width, height}
+ * @returns {Object} Area {x, y, width, height} in points
+ */
+function getDrawingArea(sheetSize) {
+    const { MARGIN, TITLE_BLOCK_HEIGHT } = PDF_EXPORT_CONFIG;
+    return {
+        x: MARGIN,
+        y: MARGIN,
+        width: sheetSize.width - MARGIN * 2,
+        height: sheetSize.height - MARGIN * 2 - TITLE_BLOCK_HEIGHT,
+    };
+}
+
+/**
+ * Render the content of the page shown on the canvas onto sheets
+ * Fitted, the content takes one sheet and is centred in its drawing area; at a fixed scale it
+ * is cut into tiles of the drawing area's size, left to right and top to bottom
+ * @param {Object} bounds - Content bounds (x, y, width, height)
+ * @param {Object} sheetSize - Sheet size {width, height}
+ * @param {number|null} scale - Fixed scale (%), or null to fit
+ * @param {string} pageName - Name of the page
+ * @returns {Promise<Array<Object>>} Sheets {image, x, y, width, height, diagram}
+ */
+async function renderSheets(bounds, sheetSize, scale, pageName) {
+    const area = getDrawingArea(sheetSize);
+    const pointsPerUnit = scale
+        ? (scale / 100) * PX_TO_PT
+        : Math.min(area.width / bounds.width, area.height / bounds.height);
+
+    // A tile is a drawing area's worth of canvas; the small allowance avoids near-empty tiles
+    // from rounding
+    const tileWidth = area.width / pointsPerUnit;
+    const tileHeight = area.height / pointsPerUnit;
+    const columns = Math.max(1, Math.ceil(bounds.width / tileWidth - 0.001));
+    const rows = Math.max(1, Math.ceil(bounds.height / tileHeight - 0.001));
+    const tiled = columns > 1 || rows > 1;
+
+    const sheets = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = bounds.x + column * tileWidth;
+            const y = bounds.y + row * tileHeight;
+            const region = {
+                x,
+                y,
+                width: Math.min(tileWidth, bounds.x + bounds.width - x),
+                height: Math.min(tileHeight, bounds.y + bounds.height - y),
+            };
+            const width = region.width * pointsPerUnit;
+            const height = region.height * pointsPerUnit;
+
+            sheets.push({
+                image: await renderImage(region, pointsPerUnit),
+                x: area.x + (tiled ? 0 : (area.width - width) / 2),
+                y: area.y + (tiled ? 0 : (area.height - height) / 2),
+                width,
+                height,
+                diagram: tiled ? `${pageName} (row ${row + 1}, column ${column + 1})` : pageName,
+            });
+        }
+    }
+    return sheets;
+}
+
+/**
+ * Render a region of the canvas at the export resolution
+ * @param {Object} region - Canvas region (x, y, width, height)
+ * @param {number} pointsPerUnit - Printed size of a canvas unit (pt)
+ * @returns {Promise<Object>} Image for the PDF writer
+ */
+async function renderImage(region, pointsPerUnit) {
+    // Pixels per canvas unit at the export resolution, lowered for very large sheets. A canvas
+    // over the limit comes out blank, and its size is rounded to whole pixels
+    const { MAX_IMAGE_PIXELS } = PDF_EXPORT_CONFIG;
+    let scaleFactor = Math.min(
+        (pointsPerUnit * PDF_EXPORT_CONFIG.DPI) / 72,
+        Math.sqrt(MAX_IMAGE_PIXELS / (region.width * region.height))
+    );
+    while (
+        Math.round(region.width * scaleFactor) * Math.round(region.height * scaleFactor) >
+        MAX_IMAGE_PIXELS
+    ) {
+        scaleFactor *= 0.999;
+    }
+
+    const canvas = await renderCanvas(region, scaleFactor);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas rendering is not available');
+
+    const image = await PdfWriter.createImage(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    canvas.width = 0; // Free the pixels before the next sheet
+    return image;
+}
+
+/**
+ * Draw the drawing frame and the title block of a sheet
+ * @param {PdfWriter} pdf - The document, on the sheet
+ * @param {Object} sheetSize - Sheet size {width, height}
+ * @param {Object} values - Text of the cells, by TITLE_BLOCK_COLUMNS key
+ */
+function drawTitleBlock(pdf, sheetSize, values) {
+    const { MARGIN, TITLE_BLOCK_HEIGHT } = PDF_EXPORT_CONFIG;
+    const width = sheetSize.width - MARGIN * 2;
+    const top = sheetSize.height - MARGIN - TITLE_BLOCK_HEIGHT;
+
+    pdf.drawRect(MARGIN, MARGIN, width, sheetSize.height - MARGIN * 2);
+    pdf.drawLine(MARGIN, top, MARGIN + width, top);
+
+    let x = MARGIN;
+    TITLE_BLOCK_COLUMNS.forEach((column, index) => {
+        const cellWidth = width * column.share;
+        if (index > 0) {
+            pdf.drawLine(x, top, x, top + TITLE_BLOCK_HEIGHT, { lineWidth: 0.5 });
+        }
+
+        pdf.drawText(column.label.toUpperCase(), x + 5, top + 11, {
+            size: 6,
+            color: '#6c757d',
+        });
+        pdf.drawText(
+            fitText(values[column.key] || '', cellWidth - 10, 10, column.bold),
+            x + 5,
+            top + 28,
+            {
+                size: 10,
+                bold: column.bold,
+            }
+        );
+        x += cellWidth;
+    });
+}
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ * @param {string} text - The text
+ * @param {number} maxWidth - Available width (pt)
+ * @param {number} size - Font size (pt)
+ * @param {boolean} [bold=false] - Whether it is set in bold
+ * @returns {string} Text that fits
+ */
+function fitText(text, maxWidth, size, bold = false) {
+    if (PdfWriter.measureText(text, size, bold) <= maxWidth) return text;
+
+    let shortened = text;
+    while (shortened && PdfWriter.measureText(`${shortened}...`, size, bold) > maxWidth) {
+        shortened = shortened.slice(0, -1);
+    }
+    return `${shortened.trimEnd()}...`;
+}
+
+/**
+ * Download a PDF document named after the project or page
+ * @param {Blob} blob - The PDF document
+ * @param {string} name - Project or page name
+ */
+function downloadPDF(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `topology-${toFileName(name)}-${new Date().toISOString().slice(0, 10)}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Cleanup
+    URL.revokeObjectURL(url);
+}
@@ -1,15 +1,21 @@
 /**
  * PNG Export functionality
- * Exports the canvas as a PNG image with automatic cropping to content
+ * Exports the current page or every page as PNG images with automatic cropping to content,
+ * and renders the document thumbnails shown in the document manager
  */
 
 import { elements } from '../utils/dom.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { forEachPage } from './pages.js';
+import { toFileName } from './fileOperations.js';
 
 /**
  * Calculate the bounding box that contains all shapes
+ * Also used to zoom the canvas to fit (see canvas/zoom.js)
+ * @param {number} [padding=40] - Space added around the content
  * @returns {Object} Bounding box with x, y, width, height
  */
-function calculateContentBounds() {
+export function calculateContentBounds(padding = 40) {
     const shapesLayer = document.getElementById('shapesLayer');
     const connectionsLayer = document.getElementById('connectionsLayer');
 
@@ -77,7 +83,6 @@ function calculateContentBounds() {
     }
 
     // Add padding
-    const padding = 40;
     return {
         x: minX - padding,
         y: minY - padding,
@@ -87,24 +92,13 @@ function calculateContentBounds() {
 }
 
 /**
- * Export the canvas as a PNG image
+ * Copy the canvas cropped to a region, without selection and editing decorations
+ * @param {Object} bounds - Region to keep (x, y, width, height)
+ * @returns {SVGSVGElement} The copy
  */
-export function exportCanvasAsPNG() {
-    const canvas = elements.topologyCanvas;
-    if (!canvas) {
-        console.error('Canvas element not found');
-        return;
-    }
-
-    // Calculate content bounds
-    const bounds = calculateContentBounds();
-    if (!bounds) {
-        alert('No content to export. Please add some shapes first.');
-        return;
-    }
-
+export function cloneCanvas(bounds) {
     // Create a new SVG with the cropped viewBox
-    const svgClone = canvas.cloneNode(true);
+    const svgClone = elements.topologyCanvas.cloneNode(true);
     svgClone.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
     svgClone.setAttribute('width', bounds.width);
     svgClone.setAttribute('height', bounds.height);
@@ -119,62 +113,205 @@ export function exportCanvasAsPNG() {
     const endpointHandles = svgClone.querySelectorAll('[class*="endpoint-handle"]');
     endpointHandles.forEach(handle => handle.remove());
 
+    const waypointHandles = svgClone.querySelectorAll('.waypoint-handle');
+    waypointHandles.forEach(handle => handle.remove());
+
+    svgClone.querySelectorAll('.snap-guides').forEach(guides => guides.remove());
+
     // Remove selection styles
-    const selectedElements = svgClone.querySelectorAll('.selected');
-    selectedElements.forEach(el => el.classList.remove('selected'));
+    const selectedElements = svgClone.querySelectorAll('.selected, .shape-selected');
+    selectedElements.forEach(el => el.classList.remove('selected', 'shape-selected'));
+
+    return svgClone;
+}
 
-    // Serialize the SVG
+/**
+ * Serialize the canvas cropped to a region, without selection and editing decorations
+ * @param {Object} bounds - Region to keep (x, y, width, height)
+ * @returns {string} SVG markup
+ */
+function serializeCanvas(bounds) {
     const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svgClone);
+    return serializer.serializeToString(cloneCanvas(bounds));
+}
+
+/**
+ * Render a region of the canvas onto a white HTML canvas
+ * Also used for the PDF export (see pdfExport.js)
+ * @param {Object} bounds - Region to render (x, y, width, height)
+ * @param {number} scaleFactor - Pixels per canvas unit
+ * @returns {Promise<HTMLCanvasElement>} The rendered image
+ */
+export function renderCanvas(bounds, scaleFactor) {
+    const svgString = serializeCanvas(bounds);
     const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
     const svgUrl = URL.createObjectURL(svgBlob);
 
-    // Create an image from the SVG
-    const img = new Image();
-    img.onload = function () {
-        // Create a canvas to render the image at high resolution
-        const scaleFactor = 4; // 4x resolution for high quality
-        const canvas = document.createElement('canvas');
-        canvas.width = bounds.width * scaleFactor;
-        canvas.height = bounds.height * scaleFactor;
-        const ctx = canvas.getContext('2d');
-
-        // Enable high-quality image rendering
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-
-        // Fill with white background
-        ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        // Draw the image at scaled resolution
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-        // Convert to PNG and download with high quality
-        canvas.toBlob(
-            blob => {
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `topology-${new Date().toISOString().slice(0, 10)}.png`;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-
-                // Cleanup
-                URL.revokeObjectURL(url);
-                URL.revokeObjectURL(svgUrl);
-            },
-            'image/png',
-            1.0
-        ); // 1.0 = maximum quality
-    };
+    return new Promise((resolve, reject) => {
+        // Create an image from the SVG
+        const img = new Image();
+        img.onload = function () {
+            // Create a canvas to render the image at high resolution
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bounds.width * scaleFactor);
+            canvas.height = Math.round(bounds.height * scaleFactor);
+            const ctx = canvas.getContext('2d');
+
+            // Enable high-quality image rendering
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+
+            // Fill with white background
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Draw the image at scaled resolution
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(svgUrl);
+
+            resolve(canvas);
+        };
 
-    img.onerror = function () {
-        console.error('Failed to load SVG image');
+        img.onerror = function () {
+            URL.revokeObjectURL(svgUrl);
+            reject(new Error('Failed to load SVG image'));
+        };
+
+        img.src = svgUrl;
+    });
+}
+
+/**
+ * Render the canvas content as a high resolution PNG image
+ * @param {Object} bounds - Region to render (x, y, width, height)
+ * @returns {Promise<Blob>} The PNG image
+ */
+async function renderPNG(bounds) {
+    // 4x resolution for high quality
+    const canvas = await renderCanvas(bounds, 4);
+
+    // Convert to PNG with maximum quality
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png', 1.0));
+}
+
+/**
+ * Download a PNG image named after the topology page
+ * @param {Blob} blob - The PNG image
+ * @param {string} pageName - Name of the exported page
+ */
+function downloadPNG(blob, pageName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `topology-${toFileName(pageName)}-${new Date().toISOString().slice(0, 10)}.png`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Cleanup
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the canvas (the current page) as a PNG image
+ */
+export async function exportCanvasAsPNG() {
+    const canvas = elements.topologyCanvas;
+    if (!canvas) {
+        console.error('Canvas element not found');
+        return;
+    }
+
+    // Calculate content bounds
+    const bounds = calculateContentBounds();
+    if (!bounds) {
+        alert('No content to export. Please add some shapes first.');
+        return;
+    }
+
+    try {
+        downloadPNG(await renderPNG(bounds), topologyModel.currentPage.name);
+    } catch (error) {
+        console.error(error.message);
         alert('Failed to export PNG. Please try again.');
-        URL.revokeObjectURL(svgUrl);
-    };
+    }
+}
+
+/**
+ * Export every page as its own PNG image
+ * Each page is shown on the canvas while it is rendered; empty pages are skipped
+ */
+export async function exportAllPagesAsPNG() {
+    if (!elements.topologyCanvas) {
+        console.error('Canvas element not found');
+        return;
+    }
+
+    let exported = 0;
+    try {
+        await forEachPage(async page => {
+            const bounds = calculateContentBounds();
+            if (!bounds) return;
 
-    img.src = svgUrl;
+            downloadPNG(await renderPNG(bounds), page.name);
+            exported++;
+        });
+    } catch (error) {
+        console.error(error.message);
+        alert('Failed to export PNG. Please try again.');
+        return;
+    }
+
+    if (exported === 0) {
+        alert('No content to export. Please add some shapes first.');
+    }
+}
+
+/**
+ * Render a small PNG preview of the canvas content
+ * The content is scaled to fit and centered on a white background
+ * @param {number} width - Thumbnail width
+ * @param {number} height - Thumbnail height
+ * @returns {Promise<string|null>} PNG data URL, or null for an empty canvas
+ */
+export function createThumbnail(width, height) {
+    const bounds = elements.topologyCanvas ? calculateContentBounds() : null;
+    if (!bounds) return Promise.resolve(null);
+
+    const svgUrl =
+        'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(serializeCanvas(bounds));
+
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) {
+                resolve(null);
+                return;
+            }
+
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, width, height);
+
+            const scale = Math.min(width / bounds.width, height / bounds.height);
+            const drawWidth = bounds.width * scale;
+            const drawHeight = bounds.height * scale;
+            ctx.drawImage(
+                img,
+                (width - drawWidth) / 2,
+                (height - drawHeight) / 2,
+                drawWidth,
+                drawHeight
+            );
+
+            resolve(canvas.toDataURL('image/png'));
+        };
+        img.onerror = () => {
+            reject(new Error('Failed to render thumbnail'));
+        };
+        img.src = svgUrl;
+    });
 }
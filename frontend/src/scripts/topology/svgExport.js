@@ -0,0 +1,255 @@
+/**
+ * SVG export
+ * Exports the current page as a standalone vector image for other drawing tools and
+ * documentation. It starts from the cleaned, cropped canvas copy of the PNG export and makes it
+ * self-contained: the styles the stylesheets give to its elements are written into them, fonts
+ * get a generic fallback, and the editor-only parts (grid, selection rectangle, interaction
+ * layer) are left out unless the grid is asked for as the background.
+ */
+
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { SVG_EXPORT_CONFIG } from '../config/constants.js';
+import { calculateContentBounds, cloneCanvas } from './pngExport.js';
+import { downloadFile, toFileName } from './fileOperations.js';
+
+// Properties children take over from their parent: written where they change
+const INHERITED_PROPERTIES = [
+    'fill',
+    'fill-opacity',
+    'fill-rule',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-dasharray',
+    'stroke-dashoffset',
+    'stroke-linecap',
+    'stroke-linejoin',
+    'font-family',
+    'font-size',
+    'font-style',
+    'font-weight',
+    'text-anchor',
+];
+
+// Properties of the element alone, with their initial value: written where they differ
+const OWN_PROPERTIES = {
+    opacity: '1',
+    'dominant-baseline': 'auto',
+};
+
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy'];
+const NON_RENDERED_TAGS = ['title', 'desc', 'metadata', 'style', 'script'];
+
+/**
+ * Export the canvas (the current page) as an SVG file
+ * @param {Object} [options] - Export options
+ * @param {string} [options.background='white'] - 'white', 'grid' (white with the canvas grid)
+ *   or 'none' (transparent)
+ * @param {number} [options.padding] - Space (px) around the content
+ */
+export function exportCanvasAsSVG({
+    background = 'white',
+    padding = SVG_EXPORT_CONFIG.PADDING,
+} = {}) {
+    if (!elements.topologyCanvas) {
+        console.error('Canvas element not found');
+        return;
+    }
+
+    const bounds = calculateContentBounds(padding);
+    if (!bounds) {
+        showAlert('No content to export. Please add some shapes first.', 'Export SVG', 'warning');
+        return;
+    }
+
+    const pageName = topologyModel.currentPage.name;
+    try {
+        downloadFile(
+            createStandaloneSVG(bounds, background, pageName),
+            'image/svg+xml',
+            `topology-${toFileName(pageName)}-${new Date().toISOString().slice(0, 10)}.svg`
+        );
+    } catch (error) {
+        console.error('Error exporting SVG:', error);
+        showAlert('Failed to export SVG. Please try again.', 'Export SVG', 'error');
+    }
+}
+
+/**
+ * Build the SVG document of a region of the canvas
+ * @param {Object} bounds - Region to export (x, y, width, height)
+ * @param {string} background - 'white', 'grid' or 'none'
+ * @param {string} pageName - Name of the page, used as the image title
+ * @returns {string} SVG document
+ */
+function createStandaloneSVG(bounds, background, pageName) {
+    const svg = cloneCanvas(bounds);
+    svg.querySelector('#interactionLayer')?.remove();
+    svg.querySelector('#selectionRect')?.remove();
+    removeComments(svg);
+    setBackground(svg, bounds, background);
+
+    // Editor attributes of the canvas itself: id, classes, zoom transform, CSS grid
+    ['id', 'class', 'style'].forEach(name => svg.removeAttribute(name));
+
+    inlineStyles(svg);
+    svg.setAttribute('version', '1.1');
+    addFontFallbacks(svg);
+
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = pageName;
+    svg.prepend(title);
+
+    return (
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+        new XMLSerializer().serializeToString(svg)
+    );
+}
+
+/**
+ * Remove the template's comments from the canvas copy
+ * @param {SVGSVGElement} svg - The canvas copy
+ */
+function removeComments(svg) {
+    const walker = document.createTreeWalker(svg, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach(comment => comment.remove());
+}
+
+/**
+ * Turn the canvas grid into the picked background, covering the exported region
+ * @param {SVGSVGElement} svg - The canvas copy
+ * @param {Object} bounds - Exported region (x, y, width, height)
+ * @param {string} background - 'white', 'grid' or 'none'
+ */
+function setBackground(svg, bounds, background) {
+    const rect = svg.querySelector(':scope > rect[fill="url(#grid)"]');
+    const pattern = svg.querySelector('pattern#grid');
+
+    if (background === 'none') {
+        rect?.remove();
+        pattern?.remove();
+        return;
+    }
+
+    const backgroundRect = rect || document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    backgroundRect.setAttribute('x', bounds.x);
+    backgroundRect.setAttribute('y', bounds.y);
+    backgroundRect.setAttribute('width', bounds.width);
+    backgroundRect.setAttribute('height', bounds.height);
+    backgroundRect.setAttribute('fill', '#ffffff');
+    if (!rect) svg.prepend(backgroundRect);
+
+    if (background === 'grid' && pattern) {
+        // The grid lines are drawn over the white rectangle by a copy filled with the pattern
+        const gridRect = backgroundRect.cloneNode();
+        gridRect.setAttribute('fill', 'url(#grid)');
+        backgroundRect.after(gridRect);
+    } else {
+        pattern?.remove();
+    }
+}
+
+/**
+ * Write the styles the stylesheets give to the elements of the canvas copy into the elements
+ * The copy is put in the page for a moment, hidden, so the stylesheets apply to it without
+ * the hover and selection states of the canvas
+ * @param {SVGSVGElement} svg - The canvas copy
+ */
+function inlineStyles(svg) {
+    const host = document.createElement('div');
+    host.style.cssText = 'position: absolute; width: 0; height: 0; overflow: hidden;';
+    host.appendChild(svg);
+    document.body.appendChild(host);
+
+    try {
+        // Hidden elements are left out, as other tools might not hide them the same way
+        Array.from(svg.querySelectorAll('*'))
+            .filter(
+                el =>
+                    !NON_RENDERED_TAGS.includes(el.tagName) &&
+                    getComputedStyle(el).display === 'none'
+            )
+            .forEach(el => el.remove());
+
+        inlineElementStyle(svg, null);
+        svg.querySelectorAll('*').forEach(el => {
+            if (!NON_RENDERED_TAGS.includes(el.tagName)) {
+                inlineElementStyle(el, getComputedStyle(el.parentElement));
+            }
+        });
+    } finally {
+        host.remove();
+    }
+}
+
+/**
+ * Write the computed style of an element into its style attribute, where it isn't given by
+ * the element's own attributes or taken over from its parent
+ * @param {Element} el - The element
+ * @param {CSSStyleDeclaration|null} parentStyle - Computed style of the parent; null for the
+ *   root, which gets every inherited property
+ */
+function inlineElementStyle(el, parentStyle) {
+    const style = getComputedStyle(el);
+    const isOwn = property =>
+        el.hasAttribute(property) || el.style.getPropertyValue(property) !== '';
+    const declarations = [];
+
+    INHERITED_PROPERTIES.forEach(property => {
+        const value = style.getPropertyValue(property);
+        if (!value || isOwn(property)) return;
+        if (!parentStyle || value !== parentStyle.getPropertyValue(property)) {
+            declarations.push([property, value]);
+        }
+    });
+    Object.entries(OWN_PROPERTIES).forEach(([property, initial]) => {
+        const value = style.getPropertyValue(property);
+        if (value && value !== initial && !isOwn(property)) {
+            declarations.push([property, value]);
+        }
+    });
+
+    declarations.forEach(([property, value]) => el.style.setProperty(property, value));
+}
+
+/**
+ * Give every font list of the canvas copy a generic fallback
+ * The root always gets one; text with a font of its own (e.g. picked in the shape panel) gets
+ * one on its attribute and style, as they replace the root's list
+ * @param {SVGSVGElement} svg - The canvas copy
+ */
+function addFontFallbacks(svg) {
+    svg.style.fontFamily = withFontFallback(svg.style.fontFamily);
+    svg.querySelectorAll('[font-family], [style*="font-family"]').forEach(el => {
+        if (el.hasAttribute('font-family')) {
+            el.setAttribute('font-family', withFontFallback(el.getAttribute('font-family')));
+        }
+        if (el.style.fontFamily) {
+            el.style.fontFamily = withFontFallback(el.style.fontFamily);
+        }
+    });
+}
+
+/**
+ * Make sure a font list ends with a generic family, for viewers without the named fonts
+ * @param {string} fontFamily - CSS font family list
+ * @returns {string} Font family list with a fallback
+ */
+function withFontFallback(fontFamily) {
+    const families = fontFamily.split(',').map(family =>
+        family
+            .trim()
+            .replace(/^["']|["']$/g, '')
+            .toLowerCase()
+    );
+    if (families.some(family => GENERIC_FONT_FAMILIES.includes(family))) {
+        return fontFamily;
+    }
+    return fontFamily
+        ? `${fontFamily}, ${SVG_EXPORT_CONFIG.FONT_FALLBACK}`
+        : SVG_EXPORT_CONFIG.FONT_FALLBACK;
+}
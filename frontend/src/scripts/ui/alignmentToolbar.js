@@ -1,5 +1,7 @@
 /**
  * Alignment toolbar for multi-shape operations
+ * Aligns and distributes the selected shapes, and arranges them in a circle or arc, a grid, or
+ * around a hub shape; the arrangements ask for their options in a dropdown.
  */
 
 import {
@@ -7,7 +9,13 @@ import {
     alignVertical,
     distributeHorizontal,
     distributeVertical,
+    arrangeCircle,
+    arrangeGrid,
+    arrangeHubAndSpoke,
+    getShapesCenter,
+    getHubShape,
 } from '../shapes/multiShapeAlignment.js';
+import { LAYOUT_CONFIG } from '../config/constants.js';
 import { appState } from '../state/appState.js';
 
 /**
@@ -69,6 +77,90 @@ function createToolbarHTML() {
                 <i class="bi bi-distribute-vertical"></i>
             </button>
         </div>
+        <div class="btn-group ms-2" role="group" aria-label="Arrangement">
+            <div class="btn-group" role="group">
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="arrangeCircleBtn"
+                        title="Arrange in a Circle or Arc" data-bs-toggle="dropdown" data-bs-auto-close="outside">
+                    <i class="bi bi-circle"></i>
+                </button>
+                <form class="dropdown-menu p-3 arrange-menu" id="arrangeCircleForm">
+                    <div class="row g-2 mb-2">
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="arrangeCenterX">Centre X</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeCenterX" required>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="arrangeCenterY">Centre Y</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeCenterY" required>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="arrangeArc">Arc (°)</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeArc"
+                                   min="1" max="360" value="360" required>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="arrangeStartAngle" title="Clockwise from the top">
+                                Start (°)
+                            </label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeStartAngle"
+                                   value="0" required>
+                        </div>
+                        <div class="col-12">
+                            <label class="form-label small mb-0" for="arrangeRadius">Radius</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeRadius"
+                                   min="1" placeholder="Automatic">
+                        </div>
+                    </div>
+                    <button type="submit" class="btn btn-sm btn-primary w-100">Arrange</button>
+                </form>
+            </div>
+            <div class="btn-group" role="group">
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="arrangeGridBtn"
+                        title="Arrange in a Grid" data-bs-toggle="dropdown" data-bs-auto-close="outside">
+                    <i class="bi bi-grid-3x3"></i>
+                </button>
+                <form class="dropdown-menu p-3 arrange-menu" id="arrangeGridForm">
+                    <div class="row g-2 mb-2">
+                        <div class="col-12">
+                            <label class="form-label small mb-0" for="arrangeColumns">Columns</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeColumns"
+                                   min="1" step="1" required>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="arrangeGapX">Gap X</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeGapX"
+                                   min="0" value="${LAYOUT_CONFIG.SPACING}" required>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-0" for="arrangeGapY">Gap Y</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeGapY"
+                                   min="0" value="${LAYOUT_CONFIG.SPACING}" required>
+                        </div>
+                    </div>
+                    <button type="submit" class="btn btn-sm btn-primary w-100">Arrange</button>
+                </form>
+            </div>
+            <div class="btn-group" role="group">
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="arrangeHubBtn"
+                        title="Arrange Around a Hub" data-bs-toggle="dropdown" data-bs-auto-close="outside">
+                    <i class="bi bi-asterisk"></i>
+                </button>
+                <form class="dropdown-menu p-3 arrange-menu" id="arrangeHubForm">
+                    <div class="row g-2 mb-2">
+                        <div class="col-12">
+                            <label class="form-label small mb-0" for="arrangeHub">Hub</label>
+                            <select class="form-select form-select-sm" id="arrangeHub"></select>
+                        </div>
+                        <div class="col-12">
+                            <label class="form-label small mb-0" for="arrangeHubRadius">Radius</label>
+                            <input type="number" class="form-control form-control-sm" id="arrangeHubRadius"
+                                   min="1" placeholder="Automatic">
+                        </div>
+                    </div>
+                    <button type="submit" class="btn btn-sm btn-primary w-100">Arrange</button>
+                </form>
+            </div>
+        </div>
     `;
 
     document.body.appendChild(toolbar);
@@ -102,6 +194,123 @@ function attachEventListeners() {
             button.addEventListener('click', handler);
         }
     });
+
+    // Arrangement dropdowns: fill in the selection's defaults when opened, arrange on submit
+    const arrangements = {
+        arrangeCircleBtn: {
+            form: 'arrangeCircleForm',
+            show: showCircleOptions,
+            arrange: handleCircle,
+        },
+        arrangeGridBtn: { form: 'arrangeGridForm', show: showGridOptions, arrange: handleGrid },
+        arrangeHubBtn: { form: 'arrangeHubForm', show: showHubOptions, arrange: handleHub },
+    };
+
+    Object.entries(arrangements).forEach(([id, arrangement]) => {
+        const button = document.getElementById(id);
+        const form = document.getElementById(arrangement.form);
+        if (!button || !form) return;
+
+        button.addEventListener('show.bs.dropdown', e => {
+            const selectedShapes = appState?.selectionManager?.getSelectedShapes() || [];
+            if (selectedShapes.length < 2) {
+                e.preventDefault();
+                return;
+            }
+            arrangement.show(selectedShapes);
+        });
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            const selectedShapes = appState?.selectionManager?.getSelectedShapes() || [];
+            if (selectedShapes.length < 2) return;
+
+            arrangement.arrange(selectedShapes);
+            bootstrap.Dropdown.getInstance(button)?.hide();
+        });
+    });
+}
+
+/**
+ * Read a number input
+ * @param {string} id - Input ID
+ * @returns {number|undefined} The number, or undefined if the input is empty
+ */
+function readNumber(id) {
+    const value = document.getElementById(id).value.trim();
+    return value === '' ? undefined : Number(value);
+}
+
+/**
+ * Centre the circle options on the selection
+ * @param {Array<string>} selectedShapes - Selected shape IDs
+ */
+function showCircleOptions(selectedShapes) {
+    const center = getShapesCenter(selectedShapes);
+    document.getElementById('arrangeCenterX').value = center.x;
+    document.getElementById('arrangeCenterY').value = center.y;
+}
+
+/**
+ * Suggest a square grid for the selection
+ * @param {Array<string>} selectedShapes - Selected shape IDs
+ */
+function showGridOptions(selectedShapes) {
+    document.getElementById('arrangeColumns').value = Math.ceil(Math.sqrt(selectedShapes.length));
+}
+
+/**
+ * List the selected shapes as hub choices, the most connected one first picked
+ * @param {Array<string>} selectedShapes - Selected shape IDs
+ */
+function showHubOptions(selectedShapes) {
+    const select = document.getElementById('arrangeHub');
+    select.replaceChildren(
+        ...selectedShapes.map(id => {
+            const shape = document.getElementById(id);
+            const label =
+                shape?.querySelector('text') ||
+                document.querySelector(`text[data-shape-id="${id}"]`);
+            return new Option(label?.textContent.trim() || id, id);
+        })
+    );
+    select.value = getHubShape(selectedShapes);
+}
+
+/**
+ * Arrange the selection in a circle or arc from the dropdown's options
+ * @param {Array<string>} selectedShapes - Selected shape IDs
+ */
+function handleCircle(selectedShapes) {
+    arrangeCircle(selectedShapes, {
+        centerX: readNumber('arrangeCenterX'),
+        centerY: readNumber('arrangeCenterY'),
+        radius: readNumber('arrangeRadius'),
+        startAngle: readNumber('arrangeStartAngle'),
+        arc: readNumber('arrangeArc'),
+    });
+}
+
+/**
+ * Arrange the selection in a grid from the dropdown's options
+ * @param {Array<string>} selectedShapes - Selected shape IDs
+ */
+function handleGrid(selectedShapes) {
+    arrangeGrid(selectedShapes, {
+        columns: readNumber('arrangeColumns'),
+        gapX: readNumber('arrangeGapX'),
+        gapY: readNumber('arrangeGapY'),
+    });
+}
+
+/**
+ * Arrange the selection around the picked hub
+ * @param {Array<string>} selectedShapes - Selected shape IDs
+ */
+function handleHub(selectedShapes) {
+    arrangeHubAndSpoke(selectedShapes, {
+        hub: document.getElementById('arrangeHub').value,
+        radius: readNumber('arrangeHubRadius'),
+    });
 }
 
 /**
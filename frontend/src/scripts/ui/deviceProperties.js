@@ -0,0 +1,342 @@
+/**
+ * Device property sheet
+ * Edits the structured properties of a device (hostname, management IP, model, OS/version,
+ * serial, role, site, rack, lab kind and image, and free key/value tags) and its interfaces.
+ * Both belong to the device, so every shape of the device on any page shows the same values
+ * (see topologyModel.js). Connections bound to an interface follow its renames.
+ */
+
+import { topologyModel } from '../state/topologyModel.js';
+import { DEVICE_PROPERTIES, INTERFACE_TYPES, INTERFACE_SPEEDS } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { saveAppState } from '../services/storage.js';
+import { runHistoryStep } from '../services/history.js';
+import { refreshDeviceBadges } from '../shapes/deviceBadges.js';
+import { commitShapes } from '../topology/modelSync.js';
+import { refreshConnectionInterfaces } from '../connections/connectionManager.js';
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const IPV6_PATTERN = /^[0-9a-f:]+(%[\w.]+)?$/i;
+
+let editedDeviceId = null;
+
+/**
+ * Setup the device property sheet
+ */
+export function initializeDeviceProperties() {
+    if (!elements.devicePropertiesModal) return;
+
+    elements.devicePropertyFields.replaceChildren(...DEVICE_PROPERTIES.map(createPropertyField));
+
+    elements.addDeviceTagBtn.addEventListener('click', () => {
+        const row = addTagRow();
+        row.querySelector('input').focus();
+    });
+    elements.deviceTagList.addEventListener('click', e => {
+        e.target.closest('[data-action="remove-tag"]')?.closest('.device-tag-row').remove();
+    });
+
+    elements.deviceInterfaceSpeeds.replaceChildren(
+        ...INTERFACE_SPEEDS.map(speed => new Option(speed))
+    );
+    elements.addDeviceInterfaceBtn.addEventListener('click', () => {
+        const row = addInterfaceRow();
+        row.querySelector('input').focus();
+    });
+    elements.deviceInterfaceList.addEventListener('click', e => {
+        e.target
+            .closest('[data-action="remove-interface"]')
+            ?.closest('.device-interface-row')
+            .remove();
+    });
+    elements.deviceInterfaceList.addEventListener('input', e => {
+        e.target.classList.remove('is-invalid');
+    });
+    elements.devicePropertiesForm.addEventListener('submit', e => {
+        e.preventDefault();
+        saveDeviceProperties();
+    });
+    elements.devicePropertiesModal.addEventListener('hidden.bs.modal', () => {
+        editedDeviceId = null;
+    });
+}
+
+/**
+ * Create the input of a device property
+ * @param {Object} property - Property description (see DEVICE_PROPERTIES)
+ * @returns {HTMLDivElement} The form field
+ */
+function createPropertyField(property) {
+    const field = document.createElement('div');
+    field.className = 'col-md-6';
+
+    const label = document.createElement('label');
+    label.className = 'form-label small mb-1';
+    label.htmlFor = `deviceProperty-${property.key}`;
+    label.textContent = property.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control form-control-sm';
+    input.id = `deviceProperty-${property.key}`;
+    input.dataset.property = property.key;
+    input.placeholder = property.placeholder || '';
+    input.addEventListener('input', () => input.classList.remove('is-invalid'));
+
+    field.append(label, input);
+
+    if (property.key === 'managementIp') {
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback';
+        feedback.textContent = 'Enter an IPv4 or IPv6 address, optionally with a prefix length.';
+        field.appendChild(feedback);
+    }
+
+    return field;
+}
+
+/**
+ * Add a key/value row to the tag list
+ * @param {Object} tag - Initial tag ({ key, value })
+ * @returns {HTMLDivElement} The row
+ */
+function addTagRow(tag = { key: '', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'input-group input-group-sm mb-2 device-tag-row';
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.className = 'form-control';
+    keyInput.placeholder = 'Key';
+    keyInput.setAttribute('aria-label', 'Tag key');
+    keyInput.dataset.tag = 'key';
+    keyInput.value = tag.key;
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'form-control';
+    valueInput.placeholder = 'Value';
+    valueInput.setAttribute('aria-label', 'Tag value');
+    valueInput.dataset.tag = 'value';
+    valueInput.value = tag.value || '';
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-outline-danger';
+    removeButton.dataset.action = 'remove-tag';
+    removeButton.title = 'Remove tag';
+    removeButton.setAttribute('aria-label', 'Remove tag');
+    const icon = document.createElement('i');
+    icon.className = 'bi bi-x-lg';
+    removeButton.appendChild(icon);
+
+    row.append(keyInput, valueInput, removeButton);
+    elements.deviceTagList.appendChild(row);
+    return row;
+}
+
+/**
+ * Add a row to the interface list
+ * @param {Object} item - Initial interface ({ id, name, type, speed, ip }); new rows have no ID
+ * @returns {HTMLDivElement} The row
+ */
+function addInterfaceRow(item = {}) {
+    const row = document.createElement('div');
+    row.className = 'input-group input-group-sm mb-2 device-interface-row has-validation';
+    row.dataset.interfaceId = item.id || '';
+
+    const nameInput = createInterfaceInput('name', 'Name (e.g. Gi0/1)', item.name);
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'form-select';
+    typeSelect.setAttribute('aria-label', 'Interface type');
+    typeSelect.dataset.interface = 'type';
+    typeSelect.append(
+        new Option('Type', ''),
+        ...INTERFACE_TYPES.map(type => new Option(type.label, type.value))
+    );
+    // Types from other tools are kept as they are
+    if (item.type && !INTERFACE_TYPES.some(type => type.value === item.type)) {
+        typeSelect.appendChild(new Option(item.type, item.type));
+    }
+    typeSelect.value = item.type || '';
+
+    const speedInput = createInterfaceInput('speed', 'Speed', item.speed);
+    speedInput.setAttribute('list', elements.deviceInterfaceSpeeds.id);
+
+    const ipInput = createInterfaceInput('ip', 'IP/prefix', item.ip);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-outline-danger';
+    removeButton.dataset.action = 'remove-interface';
+    removeButton.title = 'Remove interface';
+    removeButton.setAttribute('aria-label', 'Remove interface');
+    const icon = document.createElement('i');
+    icon.className = 'bi bi-x-lg';
+    removeButton.appendChild(icon);
+
+    row.append(nameInput, typeSelect, speedInput, ipInput, removeButton);
+    elements.deviceInterfaceList.appendChild(row);
+    return row;
+}
+
+/**
+ * Create a text input of an interface row
+ * @param {string} field - Interface field ('name', 'speed' or 'ip')
+ * @param {string} placeholder - Placeholder and accessible label
+ * @param {string} value - Initial value
+ * @returns {HTMLInputElement} The input
+ */
+function createInterfaceInput(field, placeholder, value) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control';
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', `Interface ${field}`);
+    input.dataset.interface = field;
+    input.value = value || '';
+    return input;
+}
+
+/**
+ * Check an IP address (empty is allowed)
+ * @param {string} value - The address, optionally with a prefix length (e.g. 10.0.0.1/24)
+ * @returns {boolean} True if the address is valid
+ */
+export function isValidIpAddress(value) {
+    if (!value) return true;
+
+    const [address, prefix, ...rest] = value.split('/');
+    if (rest.length > 0) return false;
+
+    const isV4 = IPV4_PATTERN.test(address);
+    const isV6 = !isV4 && address.includes(':') && IPV6_PATTERN.test(address);
+    if (!isV4 && !isV6) return false;
+    if (prefix === undefined) return true;
+
+    const length = Number(prefix);
+    return /^\d+$/.test(prefix) && length <= (isV4 ? 32 : 128);
+}
+
+/**
+ * Show the property sheet of a device shape
+ * @param {SVGElement} shape - The device shape
+ */
+export function showDeviceProperties(shape) {
+    // Device shapes get their device when committed to the model
+    if (!shape.getAttribute('data-device')) {
+        commitShapes([shape]);
+        saveAppState();
+    }
+
+    const device = topologyModel.getDevice(shape.getAttribute('data-device'));
+    if (!device) {
+        showAlert('Only network devices have device properties.', 'No Device', 'warning');
+        return;
+    }
+
+    editedDeviceId = device.id;
+
+    const pageCount = topologyModel.pages.filter(page =>
+        topologyModel.isDeviceOnPage(device.id, page.id)
+    ).length;
+    elements.devicePropertiesInfo.textContent = `${device.name || 'Unnamed device'} (${device.type || 'device'})${pageCount > 1 ? ` · shown on ${pageCount} pages, changes apply to all of them` : ''}`;
+
+    elements.devicePropertyFields.querySelectorAll('[data-property]').forEach(input => {
+        input.value = device.properties[input.dataset.property] || '';
+        input.classList.remove('is-invalid');
+    });
+    elements.deviceTagList.replaceChildren();
+    (device.properties.tags || []).forEach(tag => addTagRow(tag));
+    elements.deviceInterfaceList.replaceChildren();
+    device.interfaces.forEach(item => addInterfaceRow(item));
+    elements.deviceInterfaceError.classList.add('d-none');
+
+    window.bootstrap.Modal.getOrCreateInstance(elements.devicePropertiesModal).show();
+}
+
+/**
+ * Read the property sheet into a properties object
+ * @returns {Object} Device properties
+ */
+function readProperties() {
+    const properties = {};
+    elements.devicePropertyFields.querySelectorAll('[data-property]').forEach(input => {
+        properties[input.dataset.property] = input.value;
+    });
+    properties.tags = Array.from(
+        elements.deviceTagList.querySelectorAll('.device-tag-row'),
+        row => ({
+            key: row.querySelector('[data-tag="key"]').value,
+            value: row.querySelector('[data-tag="value"]').value,
+        })
+    );
+    return properties;
+}
+
+/**
+ * Read the interface list, marking rows that are not valid
+ * Rows left completely empty are ignored; a name is required and must be unique
+ * (case-insensitive), and the IP address must be valid
+ * @returns {Array<Object>|null} Interfaces, or null if a row is not valid
+ */
+function readInterfaces() {
+    const interfaces = [];
+    const names = new Set();
+    const invalid = [];
+
+    elements.deviceInterfaceList.querySelectorAll('.device-interface-row').forEach(row => {
+        const field = name => row.querySelector(`[data-interface="${name}"]`);
+        const item = { id: row.dataset.interfaceId || undefined };
+        ['name', 'type', 'speed', 'ip'].forEach(name => {
+            item[name] = field(name).value.trim();
+        });
+        if (!item.name && !item.type && !item.speed && !item.ip) return;
+
+        const key = item.name.toLowerCase();
+        if (!item.name || names.has(key)) invalid.push(field('name'));
+        if (!isValidIpAddress(item.ip)) invalid.push(field('ip'));
+
+        names.add(key);
+        interfaces.push(item);
+    });
+
+    elements.deviceInterfaceError.classList.toggle('d-none', invalid.length === 0);
+    if (invalid.length > 0) {
+        invalid.forEach(input => input.classList.add('is-invalid'));
+        invalid[0].focus();
+        return null;
+    }
+    return interfaces;
+}
+
+/**
+ * Validate and store the property sheet
+ */
+function saveDeviceProperties() {
+    if (!editedDeviceId) return;
+
+    const properties = readProperties();
+    const ipInput = elements.devicePropertyFields.querySelector('[data-property="managementIp"]');
+    if (ipInput && !isValidIpAddress(properties.managementIp.trim())) {
+        ipInput.classList.add('is-invalid');
+        ipInput.focus();
+        return;
+    }
+
+    const interfaces = readInterfaces();
+    if (!interfaces) return;
+
+    const deviceId = editedDeviceId;
+    runHistoryStep('edit device properties', () => {
+        topologyModel.setDeviceProperties(deviceId, properties);
+        topologyModel.setDeviceInterfaces(deviceId, interfaces);
+        refreshConnectionInterfaces();
+        saveAppState();
+    });
+    refreshDeviceBadges();
+
+    window.bootstrap.Modal.getInstance(elements.devicePropertiesModal)?.hide();
+}
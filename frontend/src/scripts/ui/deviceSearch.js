@@ -0,0 +1,133 @@
+/**
+ * Device search
+ * Finds devices on every page by name, structured property or tag from the navbar search
+ * field, and shows the chosen device shape (switching page if needed).
+ */
+
+import { appState } from '../state/appState.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { elements } from '../utils/dom.js';
+import { selectShape } from '../shapes/shapeSelection.js';
+import { getShapeBounds } from '../shapes/shapeFactory.js';
+import { openPage } from '../topology/pages.js';
+
+const MAX_RESULTS = 20;
+
+/**
+ * Setup the device search field
+ */
+export function initializeDeviceSearch() {
+    if (!elements.deviceSearchInput || !elements.deviceSearchResults) return;
+
+    elements.deviceSearchInput.addEventListener('input', renderResults);
+    elements.deviceSearchInput.addEventListener('focus', renderResults);
+    elements.deviceSearchInput.addEventListener('keydown', e => {
+        // Keep canvas shortcuts (e.g. Delete) away from the field
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            elements.deviceSearchInput.value = '';
+            hideResults();
+            elements.deviceSearchInput.blur();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            elements.deviceSearchResults.querySelector('[data-node-id]')?.click();
+        }
+    });
+    elements.deviceSearchInput.addEventListener('blur', hideResults);
+
+    // Choosing a result must not blur the field before the click lands
+    elements.deviceSearchResults.addEventListener('mousedown', e => e.preventDefault());
+    elements.deviceSearchResults.addEventListener('click', e => {
+        const item = e.target.closest('[data-node-id]');
+        if (!item) return;
+
+        hideResults();
+        showDeviceShape(item.dataset.pageId, item.dataset.nodeId);
+    });
+}
+
+/**
+ * Hide the result list
+ */
+function hideResults() {
+    elements.deviceSearchResults.classList.remove('show');
+}
+
+/**
+ * List the devices matching the search field
+ * Names and properties are user input, so the items are built with text nodes only
+ */
+function renderResults() {
+    const query = elements.deviceSearchInput.value;
+    if (!query.trim()) {
+        hideResults();
+        return;
+    }
+
+    const results = topologyModel.searchDevices(query);
+    const items = results.slice(0, MAX_RESULTS).map(createResultItem);
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'dropdown-item-text small text-muted';
+        empty.textContent = 'No matching devices';
+        items.push(empty);
+    } else if (results.length > MAX_RESULTS) {
+        const more = document.createElement('li');
+        more.className = 'dropdown-item-text small text-muted';
+        more.textContent = `${results.length - MAX_RESULTS} more, refine the search`;
+        items.push(more);
+    }
+
+    elements.deviceSearchResults.replaceChildren(...items);
+    elements.deviceSearchResults.classList.add('show');
+}
+
+/**
+ * Create the list item of a search result
+ * @param {Object} result - Result of topologyModel.searchDevices()
+ * @returns {HTMLLIElement} The list item
+ */
+function createResultItem(result) {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'dropdown-item';
+    button.dataset.pageId = result.pageId;
+    button.dataset.nodeId = result.nodeId;
+
+    const name = document.createElement('div');
+    name.className = 'fw-semibold text-truncate';
+    name.textContent = result.device.name || 'Unnamed device';
+
+    const details = document.createElement('small');
+    details.className = 'text-muted d-block text-truncate';
+    const page = topologyModel.getPage(result.pageId);
+    details.textContent = `${result.field}: ${result.value} · ${page?.name || ''}`;
+
+    button.append(name, details);
+    item.appendChild(button);
+    return item;
+}
+
+/**
+ * Show a device shape: open its page, select it and scroll it into view
+ * @param {string} pageId - Page of the shape
+ * @param {string} nodeId - Shape ID
+ */
+function showDeviceShape(pageId, nodeId) {
+    if (!openPage(pageId)) return;
+
+    const shape = document.getElementById(nodeId);
+    if (!shape) return;
+
+    selectShape(shape);
+
+    const bounds = getShapeBounds(shape);
+    const wrapper = elements.canvasWrapper;
+    if (bounds && wrapper) {
+        const zoom = appState.currentZoom;
+        wrapper.scrollLeft = (bounds.x + bounds.width / 2) * zoom - wrapper.clientWidth / 2;
+        wrapper.scrollTop = (bounds.y + bounds.height / 2) * zoom - wrapper.clientHeight / 2;
+    }
+}
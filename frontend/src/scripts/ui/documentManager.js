@@ -0,0 +1,294 @@
+/**
+ * Document manager
+ * Lists the workspace's saved topologies with their thumbnails and dates, and opens,
+ * renames, duplicates and deletes them (see services/workspace.js)
+ */
+
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { TopologyValidationError } from '../state/topologySchema.js';
+import {
+    hasOpenDocument,
+    getCurrentDocument,
+    onWorkspaceChange,
+    listDocuments,
+    openDocument,
+    createDocument,
+    renameDocument,
+    duplicateDocument,
+    deleteDocument,
+} from '../services/workspace.js';
+
+/**
+ * Initialize the document manager modal and navbar entry
+ */
+export function initializeDocumentManager() {
+    if (!elements.documentsBtn || !elements.documentsModal) return;
+
+    elements.documentsBtn.addEventListener('click', showDocumentManager);
+    elements.documentName?.addEventListener('click', showDocumentManager);
+
+    elements.documentsModal.addEventListener('show.bs.modal', renderDocumentList);
+    elements.documentList.addEventListener('click', handleListClick);
+    elements.newDocumentBtn.addEventListener('click', () => {
+        runAction(createDocument(), 'The new topology could not be created').then(created => {
+            if (created) hideModal();
+        });
+    });
+
+    // Keep the list current while it is shown (e.g. after a thumbnail refresh)
+    onWorkspaceChange(() => {
+        if (elements.documentsModal.classList.contains('show')) {
+            renderDocumentList();
+        }
+    });
+}
+
+/**
+ * Show the document manager
+ */
+function showDocumentManager() {
+    if (!hasOpenDocument()) {
+        showAlert(
+            'Saved topologies are not available because this browser blocks IndexedDB storage. The current topology is kept in local storage.',
+            'Documents Unavailable',
+            'warning'
+        );
+        return;
+    }
+
+    window.bootstrap.Modal.getOrCreateInstance(elements.documentsModal).show();
+}
+
+/**
+ * Hide the document manager
+ */
+function hideModal() {
+    window.bootstrap.Modal.getInstance(elements.documentsModal)?.hide();
+}
+
+/**
+ * Run a workspace action and report failures
+ * @param {Promise} action - The running action
+ * @param {string} message - Message shown if the action fails
+ * @returns {Promise<boolean>} True if the action succeeded
+ */
+async function runAction(action, message) {
+    try {
+        await action;
+        return true;
+    } catch (error) {
+        console.error(`${message}:`, error);
+        showAlert(
+            `${message}: ${error.message}.`,
+            'Document Error',
+            'error',
+            error instanceof TopologyValidationError ? error.errors : []
+        );
+        return false;
+    }
+}
+
+/**
+ * Render the document list
+ */
+async function renderDocumentList() {
+    let documents;
+    try {
+        documents = await listDocuments();
+    } catch (error) {
+        console.error('Error listing documents:', error);
+        return;
+    }
+
+    const currentId = getCurrentDocument()?.id;
+    elements.documentList.replaceChildren(
+        ...documents.map(record => createDocumentItem(record, record.id === currentId))
+    );
+}
+
+/**
+ * Format a stored date for display
+ * @param {string} value - ISO date
+ * @returns {string} Localized date and time
+ */
+function formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+/**
+ * Create a button for a document action
+ * @param {string} action - Action name (data-action)
+ * @param {string} icon - Bootstrap icon name
+ * @param {string} title - Tooltip and accessible label
+ * @param {string} text - Button text (optional)
+ * @returns {HTMLButtonElement} The button
+ */
+function createActionButton(action, icon, title, text = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-outline-${action === 'delete' ? 'danger' : 'secondary'}`;
+    button.dataset.action = action;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+
+    const iconEl = document.createElement('i');
+    iconEl.className = `bi bi-${icon}`;
+    button.appendChild(iconEl);
+    if (text) {
+        button.append(` ${text}`);
+    }
+    return button;
+}
+
+/**
+ * Create the list item of a document
+ * Names are user input, so the item is built with text nodes only
+ * @param {Object} record - Document record
+ * @param {boolean} isOpen - Whether the document is open on the canvas
+ * @returns {HTMLLIElement} The list item
+ */
+function createDocumentItem(record, isOpen) {
+    const item = document.createElement('li');
+    item.className = 'list-group-item d-flex align-items-center gap-3 document-item';
+    item.classList.toggle('document-item-open', isOpen);
+    item.dataset.documentId = record.id;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'document-thumbnail';
+    if (record.thumbnail) {
+        const img = document.createElement('img');
+        img.src = record.thumbnail;
+        img.alt = '';
+        thumbnail.appendChild(img);
+    } else {
+        const placeholder = document.createElement('i');
+        placeholder.className = 'bi bi-diagram-3';
+        thumbnail.appendChild(placeholder);
+    }
+
+    const details = document.createElement('div');
+    details.className = 'flex-grow-1 text-truncate';
+
+    const name = document.createElement('div');
+    name.className = 'fw-semibold text-truncate document-item-name';
+    name.textContent = record.name;
+    if (isOpen) {
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-primary ms-2';
+        badge.textContent = 'Open';
+        name.appendChild(badge);
+    }
+
+    const dates = document.createElement('small');
+    dates.className = 'text-muted';
+    dates.textContent = `Modified ${formatDate(record.modified)} · Created ${formatDate(record.created)}`;
+
+    details.append(name, dates);
+
+    const actions = document.createElement('div');
+    actions.className = 'btn-group btn-group-sm document-item-actions';
+    const openButton = createActionButton('open', 'folder2-open', 'Open', 'Open');
+    openButton.disabled = isOpen;
+    actions.append(
+        openButton,
+        createActionButton('rename', 'pencil', 'Rename'),
+        createActionButton('duplicate', 'files', 'Duplicate'),
+        createActionButton('delete', 'trash', 'Delete')
+    );
+
+    item.append(thumbnail, details, actions);
+    return item;
+}
+
+/**
+ * Handle clicks on the document list actions
+ * @param {MouseEvent} e - Click event
+ */
+function handleListClick(e) {
+    const button = e.target.closest('button[data-action]');
+    const item = e.target.closest('.document-item');
+    if (!button || !item) return;
+
+    const id = item.dataset.documentId;
+    switch (button.dataset.action) {
+        case 'open':
+            runAction(openDocument(id), 'The topology could not be opened').then(opened => {
+                if (opened) hideModal();
+            });
+            break;
+        case 'rename':
+            startRename(item);
+            break;
+        case 'duplicate':
+            runAction(duplicateDocument(id), 'The topology could not be duplicated');
+            break;
+        case 'delete':
+            confirmDelete(item);
+            break;
+        case 'confirm-delete':
+            runAction(deleteDocument(id), 'The topology could not be deleted');
+            break;
+        case 'cancel':
+            renderDocumentList();
+            break;
+    }
+}
+
+/**
+ * Replace a document's name with an input to rename it
+ * Enter or leaving the field saves the name, Escape cancels
+ * @param {HTMLLIElement} item - The document list item
+ */
+function startRename(item) {
+    const nameEl = item.querySelector('.document-item-name');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control form-control-sm';
+    input.value = nameEl.firstChild.textContent;
+    input.setAttribute('aria-label', 'Topology name');
+
+    let done = false;
+    const finish = save => {
+        if (done) return;
+        done = true;
+
+        if (save && input.value.trim()) {
+            runAction(
+                renameDocument(item.dataset.documentId, input.value),
+                'The topology could not be renamed'
+            );
+        } else {
+            renderDocumentList();
+        }
+    };
+
+    input.addEventListener('keydown', e => {
+        // Escape cancels the rename instead of closing the modal
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Ask for confirmation in place of a document's action buttons
+ * @param {HTMLLIElement} item - The document list item
+ */
+function confirmDelete(item) {
+    const actions = item.querySelector('.document-item-actions');
+    const confirmation = document.createElement('div');
+    confirmation.className = 'btn-group btn-group-sm document-item-actions';
+    confirmation.append(
+        createActionButton('confirm-delete', 'trash', 'Delete this topology', 'Delete'),
+        createActionButton('cancel', 'x-lg', 'Keep this topology', 'Cancel')
+    );
+    confirmation.firstChild.className = 'btn btn-danger';
+    actions.replaceWith(confirmation);
+}
@@ -0,0 +1,223 @@
+/**
+ * Connection interface picker
+ * Binds each end of a connection to an interface of the device at that end, from the
+ * connection panel or from the Connection Labels dialog while the connection is created. An
+ * interface is bound to one connection at most, so interfaces in use by another connection (on
+ * any page) are listed but can't be picked. A bound end takes the interface name as its label.
+ */
+
+import { topologyModel } from '../state/topologyModel.js';
+import { elements } from '../utils/dom.js';
+import { showAlert } from '../utils/modal.js';
+import { setConnectionInterface } from '../connections/connectionManager.js';
+
+const ENDS = ['source', 'target'];
+
+/**
+ * Setup the interface pickers of the connection panel and the Connection Labels dialog
+ */
+export function initializeInterfacePicker() {
+    [getPanelForm(), getDialogForm()].forEach(form => {
+        if (!form.row) return;
+
+        ENDS.forEach(end => {
+            form.pickers[end].addEventListener('change', () => updateLabelInput(form, end));
+        });
+    });
+}
+
+/**
+ * Get the interface pickers and end label inputs of the connection panel
+ * @returns {Object} Form {row, pickers: {source, target}, inputs: {source, target}}
+ */
+function getPanelForm() {
+    return {
+        row: elements.connectionInterfaceRow,
+        pickers: {
+            source: elements.connectionSourceInterface,
+            target: elements.connectionTargetInterface,
+        },
+        inputs: { source: elements.connectionSourceLabel, target: elements.connectionTargetLabel },
+    };
+}
+
+/**
+ * Get the interface pickers and end label inputs of the Connection Labels dialog
+ * @returns {Object} Form {row, pickers: {source, target}, inputs: {source, target}}
+ */
+function getDialogForm() {
+    return {
+        row: elements.connectionLabelInterfaceRow,
+        pickers: { source: elements.sourceInterface, target: elements.targetInterface },
+        inputs: { source: elements.sourceLabel, target: elements.targetLabel },
+    };
+}
+
+/**
+ * Get the shapes at the ends of a connection
+ * @param {SVGGElement} connection - The connection group
+ * @returns {Object} Shapes {source, target}
+ */
+function getEndShapes(connection) {
+    return {
+        source: document.getElementById(connection.getAttribute('data-source')),
+        target: document.getElementById(connection.getAttribute('data-target')),
+    };
+}
+
+/**
+ * Get the device a shape shows
+ * @param {SVGElement|null} shape - The shape
+ * @returns {Object|undefined} The device record, if the shape is a device shape
+ */
+function getShapeDevice(shape) {
+    return topologyModel.getDevice(shape?.getAttribute('data-device'));
+}
+
+/**
+ * Check whether a shape is a device with interfaces to bind connection ends to
+ * @param {SVGElement} shape - The shape
+ * @returns {boolean} True if it has interfaces
+ */
+export function hasInterfaces(shape) {
+    return (getShapeDevice(shape)?.interfaces || []).length > 0;
+}
+
+/**
+ * Describe an interface for the picker, e.g. "Gi0/1 · 1G · 10.0.0.1/30"
+ * @param {Object} item - Interface record
+ * @returns {string} Option text
+ */
+function describeInterface(item) {
+    return [item.name, item.speed, item.ip].filter(Boolean).join(' · ');
+}
+
+/**
+ * Fill the panel's pickers for a connection
+ * @param {SVGGElement} connection - The connection group
+ */
+export function showInterfacePicker(connection) {
+    fillPickers(getPanelForm(), getEndShapes(connection), connection);
+}
+
+/**
+ * Fill the Connection Labels dialog's pickers for a connection about to be created
+ * @param {SVGElement} sourceShape - The source shape
+ * @param {SVGElement} targetShape - The target shape
+ */
+export function showNewConnectionInterfacePicker(sourceShape, targetShape) {
+    fillPickers(getDialogForm(), { source: sourceShape, target: targetShape }, null);
+}
+
+/**
+ * Fill the pickers of a form; they are hidden when neither end is a device
+ * Interface names are user input, so the options are built with text nodes only
+ * @param {Object} form - The form (see getPanelForm())
+ * @param {Object} shapes - Shapes at the ends {source, target}
+ * @param {SVGGElement|null} connection - The connection, or null for a new one
+ */
+function fillPickers(form, shapes, connection) {
+    if (!form.row) return;
+
+    let hasDevice = false;
+    ENDS.forEach(end => {
+        const picker = form.pickers[end];
+        const device = getShapeDevice(shapes[end]);
+        const interfaces = device?.interfaces || [];
+        hasDevice = hasDevice || !!device;
+
+        let placeholder = 'Not a device';
+        if (device) placeholder = interfaces.length > 0 ? 'No interface' : 'No interfaces defined';
+        picker.replaceChildren(new Option(placeholder, ''));
+
+        interfaces.forEach(item => {
+            const usage = topologyModel.findInterfaceLink(device.id, item.id);
+            const inUse = !!usage && !(usage.link.id === connection?.id && usage.end === end);
+
+            const option = new Option(describeInterface(item), item.id);
+            option.dataset.name = item.name;
+            if (inUse) {
+                option.textContent +=
+                    usage.page.id === topologyModel.currentPageId
+                        ? ' (in use)'
+                        : ` (in use on ${usage.page.name})`;
+                option.disabled = true;
+            }
+            picker.appendChild(option);
+        });
+
+        const boundId = connection?.getAttribute(`data-${end}-interface`);
+        picker.value = interfaces.some(item => item.id === boundId) ? boundId : '';
+        picker.disabled = interfaces.length === 0;
+        updateLabelInput(form, end);
+    });
+
+    form.row.style.display = hasDevice ? '' : 'none';
+}
+
+/**
+ * Show the picked interface's name in the end's label input, which can't be edited while an
+ * interface is bound
+ * @param {Object} form - The form (see getPanelForm())
+ * @param {string} end - 'source' or 'target'
+ */
+function updateLabelInput(form, end) {
+    const picker = form.pickers[end];
+    const input = form.inputs[end];
+    const name = picker.value ? picker.selectedOptions[0]?.dataset.name : null;
+
+    if (name) input.value = name;
+    input.readOnly = !!name;
+}
+
+/**
+ * Get the interfaces picked in a form
+ * @param {Object} form - The form (see getPanelForm())
+ * @param {Object} shapes - Shapes at the ends {source, target}
+ * @returns {Object|null} Interface records (or null) by end {source, target}, or null if both
+ *     ends picked the same interface of the same device
+ */
+function getPicked(form, shapes) {
+    const picked = {};
+    ENDS.forEach(end => {
+        const interfaceId = form.row ? form.pickers[end].value : '';
+        const device = getShapeDevice(shapes[end]);
+        picked[end] = interfaceId ? topologyModel.getInterface(device?.id, interfaceId) : null;
+    });
+
+    if (picked.source && picked.source === picked.target) {
+        showAlert(
+            `${picked.source.name} can't be used at both ends of the connection.`,
+            'Interface In Use',
+            'warning'
+        );
+        return null;
+    }
+    return picked;
+}
+
+/**
+ * Bind the connection ends to the interfaces picked in the panel
+ * @param {SVGGElement} connection - The connection group
+ * @returns {boolean} False if both ends picked the same interface of the same device
+ */
+export function applyInterfacePicker(connection) {
+    if (!elements.connectionInterfaceRow) return true;
+
+    const picked = getPicked(getPanelForm(), getEndShapes(connection));
+    if (!picked) return false;
+
+    ENDS.forEach(end => setConnectionInterface(connection, end, picked[end]));
+    return true;
+}
+
+/**
+ * Get the interfaces picked in the Connection Labels dialog for a connection about to be created
+ * @param {SVGElement} sourceShape - The source shape
+ * @param {SVGElement} targetShape - The target shape
+ * @returns {Object|null} Interface records (or null) by end {source, target}, or null if both
+ *     ends picked the same interface of the same device
+ */
+export function getNewConnectionInterfaces(sourceShape, targetShape) {
+    return getPicked(getDialogForm(), { source: sourceShape, target: targetShape });
+}
@@ -0,0 +1,95 @@
+/**
+ * Automatic layout controls
+ * Fills the layout menu of the canvas toolbar and runs the picked layout (see
+ * layout/autoLayout.js) on the current page, or on the selected shapes. Layouts with options
+ * ask for them in a dialog first.
+ */
+
+import { LAYOUTS } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { runAutoLayout, getLayoutShapes } from '../layout/autoLayout.js';
+
+// Dialogs asking for the options of the layouts marked with `options` in LAYOUTS
+const LAYOUT_DIALOGS = {
+    hierarchical: showHierarchicalLayout,
+};
+
+/**
+ * Setup the layout menu of the canvas toolbar and the Hierarchical Layout dialog
+ */
+export function initializeLayoutControl() {
+    if (!elements.autoLayoutMenu) return;
+
+    elements.autoLayoutMenu.replaceChildren(
+        ...LAYOUTS.map(layout => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'dropdown-item';
+            button.dataset.layout = layout.value;
+            button.textContent = layout.options ? `${layout.label}…` : layout.label;
+            item.appendChild(button);
+            return item;
+        })
+    );
+    elements.autoLayoutMenu.addEventListener('click', e => {
+        const item = e.target.closest('[data-layout]');
+        const layout = item && LAYOUTS.find(entry => entry.value === item.dataset.layout);
+        if (!layout) return;
+        if (layout.options) {
+            LAYOUT_DIALOGS[layout.value]();
+        } else {
+            runAutoLayout(layout.value);
+        }
+    });
+
+    elements.hierarchicalLayoutForm?.addEventListener('submit', e => {
+        e.preventDefault();
+        const form = new FormData(elements.hierarchicalLayoutForm);
+        window.bootstrap.Modal.getInstance(elements.hierarchicalLayoutModal)?.hide();
+        runAutoLayout('hierarchical', {
+            direction: form.get('direction'),
+            tiers: form.get('tiers'),
+            root: form.get('root') || null,
+        });
+    });
+}
+
+/**
+ * Get the name a shape is listed under: its device name, else its label, else its type
+ * @param {SVGElement} shape - The shape
+ * @returns {string} Name
+ */
+function getShapeName(shape) {
+    const device = topologyModel.getDevice(shape.getAttribute('data-device'));
+    const label =
+        shape.tagName === 'g'
+            ? shape.querySelector('text')
+            : shape.parentNode?.querySelector(`text[data-shape-id="${shape.id}"]`);
+    return (
+        device?.name ||
+        label?.textContent.trim() ||
+        shape.getAttribute('data-shape-type') ||
+        shape.id
+    );
+}
+
+/**
+ * Show the Hierarchical Layout dialog, listing the shapes of the page as root choices
+ * The options picked last time are kept while the root shape is still on the page
+ */
+function showHierarchicalLayout() {
+    const root = elements.hierarchicalRoot;
+    const current = root.value;
+
+    root.replaceChildren(
+        new Option('Automatic (a cloud shape, else the most connected)', ''),
+        ...getLayoutShapes()
+            .map(shape => new Option(getShapeName(shape), shape.id))
+            .sort((a, b) => a.text.localeCompare(b.text))
+    );
+    root.value = Array.from(root.options).some(option => option.value === current) ? current : '';
+
+    window.bootstrap.Modal.getOrCreateInstance(elements.hierarchicalLayoutModal).show();
+}
@@ -0,0 +1,75 @@
+/**
+ * Connection end marker picker
+ * Picks the marker (arrowhead, circle, diamond, crow's foot...) drawn at each end of a
+ * connection from the connection panel. A bidirectional connection has the same marker at
+ * both ends, so only the target end is picked.
+ */
+
+import { LINK_MARKERS } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+import { getConnectionMarkers, setConnectionMarkers } from '../connections/linkMarkers.js';
+
+/**
+ * Setup the marker pickers of the connection panel
+ */
+export function initializeLinkMarkerPicker() {
+    if (!elements.connectionSourceMarker) return;
+
+    [elements.connectionSourceMarker, elements.connectionTargetMarker].forEach(picker => {
+        picker.replaceChildren(
+            ...LINK_MARKERS.map(marker => new Option(marker.label, marker.value))
+        );
+    });
+
+    elements.connectionBidirectional.addEventListener('change', () => {
+        // Point both ways with an arrow unless a marker was picked already
+        if (
+            elements.connectionBidirectional.checked &&
+            elements.connectionTargetMarker.value === 'none'
+        ) {
+            elements.connectionTargetMarker.value = 'arrow';
+        }
+        syncSourcePicker();
+    });
+    elements.connectionTargetMarker.addEventListener('change', syncSourcePicker);
+}
+
+/**
+ * Make the source end follow the target end while the connection is bidirectional
+ */
+function syncSourcePicker() {
+    const bidirectional = elements.connectionBidirectional.checked;
+    elements.connectionSourceMarker.disabled = bidirectional;
+    if (bidirectional) {
+        elements.connectionSourceMarker.value = elements.connectionTargetMarker.value;
+    }
+}
+
+/**
+ * Fill the marker pickers for a connection
+ * @param {SVGGElement} connection - The connection group
+ */
+export function showLinkMarkerPicker(connection) {
+    if (!elements.connectionSourceMarker) return;
+
+    const markers = getConnectionMarkers(connection);
+    elements.connectionSourceMarker.value = markers.source;
+    elements.connectionTargetMarker.value = markers.target;
+    elements.connectionBidirectional.checked =
+        markers.source !== 'none' && markers.source === markers.target;
+    syncSourcePicker();
+}
+
+/**
+ * Apply the marker pickers to a connection
+ * Also called after the line's colour or width changed, so the markers follow it
+ * @param {SVGGElement} connection - The connection group
+ */
+export function applyLinkMarkerPicker(connection) {
+    if (!elements.connectionSourceMarker) return;
+
+    setConnectionMarkers(connection, {
+        source: elements.connectionSourceMarker.value,
+        target: elements.connectionTargetMarker.value,
+    });
+}
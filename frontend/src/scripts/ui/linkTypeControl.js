@@ -0,0 +1,197 @@
+/**
+ * Link type controls
+ * Picks a connection's link type (Ethernet, fiber, serial, wireless, VPN tunnel, MPLS,
+ * console) and speed in the connection panel, which fills in the line style of the type and
+ * a width following the speed. The Link Types dialog restyles every link of a type at once;
+ * the new style is saved with the topology (see topologyModel.js), so the type's next links
+ * get it too.
+ */
+
+import { topologyModel, getLinkSpeedWidth } from '../state/topologyModel.js';
+import { LINK_TYPES, LINK_DASH_STYLES, INTERFACE_SPEEDS } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+import { saveAppState } from '../services/storage.js';
+import { runHistoryStep } from '../services/history.js';
+import {
+    setConnectionLinkType,
+    refreshConnectionStyles,
+} from '../connections/connectionManager.js';
+
+const LINE_WIDTHS = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Setup the link type picker of the connection panel and the Link Types dialog
+ */
+export function initializeLinkTypeControl() {
+    if (elements.connectionLinkType) {
+        elements.connectionLinkType.replaceChildren(
+            new Option('Custom', ''),
+            ...LINK_TYPES.map(type => new Option(type.label, type.value))
+        );
+        elements.connectionLinkSpeeds.replaceChildren(
+            ...INTERFACE_SPEEDS.map(speed => new Option(speed))
+        );
+        elements.connectionLinkType.addEventListener('change', showLinkTypeStyle);
+        elements.connectionLinkSpeed.addEventListener('input', () => {
+            const width = getLinkSpeedWidth(elements.connectionLinkSpeed.value);
+            if (width) elements.connectionStrokeWidth.value = String(width);
+        });
+    }
+
+    if (elements.linkTypesModal) {
+        elements.linkTypesBtn?.addEventListener('click', showLinkTypes);
+        elements.linkTypeList.addEventListener('click', e => {
+            const row = e.target.closest('[data-action="restyle-link-type"]')?.closest('tr');
+            if (row) restyleLinkType(row);
+        });
+    }
+}
+
+/**
+ * Fill the line style of the connection panel with the style of the picked link type
+ */
+function showLinkTypeStyle() {
+    const type = elements.connectionLinkType.value;
+    if (!type) return;
+
+    const style = topologyModel.getLinkTypeStyle(type, elements.connectionLinkSpeed.value);
+    elements.connectionStrokeColor.value = style.stroke;
+    elements.connectionStrokeWidth.value = String(style.strokeWidth);
+    elements.connectionStrokeStyle.value = getDashStyle(style.strokeDasharray);
+}
+
+/**
+ * Get the line style picker value of a stroke-dasharray
+ * @param {string} dasharray - Stroke dasharray
+ * @returns {string} Line style (see LINK_DASH_STYLES); 'solid' if not known
+ */
+function getDashStyle(dasharray) {
+    return LINK_DASH_STYLES.find(item => item.dasharray === dasharray)?.value || 'solid';
+}
+
+/**
+ * Fill the link type picker of the connection panel for a connection
+ * @param {SVGGElement} connection - The connection group
+ */
+export function showLinkTypePicker(connection) {
+    if (!elements.connectionLinkType) return;
+
+    elements.connectionLinkType.value = connection.getAttribute('data-link-type') || '';
+    elements.connectionLinkSpeed.value = connection.getAttribute('data-link-speed') || '';
+}
+
+/**
+ * Apply the link type picker of the connection panel to a connection
+ * The line style itself comes from the style inputs, which the picker filled in
+ * @param {SVGGElement} connection - The connection group
+ */
+export function applyLinkTypePicker(connection) {
+    if (!elements.connectionLinkType) return;
+
+    setConnectionLinkType(
+        connection,
+        elements.connectionLinkType.value || null,
+        elements.connectionLinkSpeed.value.trim() || null
+    );
+}
+
+/**
+ * Count the links of a type on all pages
+ * @param {string} type - Link type
+ * @returns {number} Number of links
+ */
+function countLinks(type) {
+    return topologyModel.pages.reduce(
+        (count, page) =>
+            count + Array.from(page.links.values()).filter(link => link.type === type).length,
+        0
+    );
+}
+
+/**
+ * Open the Link Types dialog with the document's style of each type
+ */
+function showLinkTypes() {
+    elements.linkTypeList.replaceChildren(...LINK_TYPES.map(type => createLinkTypeRow(type)));
+    window.bootstrap.Modal.getOrCreateInstance(elements.linkTypesModal).show();
+}
+
+/**
+ * Create the row of a link type in the Link Types dialog
+ * @param {Object} type - Link type (see LINK_TYPES)
+ * @returns {HTMLTableRowElement} The row
+ */
+function createLinkTypeRow(type) {
+    const style = topologyModel.getLinkTypeStyle(type.value);
+    const row = document.createElement('tr');
+    row.dataset.linkType = type.value;
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = type.label;
+    const count = document.createElement('small');
+    count.className = 'text-muted d-block';
+    const links = countLinks(type.value);
+    count.textContent = `${links} link${links === 1 ? '' : 's'}`;
+    nameCell.appendChild(count);
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'form-control form-control-sm form-control-color';
+    colorInput.setAttribute('aria-label', `${type.label} color`);
+    colorInput.dataset.style = 'stroke';
+    colorInput.value = style.stroke;
+
+    const widthSelect = document.createElement('select');
+    widthSelect.className = 'form-select form-select-sm';
+    widthSelect.setAttribute('aria-label', `${type.label} width`);
+    widthSelect.dataset.style = 'strokeWidth';
+    widthSelect.append(...LINE_WIDTHS.map(width => new Option(`${width}px`, String(width))));
+    widthSelect.value = String(style.strokeWidth);
+
+    const dashSelect = document.createElement('select');
+    dashSelect.className = 'form-select form-select-sm';
+    dashSelect.setAttribute('aria-label', `${type.label} style`);
+    dashSelect.dataset.style = 'strokeDasharray';
+    dashSelect.append(...LINK_DASH_STYLES.map(item => new Option(item.label, item.value)));
+    dashSelect.value = getDashStyle(style.strokeDasharray);
+
+    const restyleButton = document.createElement('button');
+    restyleButton.type = 'button';
+    restyleButton.className = 'btn btn-outline-primary btn-sm';
+    restyleButton.dataset.action = 'restyle-link-type';
+    restyleButton.title = `Restyle all ${type.label} links`;
+    restyleButton.textContent = 'Restyle';
+
+    row.append(
+        nameCell,
+        ...[colorInput, widthSelect, dashSelect, restyleButton].map(control => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            return cell;
+        })
+    );
+    return row;
+}
+
+/**
+ * Restyle every link of a type from its row in the Link Types dialog
+ * @param {HTMLTableRowElement} row - The row of the type
+ */
+function restyleLinkType(row) {
+    const field = name => row.querySelector(`[data-style="${name}"]`).value;
+    const type = row.dataset.linkType;
+    const style = {
+        stroke: field('stroke'),
+        strokeWidth: Number(field('strokeWidth')),
+        strokeDasharray:
+            LINK_DASH_STYLES.find(item => item.value === field('strokeDasharray'))?.dasharray || '',
+    };
+
+    runHistoryStep('restyle link type', () => {
+        topologyModel.setLinkTypeStyle(type, style);
+        refreshConnectionStyles();
+        saveAppState();
+    });
+
+    row.replaceWith(createLinkTypeRow(LINK_TYPES.find(item => item.value === type)));
+}
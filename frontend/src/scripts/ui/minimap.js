@@ -0,0 +1,222 @@
+/**
+ * Minimap navigator
+ * A small overview of the current page in the corner of the canvas. The canvas layers are
+ * shown again through <use> elements, so the overview follows every change by itself; the
+ * rectangle shows the part of the page in view. Dragging the rectangle pans the canvas, and
+ * clicking elsewhere moves the view there. The overview can be collapsed; the state is kept
+ * in localStorage.
+ */
+
+import { appState } from '../state/appState.js';
+import { elements } from '../utils/dom.js';
+import { saveScrollPosition } from '../services/storage.js';
+import { MINIMAP_CONFIG } from '../config/constants.js';
+
+const LAYER_IDS = ['backgroundShapesLayer', 'connectionsLayer', 'shapesLayer', 'labelsLayer'];
+
+let viewBox = null; // Canvas area the minimap shows {x, y, width, height}
+let updateFrame = null;
+let dragOffset = null; // Mouse offset from the view's centre while the view is dragged
+
+/**
+ * Setup the minimap: collapsing, dragging and keeping it in sync with the canvas
+ */
+export function initializeMinimap() {
+    if (!elements.minimap) return;
+
+    setMinimapCollapsed(isMinimapCollapsed());
+    elements.minimapToggle.addEventListener('click', () => {
+        setMinimapCollapsed(!isMinimapCollapsed());
+    });
+
+    // Scrolling, zooming and every change to the shapes move the view or the page extent
+    elements.canvasWrapper.addEventListener('scroll', scheduleMinimapUpdate);
+    window.addEventListener('resize', scheduleMinimapUpdate);
+    new MutationObserver(scheduleMinimapUpdate).observe(elements.topologyCanvas, {
+        attributes: true,
+        childList: true,
+        subtree: true,
+    });
+
+    elements.minimapCanvas.addEventListener('mousedown', startViewDrag);
+    document.addEventListener('mousemove', e => {
+        if (dragOffset) moveViewTo(toCanvasPoint(e), dragOffset);
+    });
+    document.addEventListener('mouseup', () => {
+        if (!dragOffset) return;
+        dragOffset = null;
+        document.body.classList.remove('no-select');
+        saveScrollPosition();
+        scheduleMinimapUpdate();
+    });
+
+    scheduleMinimapUpdate();
+}
+
+/**
+ * Check whether the minimap is collapsed
+ * @returns {boolean} True if collapsed
+ */
+function isMinimapCollapsed() {
+    try {
+        return localStorage.getItem(MINIMAP_CONFIG.STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Collapse or expand the minimap
+ * @param {boolean} collapsed - Whether to collapse it
+ */
+function setMinimapCollapsed(collapsed) {
+    try {
+        localStorage.setItem(MINIMAP_CONFIG.STORAGE_KEY, String(collapsed));
+    } catch (error) {
+        console.error('Error saving minimap setting:', error);
+    }
+
+    elements.minimap.classList.toggle('collapsed', collapsed);
+    elements.minimapToggle.setAttribute('aria-expanded', String(!collapsed));
+    elements.minimapToggle.title = collapsed ? 'Show Overview' : 'Hide Overview';
+    elements.minimapToggle.querySelector('i').className = collapsed
+        ? 'bi bi-chevron-up'
+        : 'bi bi-chevron-down';
+    scheduleMinimapUpdate();
+}
+
+/**
+ * Update the minimap before the next repaint, once however many changes come in
+ */
+function scheduleMinimapUpdate() {
+    if (updateFrame !== null) return;
+    updateFrame = requestAnimationFrame(() => {
+        updateFrame = null;
+        updateMinimap();
+    });
+}
+
+/**
+ * Get the part of the canvas in view, in canvas coordinates
+ * Measured from the rendered canvas, so it holds at any zoom level
+ * @returns {Object} View {x, y, width, height}
+ */
+function getView() {
+    const zoom = appState.currentZoom;
+    const canvasRect = elements.topologyCanvas.getBoundingClientRect();
+    const wrapperRect = elements.canvasWrapper.getBoundingClientRect();
+
+    return {
+        x: (wrapperRect.left - canvasRect.left) / zoom,
+        y: (wrapperRect.top - canvasRect.top) / zoom,
+        width: elements.canvasWrapper.clientWidth / zoom,
+        height: elements.canvasWrapper.clientHeight / zoom,
+    };
+}
+
+/**
+ * Get the area the shapes and connections of the page take up
+ * @returns {Object|null} Extent {left, top, right, bottom}, or null for an empty page
+ */
+function getContentExtent() {
+    const boxes = LAYER_IDS.map(id => document.getElementById(id))
+        .filter(layer => layer && layer.querySelector(':scope > :not(title)'))
+        .map(layer => layer.getBBox())
+        .filter(box => box.width > 0 || box.height > 0);
+    if (boxes.length === 0) return null;
+
+    return {
+        left: Math.min(...boxes.map(box => box.x)),
+        top: Math.min(...boxes.map(box => box.y)),
+        right: Math.max(...boxes.map(box => box.x + box.width)),
+        bottom: Math.max(...boxes.map(box => box.y + box.height)),
+    };
+}
+
+/**
+ * Fit the minimap to the page's shapes and the view, and move the view rectangle
+ */
+function updateMinimap() {
+    if (isMinimapCollapsed()) return;
+
+    const view = getView();
+
+    // Keep the scale while the view is dragged, or the rectangle would run from the mouse
+    if (!dragOffset || !viewBox) {
+        const content = getContentExtent();
+        const left = Math.min(view.x, content ? content.left : view.x);
+        const top = Math.min(view.y, content ? content.top : view.y);
+        const right = Math.max(view.x + view.width, content ? content.right : 0);
+        const bottom = Math.max(view.y + view.height, content ? content.bottom : 0);
+
+        viewBox = {
+            x: Math.max(left - MINIMAP_CONFIG.PADDING, 0),
+            y: Math.max(top - MINIMAP_CONFIG.PADDING, 0),
+        };
+        viewBox.width = right + MINIMAP_CONFIG.PADDING - viewBox.x;
+        viewBox.height = bottom + MINIMAP_CONFIG.PADDING - viewBox.y;
+        elements.minimapCanvas.setAttribute(
+            'viewBox',
+            `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`
+        );
+    }
+
+    elements.minimapViewport.setAttribute('x', view.x);
+    elements.minimapViewport.setAttribute('y', view.y);
+    elements.minimapViewport.setAttribute('width', view.width);
+    elements.minimapViewport.setAttribute('height', view.height);
+}
+
+/**
+ * Convert a mouse position over the minimap to canvas coordinates
+ * The minimap keeps the aspect ratio of its view box and centres it (SVG's default "meet")
+ * @param {MouseEvent} e - The mouse event
+ * @returns {Object} Point {x, y}
+ */
+function toCanvasPoint(e) {
+    const rect = elements.minimapCanvas.getBoundingClientRect();
+    const scale = Math.max(viewBox.width / rect.width, viewBox.height / rect.height);
+    const offsetX = (rect.width - viewBox.width / scale) / 2;
+    const offsetY = (rect.height - viewBox.height / scale) / 2;
+
+    return {
+        x: viewBox.x + (e.clientX - rect.left - offsetX) * scale,
+        y: viewBox.y + (e.clientY - rect.top - offsetY) * scale,
+    };
+}
+
+/**
+ * Start dragging the view: from where it was grabbed on the rectangle, else from its centre
+ * after jumping to the clicked point
+ * @param {MouseEvent} e - The mouse event
+ */
+function startViewDrag(e) {
+    if (e.button !== 0 || !viewBox) return;
+    e.preventDefault();
+
+    const point = toCanvasPoint(e);
+    const view = getView();
+    dragOffset =
+        e.target === elements.minimapViewport
+            ? {
+                  x: point.x - (view.x + view.width / 2),
+                  y: point.y - (view.y + view.height / 2),
+              }
+            : { x: 0, y: 0 };
+
+    document.body.classList.add('no-select');
+    moveViewTo(point, dragOffset);
+}
+
+/**
+ * Scroll the canvas so the view's centre is at a point
+ * @param {Object} point - Canvas point {x, y} under the mouse
+ * @param {Object} offset - Offset {x, y} of the mouse from the view's centre
+ */
+function moveViewTo(point, offset) {
+    const view = getView();
+    const zoom = appState.currentZoom;
+
+    elements.canvasWrapper.scrollLeft += (point.x - offset.x - (view.x + view.width / 2)) * zoom;
+    elements.canvasWrapper.scrollTop += (point.y - offset.y - (view.y + view.height / 2)) * zoom;
+}
@@ -0,0 +1,107 @@
+/**
+ * PDF export dialog
+ * Asks for the page setup and the title block of the PDF export (see topology/pdfExport.js).
+ * The page setup and the author are kept in localStorage for next time; the project starts as
+ * the document's name and the date as today.
+ */
+
+import { elements } from '../utils/dom.js';
+import { getCurrentDocument } from '../services/workspace.js';
+import { exportPDF } from '../topology/pdfExport.js';
+import { PDF_PAGE_SIZES, PDF_EXPORT_CONFIG, WORKSPACE_CONFIG } from '../config/constants.js';
+
+/**
+ * Setup the Export PDF menu item and dialog
+ */
+export function initializePdfExport() {
+    if (!elements.pdfExportModal) return;
+
+    elements.pdfPageSize.replaceChildren(
+        ...PDF_PAGE_SIZES.map(size => new Option(size.label, size.value))
+    );
+
+    const fields = elements.pdfExportForm.elements;
+    Array.from(fields.scaleMode).forEach(radio => {
+        radio.addEventListener('change', () => {
+            fields.scale.disabled = fields.scaleMode.value !== 'fixed';
+        });
+    });
+
+    elements.exportPdfBtn.addEventListener('click', showPdfExport);
+    elements.pdfExportForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const settings = {
+            pageSize: fields.pageSize.value,
+            orientation: fields.orientation.value,
+            scaleMode: fields.scaleMode.value,
+            scale: Math.min(
+                Math.max(
+                    parseFloat(fields.scale.value) || PDF_EXPORT_CONFIG.DEFAULT_SCALE,
+                    PDF_EXPORT_CONFIG.MIN_SCALE
+                ),
+                PDF_EXPORT_CONFIG.MAX_SCALE
+            ),
+            author: fields.author.value.trim(),
+        };
+        saveSettings(settings);
+
+        window.bootstrap.Modal.getInstance(elements.pdfExportModal)?.hide();
+        exportPDF({
+            pageSize: settings.pageSize,
+            orientation: settings.orientation,
+            scale: settings.scaleMode === 'fixed' ? settings.scale : null,
+            allPages: fields.pages.value === 'all',
+            titleBlock: {
+                project: fields.project.value.trim(),
+                author: settings.author,
+                revision: fields.revision.value.trim(),
+                date: fields.date.value.trim(),
+            },
+        });
+    });
+}
+
+/**
+ * Show the Export PDF dialog with the last page setup
+ */
+function showPdfExport() {
+    const fields = elements.pdfExportForm.elements;
+    const settings = loadSettings();
+
+    if (PDF_PAGE_SIZES.some(size => size.value === settings.pageSize)) {
+        fields.pageSize.value = settings.pageSize;
+    }
+    if (settings.orientation) fields.orientation.value = settings.orientation;
+    if (settings.scaleMode) fields.scaleMode.value = settings.scaleMode;
+    fields.scale.value = settings.scale || PDF_EXPORT_CONFIG.DEFAULT_SCALE;
+    fields.scale.disabled = fields.scaleMode.value !== 'fixed';
+    fields.author.value = settings.author || '';
+    fields.project.value = getCurrentDocument()?.name || WORKSPACE_CONFIG.DEFAULT_NAME;
+    fields.date.value = new Date().toISOString().slice(0, 10);
+
+    window.bootstrap.Modal.getOrCreateInstance(elements.pdfExportModal).show();
+}
+
+/**
+ * Load the page setup used last
+ * @returns {Object} Settings, empty if none were saved
+ */
+function loadSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(PDF_EXPORT_CONFIG.STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Keep the page setup for next time
+ * @param {Object} settings - Page setup and author
+ */
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(PDF_EXPORT_CONFIG.STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving PDF export settings:', error);
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Connection routing controls
+ * Sets the document's default routing mode from the canvas toolbar, and a connection's own
+ * mode and curve from the connection panel. The default is saved with the topology (see
+ * topologyModel.js), so a document looks the same wherever it is opened.
+ */
+
+import { topologyModel } from '../state/topologyModel.js';
+import { ROUTING_MODES, LINK_ROUTING_MODES } from '../config/constants.js';
+import { elements } from '../utils/dom.js';
+import { saveAppState } from '../services/storage.js';
+import { runHistoryStep } from '../services/history.js';
+import {
+    rerouteConnections,
+    commitReroutedConnections,
+    setConnectionRouting,
+    isConnectionCurved,
+    setConnectionCurved,
+} from '../connections/connectionManager.js';
+
+// Routing mode the connection panel was opened with
+let shownRouting = '';
+
+/**
+ * Setup the routing menu of the canvas toolbar
+ */
+export function initializeRoutingControl() {
+    if (!elements.connectionRoutingMenu) return;
+
+    elements.connectionRoutingMenu.replaceChildren(
+        ...ROUTING_MODES.map(mode => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'dropdown-item';
+            button.dataset.routing = mode.value;
+            button.textContent = mode.label;
+            item.appendChild(button);
+            return item;
+        })
+    );
+    elements.connectionRoutingMenu.addEventListener('click', e => {
+        const item = e.target.closest('[data-routing]');
+        if (item) setDocumentRouting(item.dataset.routing);
+    });
+
+    renderRoutingControl();
+}
+
+/**
+ * Mark the document's routing mode in the toolbar menu
+ * Called whenever a topology is shown, as the mode comes with the document
+ */
+export function renderRoutingControl() {
+    elements.connectionRoutingMenu?.querySelectorAll('[data-routing]').forEach(item => {
+        item.classList.toggle('active', item.dataset.routing === topologyModel.settings.routing);
+    });
+}
+
+/**
+ * Change the document's routing mode and route the connections following it again
+ * @param {string} routing - Routing mode (see ROUTING_MODES)
+ */
+function setDocumentRouting(routing) {
+    if (routing === topologyModel.settings.routing) return;
+
+    runHistoryStep('change connection routing', () => {
+        topologyModel.setDefaultRouting(routing);
+        rerouteConnections();
+        commitReroutedConnections();
+        saveAppState();
+    });
+    renderRoutingControl();
+}
+
+/**
+ * Get the label of a routing mode
+ * @param {string} routing - Routing mode
+ * @returns {string} Label
+ */
+function getRoutingLabel(routing) {
+    return LINK_ROUTING_MODES.find(mode => mode.value === routing)?.label || routing;
+}
+
+/**
+ * Fill the routing picker and curve switch of the connection panel for a connection
+ * Also called when the connection's bends were edited, which makes it a manual connection
+ * @param {SVGGElement} connection - The connection group
+ */
+export function showConnectionRouting(connection) {
+    if (!elements.connectionRouting) return;
+
+    shownRouting = connection.getAttribute('data-routing') || '';
+    elements.connectionRouting.replaceChildren(
+        new Option(`Default (${getRoutingLabel(topologyModel.settings.routing)})`, ''),
+        ...LINK_ROUTING_MODES.map(mode => new Option(mode.label, mode.value))
+    );
+    elements.connectionRouting.value = shownRouting;
+    elements.connectionCurved.checked = isConnectionCurved(connection);
+}
+
+/**
+ * Apply the routing picker and curve switch of the connection panel to a connection
+ * The connection is only routed again if another mode was picked, so its bends are kept
+ * @param {SVGGElement} connection - The connection group
+ */
+export function applyConnectionRouting(connection) {
+    if (!elements.connectionRouting) return;
+
+    const routing = elements.connectionRouting.value;
+    if (routing !== shownRouting) {
+        setConnectionRouting(connection, routing || null);
+    }
+    if (elements.connectionCurved.checked !== isConnectionCurved(connection)) {
+        setConnectionCurved(connection, elements.connectionCurved.checked);
+    }
+}
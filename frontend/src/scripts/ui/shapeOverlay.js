@@ -4,10 +4,26 @@
 
 import { appState } from '../state/appState.js';
 import { elements } from '../utils/dom.js';
-import { createConnection } from '../connections/connectionManager.js';
+import {
+    createConnection,
+    showConnectionLabelModal,
+    setConnectionBundle,
+    setConnectionStyle,
+} from '../connections/connectionManager.js';
 import { saveAppState } from '../services/storage.js';
+import { runHistoryStep } from '../services/history.js';
+import { commitShapes, commitConnections } from '../topology/modelSync.js';
 import { setShowOverlayCallback } from '../connections/connectionInteractions.js';
 import { showAlert } from '../utils/modal.js';
+import { topologyModel } from '../state/topologyModel.js';
+import { LINK_DASH_STYLES } from '../config/constants.js';
+import { updatePageLinkText } from '../shapes/shapeFactory.js';
+import { showDeviceProperties } from './deviceProperties.js';
+import { showInterfacePicker, applyInterfacePicker, hasInterfaces } from './interfacePicker.js';
+import { showConnectionRouting, applyConnectionRouting } from './routingControl.js';
+import { showWaypointHandles, hideWaypointHandles } from '../connections/waypointEditor.js';
+import { showLinkMarkerPicker, applyLinkMarkerPicker } from './linkMarkerPicker.js';
+import { showLinkTypePicker, applyLinkTypePicker } from './linkTypeControl.js';
 import { addShapeEventListeners, removeShapeEventListeners } from '../shapes/shapeEvents.js';
 import {
     duplicateShape,
@@ -66,6 +82,16 @@ export function initializeShapeOverlay() {
         });
     }
 
+    if (elements.editDeviceProperties) {
+        elements.editDeviceProperties.addEventListener('click', () => {
+            if (overlaySourceShape) {
+                const shape = overlaySourceShape;
+                hideShapePanel();
+                showDeviceProperties(shape);
+            }
+        });
+    }
+
     const moveToFrontBtn = document.getElementById('moveToFront');
     if (moveToFrontBtn) {
         moveToFrontBtn.addEventListener('click', () => {
@@ -111,6 +137,8 @@ export function initializeShapeOverlay() {
         elements.connectionCenterLabel,
         elements.connectionSourceLabel,
         elements.connectionTargetLabel,
+        elements.connectionBundle,
+        elements.connectionLinkSpeed,
         elements.connectionLabelFontSize,
     ];
     connectionInputs.forEach(input => {
@@ -317,7 +345,7 @@ function updateShapeLabel() {
         labelEl = overlaySourceShape.parentNode.querySelector(`text[data-shape-id="${shapeId}"]`);
     } else {
         labelEl = isCiscoShape
-            ? overlaySourceShape.querySelector('text:not([data-label])')
+            ? overlaySourceShape.querySelector('text:not([data-label]):not([data-badge])')
             : overlaySourceShape.querySelector('text[data-label="true"]');
     }
 
@@ -405,7 +433,7 @@ function updateShapeLabelPosition() {
     } else {
         // For Cisco shapes and groups, find child label
         labelEl = isCiscoShape
-            ? overlaySourceShape.querySelector('text:not([data-label])')
+            ? overlaySourceShape.querySelector('text:not([data-label]):not([data-badge])')
             : overlaySourceShape.querySelector('text[data-label="true"]');
     }
 
@@ -554,7 +582,7 @@ function updateShapeLabelColor() {
     if (isTextShape) {
         labelEl = overlaySourceShape.querySelector('.text-content');
     } else if (isCiscoShape) {
-        labelEl = overlaySourceShape.querySelector('text:not([data-label])');
+        labelEl = overlaySourceShape.querySelector('text:not([data-label]):not([data-badge])');
     } else {
         labelEl = overlaySourceShape.querySelector('text[data-label="true"]');
     }
@@ -578,7 +606,7 @@ function updateShapeLabelFontSize() {
     if (isTextShape) {
         labelEl = overlaySourceShape.querySelector('.text-content');
     } else if (isCiscoShape) {
-        labelEl = overlaySourceShape.querySelector('text:not([data-label])');
+        labelEl = overlaySourceShape.querySelector('text:not([data-label]):not([data-badge])');
     } else {
         labelEl = overlaySourceShape.querySelector('text[data-label="true"]');
     }
@@ -633,34 +661,67 @@ function toggleShapeLabelStyle(style) {
     }
 }
 
+/**
+ * Point a page link shape at the page chosen in the panel
+ */
+function updatePageLinkTarget() {
+    if (overlaySourceShape.getAttribute('data-shape-type') !== 'pagelink') return;
+
+    overlaySourceShape.setAttribute('data-page-ref', elements.pageLinkTarget.value);
+    updatePageLinkText(overlaySourceShape);
+}
+
+/**
+ * Show the page choice for page link shapes
+ * @param {SVGElement} shape - The shape shown in the panel
+ */
+function showPageLinkTarget(shape) {
+    if (!elements.pageLinkContainer) return;
+
+    const isPageLink = shape.getAttribute('data-shape-type') === 'pagelink';
+    elements.pageLinkContainer.style.display = isPageLink ? 'block' : 'none';
+    if (!isPageLink) return;
+
+    // Page names are user input, so the options are built with text only
+    elements.pageLinkTarget.replaceChildren(
+        ...topologyModel.pages.map(page => new Option(page.name, page.id))
+    );
+    elements.pageLinkTarget.value = shape.getAttribute('data-page-ref') || '';
+}
+
 /**
  * Apply all shape changes and save state
  */
 function applyShapeChanges() {
     if (!overlaySourceShape) return;
 
-    // Apply all changes
-    updateShapeLabel();
-    updateShapeLabelPosition();
-    updateShapeLabelColor();
-    updateShapeLabelFontSize();
-
-    // Apply shape styling
-    const shapeFillInput = document.getElementById('shapeFillColor');
-    const shapeStrokeInput = document.getElementById('shapeStrokeColor');
-    const shapeStrokeWidthInput = document.getElementById('shapeStrokeWidth');
-
-    if (shapeFillInput && shapeStrokeInput && shapeStrokeWidthInput) {
-        applyShapeFill(overlaySourceShape.id, shapeFillInput.value);
-        applyShapeStroke(
-            overlaySourceShape.id,
-            shapeStrokeInput.value,
-            parseInt(shapeStrokeWidthInput.value)
-        );
-    }
+    // Label and style changes are undone together
+    runHistoryStep('edit shape', () => {
+        // Apply all changes
+        updateShapeLabel();
+        updateShapeLabelPosition();
+        updateShapeLabelColor();
+        updateShapeLabelFontSize();
+        updatePageLinkTarget();
+
+        // Apply shape styling
+        const shapeFillInput = document.getElementById('shapeFillColor');
+        const shapeStrokeInput = document.getElementById('shapeStrokeColor');
+        const shapeStrokeWidthInput = document.getElementById('shapeStrokeWidth');
+
+        if (shapeFillInput && shapeStrokeInput && shapeStrokeWidthInput) {
+            applyShapeFill(overlaySourceShape.id, shapeFillInput.value);
+            applyShapeStroke(
+                overlaySourceShape.id,
+                shapeStrokeInput.value,
+                parseInt(shapeStrokeWidthInput.value)
+            );
+        }
 
-    // Save state after applying all changes
-    saveAppState();
+        // Save state after applying all changes
+        commitShapes([overlaySourceShape]);
+        saveAppState();
+    });
 
     // Hide the panel
     hideShapePanel();
@@ -769,7 +830,7 @@ export function showOverlayPanel(shape) {
     if (isTextShape) {
         labelEl = shape.querySelector('.text-content');
     } else if (isCiscoShape) {
-        labelEl = shape.querySelector('text:not([data-label])');
+        labelEl = shape.querySelector('text:not([data-label]):not([data-badge])');
     } else {
         labelEl = shape.querySelector('text[data-label="true"]');
     }
@@ -798,6 +859,11 @@ export function showOverlayPanel(shape) {
         elements.shapeLabelUnderline.classList.remove('active');
     }
 
+    showPageLinkTarget(shape);
+    if (elements.devicePropertiesContainer) {
+        elements.devicePropertiesContainer.style.display = isCiscoShape ? 'block' : 'none';
+    }
+
     // Load shape styling
     const shapeFillInput = document.getElementById('shapeFillColor');
     const shapeStrokeInput = document.getElementById('shapeStrokeColor');
@@ -847,6 +913,7 @@ export function showConnectionPanel(connection, sourceLabel, targetLabel, center
     elements.connectionSourceLabel.value = sourceLabel || '';
     elements.connectionTargetLabel.value = targetLabel || '';
     elements.connectionCenterLabel.value = centerLabel || '';
+    elements.connectionBundle.value = connection.getAttribute('data-bundle') || '';
 
     const strokeWidth = line ? line.getAttribute('stroke-width') || '3' : '3';
     const strokeColor = line ? line.getAttribute('stroke') || '#6c757d' : '#6c757d';
@@ -856,15 +923,8 @@ export function showConnectionPanel(connection, sourceLabel, targetLabel, center
     elements.connectionStrokeColor.value = strokeColor;
 
     // Determine line style from stroke-dasharray
-    if (!strokeDasharray || strokeDasharray === 'none') {
-        elements.connectionStrokeStyle.value = 'solid';
-    } else if (strokeDasharray === '10,5') {
-        elements.connectionStrokeStyle.value = 'dashed';
-    } else if (strokeDasharray === '2,3') {
-        elements.connectionStrokeStyle.value = 'dotted';
-    } else {
-        elements.connectionStrokeStyle.value = 'solid';
-    }
+    const dashStyle = LINK_DASH_STYLES.find(item => item.dasharray === strokeDasharray);
+    elements.connectionStrokeStyle.value = dashStyle ? dashStyle.value : 'solid';
 
     // Get label styling from source label (both labels should have same styling)
     const sourceLabelId = selectedConnection.getAttribute('data-source-label-id');
@@ -878,6 +938,12 @@ export function showConnectionPanel(connection, sourceLabel, targetLabel, center
         elements.connectionLabelFontSize.value = '12';
     }
 
+    showInterfacePicker(connection);
+    showLinkTypePicker(connection);
+    showConnectionRouting(connection);
+    showLinkMarkerPicker(connection);
+    showWaypointHandles(connection, showConnectionRouting);
+
     // Set focus on center label field after a short delay to ensure panel is visible
     setTimeout(() => {
         elements.connectionCenterLabel.focus();
@@ -893,6 +959,11 @@ function applyConnectionChanges() {
         return;
     }
 
+    // Bound interfaces name their connection ends
+    if (!applyInterfacePicker(selectedConnection)) {
+        return;
+    }
+
     // Update labels
     const sourceLabelId = selectedConnection.getAttribute('data-source-label-id');
     const targetLabelId = selectedConnection.getAttribute('data-target-label-id');
@@ -942,44 +1013,21 @@ function applyConnectionChanges() {
     }
 
     // Update line style
-    const line = selectedConnection.querySelector('.connection-line');
-
-    if (line) {
-        // Use style properties to override CSS rules
-        line.style.strokeWidth = elements.connectionStrokeWidth.value + 'px';
-        line.style.stroke = elements.connectionStrokeColor.value;
-
-        // Also update attributes for persistence
-        line.setAttribute('stroke-width', elements.connectionStrokeWidth.value);
-        line.setAttribute('stroke', elements.connectionStrokeColor.value);
-
-        // Update stroke style (dasharray)
-        const strokeStyle = elements.connectionStrokeStyle.value;
-        let dasharray = 'none';
-
-        switch (strokeStyle) {
-            case 'dashed':
-                dasharray = '10,5';
-                break;
-            case 'dotted':
-                dasharray = '2,3';
-                break;
-            case 'solid':
-            default:
-                dasharray = 'none';
-                break;
-        }
+    setConnectionStyle(selectedConnection, {
+        stroke: elements.connectionStrokeColor.value,
+        strokeWidth: elements.connectionStrokeWidth.value,
+        strokeDasharray:
+            LINK_DASH_STYLES.find(item => item.value === elements.connectionStrokeStyle.value)
+                ?.dasharray || '',
+    });
 
-        if (dasharray === 'none') {
-            line.removeAttribute('stroke-dasharray');
-            line.style.strokeDasharray = '';
-        } else {
-            line.setAttribute('stroke-dasharray', dasharray);
-            line.style.strokeDasharray = dasharray;
-        }
-    }
+    applyLinkTypePicker(selectedConnection);
+    applyLinkMarkerPicker(selectedConnection);
+    applyConnectionRouting(selectedConnection);
+    setConnectionBundle(selectedConnection, elements.connectionBundle.value.trim() || null);
 
-    saveAppState();
+    commitConnections([selectedConnection]);
+    saveAppState('edit connection');
     hideConnectionPanel();
 }
 
@@ -989,6 +1037,7 @@ function applyConnectionChanges() {
 function hideConnectionPanel() {
     elements.connectionOverlayPanel.style.display = 'none';
     selectedConnection = null;
+    hideWaypointHandles();
 }
 
 /**
@@ -1047,27 +1096,33 @@ function startConnectionMode() {
 
 /**
  * Finish connection creation with target shape
+ * Ends at devices with interfaces are bound in the connection label modal first
  * @param {SVGElement} targetShape - The target shape
  */
 function finishConnectionWithTarget(targetShape) {
-    // Create the connection with default values (empty labels, default styling)
-    const connectionGroup = createConnection(
-        overlaySourceShape,
-        targetShape,
-        '',
-        '',
-        '',
-        3,
-        '#6c757d'
-    );
+    const sourceShape = overlaySourceShape;
 
     // Clean up
-    overlaySourceShape.classList.remove('connection-source');
+    sourceShape.classList.remove('connection-source');
     isWaitingForTarget = false;
     hideShapePanel();
+
+    if (hasInterfaces(sourceShape) || hasInterfaces(targetShape)) {
+        showConnectionLabelModal(sourceShape, targetShape, showNewConnectionPanel);
+        return;
+    }
+
+    // Create the connection with default values (empty labels, default styling)
+    const connectionGroup = createConnection(sourceShape, targetShape, '', '', '', 3, '#6c757d');
     saveAppState();
+    showNewConnectionPanel(connectionGroup);
+}
 
-    // Automatically open the connection details panel
+/**
+ * Open the connection details panel for a connection that was just created
+ * @param {SVGGElement} connectionGroup - The connection group
+ */
+function showNewConnectionPanel(connectionGroup) {
     if (connectionGroup) {
         // Get the label elements
         const sourceLabelId = connectionGroup.getAttribute('data-source-label-id');
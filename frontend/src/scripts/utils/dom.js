@@ -11,6 +11,11 @@ export const elements = {
     topologyCanvas: null,
     canvasWrapper: null,
     zoomLevel: null,
+    minimap: null,
+    minimapToggle: null,
+    minimapBody: null,
+    minimapCanvas: null,
+    minimapViewport: null,
     canvas: null,
     canvasInfo: null,
     pointerPosition: null,
@@ -18,8 +23,64 @@ export const elements = {
     // Menu elements
     newTopologyBtn: null,
     exportBtn: null,
+    exportPageBtn: null,
     exportPngBtn: null,
+    exportAllPngBtn: null,
+    exportSvgBtn: null,
+    svgExportModal: null,
+    svgExportForm: null,
+    exportPdfBtn: null,
+    pdfExportModal: null,
+    pdfExportForm: null,
+    pdfPageSize: null,
+    exportDrawioBtn: null,
+    exportContainerlabBtn: null,
+    exportCmlBtn: null,
+    exportInventoryBtn: null,
     importBtn: null,
+    importPageBtn: null,
+    importDrawioBtn: null,
+    importContainerlabBtn: null,
+    importCmlBtn: null,
+
+    // Document manager elements
+    documentsBtn: null,
+    documentName: null,
+    documentsModal: null,
+    documentList: null,
+    newDocumentBtn: null,
+
+    // Page tab elements
+    pageTabs: null,
+    addPageBtn: null,
+    deletePageModal: null,
+    deletePageMessage: null,
+    confirmDeletePage: null,
+
+    // Device property elements
+    devicePropertiesContainer: null,
+    editDeviceProperties: null,
+    devicePropertiesModal: null,
+    devicePropertiesInfo: null,
+    devicePropertiesForm: null,
+    devicePropertyFields: null,
+    deviceTagList: null,
+    addDeviceTagBtn: null,
+    deviceInterfaceList: null,
+    addDeviceInterfaceBtn: null,
+    deviceInterfaceSpeeds: null,
+    deviceInterfaceError: null,
+    toggleDeviceBadges: null,
+    connectionRoutingMenu: null,
+    linkTypesBtn: null,
+    autoLayoutMenu: null,
+    hierarchicalLayoutModal: null,
+    hierarchicalLayoutForm: null,
+    hierarchicalRoot: null,
+    linkTypesModal: null,
+    linkTypeList: null,
+    deviceSearchInput: null,
+    deviceSearchResults: null,
 
     // Canvas controls (sidebar)
     zoomInBtn: null,
@@ -31,12 +92,20 @@ export const elements = {
     zoomInBtnFloating: null,
     zoomOutBtnFloating: null,
     resetZoomBtnFloating: null,
+    zoomFitBtnFloating: null,
+    zoomSelectionBtnFloating: null,
+    undoBtn: null,
+    redoBtn: null,
+    historyDepthMenu: null,
 
     // Connection elements
     addConnectionBtn: null,
     connectionLabelModal: null,
     sourceLabel: null,
     targetLabel: null,
+    connectionLabelInterfaceRow: null,
+    sourceInterface: null,
+    targetInterface: null,
     submitConnectionLabels: null,
     connectionLabelForm: null,
 
@@ -52,16 +121,30 @@ export const elements = {
     shapeLabelUnderline: null,
     startConnectionBtn: null,
     applyShapeChanges: null,
+    pageLinkContainer: null,
+    pageLinkTarget: null,
 
     // Connection overlay panel elements
     connectionOverlayPanel: null,
     closeConnectionPanel: null,
     connectionSourceLabel: null,
     connectionTargetLabel: null,
+    connectionBundle: null,
+    connectionLinkType: null,
+    connectionLinkSpeed: null,
+    connectionLinkSpeeds: null,
+    connectionInterfaceRow: null,
+    connectionSourceInterface: null,
+    connectionTargetInterface: null,
     connectionCenterLabel: null,
     connectionStrokeWidth: null,
     connectionStrokeColor: null,
     connectionStrokeStyle: null,
+    connectionRouting: null,
+    connectionCurved: null,
+    connectionSourceMarker: null,
+    connectionTargetMarker: null,
+    connectionBidirectional: null,
     connectionLabelColor: null,
     connectionLabelFontSize: null,
     applyConnectionChanges: null,
@@ -79,6 +162,11 @@ export function initializeElements() {
     elements.topologyCanvas = document.getElementById('topologyCanvas');
     elements.canvasWrapper = document.getElementById('canvasWrapper');
     elements.zoomLevel = document.getElementById('zoomLevel');
+    elements.minimap = document.getElementById('minimap');
+    elements.minimapToggle = document.getElementById('minimapToggle');
+    elements.minimapBody = document.getElementById('minimapBody');
+    elements.minimapCanvas = document.getElementById('minimapCanvas');
+    elements.minimapViewport = document.getElementById('minimapViewport');
     elements.canvas = elements.topologyCanvas;
     elements.canvasInfo = document.getElementById('canvasInfo');
     elements.pointerPosition = document.getElementById('pointerPosition');
@@ -86,8 +174,64 @@ export function initializeElements() {
     // Menu elements
     elements.newTopologyBtn = document.getElementById('newTopologyBtn');
     elements.exportBtn = document.getElementById('exportBtn');
+    elements.exportPageBtn = document.getElementById('exportPageBtn');
     elements.exportPngBtn = document.getElementById('exportPngBtn');
+    elements.exportAllPngBtn = document.getElementById('exportAllPngBtn');
+    elements.exportSvgBtn = document.getElementById('exportSvgBtn');
+    elements.svgExportModal = document.getElementById('svgExportModal');
+    elements.svgExportForm = document.getElementById('svgExportForm');
+    elements.exportPdfBtn = document.getElementById('exportPdfBtn');
+    elements.pdfExportModal = document.getElementById('pdfExportModal');
+    elements.pdfExportForm = document.getElementById('pdfExportForm');
+    elements.pdfPageSize = document.getElementById('pdfPageSize');
+    elements.exportDrawioBtn = document.getElementById('exportDrawioBtn');
+    elements.exportContainerlabBtn = document.getElementById('exportContainerlabBtn');
+    elements.exportCmlBtn = document.getElementById('exportCmlBtn');
+    elements.exportInventoryBtn = document.getElementById('exportInventoryBtn');
     elements.importBtn = document.getElementById('importBtn');
+    elements.importPageBtn = document.getElementById('importPageBtn');
+    elements.importDrawioBtn = document.getElementById('importDrawioBtn');
+    elements.importContainerlabBtn = document.getElementById('importContainerlabBtn');
+    elements.importCmlBtn = document.getElementById('importCmlBtn');
+
+    // Document manager elements
+    elements.documentsBtn = document.getElementById('documentsBtn');
+    elements.documentName = document.getElementById('documentName');
+    elements.documentsModal = document.getElementById('documentsModal');
+    elements.documentList = document.getElementById('documentList');
+    elements.newDocumentBtn = document.getElementById('newDocumentBtn');
+
+    // Page tab elements
+    elements.pageTabs = document.getElementById('pageTabs');
+    elements.addPageBtn = document.getElementById('addPageBtn');
+    elements.deletePageModal = document.getElementById('deletePageModal');
+    elements.deletePageMessage = document.getElementById('deletePageMessage');
+    elements.confirmDeletePage = document.getElementById('confirmDeletePage');
+
+    // Device property elements
+    elements.devicePropertiesContainer = document.getElementById('devicePropertiesContainer');
+    elements.editDeviceProperties = document.getElementById('editDeviceProperties');
+    elements.devicePropertiesModal = document.getElementById('devicePropertiesModal');
+    elements.devicePropertiesInfo = document.getElementById('devicePropertiesInfo');
+    elements.devicePropertiesForm = document.getElementById('devicePropertiesForm');
+    elements.devicePropertyFields = document.getElementById('devicePropertyFields');
+    elements.deviceTagList = document.getElementById('deviceTagList');
+    elements.addDeviceTagBtn = document.getElementById('addDeviceTagBtn');
+    elements.deviceInterfaceList = document.getElementById('deviceInterfaceList');
+    elements.addDeviceInterfaceBtn = document.getElementById('addDeviceInterfaceBtn');
+    elements.deviceInterfaceSpeeds = document.getElementById('deviceInterfaceSpeeds');
+    elements.deviceInterfaceError = document.getElementById('deviceInterfaceError');
+    elements.toggleDeviceBadges = document.getElementById('toggleDeviceBadges');
+    elements.connectionRoutingMenu = document.getElementById('connectionRoutingMenu');
+    elements.linkTypesBtn = document.getElementById('linkTypesBtn');
+    elements.autoLayoutMenu = document.getElementById('autoLayoutMenu');
+    elements.hierarchicalLayoutModal = document.getElementById('hierarchicalLayoutModal');
+    elements.hierarchicalLayoutForm = document.getElementById('hierarchicalLayoutForm');
+    elements.hierarchicalRoot = document.getElementById('hierarchicalRoot');
+    elements.linkTypesModal = document.getElementById('linkTypesModal');
+    elements.linkTypeList = document.getElementById('linkTypeList');
+    elements.deviceSearchInput = document.getElementById('deviceSearchInput');
+    elements.deviceSearchResults = document.getElementById('deviceSearchResults');
 
     // Canvas controls (sidebar)
     elements.zoomInBtn = document.getElementById('zoomInBtn');
@@ -99,12 +243,20 @@ export function initializeElements() {
     elements.zoomInBtnFloating = document.getElementById('zoomInBtnFloating');
     elements.zoomOutBtnFloating = document.getElementById('zoomOutBtnFloating');
     elements.resetZoomBtnFloating = document.getElementById('resetZoomBtnFloating');
+    elements.zoomFitBtnFloating = document.getElementById('zoomFitBtnFloating');
+    elements.zoomSelectionBtnFloating = document.getElementById('zoomSelectionBtnFloating');
+    elements.undoBtn = document.getElementById('undoBtn');
+    elements.redoBtn = document.getElementById('redoBtn');
+    elements.historyDepthMenu = document.getElementById('historyDepthMenu');
 
     // Connection elements
     elements.addConnectionBtn = document.getElementById('addConnectionBtn');
     elements.connectionLabelModal = document.getElementById('connectionLabelModal');
     elements.sourceLabel = document.getElementById('sourceLabel');
     elements.targetLabel = document.getElementById('targetLabel');
+    elements.connectionLabelInterfaceRow = document.getElementById('connectionLabelInterfaceRow');
+    elements.sourceInterface = document.getElementById('sourceInterface');
+    elements.targetInterface = document.getElementById('targetInterface');
     elements.submitConnectionLabels = document.getElementById('submitConnectionLabels');
     elements.connectionLabelForm = document.getElementById('connectionLabelForm');
 
@@ -120,16 +272,30 @@ export function initializeElements() {
     elements.shapeLabelUnderline = document.getElementById('shapeLabelUnderline');
     elements.startConnectionBtn = document.getElementById('startConnectionBtn');
     elements.applyShapeChanges = document.getElementById('applyShapeChanges');
+    elements.pageLinkContainer = document.getElementById('pageLinkContainer');
+    elements.pageLinkTarget = document.getElementById('pageLinkTarget');
 
     // Connection overlay panel elements
     elements.connectionOverlayPanel = document.getElementById('connectionOverlayPanel');
     elements.closeConnectionPanel = document.getElementById('closeConnectionPanel');
     elements.connectionSourceLabel = document.getElementById('connectionSourceLabel');
     elements.connectionTargetLabel = document.getElementById('connectionTargetLabel');
+    elements.connectionBundle = document.getElementById('connectionBundle');
+    elements.connectionLinkType = document.getElementById('connectionLinkType');
+    elements.connectionLinkSpeed = document.getElementById('connectionLinkSpeed');
+    elements.connectionLinkSpeeds = document.getElementById('connectionLinkSpeeds');
+    elements.connectionInterfaceRow = document.getElementById('connectionInterfaceRow');
+    elements.connectionSourceInterface = document.getElementById('connectionSourceInterface');
+    elements.connectionTargetInterface = document.getElementById('connectionTargetInterface');
     elements.connectionCenterLabel = document.getElementById('connectionCenterLabel');
     elements.connectionStrokeWidth = document.getElementById('connectionStrokeWidth');
     elements.connectionStrokeColor = document.getElementById('connectionStrokeColor');
     elements.connectionStrokeStyle = document.getElementById('connectionStrokeStyle');
+    elements.connectionRouting = document.getElementById('connectionRouting');
+    elements.connectionCurved = document.getElementById('connectionCurved');
+    elements.connectionSourceMarker = document.getElementById('connectionSourceMarker');
+    elements.connectionTargetMarker = document.getElementById('connectionTargetMarker');
+    elements.connectionBidirectional = document.getElementById('connectionBidirectional');
     elements.connectionLabelColor = document.getElementById('connectionLabelColor');
     elements.connectionLabelFontSize = document.getElementById('connectionLabelFontSize');
     elements.applyConnectionChanges = document.getElementById('applyConnectionChanges');
@@ -7,12 +7,14 @@
  * @param {string} message - The message to display
  * @param {string} title - The title (optional, defaults to "Alert")
  * @param {string} type - The type: 'info', 'warning', 'error', 'success' (optional)
+ * @param {Array<string>} details - Lines listed below the message, e.g. failing fields (optional)
  */
-export function showAlert(message, title = 'Alert', type = 'info') {
+export function showAlert(message, title = 'Alert', type = 'info', details = []) {
     const modal = document.getElementById('alertModal');
     const modalHeader = document.getElementById('alertModalHeader');
     const modalTitle = document.getElementById('alertModalTitle');
     const modalMessage = document.getElementById('alertModalMessage');
+    const modalDetails = document.getElementById('alertModalDetails');
     const titleIcon = modalTitle.previousElementSibling;
 
     // Set title
@@ -21,6 +23,18 @@ export function showAlert(message, title = 'Alert', type = 'info') {
     // Set message
     modalMessage.textContent = message;
 
+    // Set detail lines
+    if (modalDetails) {
+        modalDetails.replaceChildren(
+            ...details.map(detail => {
+                const item = document.createElement('li');
+                item.textContent = detail;
+                return item;
+            })
+        );
+        modalDetails.classList.toggle('d-none', details.length === 0);
+    }
+
     // Set icon and header color based on type
     modalHeader.className = 'modal-header';
     switch (type) {
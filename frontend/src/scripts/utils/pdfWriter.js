@@ -0,0 +1,300 @@
+/**
+ * Minimal PDF writer
+ * Writes PDF 1.4 documents whose pages hold lossless RGB images, lines, rectangles and text in
+ * the standard Helvetica fonts every PDF viewer has - enough for the PDF export without a PDF
+ * library. Coordinates and sizes are in points (1/72 inch) from the top-left corner of a page.
+ */
+
+// Helvetica glyph widths (1/1000 em) of the printable ASCII characters, from its font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667,
+    611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+    667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+    222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const BOLD_WIDTH_FACTOR = 1.06; // Helvetica-Bold runs about this much wider
+
+// Characters outside Latin-1 that the WinAnsi encoding of the standard fonts has
+const WIN_ANSI_CODES = {
+    '€': 0x80,
+    '…': 0x85,
+    '‘': 0x91,
+    '’': 0x92,
+    '“': 0x93,
+    '”': 0x94,
+    '•': 0x95,
+    '–': 0x96,
+    '—': 0x97,
+};
+
+export class PdfWriter {
+    constructor() {
+        this.pages = [];
+    }
+
+    /**
+     * Convert canvas pixels to an image for the document, compressed when the browser can
+     * @param {ImageData} imageData - Pixels of a canvas
+     * @returns {Promise<Object>} Image {width, height, data, filter}
+     */
+    static async createImage(imageData) {
+        const { width, height, data } = imageData;
+        const rgb = new Uint8Array(width * height * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            rgb[j] = data[i];
+            rgb[j + 1] = data[i + 1];
+            rgb[j + 2] = data[i + 2];
+        }
+
+        if (typeof CompressionStream === 'undefined') {
+            return { width, height, data: rgb, filter: null };
+        }
+
+        // The 'deflate' format is zlib, which is what PDF's FlateDecode reads
+        const stream = new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'));
+        const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+        return { width, height, data: compressed, filter: 'FlateDecode' };
+    }
+
+    /**
+     * Measure the width of text in Helvetica
+     * @param {string} text - The text
+     * @param {number} size - Font size (pt)
+     * @param {boolean} [bold=false] - Whether it is set in Helvetica-Bold
+     * @returns {number} Width (pt)
+     */
+    static measureText(text, size, bold = false) {
+        const units = Array.from(text).reduce((sum, char) => {
+            const code = char.charCodeAt(0);
+            return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+        }, 0);
+        return ((units * size) / 1000) * (bold ? BOLD_WIDTH_FACTOR : 1);
+    }
+
+    /**
+     * Start a new page; drawing goes to it from now on
+     * @param {number} width - Page width (pt)
+     * @param {number} height - Page height (pt)
+     */
+    addPage(width, height) {
+        this.pages.push({ width, height, content: [], images: [] });
+    }
+
+    /**
+     * Draw an image
+     * @param {Object} image - Image from createImage()
+     * @param {number} x - Left (pt)
+     * @param {number} y - Top (pt)
+     * @param {number} width - Drawn width (pt)
+     * @param {number} height - Drawn height (pt)
+     */
+    drawImage(image, x, y, width, height) {
+        const page = this.currentPage();
+        page.images.push(image);
+        page.content.push(
+            `q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(page.height - y - height)} cm ` +
+                `/Im${page.images.length} Do Q`
+        );
+    }
+
+    /**
+     * Draw the outline of a rectangle, or fill it
+     * @param {number} x - Left (pt)
+     * @param {number} y - Top (pt)
+     * @param {number} width - Width (pt)
+     * @param {number} height - Height (pt)
+     * @param {Object} [options] - {stroke: '#rrggbb', lineWidth, fill: '#rrggbb'}
+     */
+    drawRect(x, y, width, height, { stroke = '#000000', lineWidth = 1, fill = null } = {}) {
+        const page = this.currentPage();
+        const path = `${num(x)} ${num(page.height - y - height)} ${num(width)} ${num(height)} re`;
+        page.content.push(
+            fill
+                ? `q ${toRGB(fill)} rg ${path} f Q`
+                : `q ${toRGB(stroke)} RG ${num(lineWidth)} w ${path} S Q`
+        );
+    }
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x (pt)
+     * @param {number} y1 - Start y (pt)
+     * @param {number} x2 - End x (pt)
+     * @param {number} y2 - End y (pt)
+     * @param {Object} [options] - {stroke: '#rrggbb', lineWidth}
+     */
+    drawLine(x1, y1, x2, y2, { stroke = '#000000', lineWidth = 1 } = {}) {
+        const page = this.currentPage();
+        page.content.push(
+            `q ${toRGB(stroke)} RG ${num(lineWidth)} w ` +
+                `${num(x1)} ${num(page.height - y1)} m ${num(x2)} ${num(page.height - y2)} l S Q`
+        );
+    }
+
+    /**
+     * Draw a line of text
+     * @param {string} text - The text; characters Helvetica doesn't have print as "?"
+     * @param {number} x - Left (pt)
+     * @param {number} y - Baseline (pt)
+     * @param {Object} [options] - {size, bold, color: '#rrggbb'}
+     */
+    drawText(text, x, y, { size = 10, bold = false, color = '#000000' } = {}) {
+        const page = this.currentPage();
+        page.content.push(
+            `BT ${toRGB(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ` +
+                `${num(x)} ${num(page.height - y)} Td (${encodeText(text)}) Tj ET`
+        );
+    }
+
+    /**
+     * Write the document
+     * @param {Object} [info] - Document properties {title, author}
+     * @returns {Blob} The PDF file
+     */
+    toBlob({ title = '', author = '' } = {}) {
+        // Each object is a list of strings and byte arrays; its number is its position + 1
+        const objects = [];
+        const addObject = (...parts) => objects.push(parts);
+
+        addObject('<< /Type /Catalog /Pages 2 0 R >>');
+        addObject(''); // Page tree, written once the page objects are numbered
+        addObject(
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+        );
+        addObject(
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        );
+        const infoId = addObject(
+            `<< /Title ${encodeInfoText(title)} /Author ${encodeInfoText(author)} ` +
+                `/CreationDate (${toPdfDate(new Date())}) >>`
+        );
+
+        const pageIds = this.pages.map(page => {
+            const imageIds = page.images.map(image =>
+                addObject(
+                    `<< /Type /XObject /Subtype /Image /Width ${image.width} ` +
+                        `/Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 ` +
+                        (image.filter ? `/Filter /${image.filter} ` : '') +
+                        `/Length ${image.data.length} >>\nstream\n`,
+                    image.data,
+                    '\nendstream'
+                )
+            );
+            const content = page.content.join('\n');
+            const contentId = addObject(
+                `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+            );
+            const xObjects = imageIds.map((id, index) => `/Im${index + 1} ${id} 0 R`).join(' ');
+
+            return addObject(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> ` +
+                    `/Contents ${contentId} 0 R >>`
+            );
+        });
+        objects[1] = [
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] ` +
+                `/Count ${pageIds.length} >>`,
+        ];
+
+        // Every string written is ASCII, so its length is its size in bytes
+        const parts = ['%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'];
+        const offsets = [];
+        let size = parts[0].length;
+        objects.forEach((objectParts, index) => {
+            offsets.push(size);
+            [`${index + 1} 0 obj\n`, ...objectParts, '\nendobj\n'].forEach(part => {
+                parts.push(part);
+                size += part.length;
+            });
+        });
+
+        parts.push(
+            `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+                offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+                `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\n` +
+                `startxref\n${size}\n%%EOF\n`
+        );
+
+        // The binary marker of the header is written as bytes, not as UTF-8
+        parts[0] = Uint8Array.from(parts[0], char => char.charCodeAt(0));
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    /**
+     * Get the page drawing goes to
+     * @returns {Object} The page
+     */
+    currentPage() {
+        if (this.pages.length === 0) {
+            throw new Error('Add a page before drawing');
+        }
+        return this.pages[this.pages.length - 1];
+    }
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - The number
+ * @returns {string} The number with at most two decimals
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Convert a hex colour to PDF colour components
+ * @param {string} hex - Colour as #rrggbb
+ * @returns {string} Red, green and blue between 0 and 1
+ */
+function toRGB(hex) {
+    return [1, 3, 5].map(i => num(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Encode text as the inside of a PDF string in the WinAnsi encoding
+ * Characters outside plain ASCII are written as octal escapes, so the output stays ASCII
+ * @param {string} text - The text
+ * @returns {string} Escaped text
+ */
+function encodeText(text) {
+    return Array.from(String(text))
+        .map(char => {
+            let code = char.charCodeAt(0);
+            if (WIN_ANSI_CODES[char]) code = WIN_ANSI_CODES[char];
+            else if (code > 255 || (code >= 0x80 && code < 0xa0)) code = 0x3f; // "?"
+
+            if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+            if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+            return String.fromCharCode(code);
+        })
+        .join('');
+}
+
+/**
+ * Encode text for the document properties, which take UTF-16 rather than the font encoding
+ * @param {string} text - The text
+ * @returns {string} PDF hex string
+ */
+function encodeInfoText(text) {
+    const units = String(text);
+    let hex = '';
+    for (let i = 0; i < units.length; i++) {
+        hex += units.charCodeAt(i).toString(16).padStart(4, '0');
+    }
+    return `<FEFF${hex.toUpperCase()}>`;
+}
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - The date
+ * @returns {string} Date as D:YYYYMMDDHHmmSS
+ */
+function toPdfDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return (
+        `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+    );
+}
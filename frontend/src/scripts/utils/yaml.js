@@ -0,0 +1,682 @@
+/**
+ * Minimal YAML reader and writer
+ * Reads the YAML that lab files are written in without a YAML library: block mappings and
+ * sequences, flow collections ([a, b] and {a: b}), plain and quoted scalars, literal and
+ * folded block scalars, comments, anchors, aliases and merge keys. Tags are skipped and only the
+ * first document of a file is read. Written YAML uses block style with two-space indents.
+ */
+
+// Escape sequences of double-quoted strings
+const ESCAPES = {
+    0: '\0',
+    a: '\x07',
+    b: '\b',
+    t: '\t',
+    '\t': '\t',
+    n: '\n',
+    v: '\v',
+    f: '\f',
+    r: '\r',
+    e: '\x1b',
+    ' ': ' ',
+    '"': '"',
+    '/': '/',
+    '\\': '\\',
+    N: '\x85',
+    _: '\xa0',
+    L: '\u2028',
+    P: '\u2029',
+};
+
+/**
+ * Read a YAML document
+ * @param {string} text - YAML text
+ * @returns {*} The document's value: objects, arrays, strings, numbers, booleans and null
+ * @throws {Error} If the text is not valid YAML, with the line number
+ */
+export function parseYAML(text) {
+    return new YamlReader(text).readDocument();
+}
+
+/**
+ * Write a value as a YAML document
+ * @param {*} value - Objects, arrays, strings, numbers, booleans and null
+ * @returns {string} YAML text
+ */
+export function stringifyYAML(value) {
+    const lines = isBlockCollection(value) ? writeCollection(value, 0) : [writeInline(value)];
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Check whether a parsed YAML value is a mapping
+ * @param {*} value - The value
+ * @returns {boolean} Whether it is a plain object
+ */
+export function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class YamlReader {
+    /**
+     * @param {string} text - YAML text
+     */
+    constructor(text) {
+        this.lines = text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n');
+        if (this.lines.at(-1) === '') this.lines.pop();
+        this.index = 0; // Next raw line
+        this.line = null; // Line read but not consumed yet
+        this.started = false; // Whether the document has content
+        this.ended = false;
+        this.anchors = new Map();
+    }
+
+    /**
+     * Read the first document
+     * @returns {*} The document's value
+     */
+    readDocument() {
+        const value = this.readNode(0);
+        const rest = this.peek();
+        if (rest) throw this.error(rest, 'Unexpected content');
+        return value;
+    }
+
+    /**
+     * Get the next line with content, without consuming it
+     * Blank lines, comments, directives and the document start marker are skipped
+     * @returns {Object|null} Line {indent, content, number}, or null at the end of the document
+     */
+    peek() {
+        if (this.line || this.ended) return this.line;
+
+        while (this.index < this.lines.length) {
+            const raw = this.lines[this.index++];
+            if (/^(---|\.\.\.)(\s|$)/.test(raw)) {
+                if (this.started || raw.startsWith('...')) {
+                    this.ended = true;
+                    return null;
+                }
+                continue;
+            }
+            if (!this.started && raw.startsWith('%')) continue;
+
+            const content = stripComment(raw).trimEnd();
+            if (!content.trim()) continue;
+
+            const indent = content.search(/\S/);
+            if (content.slice(0, indent).includes('\t')) {
+                throw new Error(`YAML line ${this.index}: Tabs can't be used for indentation`);
+            }
+            this.started = true;
+            this.line = { indent, content: content.slice(indent), number: this.index };
+            return this.line;
+        }
+        return null;
+    }
+
+    /**
+     * Consume the line returned by peek()
+     */
+    next() {
+        this.line = null;
+    }
+
+    /**
+     * Read the node that starts on the next line
+     * @param {number} minIndent - Smallest indent the node can have
+     * @returns {*} The node's value, or null if there is none
+     */
+    readNode(minIndent) {
+        const line = this.peek();
+        if (!line || line.indent < minIndent) return null;
+
+        if (isSequenceItem(line.content)) return this.readSequence(line.indent);
+        if (splitMappingEntry(line.content)) return this.readMapping(line.indent);
+
+        this.next();
+        return this.readValue(line.content, line.indent - 1, line, false);
+    }
+
+    /**
+     * Read a block mapping
+     * @param {number} indent - Indent of its keys
+     * @returns {Object} The mapping
+     */
+    readMapping(indent) {
+        const mapping = {};
+        let line = this.peek();
+        while (line && line.indent === indent && !isSequenceItem(line.content)) {
+            const entry = splitMappingEntry(line.content);
+            if (!entry) throw this.error(line, 'Expected "key: value"');
+            this.next();
+
+            const value = this.readValue(entry.value, indent, line, true);
+            if (entry.key === '<<') {
+                [value].flat().forEach(source => {
+                    if (isMapping(source)) Object.assign(mapping, { ...source, ...mapping });
+                });
+            } else {
+                mapping[entry.key] = value;
+            }
+            line = this.peek();
+        }
+
+        if (line && line.indent > indent) throw this.error(line, 'Bad indentation');
+        return mapping;
+    }
+
+    /**
+     * Read a block sequence
+     * @param {number} indent - Indent of its dashes
+     * @returns {Array} The sequence
+     */
+    readSequence(indent) {
+        const items = [];
+        let line = this.peek();
+        while (line && line.indent === indent && isSequenceItem(line.content)) {
+            const rest = line.content.slice(1);
+            const text = rest.trimStart();
+
+            if (text && (isSequenceItem(text) || splitMappingEntry(text))) {
+                // A collection starting on the dash's line: read on as if the rest of the line
+                // started a line of its own
+                const itemIndent = indent + 1 + rest.length - text.length;
+                this.line = { indent: itemIndent, content: text, number: line.number };
+                items.push(this.readNode(itemIndent));
+            } else {
+                this.next();
+                items.push(this.readValue(text, indent, line, false));
+            }
+            line = this.peek();
+        }
+
+        if (line && line.indent > indent) throw this.error(line, 'Bad indentation');
+        return items;
+    }
+
+    /**
+     * Read the value after a key or a dash
+     * @param {string} text - The rest of the line
+     * @param {number} parentIndent - Indent of the key or dash; the value's lines are deeper
+     * @param {Object} line - The line of the key or dash
+     * @param {boolean} inMapping - Whether it is a mapping value, which can be a sequence at the
+     *     key's own indent
+     * @returns {*} The value
+     */
+    readValue(text, parentIndent, line, inMapping) {
+        let anchor = null;
+        let rest = text;
+        for (let match; (match = /^([&!])(\S*)(\s+|$)/.exec(rest));) {
+            if (match[1] === '&') anchor = match[2];
+            rest = rest.slice(match[0].length);
+        }
+
+        let value;
+        if (rest === '') {
+            const next = this.peek();
+            if (inMapping && next?.indent === parentIndent && isSequenceItem(next.content)) {
+                value = this.readSequence(parentIndent);
+            } else {
+                value = next && next.indent > parentIndent ? this.readNode(next.indent) : null;
+            }
+        } else if (rest[0] === '*') {
+            const name = rest.slice(1);
+            if (!this.anchors.has(name)) throw this.error(line, `Unknown alias "${name}"`);
+            value = this.anchors.get(name);
+        } else if (rest[0] === '|' || rest[0] === '>') {
+            value = this.readBlockScalar(rest, parentIndent, line);
+        } else if (rest[0] === '[' || rest[0] === '{') {
+            value = this.readFlow(rest, line);
+        } else {
+            value = this.readScalar(rest, parentIndent, line);
+        }
+
+        if (anchor) this.anchors.set(anchor, value);
+        return value;
+    }
+
+    /**
+     * Read a plain or quoted scalar, which can go on over more deeply indented lines
+     * @param {string} text - Its start
+     * @param {number} parentIndent - Indent of its key or dash
+     * @param {Object} line - Its first line
+     * @returns {*} The value
+     */
+    readScalar(text, parentIndent, line) {
+        const quote = text[0] === '"' || text[0] === "'" ? text[0] : null;
+        let source = text;
+        for (let next = this.peek(); next && next.indent > parentIndent; next = this.peek()) {
+            if (quote && findQuoteEnd(source, 0) >= 0) break;
+            source += `\n${next.content}`;
+            this.next();
+        }
+
+        if (!quote) return parsePlainScalar(foldLines(source));
+
+        const end = findQuoteEnd(source, 0);
+        if (end < 0) throw this.error(line, 'Unterminated string');
+        if (source.slice(end + 1).trim()) throw this.error(line, 'Unexpected text after string');
+        return parseQuoted(source);
+    }
+
+    /**
+     * Read a flow collection, which goes on over the next lines until its brackets are closed
+     * @param {string} text - Its start
+     * @param {Object} line - Its first line
+     * @returns {Array|Object} The collection
+     */
+    readFlow(text, line) {
+        let source = text;
+        for (let next = this.peek(); next && getFlowDepth(source) > 0; next = this.peek()) {
+            source += `\n${next.content}`;
+            this.next();
+        }
+
+        try {
+            return parseFlow(source);
+        } catch (error) {
+            throw this.error(line, error.message);
+        }
+    }
+
+    /**
+     * Read a literal (|) or folded (>) block scalar from the lines after its header
+     * @param {string} header - Style, chomping (- or +) and indent indicators
+     * @param {number} parentIndent - Indent of its key or dash
+     * @param {Object} line - The header's line
+     * @returns {string} The text
+     */
+    readBlockScalar(header, parentIndent, line) {
+        const match = /^([|>])([-+]?)(\d?)([-+]?)$/.exec(header);
+        if (!match) throw this.error(line, 'Bad block scalar header');
+        const folded = match[1] === '>';
+        const chomping = match[2] || match[4];
+        let indent = match[3] ? Math.max(parentIndent, 0) + Number(match[3]) : null;
+
+        const lines = [];
+        while (this.index < this.lines.length) {
+            const raw = this.lines[this.index];
+            if (!raw.trim()) {
+                lines.push('');
+                this.index++;
+                continue;
+            }
+
+            const lineIndent = raw.search(/\S/);
+            if (indent === null) {
+                if (lineIndent <= parentIndent) break;
+                indent = lineIndent;
+            }
+            if (lineIndent < indent) break;
+            lines.push(raw.slice(indent));
+            this.index++;
+        }
+
+        let trailing = 0;
+        while (lines.length > 0 && lines.at(-1) === '') {
+            lines.pop();
+            trailing++;
+        }
+
+        const body = folded ? foldBlockLines(lines) : lines.join('\n');
+        if (chomping === '-') return body;
+        if (chomping === '+') return body + (lines.length > 0 ? '\n' : '') + '\n'.repeat(trailing);
+        return lines.length > 0 ? `${body}\n` : '';
+    }
+
+    /**
+     * Create an error for a line
+     * @param {Object} line - The line
+     * @param {string} message - What is wrong
+     * @returns {Error} The error
+     */
+    error(line, message) {
+        return new Error(`YAML line ${line.number}: ${message}`);
+    }
+}
+
+/**
+ * Remove the comment from a line
+ * A # starts a comment at the start of the line or after white space, outside quotes
+ * @param {string} line - Raw line
+ * @returns {string} The line without its comment
+ */
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if ((char === '"' || char === "'") && (i === 0 || ' \t[{,:'.includes(line[i - 1]))) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Check whether a line starts a sequence item
+ * @param {string} content - Line content without its indent
+ * @returns {boolean} Whether it starts with a dash and a space
+ */
+function isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * Split a line into a mapping key and the rest of the line
+ * @param {string} content - Line content without its indent
+ * @returns {Object|null} Entry {key, value}, or null if the line is not a mapping entry
+ */
+function splitMappingEntry(content) {
+    if (content[0] === '"' || content[0] === "'") {
+        const end = findQuoteEnd(content, 0);
+        const after = end < 0 ? '' : content.slice(end + 1).trimStart();
+        if (!/^:(\s|$)/.test(after)) return null;
+        return { key: parseQuoted(content.slice(0, end + 1)), value: after.slice(1).trim() };
+    }
+    if (content[0] === '[' || content[0] === '{') return null;
+
+    const match = /:(\s|$)/.exec(content);
+    if (!match) return null;
+    return {
+        key: content.slice(0, match.index).trim(),
+        value: content.slice(match.index + 1).trim(),
+    };
+}
+
+/**
+ * Find the closing quote of a quoted string
+ * @param {string} text - Text with the string
+ * @param {number} start - Position of the opening quote
+ * @returns {number} Position of the closing quote, or -1 if there is none
+ */
+function findQuoteEnd(text, start) {
+    const quote = text[start];
+    for (let i = start + 1; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            if (quote === "'" && text[i + 1] === "'") i++;
+            else return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Count the brackets of a flow collection that are still open
+ * @param {string} text - Flow collection so far
+ * @returns {number} Open brackets
+ */
+function getFlowDepth(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"' || char === "'") {
+            const end = findQuoteEnd(text, i);
+            if (end < 0) return depth + 1;
+            i = end;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        }
+    }
+    return depth;
+}
+
+/**
+ * Parse a flow collection
+ * @param {string} source - The collection, from its opening to its closing bracket
+ * @returns {Array|Object} The collection
+ * @throws {Error} If it is not a valid flow collection
+ */
+function parseFlow(source) {
+    let pos = 0;
+    const skipSpace = () => {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+    const expectSeparator = closing => {
+        skipSpace();
+        if (source[pos] === ',') pos++;
+        else if (pos >= source.length) throw new Error(`Missing "${closing}"`);
+        else if (source[pos] !== closing) throw new Error(`Expected "," or "${closing}"`);
+    };
+
+    const readItem = () => {
+        skipSpace();
+        const char = source[pos];
+
+        if (char === '[') {
+            pos++;
+            const items = [];
+            for (skipSpace(); source[pos] !== ']'; skipSpace()) {
+                if (pos >= source.length) throw new Error('Missing "]"');
+                items.push(readItem());
+                expectSeparator(']');
+            }
+            pos++;
+            return items;
+        }
+
+        if (char === '{') {
+            pos++;
+            const mapping = {};
+            for (skipSpace(); source[pos] !== '}'; skipSpace()) {
+                if (pos >= source.length) throw new Error('Missing "}"');
+                const key = readItem();
+                skipSpace();
+                let value = null;
+                if (source[pos] === ':') {
+                    pos++;
+                    value = readItem();
+                }
+                mapping[key] = value;
+                expectSeparator('}');
+            }
+            pos++;
+            return mapping;
+        }
+
+        if (char === '"' || char === "'") {
+            const end = findQuoteEnd(source, pos);
+            if (end < 0) throw new Error('Unterminated string');
+            const value = parseQuoted(source.slice(pos, end + 1));
+            pos = end + 1;
+            return value;
+        }
+
+        // A plain scalar ends at a flow indicator or at a colon that ends a key
+        const start = pos;
+        while (
+            pos < source.length &&
+            !',[]{}'.includes(source[pos]) &&
+            !(source[pos] === ':' && /^[\s,\]}]?$/.test(source[pos + 1] || ''))
+        ) {
+            pos++;
+        }
+        return parsePlainScalar(source.slice(start, pos).replace(/\s+/g, ' ').trim());
+    };
+
+    const value = readItem();
+    skipSpace();
+    if (pos < source.length) throw new Error('Unexpected text after flow collection');
+    return value;
+}
+
+/**
+ * Join the lines of a multi-line plain or quoted scalar
+ * A single line break becomes a space; of several, one is dropped
+ * @param {string} text - The scalar's lines
+ * @returns {string} Folded text
+ */
+function foldLines(text) {
+    return text.replace(/[ \t]*\n(?:[ \t]*\n)*[ \t]*/g, breaks => {
+        const count = breaks.split('\n').length - 1;
+        return count === 1 ? ' ' : '\n'.repeat(count - 1);
+    });
+}
+
+/**
+ * Join the lines of a folded block scalar
+ * Lines are joined with spaces, except around empty and more deeply indented lines
+ * @param {Array<string>} lines - Lines without the block's indent
+ * @returns {string} Folded text
+ */
+function foldBlockLines(lines) {
+    return lines.reduce((text, line, index) => {
+        if (index === 0) return line;
+        const previous = lines[index - 1];
+        if (line === '') return `${text}\n`;
+        if (previous === '') return text + line;
+        if (/^\s/.test(line) || /^\s/.test(previous)) return `${text}\n${line}`;
+        return `${text} ${line}`;
+    }, '');
+}
+
+/**
+ * Parse a quoted scalar
+ * @param {string} text - The scalar with its quotes
+ * @returns {string} Its value
+ */
+function parseQuoted(text) {
+    const body = foldLines(text.slice(1, -1));
+    if (text[0] === "'") return body.replace(/''/g, "'");
+
+    return body.replace(
+        /\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[^])/g,
+        (match, code) =>
+            code.length > 1
+                ? String.fromCodePoint(parseInt(code.slice(1), 16))
+                : (ESCAPES[code] ?? code)
+    );
+}
+
+/**
+ * Parse a plain scalar
+ * Numbers too large to be exact stay strings
+ * @param {string} text - The scalar
+ * @returns {*} Null, boolean, number or string
+ */
+function parsePlainScalar(text) {
+    if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+
+    let number = null;
+    if (/^[-+]?\d+$/.test(text)) number = parseInt(text, 10);
+    else if (/^0x[0-9a-fA-F]+$/.test(text)) number = parseInt(text.slice(2), 16);
+    else if (/^0o[0-7]+$/.test(text)) number = parseInt(text.slice(2), 8);
+    else if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+    else if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+    else if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+
+    return number !== null && Number.isSafeInteger(number) ? number : text;
+}
+
+/**
+ * Check whether a value is written in block style
+ * Empty collections and sequences of scalars are written in flow style
+ * @param {*} value - The value
+ * @returns {boolean} Whether it is written over lines of its own
+ */
+function isBlockCollection(value) {
+    if (Array.isArray(value)) return value.some(item => item !== null && typeof item === 'object');
+    return isMapping(value) && Object.keys(value).length > 0;
+}
+
+/**
+ * Write the entries of a block collection
+ * @param {Array|Object} value - The collection
+ * @param {number} indent - Indent of its entries
+ * @returns {Array<string>} Lines
+ */
+function writeCollection(value, indent) {
+    if (Array.isArray(value)) return value.flatMap(item => writeEntry('-', item, indent));
+    return Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .flatMap(([key, item]) => writeEntry(`${writeString(key)}:`, item, indent));
+}
+
+/**
+ * Write a mapping entry or a sequence item
+ * @param {string} prefix - "key:" or "-"
+ * @param {*} value - The value
+ * @param {number} indent - Indent of the prefix
+ * @returns {Array<string>} Lines
+ */
+function writeEntry(prefix, value, indent) {
+    const pad = ' '.repeat(indent);
+
+    if (isBlockCollection(value)) {
+        const lines = writeCollection(value, indent + 2);
+        if (prefix !== '-') return [`${pad}${prefix}`, ...lines];
+
+        // A sequence item starts on the dash's line
+        lines[0] = `${pad}- ${lines[0].trimStart()}`;
+        return lines;
+    }
+
+    if (typeof value === 'string' && canWriteLiteral(value)) {
+        const keep = /\n\n$/.test(value);
+        const chomping = keep ? '+' : value.endsWith('\n') ? '' : '-';
+        const lines = (keep ? value.slice(0, -1) : value.replace(/\n$/, '')).split('\n');
+        return [
+            `${pad}${prefix} |${chomping}`,
+            ...lines.map(line => (line ? `${pad}  ${line}` : '')),
+        ];
+    }
+
+    return [`${pad}${prefix} ${writeInline(value)}`];
+}
+
+/**
+ * Check whether a string can be written as a literal block scalar
+ * @param {string} text - The string
+ * @returns {boolean} Whether it has several lines that a literal block keeps as they are
+ */
+function canWriteLiteral(text) {
+    return (
+        text.includes('\n') &&
+        !/^[ \t]/.test(text) &&
+        !/(^|\n)[ \t]+(\n|$)/.test(text) &&
+        !/[\0-\x08\x0b-\x1f\x7f]/.test(text)
+    );
+}
+
+/**
+ * Write a scalar or a flow collection
+ * @param {*} value - The value
+ * @returns {string} YAML text
+ */
+function writeInline(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return '.nan';
+        if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+        return String(value);
+    }
+    if (Array.isArray(value)) return `[${value.map(writeInline).join(', ')}]`;
+    if (typeof value === 'object') return '{}';
+    return writeString(String(value));
+}
+
+/**
+ * Write a string, quoted unless it reads back as the same string without quotes
+ * @param {string} text - The string
+ * @returns {string} YAML text
+ */
+function writeString(text) {
+    const plain =
+        /^[\w./][\w ./@+()-]*$/.test(text) && !/\s$/.test(text) && parsePlainScalar(text) === text;
+    return plain ? text : JSON.stringify(text);
+}